@@ -0,0 +1,267 @@
+/**
+ * /vibe Bridge Adapter Contract
+ *
+ * Every chat bridge plugs into the webhook server through the same shape, so
+ * a new platform is one adapter instead of another branch in every switch:
+ *
+ *   platform          'telegram', 'discord', ...
+ *   capabilities      { inbound, outbound, markdown, embeds, dm }
+ *   commands          { prefix, botMention, namespaced } the platform's /vibe command syntax, or null
+ *   rateLimit         { max, windowMs, perTarget } outbound sends the platform allows
+ *   isConfigured()    credentials present
+ *   announceTo()      where /vibe announcements (status, ships) go, or null (optional)
+ *   normalize(event)  platform event → canonical message, or null to skip it
+ *   render(activity)  canonical activity → platform payload
+ *   send(target, payload)  deliver a rendered payload to a chat, channel or user
+ *
+ * Canonical message:
+ *   { id, platform, type: 'dm'|'group'|'channel'|'mention'|'cast'|'command', from: { id, handle, name },
+ *     content, timestamp, replyTo, raw }
+ * from.id is the platform's stable user id (what account links key on);
+ * replyTo is the send target that reaches the sender's conversation.
+ *
+ * Canonical activity:
+ *   { type: 'status', handle, mood, note }     { type: 'ship', handle, message }
+ *   { type: 'message', handle, message, context }   { type: 'activity', handle, action, context }
+ *   { type: 'online', users }   { type: 'help' }   { type: 'text', text }
+ */
+
+const REQUIRED = ['platform', 'isConfigured', 'normalize', 'render', 'send'];
+const ACTIVITY_TYPES = ['status', 'ship', 'message', 'activity', 'online', 'help', 'text'];
+
+const MOOD_EMOJI = {
+  shipping: '🔥',
+  debugging: '🐛',
+  deep: '🧠',
+  afk: '☕',
+  celebrating: '🎉',
+  pairing: '👯'
+};
+
+// ============ COMMANDS ============
+
+/**
+ * Parse a /vibe command in a platform's syntax
+ * @param {string} text - Message text
+ * @param {object} [syntax]
+ * @param {string} [syntax.prefix] - '/' on Telegram and WhatsApp, '!' on Discord
+ * @param {boolean} [syntax.botMention] - Accept `/status@botname` (Telegram groups)
+ * @param {boolean} [syntax.namespaced] - Also accept every command after the vibe keyword, as in `!vibe who` (Matrix)
+ * @returns {{command: string, params?: object}|null}
+ */
+function parseCommand(text, { prefix = '/', botMention = false, namespaced = false } = {}) {
+  const trimmed = String(text || '').trim();
+  const p = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const cmd = name => new RegExp(`^${p}${name}${botMention ? '(?:@\\w+)?' : ''}(?=\\s|$)\\s*([\\s\\S]*)$`, 'i');
+  const match = name => trimmed.match(cmd(name));
+
+  const vibe = match('vibe');
+  if (vibe) {
+    // link CODE — code from vibe_init in a /vibe session (see store/account-links.js)
+    const linkMatch = vibe[1].match(/^link\s+([A-Za-z0-9-]+)$/i);
+    if (linkMatch) return { command: 'link', params: { code: linkMatch[1] } };
+    if (/^unlink$/i.test(vibe[1])) return { command: 'unlink' };
+    const sub = namespaced && parseCommand(`${prefix}${vibe[1]}`, { prefix });
+    if (sub && sub.command !== 'vibe') return sub;
+    return vibe[1] ? { command: 'vibe', params: { message: vibe[1] } } : null;
+  }
+
+  const status = match('status');
+  if (status) {
+    const statusMatch = status[1].match(/^(\w+)(?:\s+([\s\S]+))?$/);
+    return statusMatch ? { command: 'status', params: { mood: statusMatch[1], note: statusMatch[2] || null } } : null;
+  }
+
+  if (match('who')) return { command: 'who' };
+  if (match('help')) return { command: 'help' };
+
+  const ship = match('ship');
+  if (ship) return { command: 'ship', params: { message: ship[1] || null } };
+
+  const dm = match('dm');
+  if (dm) {
+    // Discord mentions arrive as <@id>; elsewhere it's @handle
+    const mention = dm[1].match(/^<@!?(\d+)>\s+([\s\S]+)$/);
+    if (mention) return { command: 'dm', params: { userId: mention[1], message: mention[2] } };
+    const dmMatch = dm[1].match(/^@?(\w+)\s+([\s\S]+)$/);
+    return dmMatch ? { command: 'dm', params: { handle: dmMatch[1], message: dmMatch[2] } } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Command list in a platform's syntax
+ */
+function renderHelp(prefix = '/') {
+  return [
+    '🤖 */vibe commands*',
+    '',
+    `${prefix}status [mood] [note] - Update your /vibe status`,
+    `${prefix}who - See who's online in /vibe`,
+    `${prefix}ship [message] - Announce what you shipped`,
+    `${prefix}dm @handle [message] - Send a /vibe DM`,
+    `${prefix}vibe [message] - Send message to /vibe`,
+    `${prefix}vibe link CODE - Link this account to your /vibe handle`,
+    `${prefix}vibe unlink - Remove the link`,
+    `${prefix}help - Show this help`,
+    '',
+    `*Moods:* ${Object.keys(MOOD_EMOJI).join(', ')}`
+  ].join('\n');
+}
+
+// ============ RENDERING ============
+
+/**
+ * Render an activity as chat text, for platforms without embeds
+ * @param {object} activity - Canonical activity
+ * @param {object} [options]
+ * @param {boolean} [options.markdown] - *bold* and _italic_ (Telegram, WhatsApp)
+ * @param {string} [options.footer] - Appended to everything but plain text replies
+ * @returns {string}
+ */
+function renderText(activity, { markdown = true, footer = null } = {}) {
+  const b = s => (markdown ? `*${s}*` : s);
+  const i = s => (markdown ? `_${s}_` : s);
+  let text;
+
+  switch (activity.type) {
+    case 'status':
+      text = `${MOOD_EMOJI[activity.mood] || '●'} ${b(`@${activity.handle}`)} is ${activity.mood}`;
+      if (activity.note) text += `\n"${activity.note}"`;
+      break;
+
+    case 'ship':
+    case 'activity': {
+      const action = activity.type === 'ship' ? 'shipped' : activity.action;
+      const context = activity.type === 'ship' ? activity.message : activity.context;
+      text = `🔔 ${b(`@${activity.handle}`)} ${action}`;
+      if (context) text += `\n${i(context)}`;
+      break;
+    }
+
+    case 'message':
+      text = `💭 ${b(`@${activity.handle}`)}: ${activity.message}`;
+      if (activity.context) text += `\n${i(`via ${activity.context}`)}`;
+      break;
+
+    case 'online': {
+      const users = activity.users || [];
+      if (users.length === 0) {
+        text = `🤫 ${b('Room is quiet...')}\n\nNo one is currently active in /vibe.`;
+        break;
+      }
+      const lines = users.map(u => {
+        const mood = u.mood ? ` (${u.mood})` : '';
+        return `• ${b(`@${u.handle}`)}${mood}\n  ${u.one_liner || 'building'}`;
+      });
+      text = `👥 ${b(`${users.length} online in /vibe`)}\n\n${lines.join('\n\n')}`;
+      break;
+    }
+
+    default:
+      return activity.text;
+  }
+
+  return footer ? `${text}\n\n${i(footer)}` : text;
+}
+
+// ============ RATE LIMITS ============
+
+/**
+ * Sliding-window limiter: take() returns 0 when a send may go now, else ms to wait
+ */
+function createRateLimiter({ max, windowMs, perTarget = false }) {
+  const sent = new Map();
+
+  function take(target, now = Date.now()) {
+    const key = perTarget ? String(target) : '*';
+    const recent = (sent.get(key) || []).filter(t => now - t < windowMs);
+    if (recent.length >= max) {
+      sent.set(key, recent);
+      return recent[0] + windowMs - now;
+    }
+    recent.push(now);
+    sent.set(key, recent);
+    return 0;
+  }
+
+  return { take };
+}
+
+// ============ ADAPTERS ============
+
+/**
+ * Check a bridge against the contract and add deliver()
+ * @param {object} spec - See the module header
+ * @returns {object} The adapter
+ */
+function createAdapter(spec) {
+  const missing = REQUIRED.filter(key => !spec[key]);
+  if (missing.length > 0) {
+    throw new Error(`Bridge adapter ${spec.platform || '(unnamed)'} is missing ${missing.join(', ')}`);
+  }
+
+  const commands = spec.commands || null;
+  const capabilities = {
+    inbound: true,
+    outbound: true,
+    markdown: false,
+    embeds: false,
+    dm: false,
+    ...spec.capabilities,
+    commands: !!commands
+  };
+  const limiter = spec.rateLimit ? createRateLimiter(spec.rateLimit) : null;
+
+  const adapter = {
+    announceTo: () => null,
+    ...spec,
+    capabilities,
+    commands,
+
+    parseCommand(text) {
+      return commands ? parseCommand(text, commands) : null;
+    },
+
+    render(activity) {
+      if (!ACTIVITY_TYPES.includes(activity.type)) throw new Error(`Unknown activity type: ${activity.type}`);
+      if (activity.type === 'help') {
+        return spec.render({ type: 'text', text: renderHelp(commands ? commands.prefix : '/') });
+      }
+      return spec.render(activity);
+    },
+
+    /**
+     * Render and send an activity, within the platform's rate limit
+     * @returns {Promise<{success: boolean, result?: any, error?: string, retryAfterMs?: number}>}
+     */
+    async deliver(target, activity) {
+      if (!capabilities.outbound) return { success: false, error: `${spec.platform} bridge can't send` };
+      if (!target) return { success: false, error: `No ${spec.platform} target` };
+      if (!spec.isConfigured()) return { success: false, error: `${spec.platform} bridge not configured` };
+
+      const wait = limiter ? limiter.take(target) : 0;
+      if (wait > 0) return { success: false, error: 'Rate limited', retryAfterMs: wait };
+
+      try {
+        const result = await spec.send(target, adapter.render(activity));
+        return { success: true, result };
+      } catch (e) {
+        return { success: false, error: e.message };
+      }
+    }
+  };
+
+  return adapter;
+}
+
+module.exports = {
+  MOOD_EMOJI,
+  ACTIVITY_TYPES,
+  createAdapter,
+  createRateLimiter,
+  parseCommand,
+  renderHelp,
+  renderText
+};
@@ -0,0 +1,600 @@
+/**
+ * Agent Delivery — Durable event delivery to agent gateway subscribers
+ *
+ * pushEvent (agent-gateway.js) queues each event per subscriber on disk and
+ * tries it straight away. A failed attempt is retried with exponential backoff,
+ * oldest first, so an agent that restarts gets everything it missed, in order.
+ * After MAX_ATTEMPTS a delivery moves to the dead-letter log, from where it can
+ * be replayed (POST /agent/replay, or `node webhook-runner.js agents replay`).
+ *
+ * Each attempt is signed with the subscriber's secret (returned by subscribe):
+ *
+ *   X-Vibe-Delivery:  dlv_... (the same on every attempt — dedupe on it)
+ *   X-Vibe-Timestamp: unix seconds of this attempt
+ *   X-Vibe-Signature: v1=hex HMAC-SHA256(secret, timestamp + '.' + body)
+ *
+ * Receivers check with verifyDelivery() and reject stale timestamps, so a
+ * captured request can't be replayed later. Delivery is at-least-once.
+ *
+ * Files under ~/.vibe/agent-gateway: subscriptions/<handle>.json, stats.json,
+ * queues/<handle>.json and dead-letter.jsonl. The MCP server, the webhook
+ * runner and the CLI each use them from their own process, so subscriptions
+ * are re-read on every use, each is written on its own, and queue changes and
+ * flushes take a lock file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodeCrypto = require('crypto');
+const config = require('../config');
+const debug = require('../debug');
+
+const DELIVERY_DIR = path.join(config.VIBE_DIR, 'agent-gateway');
+const QUEUE_DIR = path.join(DELIVERY_DIR, 'queues');
+const SUBSCRIPTIONS_DIR = path.join(DELIVERY_DIR, 'subscriptions');
+const LEGACY_SUBSCRIPTIONS_FILE = path.join(DELIVERY_DIR, 'subscriptions.json');
+const STATS_FILE = path.join(DELIVERY_DIR, 'stats.json');
+const DEAD_LETTER_FILE = path.join(DELIVERY_DIR, 'dead-letter.jsonl');
+
+const BASE_DELAY_MS = 5 * 1000;
+const MAX_DELAY_MS = 15 * 60 * 1000;
+const MAX_ATTEMPTS = 12; // ~2h of attempts before dead-lettering
+const MAX_QUEUE = 500; // Per subscriber; older events are dead-lettered beyond this
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const SIGNATURE_TOLERANCE_S = 5 * 60;
+const LOCK_STALE_MS = 5 * 1000; // A queue change holds its lock for a read and a write
+const FLUSH_STALE_MS = 3 * DELIVERY_TIMEOUT_MS; // Refreshed before every attempt
+
+const LOCK_WAIT = new Int32Array(new SharedArrayBuffer(4));
+let timer = null;
+
+// ============ FILES ============
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return fallback;
+  }
+}
+
+// Write-then-rename so a crash never leaves half a file; owner-only, as these hold secrets and DMs
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+function fileName(handle) {
+  return `${String(handle).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`;
+}
+
+function queueFile(handle) {
+  return path.join(QUEUE_DIR, fileName(handle));
+}
+
+function readQueue(handle) {
+  const queue = readJson(queueFile(handle), []);
+  return Array.isArray(queue) ? queue : [];
+}
+
+function writeQueue(handle, queue) {
+  if (queue.length === 0) {
+    try {
+      fs.unlinkSync(queueFile(handle));
+    } catch (e) {}
+    return;
+  }
+  writeJson(queueFile(handle), queue);
+}
+
+// ============ LOCKS ============
+
+// Take a lock file, or false if another process holds it; one older than staleMs was left by a crash
+function tryLock(lock, staleMs) {
+  fs.mkdirSync(path.dirname(lock), { recursive: true });
+  for (let i = 0; i < 2; i++) {
+    try {
+      fs.closeSync(fs.openSync(lock, 'wx', 0o600));
+      return true;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+    try {
+      if (Date.now() - fs.statSync(lock).mtimeMs < staleMs) return false;
+      fs.unlinkSync(lock);
+    } catch (e) {}
+  }
+  return false;
+}
+
+function unlock(lock) {
+  try {
+    fs.unlinkSync(lock);
+  } catch (e) {}
+}
+
+// Read-modify-write a shared file under its lock, waiting briefly for another process to finish
+function withLock(file, fn) {
+  const lock = `${file}.lock`;
+  const deadline = Date.now() + 2 * LOCK_STALE_MS;
+  while (!tryLock(lock, LOCK_STALE_MS)) {
+    if (Date.now() > deadline) throw new Error(`${path.basename(file)} is locked`);
+    Atomics.wait(LOCK_WAIT, 0, 0, 10);
+  }
+  try {
+    return fn();
+  } finally {
+    unlock(lock);
+  }
+}
+
+// ============ SUBSCRIPTIONS ============
+
+function subscriptionFile(handle) {
+  return path.join(SUBSCRIPTIONS_DIR, fileName(handle));
+}
+
+/**
+ * Subscriptions as saved right now, by any process, secrets included
+ * @returns {Array<{handle: string, endpoint: string, events: string[], secret: string, tokenId?: string}>}
+ */
+function loadSubscriptions() {
+  migrateSubscriptions();
+  let files = [];
+  try {
+    files = fs.readdirSync(SUBSCRIPTIONS_DIR).filter(f => f.endsWith('.json'));
+  } catch (e) {}
+  return files.map(f => readJson(path.join(SUBSCRIPTIONS_DIR, f), null)).filter(s => s && s.handle && s.endpoint);
+}
+
+/**
+ * Persist one subscription, leaving everyone else's alone
+ * @param {{handle: string, endpoint: string, events: string[], secret: string, tokenId?: string}} sub
+ */
+function saveSubscription(sub) {
+  writeJson(subscriptionFile(sub.handle), sub);
+}
+
+/**
+ * Forget a subscription
+ * @param {string} handle
+ */
+function removeSubscription(handle) {
+  try {
+    fs.unlinkSync(subscriptionFile(handle));
+  } catch (e) {}
+}
+
+// Subscriptions used to share one subscriptions.json; split it into a file each
+function migrateSubscriptions() {
+  if (!fs.existsSync(LEGACY_SUBSCRIPTIONS_FILE)) return;
+  const legacy = readJson(LEGACY_SUBSCRIPTIONS_FILE, []);
+  for (const sub of Array.isArray(legacy) ? legacy : []) {
+    if (sub && sub.handle && sub.endpoint && !fs.existsSync(subscriptionFile(sub.handle))) saveSubscription(sub);
+  }
+  try {
+    fs.unlinkSync(LEGACY_SUBSCRIPTIONS_FILE);
+  } catch (e) {}
+}
+
+function createSecret() {
+  return nodeCrypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Forget a subscriber's undelivered events (it unsubscribed)
+ * @param {string} handle
+ */
+function dropQueue(handle) {
+  updateQueue(handle, () => []);
+}
+
+// ============ SIGNING ============
+
+function sign(secret, timestamp, body) {
+  return 'v1=' + nodeCrypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Check a delivery's signature and freshness (for receivers)
+ * @param {object} params
+ * @param {string} params.body - Raw request body
+ * @param {object} params.headers - Request headers (lower-cased, as Node gives them)
+ * @param {string} params.secret - Secret returned by /agent/subscribe
+ * @param {number} [params.toleranceSeconds] - Max clock difference
+ * @param {number} [params.now] - ms
+ * @returns {{valid: boolean, error?: string}}
+ */
+function verifyDelivery({ body, headers, secret, toleranceSeconds = SIGNATURE_TOLERANCE_S, now = Date.now() }) {
+  const timestamp = parseInt(headers['x-vibe-timestamp'], 10);
+  const signature = headers['x-vibe-signature'];
+  if (!timestamp || !signature) return { valid: false, error: 'Missing signature headers' };
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return { valid: false, error: 'Stale timestamp' };
+
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const given = Buffer.from(String(signature));
+  if (expected.length !== given.length || !nodeCrypto.timingSafeEqual(expected, given)) {
+    return { valid: false, error: 'Invalid signature' };
+  }
+  return { valid: true };
+}
+
+// ============ STATS ============
+
+function emptyStats() {
+  return {
+    delivered: 0,
+    failed_attempts: 0,
+    dead_lettered: 0,
+    last_delivered_at: null,
+    last_failed_at: null,
+    last_error: null
+  };
+}
+
+function recordStats(handle, update) {
+  withLock(STATS_FILE, () => {
+    const all = readJson(STATS_FILE, {});
+    all[handle] = update({ ...emptyStats(), ...all[handle] });
+    writeJson(STATS_FILE, all);
+  });
+}
+
+/**
+ * Delivery stats per subscriber, with what's waiting and dead right now
+ * @param {string} [handle] - One subscriber, or all that have stats or a queue
+ * @returns {Object<string, object>}
+ */
+function getStats(handle) {
+  const all = readJson(STATS_FILE, {});
+  const dead = readDeadLetters();
+  const handles = handle ? [handle] : [...new Set([...Object.keys(all), ...queuedHandles()])];
+
+  const stats = {};
+  for (const h of handles) {
+    const queue = readQueue(h);
+    stats[h] = {
+      ...emptyStats(),
+      ...all[h],
+      pending: queue.length,
+      next_attempt_at: queue[0] ? queue[0].next_attempt_at : null,
+      dead: dead.filter(d => d.handle === h).length
+    };
+  }
+  return stats;
+}
+
+function queuedHandles() {
+  try {
+    return fs
+      .readdirSync(QUEUE_DIR)
+      .filter(f => f.endsWith('.json'))
+      .map(f => readQueue(f.slice(0, -5))[0])
+      .filter(Boolean)
+      .map(d => d.handle);
+  } catch (e) {
+    return [];
+  }
+}
+
+// ============ QUEUE ============
+
+/**
+ * Unique id for an event, shared by its deliveries to each subscriber
+ * @returns {string}
+ */
+function eventId() {
+  return `evt_${Date.now().toString(36)}${nodeCrypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Queue an event for a subscriber
+ * @param {string} handle - Subscriber
+ * @param {string} eventType
+ * @param {object} event - Full event body (see agent-gateway pushEvent)
+ * @param {number} [now]
+ * @returns {object} The delivery
+ */
+function enqueue(handle, eventType, event, now = Date.now()) {
+  const delivery = {
+    id: `dlv_${Date.now().toString(36)}${nodeCrypto.randomBytes(4).toString('hex')}`,
+    handle,
+    event: eventType,
+    body: JSON.stringify(event),
+    attempts: 0,
+    created_at: new Date(now).toISOString(),
+    next_attempt_at: new Date(now).toISOString(),
+    last_error: null
+  };
+
+  updateQueue(handle, current => {
+    const queue = [...current, delivery];
+    // A subscriber that's been gone a long time keeps its newest events
+    while (queue.length > MAX_QUEUE) {
+      deadLetter({ ...queue.shift(), last_error: 'queue_full' }, now);
+    }
+    return queue;
+  });
+  return delivery;
+}
+
+function nextAttemptAt(attempts, now) {
+  const delay = Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+  const jitter = Math.floor(Math.random() * delay * 0.1);
+  return new Date(now + delay + jitter).toISOString();
+}
+
+// Re-read the queue around every change, under its lock: another process may be adding to it
+function updateQueue(handle, fn) {
+  withLock(queueFile(handle), () => writeQueue(handle, fn(readQueue(handle))));
+}
+
+async function attempt(sub, delivery) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const response = await fetch(sub.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Vibe-Event': delivery.event,
+        'X-Vibe-Source': 'vibe-mcp',
+        'X-Vibe-Delivery': delivery.id,
+        'X-Vibe-Timestamp': String(timestamp),
+        'X-Vibe-Signature': sign(sub.secret, timestamp, delivery.body)
+      },
+      body: delivery.body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+    return response.ok ? { ok: true } : { ok: false, error: `HTTP ${response.status}` };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+/**
+ * Try a subscriber's due deliveries, oldest first
+ * Stops at the first failure so events stay in order; that delivery's backoff
+ * holds back the rest. Skipped while another call or process is flushing it.
+ * @param {object} sub - Subscription with handle, endpoint and secret
+ * @param {object} [options] - { now }
+ * @returns {Promise<{delivered: number, failed: number, dead: number}>}
+ */
+async function flush(sub, options = {}) {
+  const stats = { delivered: 0, failed: 0, dead: 0 };
+  if (!sub || !sub.endpoint) return stats;
+
+  const lock = `${queueFile(sub.handle)}.flush`;
+  if (!tryLock(lock, FLUSH_STALE_MS)) return stats;
+  try {
+    for (;;) {
+      // Still working: keep the lock from looking stale
+      try {
+        const touched = new Date();
+        fs.utimesSync(lock, touched, touched);
+      } catch (e) {}
+
+      const now = options.now || Date.now();
+      const [delivery] = readQueue(sub.handle);
+      if (!delivery || new Date(delivery.next_attempt_at).getTime() > now) break;
+
+      const result = await attempt(sub, delivery);
+      const at = new Date(options.now || Date.now()).toISOString();
+
+      if (result.ok) {
+        updateQueue(sub.handle, queue => queue.filter(d => d.id !== delivery.id));
+        recordStats(sub.handle, s => ({ ...s, delivered: s.delivered + 1, last_delivered_at: at }));
+        stats.delivered++;
+        continue;
+      }
+
+      debug(`[agent-delivery] ${delivery.id} to @${sub.handle} failed: ${result.error}`);
+      const attempts = delivery.attempts + 1;
+      const dead = attempts >= MAX_ATTEMPTS;
+      recordStats(sub.handle, s => ({
+        ...s,
+        failed_attempts: s.failed_attempts + 1,
+        dead_lettered: s.dead_lettered + (dead ? 1 : 0),
+        last_failed_at: at,
+        last_error: result.error
+      }));
+
+      if (dead) {
+        updateQueue(sub.handle, queue => queue.filter(d => d.id !== delivery.id));
+        deadLetter({ ...delivery, attempts, last_error: result.error }, now);
+        stats.dead++;
+        continue;
+      }
+
+      const retry = { attempts, next_attempt_at: nextAttemptAt(attempts, now), last_error: result.error };
+      updateQueue(sub.handle, queue => queue.map(d => (d.id === delivery.id ? { ...d, ...retry } : d)));
+      stats.failed++;
+      break;
+    }
+  } finally {
+    unlock(lock);
+  }
+  return stats;
+}
+
+/**
+ * Flush every subscriber, then wake up again when the next retry is due
+ * @param {function(): Iterable<object>} getSubscriptions
+ * @returns {Promise<void>}
+ */
+async function flushAll(getSubscriptions) {
+  for (const sub of getSubscriptions()) {
+    await flush(sub).catch(() => {});
+  }
+  schedule(getSubscriptions);
+}
+
+/**
+ * Set the retry timer for the earliest due delivery
+ * The timer doesn't keep the process alive; queues survive on disk.
+ * @param {function(): Iterable<object>} getSubscriptions
+ */
+function schedule(getSubscriptions) {
+  if (timer) clearTimeout(timer);
+  timer = null;
+
+  let earliest = null;
+  for (const sub of getSubscriptions()) {
+    const [head] = readQueue(sub.handle);
+    if (!head) continue;
+    const due = new Date(head.next_attempt_at).getTime();
+    if (earliest === null || due < earliest) earliest = due;
+  }
+  if (earliest === null) return;
+
+  const delay = Math.min(Math.max(earliest - Date.now(), 0), MAX_DELAY_MS);
+  timer = setTimeout(() => flushAll(getSubscriptions), delay);
+  timer.unref();
+}
+
+// ============ DEAD LETTERS ============
+
+function deadLetter(delivery, now = Date.now()) {
+  fs.mkdirSync(DELIVERY_DIR, { recursive: true });
+  const line = JSON.stringify({ ...delivery, dead_at: new Date(now).toISOString() }) + '\n';
+  fs.appendFileSync(DEAD_LETTER_FILE, line, { mode: 0o600 });
+}
+
+function readDeadLetters() {
+  try {
+    return fs
+      .readFileSync(DEAD_LETTER_FILE, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Deliveries that ran out of attempts
+ * @param {object} [filter] - { handle, id }
+ * @returns {Array<object>} Oldest first
+ */
+function deadLetters(filter = {}) {
+  return readDeadLetters().filter(d => matches(d, filter));
+}
+
+function matches(delivery, { handle, id } = {}) {
+  return (!handle || delivery.handle === handle) && (!id || delivery.id === id);
+}
+
+/**
+ * Move dead letters back into their subscribers' queues, due now
+ * They keep their delivery id, so receivers can still dedupe.
+ * @param {object} [filter] - { handle, id } — everything if empty
+ * @param {number} [now]
+ * @returns {number} Deliveries requeued
+ */
+function replay(filter = {}, now = Date.now()) {
+  const all = readDeadLetters();
+  const chosen = all.filter(d => matches(d, filter));
+  if (chosen.length === 0) return 0;
+
+  for (const d of chosen) {
+    const requeued = { ...d, attempts: 0, next_attempt_at: new Date(now).toISOString() };
+    delete requeued.dead_at;
+    updateQueue(d.handle, queue => [...queue.filter(q => q.id !== d.id), requeued]);
+  }
+
+  const kept = all.filter(d => !matches(d, filter));
+  fs.writeFileSync(DEAD_LETTER_FILE, kept.map(d => JSON.stringify(d) + '\n').join(''), { mode: 0o600 });
+  return chosen.length;
+}
+
+// ============ CLI ============
+
+const USAGE = `Usage: node webhook-runner.js agents [command]
+
+  stats                          Delivery stats per subscriber (default)
+  dead [@handle]                 Deliveries that ran out of retries
+  replay [@handle] [--id <id>]   Send dead-lettered deliveries again
+  tokens ...                     Capability tokens (agents tokens --help)`;
+
+/**
+ * `node webhook-runner.js agents ...`
+ * @param {string[]} argv - Arguments after `agents`
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  const [command = 'stats', ...rest] = argv;
+  const idIndex = rest.indexOf('--id');
+  const id = idIndex !== -1 ? rest[idIndex + 1] : undefined;
+  const positional = idIndex === -1 ? rest : rest.filter((a, i) => i !== idIndex && i !== idIndex + 1);
+  const handle = (positional[0] || '').replace(/^@/, '');
+
+  if (command === 'stats') {
+    const stats = getStats();
+    if (Object.keys(stats).length === 0) {
+      console.log('No deliveries yet');
+      return 0;
+    }
+    for (const [h, s] of Object.entries(stats)) {
+      const failing = s.last_error ? ` — last error: ${s.last_error}` : '';
+      console.log(`@${h}: ${s.delivered} delivered, ${s.pending} pending, ${s.dead} dead${failing}`);
+    }
+    return 0;
+  }
+
+  if (command === 'dead') {
+    const dead = deadLetters({ handle: handle || undefined });
+    if (dead.length === 0) console.log('No dead letters');
+    for (const d of dead) {
+      console.log(`${d.id}  @${d.handle} ${d.event} — ${d.attempts} attempts, ${d.last_error} (${d.dead_at})`);
+    }
+    return 0;
+  }
+
+  if (command === 'replay') {
+    const count = replay({ handle: handle || undefined, id });
+    if (count === 0) {
+      console.log('Nothing to replay');
+      return 0;
+    }
+
+    // Try now, but never hang the terminal on a slow endpoint
+    const subs = loadSubscriptions();
+    const timeout = new Promise(resolve => setTimeout(resolve, DELIVERY_TIMEOUT_MS + 1000).unref());
+    await Promise.race([Promise.all(subs.map(sub => flush(sub).catch(() => {}))), timeout]);
+
+    const pending = Object.values(getStats()).reduce((n, s) => n + s.pending, 0);
+    console.log(`Replayed ${count} deliver${count === 1 ? 'y' : 'ies'}${pending ? ` — ${pending} still queued` : ''}`);
+    return 0;
+  }
+
+  console.error(USAGE);
+  return 1;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  loadSubscriptions,
+  saveSubscription,
+  removeSubscription,
+  createSecret,
+  dropQueue,
+  verifyDelivery,
+  getStats,
+  eventId,
+  enqueue,
+  flush,
+  flushAll,
+  schedule,
+  deadLetters,
+  replay,
+  main
+};
@@ -11,10 +11,13 @@
  *
  * This bridge fills the GAPS for external agent gateways (Clawdbot, @seth):
  *
- * 1. EVENT PUSH — Platform is pull-based. This pushes events to agents.
+ * 1. EVENT PUSH — Platform is pull-based. This pushes events to agents,
+ *    queued on disk and retried until delivered (see agent-delivery.js).
  * 2. LOCAL STATE — Memory, reservations, and session data are local-only.
  * 3. AIRC IDENTITY — Verifies agent identity via Ed25519 signatures.
  * 4. AGENT REGISTRY — Tracks which agents are connected + their capabilities.
+ * 5. CAPABILITY TOKENS — Every route checks a scoped token the owner minted
+ *    for the agent (see agent-tokens.js).
  *
  * External agents should use the platform API directly for:
  *   DMs, presence, board, discovery, profiles
@@ -26,6 +29,8 @@ const crypto = require('../crypto');
 const config = require('../config');
 const memory = require('../memory');
 const debug = require('../debug');
+const delivery = require('./agent-delivery');
+const tokens = require('./agent-tokens');
 
 // ============ AGENT REGISTRY ============
 
@@ -37,9 +42,16 @@ const agentRegistry = new Map();
 
 /**
  * Event subscriptions — agents subscribe to event types and get HTTP pushes
- * @type {Map<string, {endpoint: string, events: string[], handle: string}>}
+ * Saved to disk and read back on every use, so deliveries resume after a
+ * restart and other processes (webhook runner, MCP server) see the same set.
+ * @returns {Map<string, {endpoint: string, events: string[], handle: string, secret: string, tokenId?: string}>}
  */
-const eventSubscriptions = new Map();
+function getSubscriptions() {
+  return new Map(delivery.loadSubscriptions().map(sub => [sub.handle, sub]));
+}
+
+// Pick up retries left over from the last run
+delivery.schedule(delivery.loadSubscriptions);
 
 /**
  * Register an external agent gateway with AIRC identity
@@ -126,19 +138,28 @@ function verifyAgentMessage(message) {
  * - presence: People coming online/offline
  * - handoff: Task handoff requests
  *
+ * Deliveries are signed with the returned secret (see agent-delivery.js).
+ * Subscribing again keeps the secret and any queued deliveries.
+ *
  * @param {string} handle Agent handle
  * @param {string} endpoint HTTP callback URL to receive events
  * @param {string[]} events Event types to subscribe to
- * @returns {{success: boolean, subscribed: string[]}}
+ * @param {string} [tokenId] Capability token the subscription was made with — it ends when the token does
+ * @returns {{success: boolean, subscribed?: string[], secret?: string, error?: string}}
  */
-function subscribe(handle, endpoint, events = ['dm', 'mention', 'ship', 'presence']) {
+function subscribe(handle, endpoint, events = ['dm', 'mention', 'ship', 'presence'], tokenId) {
   if (!endpoint) {
     return { success: false, error: 'endpoint required' };
   }
 
-  eventSubscriptions.set(handle, { endpoint, events, handle });
+  const existing = getSubscriptions().get(handle);
+  const secret = existing ? existing.secret : delivery.createSecret();
+  saveSubscription({ endpoint, events, handle, secret, ...(tokenId && { tokenId }) });
   debug(`[agent-gateway] @${handle} subscribed to [${events.join(', ')}] → ${endpoint}`);
-  return { success: true, subscribed: events };
+
+  // A returning agent gets what queued up while it was away
+  if (existing) delivery.flushAll(delivery.loadSubscriptions).catch(() => {});
+  return { success: true, subscribed: events, secret };
 }
 
 /**
@@ -146,61 +167,70 @@ function subscribe(handle, endpoint, events = ['dm', 'mention', 'ship', 'presenc
  * @param {string} handle Agent handle
  */
 function unsubscribe(handle) {
-  eventSubscriptions.delete(handle);
+  delivery.removeSubscription(handle);
+  delivery.dropQueue(handle);
   debug(`[agent-gateway] @${handle} unsubscribed`);
   return { success: true };
 }
 
+// Persist one subscription; a failed write only costs durability across restarts
+function saveSubscription(sub) {
+  try {
+    delivery.saveSubscription(sub);
+  } catch (e) {
+    debug(`[agent-gateway] Couldn't save subscriptions: ${e.message}`);
+  }
+}
+
 /**
  * Push an event to all subscribed agents
  * AIRC-signed if we have a keypair (proves event came from /vibe)
  *
+ * Queued per subscriber and tried right away; failures are retried with
+ * backoff and end up in the dead-letter log (see agent-delivery.js).
  * Called by notify.js and tool handlers when events occur.
  *
  * @param {string} eventType Event type (dm, mention, ship, presence, handoff)
  * @param {object} eventData Event payload
+ * @returns {Promise<{queued: number, delivered: number}>}
  */
 async function pushEvent(eventType, eventData) {
   const keypair = config.getKeypair();
   const myHandle = config.getHandle();
 
-  for (const [handle, sub] of eventSubscriptions) {
-    if (!sub.events.includes(eventType)) continue;
-    if (!sub.endpoint) continue;
-
-    const event = {
-      v: '0.1',
-      type: 'vibe_event',
-      event: eventType,
-      data: eventData,
-      from: myHandle || 'vibe-mcp',
-      timestamp: Math.floor(Date.now() / 1000)
-    };
-
-    // AIRC sign so receiver can verify this came from /vibe
-    if (keypair) {
-      event.signature = crypto.sign(event, keypair.privateKey);
-      event.publicKey = keypair.publicKey;
-    }
+  // A revoked or expired token ends the subscription made with it
+  const subscriptions = [];
+  for (const sub of delivery.loadSubscriptions()) {
+    if (sub.tokenId && !tokens.isActive(sub.tokenId)) unsubscribe(sub.handle);
+    else subscriptions.push(sub);
+  }
 
-    try {
-      const response = await fetch(sub.endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Vibe-Event': eventType,
-          'X-Vibe-Source': 'vibe-mcp'
-        },
-        body: JSON.stringify(event)
-      });
+  const targets = subscriptions.filter(sub => sub.endpoint && sub.events.includes(eventType));
+  if (targets.length === 0) return { queued: 0, delivered: 0 };
+
+  const event = {
+    v: '0.1',
+    type: 'vibe_event',
+    id: delivery.eventId(),
+    event: eventType,
+    data: eventData,
+    from: myHandle || 'vibe-mcp',
+    timestamp: Math.floor(Date.now() / 1000)
+  };
+
+  // AIRC sign so receiver can verify this came from /vibe
+  if (keypair) {
+    event.signature = crypto.sign(event, keypair.privateKey);
+    event.publicKey = keypair.publicKey;
+  }
 
-      if (!response.ok) {
-        debug(`[agent-gateway] Push to @${handle} failed: HTTP ${response.status}`);
-      }
-    } catch (e) {
-      debug(`[agent-gateway] Push to @${handle} failed: ${e.message}`);
-    }
+  for (const sub of targets) {
+    delivery.enqueue(sub.handle, eventType, event);
   }
+
+  const results = await Promise.all(targets.map(sub => delivery.flush(sub)));
+  delivery.schedule(delivery.loadSubscriptions);
+  return { queued: targets.length, delivered: results.reduce((n, r) => n + r.delivered, 0) };
 }
 
 // ============ LOCAL STATE QUERIES ============
@@ -239,6 +269,34 @@ function listMemoryThreads() {
 
 // ============ HTTP HANDLER ============
 
+function presentedToken(req, data) {
+  const header = req.headers && (req.headers.authorization || req.headers.Authorization);
+  const match = typeof header === 'string' && header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : data && data.token;
+}
+
+/**
+ * Check who's asking (AIRC) and that their token covers every scope needed
+ * @returns {{ok: true, handle: string, token: object} | {ok: false, response: object}}
+ */
+function authorize(req, data, needed) {
+  const v = verifyAgentMessage(data);
+  if (!v.valid) return { ok: false, response: { success: false, error: v.error, status: 401 } };
+
+  const t = tokens.verify(presentedToken(req, data), { agent: v.handle });
+  if (!t.valid) return { ok: false, response: { success: false, error: t.error, status: 401 } };
+
+  const missing = needed.filter(scope => !tokens.allows(t.token.scopes, scope));
+  if (missing.length > 0) {
+    return { ok: false, response: { success: false, error: `Token lacks scope: ${missing.join(', ')}`, status: 403 } };
+  }
+  return { ok: true, handle: v.handle, token: t.token };
+}
+
+function memoryScope(access, handle) {
+  return handle ? `${access}:memory:@${String(handle).replace(/^@/, '')}` : `${access}:memory`;
+}
+
 /**
  * HTTP handler for the agent gateway
  *
@@ -247,7 +305,16 @@ function listMemoryThreads() {
  *   POST /agent/subscribe    — Subscribe to event pushes
  *   POST /agent/unsubscribe  — Unsubscribe from events
  *   POST /agent/memory       — Query/store local memory
- *   GET  /agent/status       — Gateway health + registered agents
+ *   POST /agent/replay       — Requeue your dead-lettered deliveries
+ *   GET  /agent/status       — Gateway health (+ registered agents with read:status)
+ *
+ * Everything but register needs a capability token (agent-tokens.js), as
+ * `Authorization: Bearer <token>` or `token` in the body:
+ *   subscribe                — subscribe:<event> for each event
+ *   unsubscribe              — any token of yours
+ *   memory recall / remember — read:memory:@handle / write:memory:@handle
+ *   memory threads           — read:memory
+ *   replay                   — subscribe:<event> for an event you can replay
  *
  * For everything else, agents hit the platform API directly:
  *   POST https://slashvibe.dev/api/messages  — Send DMs
@@ -261,6 +328,15 @@ async function handleRequest(req) {
 
   // Health / status
   if (path === '/agent/status' && method === 'GET') {
+    const health = {
+      status: 'ok',
+      version: '0.1.0',
+      platform_api: config.getApiUrl(),
+      note: 'For DMs, presence, board, discovery — use the platform API directly'
+    };
+    const t = tokens.verify(presentedToken(req, null));
+    if (!t.valid || !tokens.allows(t.token.scopes, 'read:status')) return health;
+
     const agents = [];
     for (const [, agent] of agentRegistry) {
       agents.push({
@@ -271,14 +347,7 @@ async function handleRequest(req) {
       });
     }
 
-    return {
-      status: 'ok',
-      agents,
-      subscriptions: eventSubscriptions.size,
-      version: '0.1.0',
-      platform_api: config.getApiUrl(),
-      note: 'For DMs, presence, board, discovery — use the platform API directly'
-    };
+    return { ...health, agents, subscriptions: getSubscriptions().size, deliveries: delivery.getStats() };
   }
 
   if (method !== 'POST') {
@@ -292,34 +361,53 @@ async function handleRequest(req) {
       return registerAgent(data);
 
     case '/agent/subscribe': {
-      const v = verifyAgentMessage(data);
-      if (!v.valid) return { success: false, error: v.error, status: 401 };
-      return subscribe(v.handle, data.endpoint, data.events);
+      const events = data.events || ['dm', 'mention', 'ship', 'presence'];
+      const scopes = events.map(e => `subscribe:${e}`);
+      const auth = authorize(req, data, scopes);
+      if (!auth.ok) return auth.response;
+      return subscribe(auth.handle, data.endpoint, events, auth.token.id);
     }
 
     case '/agent/unsubscribe': {
-      const v = verifyAgentMessage(data);
-      if (!v.valid) return { success: false, error: v.error, status: 401 };
-      return unsubscribe(v.handle);
+      const auth = authorize(req, data, []);
+      if (!auth.ok) return auth.response;
+      return unsubscribe(auth.handle);
     }
 
     case '/agent/memory': {
-      const v = verifyAgentMessage(data);
-      if (!v.valid) return { success: false, error: v.error, status: 401 };
-
       if (data.action === 'recall') {
+        const auth = authorize(req, data, [memoryScope('read', data.handle)]);
+        if (!auth.ok) return auth.response;
         const memories = queryMemory(data.handle, data.limit, data.search);
         return { success: true, memories };
       }
       if (data.action === 'remember') {
+        const auth = authorize(req, data, [memoryScope('write', data.handle)]);
+        if (!auth.ok) return auth.response;
         return storeMemory(data.handle, data.observation);
       }
       if (data.action === 'threads') {
+        const auth = authorize(req, data, ['read:memory']);
+        if (!auth.ok) return auth.response;
         return { success: true, threads: listMemoryThreads() };
       }
       return { success: false, error: 'action must be: recall, remember, or threads' };
     }
 
+    case '/agent/replay': {
+      const auth = authorize(req, data, []);
+      if (!auth.ok) return auth.response;
+
+      // Agents can only replay their own dead letters, of events their token covers
+      const replayable = delivery
+        .deadLetters({ handle: auth.handle, id: data.id })
+        .filter(d => tokens.allows(auth.token.scopes, `subscribe:${d.event}`));
+      let replayed = 0;
+      for (const d of replayable) replayed += delivery.replay({ handle: auth.handle, id: d.id });
+      if (replayed > 0) delivery.flushAll(delivery.loadSubscriptions).catch(() => {});
+      return { success: true, replayed };
+    }
+
     default:
       return { error: 'Not found', status: 404 };
   }
@@ -336,6 +424,13 @@ module.exports = {
   subscribe,
   unsubscribe,
   pushEvent,
+  verifyDelivery: delivery.verifyDelivery,
+  getDeliveryStats: delivery.getStats,
+
+  // Capability tokens (minted by the owner)
+  mintToken: tokens.mint,
+  revokeToken: tokens.revoke,
+  listTokens: tokens.list,
 
   // Local state (not on platform)
   queryMemory,
@@ -347,5 +442,5 @@ module.exports = {
 
   // Registry access
   getAgentRegistry: () => agentRegistry,
-  getSubscriptions: () => eventSubscriptions
+  getSubscriptions
 };
@@ -0,0 +1,267 @@
+/**
+ * Agent Tokens — Scoped, expiring capability tokens for agent gateway clients
+ *
+ * Registering with the gateway only proves who an agent is. What it may do is
+ * granted by the owner (whoever runs this /vibe) with a token signed by their
+ * Ed25519 key:
+ *
+ *   node webhook-runner.js agents tokens mint @clawdbot subscribe:dm read:memory:@alex --ttl 86400
+ *
+ * Scopes are `action:resource[:target]`:
+ *
+ *   subscribe:dm            Event pushes of one type (subscribe:* for all)
+ *   read:memory:@alex       Recall memories about @alex (read:memory for anyone, and threads)
+ *   write:memory:@alex      Remember things about @alex
+ *   read:status             Registered agents and delivery stats in /agent/status
+ *
+ * A scope without a target covers every target, and `*` matches any one part.
+ * Agents send the token as `Authorization: Bearer <token>` or as `token` in the
+ * request body. Issued tokens are listed in ~/.vibe/agent-gateway/tokens.json;
+ * a token that isn't listed there, was revoked, or has expired is refused.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodeCrypto = require('crypto');
+const config = require('../config');
+const crypto = require('../crypto');
+
+const TOKENS_FILE = path.join(config.VIBE_DIR, 'agent-gateway', 'tokens.json');
+const TOKEN_PREFIX = 'vat_';
+const DEFAULT_TTL_S = 24 * 60 * 60;
+const MAX_TTL_S = 90 * 24 * 60 * 60;
+const SCOPE_PATTERN = /^[a-z]+:(\*|[a-z_]+)(:(\*|@[a-zA-Z0-9_-]+))?$/;
+
+// ============ FILES ============
+
+function readTokens() {
+  try {
+    const tokens = JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf8'));
+    return Array.isArray(tokens) ? tokens : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function writeTokens(tokens) {
+  fs.mkdirSync(path.dirname(TOKENS_FILE), { recursive: true });
+  const tmp = `${TOKENS_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(tokens, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, TOKENS_FILE);
+}
+
+// ============ SCOPES ============
+
+function normalizeScope(scope) {
+  const parts = String(scope).trim().split(':');
+  if (parts[2] && parts[2] !== '*') parts[2] = '@' + parts[2].replace(/^@/, '').toLowerCase();
+  return parts.join(':');
+}
+
+/**
+ * Whether granted scopes cover the one a request needs
+ * @param {string[]} granted - From the token
+ * @param {string} needed - e.g. read:memory:@alex
+ * @returns {boolean}
+ */
+function allows(granted, needed) {
+  const want = normalizeScope(needed).split(':');
+  return (granted || []).some(scope => {
+    const have = scope.split(':');
+    return have.length <= want.length && have.every((part, i) => part === '*' || part === want[i]);
+  });
+}
+
+// ============ TOKENS ============
+
+function encode(token) {
+  return TOKEN_PREFIX + Buffer.from(JSON.stringify(token)).toString('base64url');
+}
+
+function decode(value) {
+  if (typeof value !== 'string' || !value.startsWith(TOKEN_PREFIX)) return null;
+  try {
+    const token = JSON.parse(Buffer.from(value.slice(TOKEN_PREFIX.length), 'base64url').toString('utf8'));
+    return token && typeof token === 'object' ? token : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Mint a token for an agent, signed with the owner's key
+ * @param {object} params
+ * @param {string} params.agent - Agent handle
+ * @param {string[]} params.scopes
+ * @param {number} [params.ttlSeconds] - Default 24h, at most 90 days
+ * @param {number} [params.now] - ms
+ * @returns {{success: boolean, token?: string, id?: string, expires_at?: string, error?: string}}
+ */
+function mint({ agent, scopes, ttlSeconds = DEFAULT_TTL_S, now = Date.now() }) {
+  const keypair = config.getKeypair();
+  if (!keypair) return { success: false, error: 'No signing key yet — run vibe init first' };
+
+  const handle = String(agent || '')
+    .replace(/^@/, '')
+    .toLowerCase();
+  if (!handle) return { success: false, error: 'agent handle required' };
+  if (!Array.isArray(scopes) || scopes.length === 0) return { success: false, error: 'at least one scope required' };
+
+  const normalized = [...new Set(scopes.map(normalizeScope))];
+  const invalid = normalized.filter(s => !SCOPE_PATTERN.test(s));
+  if (invalid.length > 0) return { success: false, error: `Invalid scope: ${invalid.join(', ')}` };
+  if (!(ttlSeconds > 0) || ttlSeconds > MAX_TTL_S) {
+    return { success: false, error: `ttl must be between 1 and ${MAX_TTL_S} seconds` };
+  }
+
+  const issuedAt = Math.floor(now / 1000);
+  const token = {
+    v: 1,
+    id: `tok_${nodeCrypto.randomBytes(8).toString('hex')}`,
+    agent: handle,
+    scopes: normalized,
+    issuer: config.getHandle() || null,
+    iat: issuedAt,
+    exp: issuedAt + ttlSeconds
+  };
+  token.signature = crypto.sign(token, keypair.privateKey);
+
+  const expires_at = new Date(token.exp * 1000).toISOString();
+  writeTokens([
+    ...readTokens(),
+    { id: token.id, agent: handle, scopes: normalized, issued_at: new Date(now).toISOString(), expires_at }
+  ]);
+  return { success: true, token: encode(token), id: token.id, expires_at };
+}
+
+/**
+ * Check a presented token
+ * @param {string} value - The `vat_...` string
+ * @param {object} [options] - { agent: handle the request comes from, now: ms }
+ * @returns {{valid: boolean, token?: object, error?: string}}
+ */
+function verify(value, options = {}) {
+  if (!value) return { valid: false, error: 'Capability token required' };
+  const token = decode(value);
+  if (!token) return { valid: false, error: 'Malformed capability token' };
+
+  const keypair = config.getKeypair();
+  if (!keypair || !token.signature || !crypto.verify(token, keypair.publicKey)) {
+    return { valid: false, error: 'Capability token signature is invalid' };
+  }
+  if (options.agent && token.agent !== String(options.agent).toLowerCase()) {
+    return { valid: false, error: `Capability token was issued to @${token.agent}` };
+  }
+  return isActive(token.id, options.now) ? { valid: true, token } : { valid: false, error: inactiveReason(token.id) };
+}
+
+function inactiveReason(id) {
+  const record = readTokens().find(t => t.id === id);
+  if (!record) return 'Unknown capability token';
+  if (record.revoked_at) return 'Capability token was revoked';
+  return 'Capability token has expired';
+}
+
+/**
+ * Whether an issued token is still usable (listed, not revoked, not expired)
+ * @param {string} id
+ * @param {number} [now] - ms
+ * @returns {boolean}
+ */
+function isActive(id, now = Date.now()) {
+  const record = readTokens().find(t => t.id === id);
+  return !!record && !record.revoked_at && new Date(record.expires_at).getTime() > now;
+}
+
+/**
+ * Revoke a token, or every token of an agent
+ * @param {object} filter - { id } or { agent }
+ * @param {number} [now] - ms
+ * @returns {number} Tokens revoked
+ */
+function revoke({ id, agent }, now = Date.now()) {
+  if (!id && !agent) return 0;
+  const handle = agent ? String(agent).replace(/^@/, '').toLowerCase() : null;
+
+  let count = 0;
+  const tokens = readTokens().map(t => {
+    if (t.revoked_at || (id && t.id !== id) || (handle && t.agent !== handle)) return t;
+    count++;
+    return { ...t, revoked_at: new Date(now).toISOString() };
+  });
+  if (count > 0) writeTokens(tokens);
+  return count;
+}
+
+/**
+ * Issued tokens, newest first
+ * @param {object} [options] - { all: include revoked and expired, now: ms }
+ * @returns {Array<object>}
+ */
+function list(options = {}) {
+  const now = options.now || Date.now();
+  return readTokens()
+    .filter(t => options.all || isActive(t.id, now))
+    .reverse();
+}
+
+// ============ CLI ============
+
+const USAGE = `Usage: node webhook-runner.js agents tokens [command]
+
+  list [--all]                                   Active tokens (--all adds revoked and expired)
+  mint @agent <scope...> [--ttl <seconds>]       Issue a token (default ttl 24h)
+  revoke <id | @agent>                           Revoke one token, or all of an agent's`;
+
+/**
+ * `node webhook-runner.js agents tokens ...`
+ * @param {string[]} argv - Arguments after `tokens`
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  const [command = 'list', ...rest] = argv;
+
+  if (command === 'list') {
+    const tokens = list({ all: rest.includes('--all') });
+    if (tokens.length === 0) console.log('No capability tokens');
+    for (const t of tokens) {
+      const state = t.revoked_at ? 'revoked' : isActive(t.id) ? `expires ${t.expires_at}` : 'expired';
+      console.log(`${t.id}  @${t.agent} ${t.scopes.join(' ')} — ${state}`);
+    }
+    return 0;
+  }
+
+  if (command === 'mint') {
+    const ttlIndex = rest.indexOf('--ttl');
+    const ttl = ttlIndex !== -1 ? parseInt(rest[ttlIndex + 1], 10) : undefined;
+    const [agent, ...scopes] = ttlIndex === -1 ? rest : rest.filter((a, i) => i !== ttlIndex && i !== ttlIndex + 1);
+    const result = mint({ agent, scopes, ttlSeconds: ttl });
+    if (!result.success) {
+      console.error(result.error);
+      return 1;
+    }
+    console.log(`${result.id} for @${agent.replace(/^@/, '')}, expires ${result.expires_at}`);
+    console.log(result.token);
+    return 0;
+  }
+
+  if (command === 'revoke' && rest[0]) {
+    const target = rest[0];
+    const count = revoke(target.startsWith('@') ? { agent: target } : { id: target });
+    console.log(count ? `Revoked ${count} token${count === 1 ? '' : 's'}` : 'No active token matches');
+    return count ? 0 : 1;
+  }
+
+  console.error(USAGE);
+  return 1;
+}
+
+module.exports = {
+  allows,
+  mint,
+  verify,
+  isActive,
+  revoke,
+  list,
+  main
+};
@@ -6,6 +6,7 @@
  */
 
 const config = require('../config');
+const { MOOD_EMOJI, createAdapter } = require('./adapter');
 
 /**
  * Get Discord bot credentials from config
@@ -161,123 +162,28 @@ function processMessage(message) {
  * Parse /vibe commands from Discord messages
  */
 function parseVibeCommand(content) {
-  const trimmed = content.trim();
-
-  // !status mood [note]
-  const statusMatch = trimmed.match(/^!status\s+(\w+)(?:\s+(.+))?$/);
-  if (statusMatch) {
-    return {
-      command: 'status',
-      params: {
-        mood: statusMatch[1],
-        note: statusMatch[2] || null
-      }
-    };
-  }
-
-  // !who
-  if (trimmed === '!who') {
-    return { command: 'who' };
-  }
-
-  // !ship [message]
-  const shipMatch = trimmed.match(/^!ship(?:\s+(.+))?$/);
-  if (shipMatch) {
-    return {
-      command: 'ship',
-      params: {
-        message: shipMatch[1] || null
-      }
-    };
-  }
-
-  // !dm @user message
-  const dmMatch = trimmed.match(/^!dm\s+<@!?(\d+)>\s+(.+)$/);
-  if (dmMatch) {
-    return {
-      command: 'dm',
-      params: {
-        userId: dmMatch[1],
-        message: dmMatch[2]
-      }
-    };
-  }
-
-  // !vibe message (forward to /vibe)
-  const vibeMatch = trimmed.match(/^!vibe\s+(.+)$/);
-  if (vibeMatch) {
-    return {
-      command: 'vibe',
-      params: {
-        message: vibeMatch[1]
-      }
-    };
-  }
-
-  return null;
+  return adapter.parseCommand(content);
 }
 
 /**
  * Send /vibe activity notification to Discord
  */
 async function notifyActivity(channelId, activity) {
-  const { handle, action, context } = activity;
-
-  const embed = {
-    color: 0x6b8fff, // /vibe blue
-    description: `🔔 **@${handle}** ${action}`,
-    footer: { text: context || 'slashvibe.dev' },
-    timestamp: new Date().toISOString()
-  };
-
-  return sendMessage(channelId, '', { embeds: [embed] });
+  return adapter.send(channelId, adapter.render({ type: 'activity', ...activity }));
 }
 
 /**
  * Send /vibe status update to Discord
  */
 async function notifyStatus(channelId, handle, mood, note) {
-  const moodEmoji = {
-    shipping: '🔥',
-    debugging: '🐛',
-    deep: '🧠',
-    afk: '☕',
-    celebrating: '🎉',
-    pairing: '👯'
-  };
-
-  const emoji = moodEmoji[mood] || '●';
-  let description = `${emoji} **@${handle}** is ${mood}`;
-
-  if (note) {
-    description += `\n_"${note}"_`;
-  }
-
-  const embed = {
-    color: 0x9b59b6, // Purple for status
-    description,
-    timestamp: new Date().toISOString()
-  };
-
-  return sendMessage(channelId, '', { embeds: [embed] });
+  return adapter.send(channelId, adapter.render({ type: 'status', handle, mood, note }));
 }
 
 /**
  * Forward message from /vibe to Discord
  */
 async function forwardFromVibe(channelId, handle, message, context = null) {
-  const embed = {
-    color: 0x2ecc71, // Green for /vibe messages
-    author: {
-      name: `@${handle}`,
-      icon_url: 'https://slashvibe.dev/vibe-icon.png'
-    },
-    description: message,
-    footer: { text: context || '/vibe' },
-    timestamp: new Date().toISOString()
-  };
-
-  return sendMessage(channelId, '', { embeds: [embed] });
+  return adapter.send(channelId, adapter.render({ type: 'message', handle, message, context }));
 }
 
 /**
@@ -301,23 +207,61 @@ function createVibeEmbed(title, description, color = 0x6b8fff, fields = []) {
  * Send who's online list to Discord
  */
 async function sendOnlineList(channelId, users) {
-  if (users.length === 0) {
-    const embed = createVibeEmbed('🤫 Room is quiet...', 'No one is currently active in /vibe.');
-    return sendMessage(channelId, '', { embeds: [embed] });
-  }
+  return adapter.send(channelId, adapter.render({ type: 'online', users }));
+}
 
-  const fields = users.map(u => {
-    const mood = u.mood ? ` (${u.mood})` : '';
-    return {
-      name: `@${u.handle}${mood}`,
-      value: u.one_liner || 'building',
-      inline: true
-    };
-  });
+/**
+ * Render a canonical activity as a Discord embed
+ */
+function renderEmbed(activity) {
+  switch (activity.type) {
+    case 'status': {
+      let description = `${MOOD_EMOJI[activity.mood] || '●'} **@${activity.handle}** is ${activity.mood}`;
+      if (activity.note) description += `\n_"${activity.note}"_`;
+      return {
+        color: 0x9b59b6, // Purple for status
+        description,
+        timestamp: new Date().toISOString()
+      };
+    }
 
-  const embed = createVibeEmbed(`👥 ${users.length} online in /vibe`, 'Current activity:', 0x2ecc71, fields);
+    case 'ship':
+    case 'activity':
+      return {
+        color: 0x6b8fff, // /vibe blue
+        description: `🔔 **@${activity.handle}** ${activity.type === 'ship' ? 'shipped' : activity.action}`,
+        footer: { text: (activity.type === 'ship' ? activity.message : activity.context) || 'slashvibe.dev' },
+        timestamp: new Date().toISOString()
+      };
+
+    case 'message':
+      return {
+        color: 0x2ecc71, // Green for /vibe messages
+        author: {
+          name: `@${activity.handle}`,
+          icon_url: 'https://slashvibe.dev/vibe-icon.png'
+        },
+        description: activity.message,
+        footer: { text: activity.context || '/vibe' },
+        timestamp: new Date().toISOString()
+      };
+
+    case 'online': {
+      const users = activity.users || [];
+      if (users.length === 0) {
+        return createVibeEmbed('🤫 Room is quiet...', 'No one is currently active in /vibe.');
+      }
+      const fields = users.map(u => ({
+        name: `@${u.handle}${u.mood ? ` (${u.mood})` : ''}`,
+        value: u.one_liner || 'building',
+        inline: true
+      }));
+      return createVibeEmbed(`👥 ${users.length} online in /vibe`, 'Current activity:', 0x2ecc71, fields);
+    }
 
-  return sendMessage(channelId, '', { embeds: [embed] });
+    default:
+      return null;
+  }
 }
 
 /**
@@ -398,6 +342,35 @@ async function setupInteractionEndpoint(publicKey, endpointUrl) {
   };
 }
 
+// ============ ADAPTER ============
+
+const adapter = createAdapter({
+  platform: 'discord',
+  capabilities: { markdown: true, embeds: true, dm: true },
+  commands: { prefix: '!' },
+  // Discord allows 5 messages per 5 seconds in each channel
+  rateLimit: { max: 5, windowMs: 5000, perTarget: true },
+  isConfigured,
+
+  announceTo() {
+    return config.load().discord_vibe_channel_id || process.env.DISCORD_VIBE_CHANNEL_ID || null;
+  },
+
+  normalize(message) {
+    const processed = processMessage(message);
+    return processed && { ...processed, platform: 'discord', replyTo: processed.channelId };
+  },
+
+  render(activity) {
+    const embed = renderEmbed(activity);
+    return embed ? { content: '', embeds: [embed] } : { content: activity.text };
+  },
+
+  send(channelId, { content, embeds }) {
+    return sendMessage(channelId, content, { embeds });
+  }
+});
+
 module.exports = {
   isConfigured,
   getBotToken,
@@ -417,5 +390,6 @@ module.exports = {
   sendOnlineList,
   createVibeEmbed,
   registerSlashCommands,
-  setupInteractionEndpoint
+  setupInteractionEndpoint,
+  adapter
 };
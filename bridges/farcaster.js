@@ -8,6 +8,7 @@
  */
 
 const config = require('../config');
+const { createAdapter, renderText } = require('./adapter');
 
 /**
  * Get Farcaster credentials from config
@@ -280,6 +281,36 @@ function getRecommendedChannels() {
   ];
 }
 
+// ============ ADAPTER ============
+
+// Casts are capped at 320 characters
+const MAX_CAST_LENGTH = 320;
+
+const adapter = createAdapter({
+  platform: 'farcaster',
+  // No /vibe commands: account links don't cover Farcaster
+  capabilities: { markdown: false },
+  // Keep well under Neynar's per-key limits
+  rateLimit: { max: 5, windowMs: 1000 },
+  isConfigured,
+
+  normalize(cast) {
+    if (!cast || !cast.author) return null;
+    const message = processCast(cast);
+    return { ...message, platform: 'farcaster', replyTo: message.channel_id };
+  },
+
+  render(activity) {
+    const text = renderText(activity, { markdown: false });
+    return text.length > MAX_CAST_LENGTH ? `${text.slice(0, MAX_CAST_LENGTH - 1)}…` : text;
+  },
+
+  // The target is a channel id
+  send(channelId, text) {
+    return publishCast(text, { channel: channelId });
+  }
+});
+
 module.exports = {
   isConfigured,
   getCredentials,
@@ -295,5 +326,6 @@ module.exports = {
   getFollowers,
   getFollowing,
   processCast,
-  getRecommendedChannels
+  getRecommendedChannels,
+  adapter
 };
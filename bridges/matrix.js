@@ -0,0 +1,439 @@
+/**
+ * /vibe Matrix Bridge
+ *
+ * Two-way bridge between /vibe and a Matrix homeserver (Synapse, Dendrite,
+ * Conduit...) through the client-server API, for teams that self-host chat:
+ * - Joins a configured room, answers `!vibe who|status|ship|dm|link` there
+ *   and announces ships and status changes
+ * - DMs to the bot are relayed as /vibe DMs, and /vibe DMs to a linked handle
+ *   arrive as DMs from the bot
+ *
+ * Matrix has no webhooks for plain bot accounts, so events arrive through a
+ * /sync long-poll (startSync) instead of the webhook server. The sync token is
+ * kept in ~/.vibe/matrix-sync.json, so a restarted bridge picks up what was
+ * sent while it was down.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { createAdapter, renderText } = require('./adapter');
+
+const SYNC_TIMEOUT_MS = 30 * 1000;
+const SYNC_RETRY_MS = 5 * 1000;
+const SYNC_STATE_FILE = path.join(config.VIBE_DIR, 'matrix-sync.json');
+
+/**
+ * Get Matrix credentials from config
+ */
+function getCredentials() {
+  const cfg = config.load();
+  const homeserverUrl = cfg.matrix_homeserver_url || process.env.MATRIX_HOMESERVER_URL || null;
+  return {
+    homeserverUrl: homeserverUrl && homeserverUrl.replace(/\/+$/, ''),
+    accessToken: cfg.matrix_access_token || process.env.MATRIX_ACCESS_TOKEN || null,
+    // The bot's own user id (@vibe:example.org), so it skips its own messages
+    userId: cfg.matrix_user_id || process.env.MATRIX_USER_ID || null,
+    // Room ID (!abc:example.org) for commands and announcements
+    roomId: cfg.matrix_vibe_room_id || process.env.MATRIX_VIBE_ROOM_ID || null
+  };
+}
+
+/**
+ * Check if Matrix bridge is configured
+ */
+function isConfigured() {
+  const { homeserverUrl, accessToken, userId } = getCredentials();
+  return !!(homeserverUrl && accessToken && userId);
+}
+
+/**
+ * Call a client-server API endpoint
+ * @param {string} method
+ * @param {string} path - After /_matrix/client/v3, with ids already encoded
+ * @param {object} [body]
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ */
+async function matrixRequest(method, path, body = null, options = {}) {
+  const { homeserverUrl, accessToken } = getCredentials();
+  if (!homeserverUrl || !accessToken) throw new Error('Matrix homeserver or access token not configured');
+
+  const response = await fetch(`${homeserverUrl}/_matrix/client/v3${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: options.signal
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(`Matrix API error: ${data.errcode || response.status} ${data.error || ''}`.trim());
+    error.errcode = data.errcode;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Join a room by ID or alias
+ */
+async function joinRoom(roomIdOrAlias) {
+  return matrixRequest('POST', `/join/${encodeURIComponent(roomIdOrAlias)}`, {});
+}
+
+let txnCounter = 0;
+
+/**
+ * Send a notice to a room (m.notice, so other bots don't answer it)
+ * @param {string} roomId
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.html] - Formatted version of the same text
+ */
+async function sendMessage(roomId, text, options = {}) {
+  const content = { msgtype: 'm.notice', body: text };
+  if (options.html) {
+    content.format = 'org.matrix.custom.html';
+    content.formatted_body = options.html;
+  }
+  // The transaction id makes a retried PUT idempotent
+  const txnId = `vibe-${Date.now()}-${++txnCounter}`;
+  const path = `/rooms/${encodeURIComponent(roomId)}/send/m.room.message/${encodeURIComponent(txnId)}`;
+  return matrixRequest('PUT', path, content);
+}
+
+/**
+ * Long-poll for new events
+ * @param {string|null} since - next_batch from the previous sync
+ */
+async function sync(since, timeoutMs = SYNC_TIMEOUT_MS, options = {}) {
+  const params = new URLSearchParams({ timeout: String(timeoutMs) });
+  if (since) params.set('since', since);
+  return matrixRequest('GET', `/sync?${params}`, null, options);
+}
+
+// ============ DIRECT ROOMS ============
+
+// Matrix DMs are ordinary rooms; m.direct account data says which ones (user id → room ids)
+let directContent = {};
+const directRooms = new Map();
+// Joined members per room, from sync summaries
+const memberCounts = new Map();
+
+function rememberDirectRooms(content) {
+  directContent = content || {};
+  directRooms.clear();
+  for (const [userId, roomIds] of Object.entries(directContent)) {
+    for (const roomId of roomIds) directRooms.set(roomId, userId);
+  }
+}
+
+/**
+ * Whether a room is a DM with the bot; one that a third person joined no longer is
+ */
+function isDirectRoom(roomId) {
+  return directRooms.has(roomId) && (memberCounts.get(roomId) || 0) <= 2;
+}
+
+async function saveDirectRoom(userId, roomId) {
+  const content = { ...directContent, [userId]: [...(directContent[userId] || []), roomId] };
+  const { userId: botUserId } = getCredentials();
+  await matrixRequest('PUT', `/user/${encodeURIComponent(botUserId)}/account_data/m.direct`, content);
+  rememberDirectRooms(content);
+}
+
+/**
+ * The DM room with a user, created (and invited to) on first use
+ */
+async function getDirectRoom(userId) {
+  const existing = directContent[userId];
+  if (existing && existing.length > 0) return existing[existing.length - 1];
+
+  const { room_id: roomId } = await matrixRequest('POST', '/createRoom', {
+    is_direct: true,
+    invite: [userId],
+    preset: 'trusted_private_chat'
+  });
+  await saveDirectRoom(userId, roomId);
+  return roomId;
+}
+
+/**
+ * The inviter if a pending invite is a DM with the bot, else null
+ */
+function directInviter(room, botUserId) {
+  const events = room?.invite_state?.events || [];
+  const invite = events.find(e => e.type === 'm.room.member' && e.state_key === botUserId);
+  return invite?.content?.is_direct ? invite.sender : null;
+}
+
+// ============ SYNC ============
+
+/**
+ * Pull what the bridge needs out of a /sync response
+ * @returns {{events: object[], invites: {roomId: string, userId: string}[]}}
+ *   Timeline events (with room_id added) and DM invites to accept
+ */
+function readSync(data) {
+  const { userId } = getCredentials();
+
+  for (const event of data?.account_data?.events || []) {
+    if (event.type === 'm.direct') rememberDirectRooms(event.content);
+  }
+
+  const invites = [];
+  for (const [roomId, room] of Object.entries(data?.rooms?.invite || {})) {
+    const inviter = directInviter(room, userId);
+    if (inviter) invites.push({ roomId, userId: inviter });
+  }
+
+  const events = [];
+  for (const [roomId, room] of Object.entries(data?.rooms?.join || {})) {
+    const joined = room.summary?.['m.joined_member_count'];
+    if (joined !== undefined) memberCounts.set(roomId, joined);
+    for (const event of room.timeline?.events || []) events.push({ ...event, room_id: roomId });
+  }
+
+  return { events, invites };
+}
+
+// The token belongs to one bot account; another account's would be rejected
+function loadSyncToken() {
+  try {
+    const state = JSON.parse(fs.readFileSync(SYNC_STATE_FILE, 'utf8'));
+    return state.user_id === getCredentials().userId ? state.next_batch || null : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function saveSyncToken(nextBatch) {
+  fs.mkdirSync(path.dirname(SYNC_STATE_FILE), { recursive: true });
+  const tmp = `${SYNC_STATE_FILE}.${process.pid}.tmp`;
+  const state = { user_id: getCredentials().userId, next_batch: nextBatch };
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, SYNC_STATE_FILE);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Join the configured room and feed new room events to a handler until stopped
+ *
+ * Resumes from the sync token saved by the last run, so events sent while the
+ * bridge was down are handled too. On the very first run there's no token, and
+ * the room history that sync returns is skipped.
+ * Only DM invites are accepted, so a DM room is always one the bot knows about.
+ * @param {function(object): Promise<any>} onEvent - Gets each timeline event, with room_id
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - Long-poll timeout
+ * @param {number} [options.retryMs] - Wait after a failed sync
+ * @returns {{stop: function(): Promise<void>}}
+ */
+function startSync(onEvent, { timeoutMs = SYNC_TIMEOUT_MS, retryMs = SYNC_RETRY_MS } = {}) {
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  async function run() {
+    const { roomId } = getCredentials();
+    if (roomId) {
+      await joinRoom(roomId).catch(e => console.error('Matrix join failed:', e.message));
+    }
+
+    let since = loadSyncToken();
+    while (!signal.aborted) {
+      try {
+        const data = await sync(since, since ? timeoutMs : 0, { signal });
+        const { events, invites } = readSync(data);
+
+        // One bad invite (revoked, room gone) mustn't stall the sync on the same batch
+        for (const invite of invites) {
+          try {
+            await joinRoom(invite.roomId);
+            await saveDirectRoom(invite.userId, invite.roomId);
+          } catch (e) {
+            console.error(`Matrix invite to ${invite.roomId} failed:`, e.message);
+          }
+        }
+        if (since) {
+          for (const event of events) {
+            try {
+              await onEvent(event);
+            } catch (e) {
+              console.error('Matrix event handler error:', e.message);
+            }
+          }
+        }
+        if (data.next_batch && data.next_batch !== since) {
+          since = data.next_batch;
+          saveSyncToken(since);
+        }
+      } catch (e) {
+        if (signal.aborted) break;
+        console.error('Matrix sync error:', e.message);
+        await sleep(retryMs);
+      }
+    }
+  }
+
+  const running = run();
+  return {
+    async stop() {
+      controller.abort();
+      await running;
+    }
+  };
+}
+
+// ============ MESSAGES ============
+
+/**
+ * Process a room event into standardized format
+ */
+function processEvent(event) {
+  if (!event || event.type !== 'm.room.message' || !event.room_id) return null;
+
+  const content = event.content || {};
+  // Notices are other bots; edits repeat a message that was already handled
+  if (content.msgtype !== 'm.text' || typeof content.body !== 'string') return null;
+  if (content['m.relates_to']?.rel_type === 'm.replace') return null;
+  if (event.sender === getCredentials().userId) return null;
+
+  // Replies quote the original as "> " lines before a blank line
+  let text = content.body;
+  if (content['m.relates_to']?.['m.in_reply_to']) text = text.replace(/^(?:>.*\n)+\n/, '');
+
+  return {
+    id: `matrix:${event.event_id}`,
+    channel: 'matrix',
+    type: isDirectRoom(event.room_id) ? 'dm' : 'group',
+    from: {
+      id: event.sender,
+      handle: event.sender,
+      name: event.sender
+    },
+    content: text.trim(),
+    timestamp: new Date(event.origin_server_ts || Date.now()).toISOString(),
+    roomId: event.room_id,
+    raw: event
+  };
+}
+
+/**
+ * Send message from /vibe to Matrix
+ */
+async function forwardFromVibe(roomId, handle, message, context = null) {
+  return adapter.send(roomId, adapter.render({ type: 'message', handle, message, context }));
+}
+
+/**
+ * Send /vibe status update to Matrix
+ */
+async function notifyStatus(roomId, handle, mood, note) {
+  return adapter.send(roomId, adapter.render({ type: 'status', handle, mood, note }));
+}
+
+/**
+ * Send online users list to Matrix
+ */
+async function sendOnlineList(roomId, users) {
+  return adapter.send(roomId, adapter.render({ type: 'online', users }));
+}
+
+/**
+ * Handle /vibe commands from Matrix
+ */
+function parseVibeCommand(text) {
+  return adapter.parseCommand(text);
+}
+
+// ============ RENDERING ============
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Clients show formatted_body when there is one, so ships get a bold handle and a quote
+function shipHtml(handle, message) {
+  const quote = message ? `<blockquote>${escapeHtml(message).replace(/\n/g, '<br>')}</blockquote>` : '';
+  return `🚀 <b>@${escapeHtml(handle)}</b> shipped${quote}`;
+}
+
+// ============ ADAPTER ============
+
+const adapter = createAdapter({
+  platform: 'matrix',
+  capabilities: { dm: true },
+  // `!vibe who` as well as `!who`: a bare `!who` could belong to any bot in the room
+  commands: { prefix: '!', namespaced: true },
+  // Synapse's default message limit: bursts of 10, then one every 5 seconds
+  rateLimit: { max: 10, windowMs: 50 * 1000 },
+  isConfigured,
+
+  announceTo() {
+    return getCredentials().roomId;
+  },
+
+  normalize(event) {
+    const message = processEvent(event);
+    return message && { ...message, platform: 'matrix', replyTo: message.roomId };
+  },
+
+  render(activity) {
+    const text = renderText(activity, { markdown: false });
+    if (activity.type === 'ship') return { text, html: shipHtml(activity.handle, activity.message) };
+    return { text };
+  },
+
+  // A user id (@name:server) means their DM room with the bot
+  async send(target, { text, html }) {
+    const roomId = target.startsWith('@') ? await getDirectRoom(target) : target;
+    return sendMessage(roomId, text, { html });
+  }
+});
+
+/**
+ * Get setup instructions for Matrix bridge
+ */
+function getSetupInstructions() {
+  return {
+    title: 'Matrix Bot Setup',
+    steps: [
+      '1. Register a user for the bot on your homeserver (e.g. @vibe:example.org)',
+      "2. Log in as the bot and copy its access token (Element: Settings > Help & About > Access Token, or the login API's access_token)",
+      '3. Invite the bot to the room for /vibe, and copy the room ID (Room settings > Advanced)',
+      '4. Add to ~/.vibecodings/config.json:',
+      '   - matrix_homeserver_url (https://matrix.example.org)',
+      '   - matrix_access_token',
+      '   - matrix_user_id (@vibe:example.org)',
+      '   - matrix_vibe_room_id (!abc123:example.org)',
+      '5. Run the webhook server (node webhook-runner.js); it syncs with the homeserver, no public URL needed',
+      '6. In the room: !vibe who, !vibe status shipping. DM the bot !vibe link CODE to link your account'
+    ]
+  };
+}
+
+module.exports = {
+  isConfigured,
+  getCredentials,
+  joinRoom,
+  sendMessage,
+  sync,
+  startSync,
+  readSync,
+  getDirectRoom,
+  isDirectRoom,
+  processEvent,
+  parseVibeCommand,
+  forwardFromVibe,
+  notifyStatus,
+  sendOnlineList,
+  getSetupInstructions,
+  adapter
+};
@@ -0,0 +1,49 @@
+/**
+ * /vibe Bridge Registry
+ *
+ * The adapters the webhook server routes through (see adapter.js for the
+ * contract). The built-in bridges register themselves here; a new platform
+ * is one registerAdapter() call.
+ */
+
+const adapters = new Map();
+
+/**
+ * Add or replace the adapter for a platform
+ * @param {object} adapter - From createAdapter()
+ */
+function registerAdapter(adapter) {
+  if (!adapter || !adapter.platform || typeof adapter.deliver !== 'function') {
+    throw new Error('registerAdapter needs an adapter from createAdapter()');
+  }
+  adapters.set(adapter.platform, adapter);
+  return adapter;
+}
+
+/**
+ * The adapter for a platform, or null
+ * @param {string} platform
+ */
+function getAdapter(platform) {
+  return adapters.get(platform) || null;
+}
+
+/**
+ * Every registered adapter
+ * @returns {object[]}
+ */
+function listAdapters() {
+  return [...adapters.values()];
+}
+
+// Built-in bridges
+const BUILT_IN = ['./telegram', './discord-bot', './whatsapp', './farcaster', './x-webhook', './slack', './matrix'];
+for (const bridge of BUILT_IN) {
+  registerAdapter(require(bridge).adapter);
+}
+
+module.exports = {
+  registerAdapter,
+  getAdapter,
+  listAdapters
+};
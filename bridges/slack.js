@@ -0,0 +1,299 @@
+/**
+ * /vibe Slack Bridge
+ *
+ * Two-way bridge between /vibe and a Slack workspace using a Slack app:
+ * - `/vibe who|status|ship|dm|link` slash commands
+ * - DMs to the app are relayed as /vibe DMs, and /vibe DMs to a linked
+ *   handle arrive as DMs from the app (Events API, message.im)
+ * - Ships are announced as Block Kit messages in a configured channel
+ *
+ * Every request from Slack is signed with the app's signing secret.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { createAdapter, parseCommand, renderText } = require('./adapter');
+
+/**
+ * Get Slack credentials from config
+ */
+function getCredentials() {
+  const cfg = config.load();
+  return {
+    botToken: cfg.slack_bot_token || process.env.SLACK_BOT_TOKEN || null,
+    // Basic Information > App Credentials; signs slash commands and events
+    signingSecret: cfg.slack_signing_secret || process.env.SLACK_SIGNING_SECRET || null,
+    vibeChannelId: cfg.slack_vibe_channel_id || process.env.SLACK_VIBE_CHANNEL_ID || null
+  };
+}
+
+/**
+ * Check if Slack bridge is configured
+ */
+function isConfigured() {
+  return !!getCredentials().botToken;
+}
+
+/**
+ * Call a Slack Web API method
+ */
+async function slackRequest(method, body) {
+  const { botToken } = getCredentials();
+  if (!botToken) throw new Error('Slack bot token not configured');
+
+  const response = await fetch(`https://slack.com/api/${method}`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${botToken}`,
+      'Content-Type': 'application/json; charset=utf-8'
+    },
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json();
+
+  if (!data.ok) {
+    throw new Error(`Slack API error: ${data.error}`);
+  }
+
+  return data;
+}
+
+/**
+ * Post a message to a channel, or to a user ID (lands in their DM with the app)
+ */
+async function sendMessage(channel, text, options = {}) {
+  return slackRequest('chat.postMessage', {
+    channel,
+    text,
+    blocks: options.blocks || undefined,
+    thread_ts: options.threadTs || undefined,
+    unfurl_links: false
+  });
+}
+
+/**
+ * Verify a request from Slack: HMAC-SHA256 of `v0:timestamp:body`
+ * @param {string|Buffer} rawBody - Exactly as received
+ * @param {string} timestamp - X-Slack-Request-Timestamp
+ * @param {string} signature - X-Slack-Signature (`v0=` hex)
+ * @param {string} secret - Signing secret
+ * @returns {boolean}
+ */
+function verifySlackSignature(rawBody, timestamp, signature, secret) {
+  if (!secret || !timestamp || !signature) return false;
+
+  const base = Buffer.concat([Buffer.from(`v0:${timestamp}:`), Buffer.from(rawBody)]);
+  const expected = Buffer.from(`v0=${crypto.createHmac('sha256', secret).update(base).digest('hex')}`);
+  const given = Buffer.from(String(signature));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Process an Events API callback into standardized format
+ */
+function processEvent(body) {
+  const event = body?.event;
+  if (!event || event.type !== 'message') return null;
+
+  // Skip edits, joins and the app's own posts
+  if (event.subtype || event.bot_id || !event.user) return null;
+
+  return {
+    id: `slack:${body.event_id || event.client_msg_id || event.ts}`,
+    channel: 'slack',
+    type: event.channel_type === 'im' ? 'dm' : 'channel',
+    from: {
+      id: event.user,
+      handle: event.user,
+      name: event.user
+    },
+    content: event.text || '',
+    timestamp: new Date(parseFloat(event.ts) * 1000).toISOString(),
+    channelId: event.channel,
+    threadTs: event.thread_ts || null,
+    raw: body
+  };
+}
+
+/**
+ * Process a slash command (form fields) into standardized format
+ * Slack never shows the command text to anyone else, so it's private like a DM.
+ */
+function processSlashCommand(form) {
+  return {
+    id: `slack:command:${form.trigger_id || form.user_id}`,
+    channel: 'slack',
+    type: 'command',
+    from: {
+      id: form.user_id,
+      handle: form.user_name || form.user_id,
+      name: form.user_name || form.user_id
+    },
+    content: String(form.text || '').trim(),
+    channelId: form.channel_id,
+    teamId: form.team_id,
+    raw: form
+  };
+}
+
+/**
+ * Parse `/vibe` slash command text: `who`, `status shipping note`, `link CODE`, ...
+ */
+function parseSlashCommand(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return { command: 'help' };
+  return parseCommand(`/${trimmed}`) || parseCommand(`/vibe ${trimmed}`);
+}
+
+/**
+ * Usage for `/vibe help` and unknown subcommands
+ */
+function getHelpText() {
+  return [
+    '*/vibe in Slack*',
+    "`/vibe who` - See who's online in /vibe",
+    '`/vibe status shipping [note]` - Update your /vibe status',
+    '`/vibe ship [message]` - Announce what you shipped',
+    '`/vibe dm @handle message` - Send a /vibe DM',
+    '`/vibe link CODE` - Link your Slack account (code from vibe_init in your /vibe session)',
+    '`/vibe unlink` - Remove the link',
+    '',
+    'DM this app `@handle message` to message someone on /vibe. Plain replies go to whoever wrote last.'
+  ].join('\n');
+}
+
+/**
+ * Send message from /vibe to Slack
+ */
+async function forwardFromVibe(channel, handle, message, context = null) {
+  return adapter.send(channel, adapter.render({ type: 'message', handle, message, context }));
+}
+
+/**
+ * Send /vibe status update to Slack
+ */
+async function notifyStatus(channel, handle, mood, note) {
+  return adapter.send(channel, adapter.render({ type: 'status', handle, mood, note }));
+}
+
+/**
+ * Announce a ship in Slack
+ */
+async function announceShip(channel, handle, message) {
+  return adapter.send(channel, adapter.render({ type: 'ship', handle, message }));
+}
+
+/**
+ * Send online users list to Slack
+ */
+async function sendOnlineList(channel, users) {
+  return adapter.send(channel, adapter.render({ type: 'online', users }));
+}
+
+// ============ RENDERING ============
+
+// Slack reads &, < and > as markup (<@U123>, <!channel>), so user text is escaped
+function escapeText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeActivity(activity) {
+  const escaped = {};
+  for (const [key, value] of Object.entries(activity)) {
+    escaped[key] = typeof value === 'string' && key !== 'type' ? escapeText(value) : value;
+  }
+  if (Array.isArray(activity.users)) {
+    escaped.users = activity.users.map(u => ({
+      ...u,
+      handle: escapeText(u.handle),
+      one_liner: u.one_liner ? escapeText(u.one_liner) : u.one_liner
+    }));
+  }
+  return escaped;
+}
+
+/**
+ * Block Kit for a ship announcement
+ */
+function shipBlocks(handle, message) {
+  const quote = message ? `> ${message.replace(/\n/g, '\n> ')}` : null;
+  return [
+    { type: 'section', text: { type: 'mrkdwn', text: `🚀 *@${handle}* shipped` } },
+    ...(quote ? [{ type: 'section', text: { type: 'mrkdwn', text: quote } }] : []),
+    { type: 'context', elements: [{ type: 'mrkdwn', text: '<https://slashvibe.dev|slashvibe.dev>' }] }
+  ];
+}
+
+// ============ ADAPTER ============
+
+const adapter = createAdapter({
+  platform: 'slack',
+  capabilities: { markdown: true, embeds: true, dm: true },
+  // Commands come in as `/vibe ...` slash commands (see parseSlashCommand), not message text
+  commands: null,
+  // chat.postMessage allows about one message a second per channel
+  rateLimit: { max: 1, windowMs: 1000, perTarget: true },
+  isConfigured,
+
+  announceTo() {
+    return getCredentials().vibeChannelId;
+  },
+
+  normalize(body) {
+    const message = processEvent(body);
+    return message && { ...message, platform: 'slack', replyTo: message.channelId };
+  },
+
+  render(activity) {
+    const safe = escapeActivity(activity);
+    const text = renderText(safe, { markdown: activity.type !== 'text' });
+    if (activity.type === 'ship') return { text, blocks: shipBlocks(safe.handle, safe.message) };
+    return { text };
+  },
+
+  send(channel, { text, blocks }) {
+    return sendMessage(channel, text, { blocks });
+  }
+});
+
+/**
+ * Get setup instructions for Slack bridge
+ */
+function getSetupInstructions() {
+  return {
+    title: 'Slack App Setup',
+    steps: [
+      '1. Create an app at api.slack.com/apps (From scratch)',
+      '2. OAuth & Permissions: add bot scopes chat:write, commands, im:history',
+      '3. Slash Commands: create /vibe with Request URL https://your-domain.com/webhook/slack/commands',
+      '4. Event Subscriptions: Request URL https://your-domain.com/webhook/slack/events, bot event message.im',
+      '5. App Home: allow users to send messages from the Messages tab',
+      '6. Install to your workspace, then add to ~/.vibecodings/config.json:',
+      '   - slack_bot_token (xoxb-...)',
+      '   - slack_signing_secret',
+      '   - slack_vibe_channel_id (optional, for ship and status announcements; invite the app there)'
+    ],
+    webhooks: {
+      commands: 'https://your-domain.com/webhook/slack/commands',
+      events: 'https://your-domain.com/webhook/slack/events'
+    }
+  };
+}
+
+module.exports = {
+  isConfigured,
+  getCredentials,
+  sendMessage,
+  verifySlackSignature,
+  processEvent,
+  processSlashCommand,
+  parseSlashCommand,
+  getHelpText,
+  forwardFromVibe,
+  notifyStatus,
+  announceShip,
+  sendOnlineList,
+  getSetupInstructions,
+  adapter
+};
@@ -8,6 +8,7 @@
  */
 
 const config = require('../config');
+const { createAdapter, renderText } = require('./adapter');
 
 /**
  * Get Telegram bot credentials from config
@@ -151,100 +152,60 @@ function processUpdate(update) {
  * Send /vibe activity notification to Telegram
  */
 async function notifyActivity(chatId, activity) {
-  const { handle, action, context } = activity;
-
-  let text = `🔔 *@${handle}* ${action}`;
-  if (context) {
-    text += `\n_${context}_`;
-  }
-
-  return sendMessage(chatId, text, { markdown: true, silent: true });
+  return adapter.send(chatId, adapter.render({ type: 'activity', ...activity }));
 }
 
 /**
  * Send /vibe status update to Telegram
  */
 async function notifyStatus(chatId, handle, mood, note) {
-  const moodEmoji = {
-    shipping: '🔥',
-    debugging: '🐛',
-    deep: '🧠',
-    afk: '☕',
-    celebrating: '🎉',
-    pairing: '👯'
-  };
-
-  const emoji = moodEmoji[mood] || '●';
-  let text = `${emoji} *@${handle}* is ${mood}`;
-
-  if (note) {
-    text += `\n"${note}"`;
-  }
-
-  return sendMessage(chatId, text, { markdown: true });
+  return adapter.send(chatId, adapter.render({ type: 'status', handle, mood, note }));
 }
 
 /**
  * Send message from /vibe to Telegram
  */
 async function forwardFromVibe(chatId, handle, message, context = null) {
-  let text = `💭 *@${handle}*: ${message}`;
-
-  if (context) {
-    text += `\n_via ${context}_`;
-  }
-
-  return sendMessage(chatId, text, { markdown: true });
+  return adapter.send(chatId, adapter.render({ type: 'message', handle, message, context }));
 }
 
 /**
  * Handle /vibe commands from Telegram
  */
 function parseVibeCommand(text) {
-  const trimmed = text.trim();
-
-  // /status mood [note]
-  const statusMatch = trimmed.match(/^\/status\s+(\w+)(?:\s+(.+))?$/);
-  if (statusMatch) {
-    return {
-      command: 'status',
-      params: {
-        mood: statusMatch[1],
-        note: statusMatch[2] || null
-      }
-    };
-  }
+  return adapter.parseCommand(text);
+}
 
-  // /who
-  if (trimmed === '/who') {
-    return { command: 'who' };
-  }
+// ============ ADAPTER ============
 
-  // /ship [message]
-  const shipMatch = trimmed.match(/^\/ship(?:\s+(.+))?$/);
-  if (shipMatch) {
-    return {
-      command: 'ship',
-      params: {
-        message: shipMatch[1] || null
-      }
-    };
-  }
+const adapter = createAdapter({
+  platform: 'telegram',
+  capabilities: { markdown: true, dm: true },
+  // `/status@vibebot` is how commands are addressed in groups
+  commands: { prefix: '/', botMention: true },
+  // Bot API: about 30 messages a second across all chats
+  rateLimit: { max: 30, windowMs: 1000 },
+  isConfigured,
 
-  // /dm @handle message
-  const dmMatch = trimmed.match(/^\/dm\s+@?(\w+)\s+(.+)$/);
-  if (dmMatch) {
-    return {
-      command: 'dm',
-      params: {
-        handle: dmMatch[1],
-        message: dmMatch[2]
-      }
-    };
-  }
+  announceTo() {
+    return config.load().telegram_vibe_chat_id || process.env.TELEGRAM_VIBE_CHAT_ID || null;
+  },
 
-  return null;
-}
+  normalize(update) {
+    const message = processUpdate(update);
+    return message && { ...message, platform: 'telegram', replyTo: message.chat.id };
+  },
+
+  // Plain text replies skip Markdown: a stray _ in them would fail to parse
+  render(activity) {
+    const markdown = activity.type !== 'text';
+    return { text: renderText(activity, { markdown }), options: { markdown, silent: activity.type === 'activity' } };
+  },
+
+  send(chatId, { text, options }) {
+    return sendMessage(chatId, text, options);
+  }
+});
 
 module.exports = {
   isConfigured,
@@ -257,5 +218,6 @@ module.exports = {
   parseVibeCommand,
   notifyActivity,
   notifyStatus,
-  forwardFromVibe
+  forwardFromVibe,
+  adapter
 };
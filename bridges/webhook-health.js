@@ -7,6 +7,10 @@
 
 const https = require('https');
 const { getConfig } = require('./webhook-server');
+const whatsapp = require('./whatsapp');
+const xWebhook = require('./x-webhook');
+const slack = require('./slack');
+const matrix = require('./matrix');
 
 /**
  * Test webhook endpoint connectivity
@@ -261,6 +265,9 @@ async function getWebhookStatus(publicUrl) {
  */
 function getWebhookDiagnostics() {
   const config = getConfig();
+  const whatsappAppSecret = !!whatsapp.getCredentials().appSecret;
+  const xWebhookSecret = !!xWebhook.getConfig().webhookSecret;
+  const slackSigningSecret = !!slack.getCredentials().signingSecret;
 
   const diagnostics = {
     server: {
@@ -270,7 +277,11 @@ function getWebhookDiagnostics() {
     security: {
       webhookSecret: !!config.secret,
       telegramSecret: !!config.telegramSecret,
-      discordPublicKey: !!config.discordPublicKey
+      discordPublicKey: !!config.discordPublicKey,
+      whatsappAppSecret,
+      xWebhookSecret,
+      slackSigningSecret,
+      replayWindowSeconds: config.replayWindowSeconds
     },
     channels: {
       telegram: {
@@ -280,6 +291,10 @@ function getWebhookDiagnostics() {
       discord: {
         publicKeyConfigured: !!config.discordPublicKey,
         channelId: !!config.vibeChannelId
+      },
+      matrix: {
+        configured: matrix.isConfigured(),
+        roomId: !!matrix.getCredentials().roomId
       }
     },
     recommendations: []
@@ -291,13 +306,25 @@ function getWebhookDiagnostics() {
   }
 
   if (!config.telegramSecret) {
-    diagnostics.recommendations.push('Set TELEGRAM_WEBHOOK_SECRET for Telegram webhook security');
+    diagnostics.recommendations.push('Set TELEGRAM_WEBHOOK_SECRET to accept Telegram webhooks (secret token check)');
   }
 
   if (!config.discordPublicKey) {
     diagnostics.recommendations.push('Set DISCORD_PUBLIC_KEY for Discord interaction verification');
   }
 
+  if (!whatsappAppSecret) {
+    diagnostics.recommendations.push('Set WHATSAPP_APP_SECRET to accept WhatsApp webhooks (signature verification)');
+  }
+
+  if (!xWebhookSecret) {
+    diagnostics.recommendations.push('Set X_WEBHOOK_SECRET to accept X webhooks (CRC and signature verification)');
+  }
+
+  if (!slackSigningSecret) {
+    diagnostics.recommendations.push('Set SLACK_SIGNING_SECRET to accept Slack slash commands and events');
+  }
+
   if (!config.telegramChatId) {
     diagnostics.recommendations.push('Set TELEGRAM_VIBE_CHAT_ID to forward messages to /vibe');
   }
@@ -4,19 +4,34 @@
  * Unified webhook endpoint for receiving real-time updates from:
  * - Telegram bot updates
  * - Discord bot interactions
+ * - WhatsApp Business messages
+ * - Slack slash commands and events
+ * - X account activity
+ * - Matrix room events (from matrix.startSync, not an HTTP route)
  * - GitHub webhooks (future)
  * - Linear webhooks (future)
  *
- * Routes events to appropriate bridge handlers and /vibe core.
+ * Every delivery is verified before it's routed: Discord's Ed25519 signature,
+ * WhatsApp's, X's and Slack's HMAC of the raw body, Telegram's secret token. Deliveries
+ * older than the replay window, or seen before within it, are dropped.
+ *
+ * Routes events through each platform's bridge adapter (see adapter.js) to /vibe core.
  */
 
 const crypto = require('crypto');
-const telegram = require('./telegram');
-const discordBot = require('./discord-bot');
+const whatsapp = require('./whatsapp');
+const xWebhook = require('./x-webhook');
+const slack = require('./slack');
+const matrix = require('./matrix');
+const registry = require('./registry');
+const { parseCommand } = require('./adapter');
 const agentGateway = require('./agent-gateway');
+const accountLinks = require('../store/account-links');
 const config = require('../config');
 const debug = require('../debug');
 
+const DEFAULT_REPLAY_WINDOW_S = 5 * 60;
+
 /**
  * Webhook server configuration
  */
@@ -28,53 +43,139 @@ function getConfig() {
     telegramSecret: cfg.telegram_webhook_secret || process.env.TELEGRAM_WEBHOOK_SECRET || null,
     discordPublicKey: cfg.discord_public_key || process.env.DISCORD_PUBLIC_KEY || null,
     vibeChannelId: cfg.discord_vibe_channel_id || process.env.DISCORD_VIBE_CHANNEL_ID || null,
-    telegramChatId: cfg.telegram_vibe_chat_id || process.env.TELEGRAM_VIBE_CHAT_ID || null
+    telegramChatId: cfg.telegram_vibe_chat_id || process.env.TELEGRAM_VIBE_CHAT_ID || null,
+    // How far a delivery's timestamp may be from now, and how long its id is remembered
+    replayWindowSeconds:
+      parseInt(cfg.webhook_replay_window || process.env.WEBHOOK_REPLAY_WINDOW, 10) || DEFAULT_REPLAY_WINDOW_S
   };
 }
 
 /**
- * Verify webhook signature for security
+ * Verify a body signed with the webhook secret (X-Vibe-Signature: sha256=<hex>)
+ * Nothing verifies without a secret.
  */
 function verifySignature(payload, signature, secret) {
-  if (!secret) return true; // Skip if no secret configured
+  if (!secret) return false;
 
   const expectedSignature = crypto.createHmac('sha256', secret).update(payload).digest('hex');
 
-  return signature === `sha256=${expectedSignature}`;
+  return safeEqual(signature, `sha256=${expectedSignature}`);
+}
+
+// Constant-time string comparison, false for anything missing or of another length
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
 }
 
 /**
- * Verify Telegram webhook
+ * Verify Telegram webhook: the secret_token set with setWebhook comes back in a header
+ * Without a configured secret nothing proves an update came from Telegram, so it's refused.
  */
 function verifyTelegramWebhook(body, headers) {
   const secretToken = getConfig().telegramSecret;
-  if (!secretToken) return true;
+  if (!secretToken) return false;
 
-  const providedToken = headers['x-telegram-bot-api-secret-token'];
-  return providedToken === secretToken;
+  return safeEqual(headers['x-telegram-bot-api-secret-token'], secretToken);
 }
 
 /**
- * Process incoming Telegram update
+ * Verify a Discord interaction: Ed25519 over timestamp + raw body
+ * @param {string|Buffer} rawBody - Exactly as received
+ * @param {string} signature - X-Signature-Ed25519 (hex)
+ * @param {string} timestamp - X-Signature-Timestamp
+ * @param {string} publicKey - Application public key (hex)
+ * @returns {boolean}
  */
-async function handleTelegramWebhook(body) {
+function verifyDiscordSignature(rawBody, signature, timestamp, publicKey) {
+  if (!publicKey || !signature || !timestamp) return false;
   try {
-    const update = typeof body === 'string' ? JSON.parse(body) : body;
+    const jwk = { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(publicKey, 'hex').toString('base64url') };
+    const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    const message = Buffer.concat([Buffer.from(String(timestamp)), Buffer.from(rawBody)]);
+    return crypto.verify(null, message, key, Buffer.from(signature, 'hex'));
+  } catch (e) {
+    return false;
+  }
+}
+
+// ============ REPLAY WINDOW ============
+
+// Delivery ids seen within the replay window → when to forget them (ms)
+const seenDeliveries = new Map();
+
+/**
+ * Refuse a delivery sent outside the replay window, or already seen within it
+ * @param {string} id - Unique per delivery (signature, update id)
+ * @param {number} [timestamp] - When the platform sent it (seconds), if it says
+ * @param {number} [now] - ms
+ * @returns {string|null} Why it's refused, or null to process it
+ */
+function checkReplay(id, timestamp, now = Date.now()) {
+  const windowMs = getConfig().replayWindowSeconds * 1000;
+  for (const [seen, forgetAt] of seenDeliveries) {
+    if (forgetAt <= now) seenDeliveries.delete(seen);
+  }
+
+  if (timestamp !== undefined && !(Math.abs(now - timestamp * 1000) <= windowMs)) return 'Outside replay window';
+  if (seenDeliveries.has(id)) return 'Already delivered';
+  seenDeliveries.set(id, now + windowMs);
+  return null;
+}
+
+// Oldest of the send times (seconds) found in a delivery, if any
+function oldest(times) {
+  const valid = times.map(Number).filter(Number.isFinite);
+  return valid.length > 0 ? Math.min(...valid) : undefined;
+}
+
+function telegramSentAt(update) {
+  const message = update.message || update.edited_message || update.channel_post;
+  return message ? oldest([message.edit_date || message.date]) : undefined;
+}
 
-    // Process the update using telegram bridge
-    const message = telegram.processUpdate(update);
+function whatsappSentAt(body) {
+  const times = [];
+  for (const entry of body.entry || []) {
+    for (const change of entry.changes || []) {
+      const value = change.value || {};
+      for (const item of [...(value.messages || []), ...(value.statuses || [])]) times.push(item.timestamp);
+    }
+  }
+  return oldest(times);
+}
+
+// X event times are in milliseconds
+function xSentAt(body) {
+  const times = [];
+  for (const [key, events] of Object.entries(body)) {
+    if (!key.endsWith('_events') || !Array.isArray(events)) continue;
+    for (const event of events) times.push((event.created_timestamp || event.timestamp_ms) / 1000);
+  }
+  return oldest(times);
+}
+
+/**
+ * Process an inbound event through its platform's adapter: /vibe commands
+ * run, direct messages from linked accounts are forwarded
+ */
+async function handleInbound(platform, event) {
+  try {
+    const adapter = registry.getAdapter(platform);
+    const message = adapter.normalize(event);
     if (!message) return { status: 'ok', processed: false };
 
-    // Check for /vibe commands
-    const command = telegram.parseVibeCommand(message.content);
+    const command = adapter.parseCommand(message.content);
     if (command) {
-      return await processVibeCommand(command, message, 'telegram');
+      return await processVibeCommand(command, message, platform);
     }
 
     // Forward regular messages to /vibe if configured
-    const config = getConfig();
-    if (config.vibeChannelId && message.type === 'dm') {
-      await forwardToVibe(message, 'telegram');
+    const handle = accountLinks.getLinkedHandle(platform, message.from.id);
+    if (handle && getConfig().vibeChannelId && message.type === 'dm') {
+      await forwardToVibe({ ...message, from: { ...message.from, handle } }, platform);
     }
 
     return {
@@ -83,11 +184,25 @@ async function handleTelegramWebhook(body) {
       message: `Processed ${message.type} from @${message.from.handle}`
     };
   } catch (e) {
-    console.error('Telegram webhook error:', e);
+    console.error(`${platform} webhook error:`, e);
     return { status: 'error', error: e.message };
   }
 }
 
+/**
+ * Process incoming Telegram update
+ */
+async function handleTelegramWebhook(body) {
+  return handleInbound('telegram', typeof body === 'string' ? JSON.parse(body) : body);
+}
+
+/**
+ * Process incoming WhatsApp webhook update
+ */
+async function handleWhatsAppWebhook(body) {
+  return handleInbound('whatsapp', body);
+}
+
 /**
  * Process incoming Discord interaction
  */
@@ -124,18 +239,22 @@ async function handleDiscordSlashCommand(interaction) {
   const options = data.options || [];
 
   const discordUser = (interaction.member?.user) || interaction.user;
-  const handle = discordUser.username;
+  const from = { id: discordUser.id, handle: discordUser.username };
 
   try {
     switch (commandName) {
       case 'vibe': {
         const message = options.find(opt => opt.name === 'message')?.value;
         if (message) {
-          await forwardToVibe({
-            from: { handle },
-            content: message,
-            channel: 'discord'
-          });
+          // `/vibe link CODE` and `/vibe unlink` answer only the sender, so the code stays private
+          const command = parseCommand(`/vibe ${message}`);
+          if (command && (command.command === 'link' || command.command === 'unlink')) {
+            const result = await processVibeCommand(command, { from }, 'discord');
+            return createDiscordResponse(result.message || `❌ ${result.error}`, true);
+          }
+
+          const result = await processVibeCommand({ command: 'vibe' }, { from, content: message }, 'discord');
+          if (result.status === 'error') return createDiscordResponse(`❌ ${result.error}`, true);
           return createDiscordResponse(`📡 Sent to /vibe: "${message}"`);
         }
         break;
@@ -145,14 +264,8 @@ async function handleDiscordSlashCommand(interaction) {
         const mood = options.find(opt => opt.name === 'mood')?.value;
         const note = options.find(opt => opt.name === 'note')?.value;
         if (mood) {
-          await processVibeCommand(
-            {
-              command: 'status',
-              params: { mood, note }
-            },
-            { from: { handle } },
-            'discord'
-          );
+          const result = await processVibeCommand({ command: 'status', params: { mood, note } }, { from }, 'discord');
+          if (result.status === 'error') return createDiscordResponse(`❌ ${result.error}`, true);
           return createDiscordResponse(`✅ Status updated: ${mood}${note ? ` - ${note}` : ''}`);
         }
         break;
@@ -175,6 +288,101 @@ async function handleDiscordSlashCommand(interaction) {
   }
 }
 
+/**
+ * Handle a `/vibe` slash command from Slack; the answer is only shown to the sender
+ */
+async function handleSlackCommand(form) {
+  const message = slack.processSlashCommand(form);
+  const command = slack.parseSlashCommand(message.content);
+  const respond = text => ({ response_type: 'ephemeral', text });
+
+  if (!command || command.command === 'help') return respond(slack.getHelpText());
+
+  if (command.command === 'who') {
+    try {
+      const users = await getVibeOnlineUsers();
+      return { response_type: 'ephemeral', ...slack.adapter.render({ type: 'online', users }) };
+    } catch (e) {
+      return respond(`❌ ${e.message}`);
+    }
+  }
+
+  const result = await processVibeCommand(command, message, 'slack');
+  return respond(result.status === 'error' ? `❌ ${result.error || result.message}` : `✅ ${result.message}`);
+}
+
+/**
+ * Relay a DM to the Slack app as a /vibe DM
+ */
+async function handleSlackEvent(body) {
+  const message = slack.adapter.normalize(body);
+  if (!message || message.type !== 'dm') return { status: 'ok', processed: false };
+  return handleDirectMessage(message, 'slack');
+}
+
+/**
+ * Process a Matrix room event: `!vibe` commands anywhere, DMs to the bot relayed as /vibe DMs
+ */
+async function handleMatrixEvent(event) {
+  const message = matrix.adapter.normalize(event);
+  if (!message) return { status: 'ok', processed: false };
+
+  const command = matrix.adapter.parseCommand(message.content);
+  if (command) return processVibeCommand(command, message, 'matrix');
+  if (message.type !== 'dm') return { status: 'ok', processed: false };
+  return handleDirectMessage(message, 'matrix');
+}
+
+// Bridges where a DM to the bot is a /vibe DM, and /vibe DMs to a linked handle come back as DMs
+const DM_RELAY_PLATFORMS = ['slack', 'matrix'];
+
+// `platform:user id` → the handle whose /vibe DM was last relayed to them, so a plain reply goes back
+const replyHandles = new Map();
+
+/**
+ * Relay a DM to the bot as a /vibe DM: `@handle message`, or a plain
+ * reply to whoever last wrote to them
+ */
+async function handleDirectMessage(message, platform) {
+  try {
+    const handle = accountLinks.getLinkedHandle(platform, message.from.id);
+    if (!handle) {
+      await replyTo(message, platform, notLinked(platform));
+      return { status: 'error', error: notLinked(platform) };
+    }
+
+    // Mentions of a linked account: Slack's <@U123>, or a Matrix user id (@sam:example.org)
+    const addressed = message.content.match(/^(?:@([\w-]+)|<@(\w+)>|(@[^\s:]+:\S+))\s+([\s\S]+)$/);
+    const mentionedId = addressed && (addressed[2] || addressed[3]);
+    const mentioned = addressed && (addressed[1] || accountLinks.getLinkedHandle(platform, mentionedId));
+    const to = mentioned || replyHandles.get(`${platform}:${message.from.id}`);
+    if (!to) {
+      const error = 'Start with @handle to message someone on /vibe';
+      await replyTo(message, platform, error);
+      return { status: 'error', error };
+    }
+
+    await sendVibeDM(handle, to, mentioned ? addressed[4] : message.content);
+    replyHandles.set(`${platform}:${message.from.id}`, to);
+    return { status: 'ok', processed: true, message: `Relayed DM to @${to}` };
+  } catch (e) {
+    console.error(`${platform} DM relay error:`, e);
+    return { status: 'error', error: e.message };
+  }
+}
+
+/**
+ * Relay a /vibe DM to the recipient's linked Slack and Matrix accounts
+ */
+async function relayToLinkedAccounts(fromHandle, toHandle, message) {
+  for (const link of accountLinks.listLinks(toHandle)) {
+    if (!DM_RELAY_PLATFORMS.includes(link.platform)) continue;
+    const activity = { type: 'message', handle: fromHandle, message, context: '/vibe DM' };
+    const result = await registry.getAdapter(link.platform).deliver(link.user_id, activity);
+    if (result.success) replyHandles.set(`${link.platform}:${link.user_id}`, fromHandle);
+  }
+}
+
 /**
  * Handle Discord message components (buttons, etc.)
  */
@@ -205,13 +413,35 @@ function createDiscordResponse(content, ephemeral = false) {
   };
 }
 
+// Commands that act as someone on /vibe — only for accounts linked with /vibe link
+const IDENTITY_COMMANDS = ['status', 'ship', 'dm', 'vibe'];
+
+/**
+ * How to link: `/vibe link CODE`, except where every command sits under `!vibe` (Matrix)
+ */
+function notLinked(platform) {
+  const { commands } = registry.getAdapter(platform);
+  const prefix = commands && commands.namespaced ? commands.prefix : '/';
+  return `Link this account to your /vibe handle first: run vibe_init with link in your /vibe session, then send ${prefix}vibe link CODE`;
+}
+
 /**
  * Process /vibe commands from any platform
+ *
+ * A platform display name isn't an identity, so commands that act as a
+ * handle use the one this platform account was linked to, never message.from.handle.
  */
 async function processVibeCommand(command, message, platform) {
-  const { handle } = message.from;
-
   try {
+    if (command.command === 'link') return await linkAccount(command.params.code, message, platform);
+    if (command.command === 'unlink') return await unlinkAccount(message, platform);
+
+    const handle = accountLinks.getLinkedHandle(platform, message.from.id);
+    if (!handle && IDENTITY_COMMANDS.includes(command.command)) {
+      await replyTo(message, platform, notLinked(platform));
+      return { status: 'error', error: notLinked(platform) };
+    }
+
     switch (command.command) {
       case 'status': {
         const { mood, note } = command.params;
@@ -236,16 +466,24 @@ async function processVibeCommand(command, message, platform) {
       }
 
       case 'dm': {
-        const { handle: targetHandle, message: dmMessage } = command.params;
+        // A Discord <@mention> names whoever linked that Discord account
+        const { userId, message: dmMessage } = command.params;
+        const targetHandle = command.params.handle || accountLinks.getLinkedHandle(platform, userId);
+        if (!targetHandle) return { status: 'error', error: "That account isn't linked to a /vibe handle" };
         await sendVibeDM(handle, targetHandle, dmMessage);
         return { status: 'ok', message: `DM sent to @${targetHandle}` };
       }
 
       case 'vibe': {
-        await forwardToVibe(message, platform);
+        await forwardToVibe({ ...message, from: { ...message.from, handle } }, platform);
         return { status: 'ok', message: 'Message forwarded to /vibe' };
       }
 
+      case 'help': {
+        await registry.getAdapter(platform).deliver(message.replyTo, { type: 'help' });
+        return { status: 'ok', processed: true, message: 'Sent help' };
+      }
+
       default:
         return { status: 'error', message: 'Unknown command' };
     }
@@ -254,6 +492,48 @@ async function processVibeCommand(command, message, platform) {
   }
 }
 
+/**
+ * Redeem a link code for the sending platform account
+ */
+async function linkAccount(code, message, platform) {
+  // Anyone else in a group could redeem the code first, so burn it
+  if (message.type === 'group' || message.type === 'channel') {
+    await accountLinks.discard(require('../store'), code);
+    const error = 'Link codes only work in a DM with the bot. That code is now void, so get a new one from vibe_init';
+    await replyTo(message, platform, error);
+    return { status: 'error', error };
+  }
+
+  const account = { platform, userId: message.from.id, username: message.from.handle };
+  // Issued here, or through the API by a /vibe session on another machine
+  const result = await accountLinks.redeem(require('../store'), code, account);
+  if (!result.success) {
+    await replyTo(message, platform, result.error);
+    return { status: 'error', error: result.error };
+  }
+
+  const text = `Linked to @${result.handle}. /vibe status, ship and dm from here now act as @${result.handle}`;
+  await replyTo(message, platform, text);
+  return { status: 'ok', message: text };
+}
+
+/**
+ * Unlink the sending platform account
+ */
+async function unlinkAccount(message, platform) {
+  const removed = await accountLinks.remove(require('../store'), { platform, userId: message.from.id });
+  const text = removed ? 'Unlinked from /vibe' : "This account isn't linked to /vibe";
+  await replyTo(message, platform, text);
+  return { status: 'ok', message: text };
+}
+
+/**
+ * Best-effort reply where the command came from (Discord answers in the interaction response)
+ */
+async function replyTo(message, platform, text) {
+  await registry.getAdapter(platform).deliver(message.replyTo, { type: 'text', text });
+}
+
 /**
  * Forward message to /vibe core — sends as DM via platform API
  */
@@ -295,78 +575,38 @@ async function getVibeOnlineUsers() {
 }
 
 /**
- * Notify all platforms about status change
+ * Deliver an activity to every platform that has an announcement target
  */
-async function notifyStatusChange(handle, mood, note, skipPlatform) {
-  const config = getConfig();
+async function broadcast(activity, skipPlatform = null) {
+  for (const adapter of registry.listAdapters()) {
+    const target = adapter.announceTo();
+    if (!target || adapter.platform === skipPlatform || !adapter.isConfigured()) continue;
 
-  // Notify Discord
-  if (skipPlatform !== 'discord' && config.vibeChannelId && discordBot.isConfigured()) {
-    try {
-      await discordBot.notifyStatus(config.vibeChannelId, handle, mood, note);
-    } catch (e) {
-      console.error('Discord notification failed:', e);
-    }
+    const result = await adapter.deliver(target, activity);
+    if (!result.success) console.error(`${adapter.platform} notification failed:`, result.error);
   }
+}
 
-  // Notify Telegram
-  if (skipPlatform !== 'telegram' && config.telegramChatId && telegram.isConfigured()) {
-    try {
-      await telegram.notifyStatus(config.telegramChatId, handle, mood, note);
-    } catch (e) {
-      console.error('Telegram notification failed:', e);
-    }
-  }
+/**
+ * Notify all platforms about status change
+ */
+async function notifyStatusChange(handle, mood, note, skipPlatform) {
+  await broadcast({ type: 'status', handle, mood, note }, skipPlatform);
 }
 
 /**
  * Send online user list to platform
  */
 async function sendOnlineList(message, users, platform) {
-  const config = getConfig();
-
-  switch (platform) {
-    case 'discord':
-      if (config.vibeChannelId) {
-        await discordBot.sendOnlineList(config.vibeChannelId, users);
-      }
-      break;
-
-    case 'telegram':
-      if (message.chat?.id) {
-        const userList =
-          users.length > 0
-            ? users.map(u => `• **@${u.handle}** (${u.mood || 'online'}) — ${u.one_liner || 'building'}`).join('\n')
-            : '_No one is currently online_';
-        await telegram.sendMessage(message.chat.id, `👥 **Who's in /vibe:**\n${userList}`, { markdown: true });
-      }
-      break;
-  }
+  const adapter = registry.getAdapter(platform);
+  await adapter.deliver(message.replyTo || adapter.announceTo(), { type: 'online', users });
 }
 
 /**
  * Announce ship to all platforms
  */
 async function announceShip(handle, message) {
-  const config = getConfig();
-
-  // Discord
-  if (config.vibeChannelId && discordBot.isConfigured()) {
-    await discordBot.notifyActivity(config.vibeChannelId, {
-      handle,
-      action: 'shipped',
-      context: message
-    });
-  }
-
-  // Telegram
-  if (config.telegramChatId && telegram.isConfigured()) {
-    await telegram.notifyActivity(config.telegramChatId, {
-      handle,
-      action: 'shipped',
-      context: message
-    });
-  }
+  await broadcast({ type: 'ship', handle, message });
 }
 
 /**
@@ -377,46 +617,187 @@ async function sendVibeDM(fromHandle, toHandle, message) {
   const notify = require('../notify');
   const result = await store.sendMessage(fromHandle, toHandle, message);
   notify.pushToAgents('dm', { from: fromHandle, to: toHandle, body: message, source: 'bridge' });
+  await relayToLinkedAccounts(fromHandle, toHandle, message);
+  // Relayed already: when the recipient's /vibe pushes it to /webhook/vibe, that's a replay
+  if (result && result.id) checkReplay(`vibe:${result.id}`);
   return result;
 }
 
+// ============ ROUTING ============
+
+function parseBody(body, rawBody) {
+  if (body && typeof body === 'object' && !Buffer.isBuffer(body)) return body;
+  const text = rawBody ? rawBody.toString() : '';
+  return text ? JSON.parse(text) : {};
+}
+
+function ignored(reason) {
+  return { status: 200, json: { status: 'ignored', reason } };
+}
+
 /**
- * Express.js middleware for handling webhooks
+ * Route one webhook request: verify it, drop replays, hand it to its bridge
+ * Not tied to Express; createWebhookHandler adapts it.
+ * Replays are answered 200 so platforms stop retrying them, except Discord,
+ * which must get 401 for any delivery it shouldn't have sent.
+ * @param {object} request
+ * @param {string} request.path - e.g. /webhook/discord
+ * @param {string} request.method
+ * @param {object} [request.headers] - Lower-cased names
+ * @param {object} [request.query]
+ * @param {object} [request.body] - Parsed JSON
+ * @param {string|Buffer} [request.rawBody] - Exactly as received; signatures cover these bytes
+ * @returns {Promise<{status: number, json?: object, text?: string}>}
  */
-function createWebhookHandler() {
-  return async (req, res) => {
-    const { path, method, headers, body } = req;
+async function routeWebhook({ path, method, headers = {}, query = {}, body, rawBody }) {
+  const config = getConfig();
+
+  // Platform handshakes
+  if (method === 'GET' && path === '/webhook/whatsapp') {
+    const challenge = whatsapp.verifyWebhook(query['hub.mode'], query['hub.verify_token'], query['hub.challenge']);
+    return challenge ? { status: 200, text: String(challenge) } : { status: 403, json: { error: 'Forbidden' } };
+  }
+  if (method === 'GET' && path === '/webhook/x') {
+    const { webhookSecret } = xWebhook.getConfig();
+    if (!webhookSecret) return { status: 503, json: { error: 'X webhook secret not configured' } };
+    if (!query.crc_token) return { status: 400, json: { error: 'crc_token required' } };
+    return { status: 200, json: xWebhook.handleChallenge(query.crc_token, webhookSecret) };
+  }
+
+  // Agent gateway routes (AIRC-verified, capability tokens)
+  if (path.startsWith('/agent/')) {
+    const result = await agentGateway.handleRequest({ path, method, headers, body: parseBody(body, rawBody) });
+    // Results carry an HTTP status when they're errors ('ok' otherwise)
+    return { status: typeof result.status === 'number' ? result.status : 200, json: result };
+  }
 
-    if (method !== 'POST') {
-      return res.status(405).json({ error: 'Method not allowed' });
+  if (method !== 'POST') {
+    return { status: 405, json: { error: 'Method not allowed' } };
+  }
+
+  switch (path) {
+    case '/webhook/telegram': {
+      if (!config.telegramSecret) return { status: 503, json: { error: 'Telegram webhook secret not configured' } };
+      if (!verifyTelegramWebhook(body, headers)) {
+        return { status: 401, json: { error: 'Unauthorized' } };
+      }
+      const update = parseBody(body, rawBody);
+      const replay = checkReplay(`telegram:${update.update_id}`, telegramSentAt(update));
+      if (replay) return ignored(replay);
+      return { status: 200, json: await handleTelegramWebhook(update) };
     }
 
-    try {
-      let result;
+    case '/webhook/discord': {
+      if (!config.discordPublicKey) return { status: 503, json: { error: 'Discord public key not configured' } };
+      if (!rawBody) return { status: 400, json: { error: 'Raw request body required' } };
+      const signature = headers['x-signature-ed25519'];
+      const timestamp = headers['x-signature-timestamp'];
+      if (!verifyDiscordSignature(rawBody, signature, timestamp, config.discordPublicKey)) {
+        return { status: 401, json: { error: 'Invalid request signature' } };
+      }
+      const replay = checkReplay(`discord:${signature}`, Number(timestamp));
+      if (replay) return { status: 401, json: { error: replay } };
+      return { status: 200, json: await handleDiscordWebhook(parseBody(body, rawBody), headers) };
+    }
 
-      // Agent gateway routes (AIRC-verified)
-      if (path.startsWith('/agent/')) {
-        result = await agentGateway.handleRequest({ path, method, headers, body });
-        return res.status(result.status || 200).json(result);
+    case '/webhook/whatsapp': {
+      const { appSecret } = whatsapp.getCredentials();
+      if (!appSecret) return { status: 503, json: { error: 'WhatsApp app secret not configured' } };
+      if (!rawBody) return { status: 400, json: { error: 'Raw request body required' } };
+      const signature = headers['x-hub-signature-256'];
+      if (!signature || !whatsapp.verifyWebhookSignature(rawBody, signature, appSecret)) {
+        return { status: 401, json: { error: 'Invalid signature' } };
       }
+      const update = parseBody(body, rawBody);
+      const replay = checkReplay(`whatsapp:${signature}`, whatsappSentAt(update));
+      if (replay) return ignored(replay);
+      return { status: 200, json: await handleWhatsAppWebhook(update) };
+    }
 
-      switch (path) {
-        case '/webhook/telegram':
-          if (!verifyTelegramWebhook(body, headers)) {
-            return res.status(401).json({ error: 'Unauthorized' });
-          }
-          result = await handleTelegramWebhook(body);
-          break;
+    case '/webhook/x': {
+      const { webhookSecret } = xWebhook.getConfig();
+      if (!webhookSecret) return { status: 503, json: { error: 'X webhook secret not configured' } };
+      if (!rawBody) return { status: 400, json: { error: 'Raw request body required' } };
+      const signature = headers['x-twitter-webhooks-signature'];
+      if (!signature || !xWebhook.verifyXSignature(rawBody, signature, webhookSecret)) {
+        return { status: 401, json: { error: 'Invalid signature' } };
+      }
+      const event = parseBody(body, rawBody);
+      const replay = checkReplay(`x:${signature}`, xSentAt(event));
+      if (replay) return ignored(replay);
+      return { status: 200, json: { status: 'ok', ...(await xWebhook.processWebhookEvent(event)) } };
+    }
+
+    case '/webhook/slack/commands':
+    case '/webhook/slack/events': {
+      const { signingSecret } = slack.getCredentials();
+      if (!signingSecret) return { status: 503, json: { error: 'Slack signing secret not configured' } };
+      if (!rawBody) return { status: 400, json: { error: 'Raw request body required' } };
+      const signature = headers['x-slack-signature'];
+      const timestamp = headers['x-slack-request-timestamp'];
+      if (!slack.verifySlackSignature(rawBody, timestamp, signature, signingSecret)) {
+        return { status: 401, json: { error: 'Invalid signature' } };
+      }
+
+      // Slash commands are form-encoded
+      if (path === '/webhook/slack/commands') {
+        const replay = checkReplay(`slack:${signature}`, Number(timestamp));
+        if (replay) return ignored(replay);
+        const form = Object.fromEntries(new URLSearchParams(rawBody.toString()));
+        return { status: 200, json: await handleSlackCommand(form) };
+      }
 
-        case '/webhook/discord':
-          result = await handleDiscordWebhook(body, headers);
-          break;
+      const event = parseBody(body, rawBody);
+      if (event.type === 'url_verification') return { status: 200, json: { challenge: event.challenge } };
+      // Slack retries an event under the same event_id
+      const replay = checkReplay(`slack:${event.event_id || signature}`, Number(timestamp));
+      if (replay) return ignored(replay);
+      return { status: 200, json: await handleSlackEvent(event) };
+    }
 
-        default:
-          return res.status(404).json({ error: 'Webhook endpoint not found' });
+    // DMs sent elsewhere on /vibe, pushed here by the recipient's /vibe (notify.js relayToBridge)
+    // so their linked Slack and Matrix accounts get them
+    case '/webhook/vibe': {
+      if (!config.secret) return { status: 503, json: { error: 'Webhook secret not configured' } };
+      if (!rawBody) return { status: 400, json: { error: 'Raw request body required' } };
+      const signature = headers['x-vibe-signature'];
+      if (!signature || !verifySignature(rawBody, signature, config.secret)) {
+        return { status: 401, json: { error: 'Invalid signature' } };
+      }
+      const event = parseBody(body, rawBody);
+      if (event.type !== 'dm' || !event.from || !event.to) {
+        return { status: 400, json: { error: 'Expected a dm event' } };
       }
+      const sentAt = Date.parse(event.timestamp) / 1000 || undefined;
+      const replay = checkReplay(`vibe:${event.id || signature}`, sentAt);
+      if (replay) return ignored(replay);
+      await relayToLinkedAccounts(event.from, event.to, event.body || '');
+      return { status: 200, json: { status: 'ok' } };
+    }
 
-      res.json(result);
+    default:
+      return { status: 404, json: { error: 'Webhook endpoint not found' } };
+  }
+}
+
+/**
+ * Express.js middleware for handling webhooks
+ * Mount it at /webhook and /agent. Signature checks need the raw body: parse
+ * JSON with `express.json({ verify: (req, res, buf) => { req.rawBody = buf; } })`
+ * or give it the body unparsed (express.raw).
+ */
+function createWebhookHandler() {
+  return async (req, res) => {
+    const { method, headers, query, body } = req;
+    const rawBody = req.rawBody || (Buffer.isBuffer(body) || typeof body === 'string' ? body : null);
+
+    try {
+      const path = (req.baseUrl || '') + req.path;
+      const result = await routeWebhook({ path, method, headers, query, body, rawBody });
+      if (result.text !== undefined) {
+        return res.status(result.status).type('text/plain').send(result.text);
+      }
+      res.status(result.status).json(result.json);
     } catch (e) {
       console.error('Webhook handler error:', e);
       res.status(500).json({ error: 'Internal server error' });
@@ -435,13 +816,40 @@ function getSetupInstructions() {
     telegram: {
       url: `https://your-domain.com/webhook/telegram`,
       setup: `Set webhook URL in Telegram bot settings`,
-      secret: config.telegramSecret ? 'Configured' : 'Not set (optional)'
+      secret: config.telegramSecret ? 'Configured' : 'Required (TELEGRAM_WEBHOOK_SECRET, also passed to setWebhook)'
     },
     discord: {
       url: `https://your-domain.com/webhook/discord`,
       setup: 'Set as Interactions Endpoint URL in Discord Developer Portal',
       publicKey: config.discordPublicKey ? 'Configured' : 'Required for signature verification'
     },
+    whatsapp: {
+      url: `https://your-domain.com/webhook/whatsapp`,
+      setup: 'Set as the callback URL in the Meta app dashboard (WhatsApp > Configuration)',
+      verifyToken: whatsapp.getCredentials().webhookVerifyToken ? 'Configured' : 'Required for the callback check',
+      appSecret: whatsapp.getCredentials().appSecret ? 'Configured' : 'Required for signature verification'
+    },
+    x: {
+      url: `https://your-domain.com/webhook/x`,
+      setup: 'Register as the Account Activity webhook URL; X sends a CRC check first',
+      secret: xWebhook.getConfig().webhookSecret ? 'Configured' : 'Required for CRC and signature verification'
+    },
+    slack: {
+      commands: `https://your-domain.com/webhook/slack/commands`,
+      events: `https://your-domain.com/webhook/slack/events`,
+      setup: 'Set as the /vibe slash command and Event Subscriptions request URLs (bot event message.im)',
+      signingSecret: slack.getCredentials().signingSecret ? 'Configured' : 'Required for signature verification'
+    },
+    matrix: {
+      setup: 'No URL: the runner syncs with your homeserver (see bridges/matrix.js getSetupInstructions)',
+      status: matrix.isConfigured() ? 'Configured' : 'Needs matrix_homeserver_url, matrix_access_token, matrix_user_id'
+    },
+    vibe: {
+      url: `https://your-domain.com/webhook/vibe`,
+      setup: 'Set vibe_webhook_url (VIBE_WEBHOOK_URL) to this URL where /vibe runs, so it relays the DMs it receives',
+      secret: config.secret ? 'Configured (set the same webhook_secret where /vibe runs)' : 'Required'
+    },
+    replayWindow: `${config.replayWindowSeconds}s`,
     port: port,
     note: 'Make sure your server is accessible from the internet and uses HTTPS'
   };
@@ -451,11 +859,18 @@ module.exports = {
   getConfig,
   handleTelegramWebhook,
   handleDiscordWebhook,
+  handleWhatsAppWebhook,
   processVibeCommand,
+  routeWebhook,
   createWebhookHandler,
   getSetupInstructions,
   verifySignature,
   verifyTelegramWebhook,
+  verifyDiscordSignature,
+  checkReplay,
+  handleSlackCommand,
+  handleSlackEvent,
+  handleMatrixEvent,
   // Agent gateway (AIRC-verified agent communication)
   agentGateway
 };
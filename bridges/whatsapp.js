@@ -8,6 +8,7 @@
  */
 
 const config = require('../config');
+const { createAdapter, renderText } = require('./adapter');
 
 /**
  * Get WhatsApp credentials from config
@@ -19,6 +20,8 @@ function getCredentials() {
     phoneNumberId: cfg.whatsapp_phone_number_id || process.env.WHATSAPP_PHONE_NUMBER_ID || null,
     businessAccountId: cfg.whatsapp_business_account_id || process.env.WHATSAPP_BUSINESS_ACCOUNT_ID || null,
     webhookVerifyToken: cfg.whatsapp_webhook_verify_token || process.env.WHATSAPP_WEBHOOK_VERIFY_TOKEN || null,
+    // App secret from the Meta app dashboard; signs webhook deliveries (X-Hub-Signature-256)
+    appSecret: cfg.whatsapp_app_secret || process.env.WHATSAPP_APP_SECRET || null,
     vibeGroupId: cfg.whatsapp_vibe_group_id || process.env.WHATSAPP_VIBE_GROUP_ID || null
   };
 }
@@ -196,6 +199,9 @@ function processWebhookUpdate(body) {
 
 /**
  * Verify webhook signature for security
+ * @param {string|Buffer} payload - Raw request body, exactly as received
+ * @param {string} signature - X-Hub-Signature-256 header
+ * @param {string} secret - App secret
  */
 function verifyWebhookSignature(payload, signature, secret) {
   if (!secret) return true;
@@ -203,7 +209,9 @@ function verifyWebhookSignature(payload, signature, secret) {
   const crypto = require('crypto');
   const expectedSignature = crypto.createHmac('sha256', secret).update(payload).digest('hex');
 
-  return signature === `sha256=${expectedSignature}`;
+  const expected = Buffer.from(`sha256=${expectedSignature}`);
+  const given = Buffer.from(String(signature || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
 }
 
 /**
@@ -223,153 +231,42 @@ function verifyWebhook(mode, token, challenge) {
  * Parse /vibe commands from WhatsApp messages
  */
 function parseVibeCommand(text) {
-  const trimmed = text.trim();
-
-  // /status mood [note]
-  const statusMatch = trimmed.match(/^\/status\s+(\w+)(?:\s+(.+))?$/);
-  if (statusMatch) {
-    return {
-      command: 'status',
-      params: {
-        mood: statusMatch[1],
-        note: statusMatch[2] || null
-      }
-    };
-  }
-
-  // /who
-  if (trimmed === '/who') {
-    return { command: 'who' };
-  }
-
-  // /ship [message]
-  const shipMatch = trimmed.match(/^\/ship(?:\s+(.+))?$/);
-  if (shipMatch) {
-    return {
-      command: 'ship',
-      params: {
-        message: shipMatch[1] || null
-      }
-    };
-  }
-
-  // /vibe message
-  const vibeMatch = trimmed.match(/^\/vibe\s+(.+)$/);
-  if (vibeMatch) {
-    return {
-      command: 'vibe',
-      params: {
-        message: vibeMatch[1]
-      }
-    };
-  }
-
-  // /help
-  if (trimmed === '/help') {
-    return { command: 'help' };
-  }
-
-  return null;
+  return adapter.parseCommand(text);
 }
 
 /**
  * Send /vibe activity notification to WhatsApp
  */
 async function notifyActivity(to, activity) {
-  const { handle, action, context } = activity;
-
-  let text = `🔔 *@${handle}* ${action}`;
-  if (context) {
-    text += `\n_${context}_`;
-  }
-  text += '\n\n_From /vibe - slashvibe.dev_';
-
-  return sendMessage(to, text);
+  return adapter.send(to, adapter.render({ type: 'activity', ...activity }));
 }
 
 /**
  * Send /vibe status update to WhatsApp
  */
 async function notifyStatus(to, handle, mood, note) {
-  const moodEmoji = {
-    shipping: '🔥',
-    debugging: '🐛',
-    deep: '🧠',
-    afk: '☕',
-    celebrating: '🎉',
-    pairing: '👯'
-  };
-
-  const emoji = moodEmoji[mood] || '●';
-  let text = `${emoji} *@${handle}* is ${mood}`;
-
-  if (note) {
-    text += `\n"${note}"`;
-  }
-
-  text += '\n\n_From /vibe - slashvibe.dev_';
-
-  return sendMessage(to, text);
+  return adapter.send(to, adapter.render({ type: 'status', handle, mood, note }));
 }
 
 /**
  * Forward message from /vibe to WhatsApp
  */
 async function forwardFromVibe(to, handle, message, context = null) {
-  let text = `💭 *@${handle}*: ${message}`;
-
-  if (context) {
-    text += `\n_via ${context}_`;
-  }
-
-  text += '\n\n_From /vibe - slashvibe.dev_';
-
-  return sendMessage(to, text);
+  return adapter.send(to, adapter.render({ type: 'message', handle, message, context }));
 }
 
 /**
  * Send help message with available commands
  */
 async function sendHelpMessage(to) {
-  const helpText = `🤖 */vibe WhatsApp Bridge*
-
-*Available commands:*
-/status [mood] [note] - Update your /vibe status
-/who - See who's online in /vibe  
-/ship [message] - Announce completion
-/vibe [message] - Send message to /vibe
-/help - Show this help
-
-*Moods:* shipping, debugging, deep, afk, celebrating, pairing
-
-*Example:*
-/status shipping building the future
-/ship new feature complete!
-/vibe hello everyone
-
-_Connect at slashvibe.dev_`;
-
-  return sendMessage(to, helpText);
+  return adapter.send(to, adapter.render({ type: 'help' }));
 }
 
 /**
  * Send online users list to WhatsApp
  */
 async function sendOnlineList(to, users) {
-  if (users.length === 0) {
-    return sendMessage(to, '🤫 *Room is quiet...*\n\nNo one is currently active in /vibe.\n\n_slashvibe.dev_');
-  }
-
-  let text = `👥 *${users.length} online in /vibe*\n\n`;
-
-  users.forEach(user => {
-    const mood = user.mood ? ` (${user.mood})` : '';
-    text += `• *@${user.handle}*${mood}\n  ${user.one_liner || 'building'}\n\n`;
-  });
-
-  text += '_slashvibe.dev_';
-
-  return sendMessage(to, text);
+  return adapter.send(to, adapter.render({ type: 'online', users }));
 }
 
 /**
@@ -406,6 +303,7 @@ function getSetupInstructions() {
       '   - whatsapp_access_token',
       '   - whatsapp_phone_number_id',
       '   - whatsapp_webhook_verify_token (for webhook)',
+      '   - whatsapp_app_secret (verifies webhook signatures)',
       '   - whatsapp_vibe_group_id (optional)',
       '6. Set webhook URL in WhatsApp settings',
       '7. Verify phone number for production use'
@@ -420,6 +318,32 @@ function getSetupInstructions() {
   };
 }
 
+// ============ ADAPTER ============
+
+const adapter = createAdapter({
+  platform: 'whatsapp',
+  capabilities: { markdown: true, dm: true },
+  commands: { prefix: '/' },
+  // Cloud API: 80 messages a second per business number
+  rateLimit: { max: 80, windowMs: 1000 },
+  isConfigured,
+
+  // Business API messages are always one-to-one; only text carries commands
+  normalize(body) {
+    const message = processWebhookUpdate(body);
+    if (!message || message.type !== 'message') return null;
+    return { ...message, platform: 'whatsapp', type: 'dm', replyTo: message.from.phone };
+  },
+
+  render(activity) {
+    return renderText(activity, { footer: activity.type === 'text' ? null : 'From /vibe - slashvibe.dev' });
+  },
+
+  send(to, text) {
+    return sendMessage(to, text);
+  }
+});
+
 module.exports = {
   isConfigured,
   getCredentials,
@@ -437,5 +361,6 @@ module.exports = {
   sendHelpMessage,
   sendOnlineList,
   getAnalytics,
-  getSetupInstructions
+  getSetupInstructions,
+  adapter
 };
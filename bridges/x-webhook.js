@@ -12,6 +12,7 @@
 const crypto = require('crypto');
 const twitter = require('../twitter');
 const config = require('../config');
+const { createAdapter, renderText } = require('./adapter');
 
 /**
  * Get X webhook configuration
@@ -29,6 +30,9 @@ function getConfig() {
 
 /**
  * Verify X webhook signature
+ * @param {string|Buffer} body - Raw request body, exactly as received
+ * @param {string} signature - X-Twitter-Webhooks-Signature header
+ * @param {string} secret - Consumer secret
  */
 function verifyXSignature(body, signature, secret) {
   if (!secret) {
@@ -38,7 +42,9 @@ function verifyXSignature(body, signature, secret) {
 
   const expectedSignature = crypto.createHmac('sha256', secret).update(body).digest('base64');
 
-  return signature === `sha256=${expectedSignature}`;
+  const expected = Buffer.from(`sha256=${expectedSignature}`);
+  const given = Buffer.from(String(signature || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
 }
 
 /**
@@ -100,6 +106,52 @@ async function processWebhookEvent(event) {
   };
 }
 
+/**
+ * Format a tweet as a /vibe mention
+ */
+function toMentionMessage(tweet) {
+  return {
+    id: `x:${tweet.id_str}`,
+    type: 'mention',
+    platform: 'x',
+    from: {
+      id: tweet.user.id_str,
+      handle: tweet.user.screen_name,
+      name: tweet.user.name,
+      avatar: tweet.user.profile_image_url_https
+    },
+    content: tweet.text,
+    timestamp: new Date(tweet.created_at).toISOString(),
+    url: `https://twitter.com/${tweet.user.screen_name}/status/${tweet.id_str}`,
+    isReply: !!tweet.in_reply_to_status_id_str,
+    replyToId: tweet.in_reply_to_status_id_str,
+    // Mentions are public; answer by DM
+    replyTo: tweet.user.id_str,
+    raw: tweet
+  };
+}
+
+/**
+ * Format a direct message event for /vibe
+ */
+function toDMMessage(dm) {
+  return {
+    id: `x:dm:${dm.id}`,
+    type: 'dm',
+    platform: 'x',
+    from: {
+      id: dm.message_create.sender_id,
+      handle: 'unknown', // Would need to lookup user
+      name: 'Unknown User'
+    },
+    content: dm.message_create.message_data.text,
+    timestamp: new Date(parseInt(dm.created_timestamp)).toISOString(),
+    conversationId: dm.message_create.target.recipient_id,
+    replyTo: dm.message_create.sender_id,
+    raw: dm
+  };
+}
+
 /**
  * Process tweet creation (potential mention)
  */
@@ -122,27 +174,8 @@ async function processTweetEvent(tweet) {
 
     if (!isMention) return null;
 
-    // Format mention for /vibe
-    const mention = {
-      id: `x:${tweet.id_str}`,
-      type: 'mention',
-      platform: 'x',
-      from: {
-        id: tweet.user.id_str,
-        handle: tweet.user.screen_name,
-        name: tweet.user.name,
-        avatar: tweet.user.profile_image_url_https
-      },
-      content: tweet.text,
-      timestamp: new Date(tweet.created_at).toISOString(),
-      url: `https://twitter.com/${tweet.user.screen_name}/status/${tweet.id_str}`,
-      isReply: !!tweet.in_reply_to_status_id_str,
-      replyToId: tweet.in_reply_to_status_id_str,
-      raw: tweet
-    };
-
     // Forward to /vibe
-    await forwardMentionToVibe(mention);
+    await forwardMentionToVibe(toMentionMessage(tweet));
 
     return {
       type: 'mention',
@@ -169,24 +202,8 @@ async function processDMEvent(dm) {
 
     if (dm.message_create.sender_id === myUserId) return null;
 
-    // Format DM for /vibe
-    const message = {
-      id: `x:dm:${dm.id}`,
-      type: 'dm',
-      platform: 'x',
-      from: {
-        id: dm.message_create.sender_id,
-        handle: 'unknown', // Would need to lookup user
-        name: 'Unknown User'
-      },
-      content: dm.message_create.message_data.text,
-      timestamp: new Date(parseInt(dm.created_timestamp)).toISOString(),
-      conversationId: dm.message_create.target.recipient_id,
-      raw: dm
-    };
-
     // Forward to /vibe
-    await forwardDMToVibe(message);
+    await forwardDMToVibe(toDMMessage(dm));
 
     return {
       type: 'dm',
@@ -376,7 +393,8 @@ function createXWebhookHandler() {
         const config = getConfig();
         const signature = headers['x-twitter-webhooks-signature'];
 
-        if (!verifyXSignature(JSON.stringify(body), signature, config.webhookSecret)) {
+        // Re-serializing the parsed body won't reproduce the signed bytes; prefer the raw body
+        if (!verifyXSignature(req.rawBody || JSON.stringify(body), signature, config.webhookSecret)) {
           return res.status(401).json({ error: 'Invalid signature' });
         }
 
@@ -395,6 +413,32 @@ function createXWebhookHandler() {
   };
 }
 
+// ============ ADAPTER ============
+
+const adapter = createAdapter({
+  platform: 'x',
+  // No /vibe commands: account links don't cover X
+  capabilities: { dm: true },
+  // X meters DM sends per user in 15-minute windows
+  rateLimit: { max: 15, windowMs: 15 * 60 * 1000 },
+  isConfigured: () => twitter.isConfigured(),
+
+  // One event from a webhook delivery: a tweet (mention) or a direct message event
+  normalize(event) {
+    if (event?.message_create) return toDMMessage(event);
+    if (event?.id_str && event.user) return toMentionMessage(event);
+    return null;
+  },
+
+  render(activity) {
+    return renderText(activity, { markdown: false });
+  },
+
+  send(userId, text) {
+    return twitter.sendDM(userId, text);
+  }
+});
+
 module.exports = {
   getConfig,
   verifyXSignature,
@@ -402,5 +446,6 @@ module.exports = {
   processWebhookEvent,
   setupWebhook,
   getWebhookStatus,
-  createXWebhookHandler
+  createXWebhookHandler,
+  adapter
 };
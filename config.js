@@ -65,6 +65,11 @@ function save(config) {
     // AIRC keypair (persisted across sessions)
     publicKey: config.publicKey || existing.publicKey || null,
     privateKey: config.privateKey || existing.privateKey || null,
+    // E2E encryption keypair (X25519) and opt-in flag
+    encryptionKey: config.encryptionKey || existing.encryptionKey || null,
+    e2e_enabled: config.e2e_enabled !== undefined ? config.e2e_enabled : existing.e2e_enabled,
+    // Shared directory for team file reservations (instead of the API)
+    reservations_dir: config.reservations_dir || existing.reservations_dir || null,
     // Guided mode (AskUserQuestion menus)
     guided_mode: config.guided_mode !== undefined ? config.guided_mode : existing.guided_mode,
     // Notification level
@@ -206,6 +211,19 @@ function saveKeypair(keypair) {
   save(config);
 }
 
+// E2E encryption keypair (X25519) — separate from the signing keypair so it
+// survives the Privy migration, which removes the Ed25519 keys
+function getEncryptionKeypair() {
+  const config = load();
+  return config.encryptionKey?.publicKey && config.encryptionKey?.privateKey ? config.encryptionKey : null;
+}
+
+function saveEncryptionKeypair(keypair) {
+  const config = load();
+  config.encryptionKey = { publicKey: keypair.publicKey, privateKey: keypair.privateKey };
+  save(config);
+}
+
 function setAuthToken(token, sessionId = null) {
   const data = getSessionData() || {};
   saveSessionData({
@@ -330,6 +348,25 @@ function setNotifications(level) {
   save(config);
 }
 
+// E2E encryption for outgoing DMs
+// Default: false (opt-in; vibe_dm can also encrypt a single message)
+function getE2EEnabled() {
+  const config = load();
+  return config.e2e_enabled === true;
+}
+
+function setE2EEnabled(enabled) {
+  const config = load();
+  config.e2e_enabled = enabled;
+  save(config);
+}
+
+// Shared directory for team file reservations (e.g. a network drive)
+// Default: null — reservations are shared through the API
+function getReservationsDir() {
+  return process.env.VIBE_RESERVATIONS_DIR || load().reservations_dir || null;
+}
+
 // GitHub Activity settings
 // Shows shipping status based on GitHub commit activity
 // Default: false (opt-in for privacy)
@@ -414,12 +451,19 @@ module.exports = {
   getKeypair,
   hasKeypair,
   saveKeypair,
+  getEncryptionKeypair,
+  saveEncryptionKeypair,
   clearSession,
   generateSessionId,
   getGuidedMode,
   setGuidedMode,
   getNotifications,
   setNotifications,
+  // E2E encryption
+  getE2EEnabled,
+  setE2EEnabled,
+  // Shared reservations
+  getReservationsDir,
   // GitHub Activity settings
   getGithubActivityEnabled,
   setGithubActivityEnabled,
@@ -5,6 +5,12 @@
  * - Ed25519 keypairs (Node.js crypto)
  * - Canonical JSON serialization
  * - Base64 signature encoding
+ *
+ * Plus opt-in end-to-end encryption for DM bodies:
+ * - X25519 companion keypair, published next to the Ed25519 key
+ * - One random AES-256-GCM content key per message, wrapped per recipient
+ *   with X25519 + HKDF-SHA256 (the sender is a recipient too, so sent
+ *   messages can be read again, on this device only)
  */
 
 const crypto = require('crypto');
@@ -159,6 +165,37 @@ function createSignedMessage({ from, to, body, payload }, privateKeyBase64) {
   return message;
 }
 
+// Fields covered by the signature of a message from createSignedMessage
+const MESSAGE_FIELDS = ['v', 'id', 'from', 'to', 'timestamp', 'nonce', 'body', 'payload', 'signature'];
+
+/**
+ * Verify a signed AIRC message as delivered by the server
+ *
+ * Servers add their own fields (text, created_at, thread_id, ...); only the
+ * fields createSignedMessage signed are checked.
+ *
+ * @param {object} message Received message
+ * @param {string} publicKeyBase64 Sender's public key (SPKI DER)
+ * @returns {boolean} True if signature is valid
+ */
+function verifyMessage(message, publicKeyBase64) {
+  const signed = {};
+  for (const field of MESSAGE_FIELDS) {
+    if (message[field] !== undefined && message[field] !== null) signed[field] = message[field];
+  }
+  return verify(signed, publicKeyBase64);
+}
+
+/**
+ * Short human-comparable fingerprint of a public key
+ * @param {string} publicKeyBase64 Base64-encoded public key
+ * @returns {string} e.g. "3f2a 9c01 77be 4d10"
+ */
+function fingerprint(publicKeyBase64) {
+  const hash = crypto.createHash('sha256').update(Buffer.from(publicKeyBase64, 'base64')).digest('hex');
+  return hash.slice(0, 16).match(/.{4}/g).join(' ');
+}
+
 /**
  * Create a signed heartbeat
  *
@@ -183,6 +220,118 @@ function createSignedHeartbeat(handle, status, context, privateKeyBase64) {
   return heartbeat;
 }
 
+// ============ ENCRYPTION ============
+
+const E2E_VERSION = 1;
+const E2E_ALG = 'x25519-hkdf-sha256-aes-256-gcm';
+const HKDF_INFO = Buffer.from('airc-e2e-v1');
+
+/**
+ * Generate a new X25519 keypair for message encryption
+ * @returns {{ publicKey: string, privateKey: string }} Base64-encoded keys (SPKI / PKCS8 DER)
+ */
+function generateEncryptionKeypair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+
+  return {
+    publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64')
+  };
+}
+
+/**
+ * Encrypt a message for a set of recipients
+ *
+ * @param {object} content Plaintext to encrypt (serialized as JSON)
+ * @param {Object<string, string>} recipients Handle → Base64 X25519 public key (SPKI DER)
+ * @returns {object} Envelope: { type: 'e2e', v, alg, epk, iv, ct, keys }
+ */
+function encrypt(content, recipients) {
+  const contentKey = crypto.randomBytes(32);
+  const ephemeral = crypto.generateKeyPairSync('x25519');
+  const epk = ephemeral.publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+
+  const keys = {};
+  for (const [handle, publicKeyBase64] of Object.entries(recipients)) {
+    const kek = deriveKey(ephemeral.privateKey, importPublicKey(publicKeyBase64), epk, publicKeyBase64);
+    keys[handle] = seal(kek, contentKey).toString('base64');
+  }
+
+  const sealed = seal(contentKey, Buffer.from(JSON.stringify(content), 'utf8'));
+
+  return {
+    type: 'e2e',
+    v: E2E_VERSION,
+    alg: E2E_ALG,
+    epk,
+    ct: sealed.toString('base64'),
+    keys
+  };
+}
+
+/**
+ * Decrypt an envelope addressed to `handle`
+ *
+ * @param {object} envelope Envelope from encrypt()
+ * @param {string} handle Recipient handle
+ * @param {{ publicKey: string, privateKey: string }} keypair Recipient's X25519 keypair
+ * @returns {object|null} Plaintext content, or null if not addressed to us or tampered with
+ */
+function decrypt(envelope, handle, keypair) {
+  if (!isEncrypted(envelope) || !envelope.keys[handle]) return null;
+
+  try {
+    const privateKey = crypto.createPrivateKey({
+      key: Buffer.from(keypair.privateKey, 'base64'),
+      format: 'der',
+      type: 'pkcs8'
+    });
+    const kek = deriveKey(privateKey, importPublicKey(envelope.epk), envelope.epk, keypair.publicKey);
+    const contentKey = open(kek, Buffer.from(envelope.keys[handle], 'base64'));
+    return JSON.parse(open(contentKey, Buffer.from(envelope.ct, 'base64')).toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a payload is an encryption envelope
+ * @param {*} payload
+ * @returns {boolean}
+ */
+function isEncrypted(payload) {
+  return Boolean(payload && payload.type === 'e2e' && payload.v === E2E_VERSION && payload.ct && payload.keys);
+}
+
+function importPublicKey(publicKeyBase64) {
+  return crypto.createPublicKey({
+    key: Buffer.from(publicKeyBase64, 'base64'),
+    format: 'der',
+    type: 'spki'
+  });
+}
+
+// Both public keys go in the salt so a wrapped key is bound to this exchange
+function deriveKey(privateKey, publicKey, epk, recipientKey) {
+  const shared = crypto.diffieHellman({ privateKey, publicKey });
+  const salt = Buffer.from(epk + recipientKey, 'utf8');
+  return Buffer.from(crypto.hkdfSync('sha256', shared, salt, HKDF_INFO, 32));
+}
+
+// AES-256-GCM: iv (12) || ciphertext || tag (16)
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]);
+}
+
+function open(key, sealed) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, 12));
+  decipher.setAuthTag(sealed.subarray(sealed.length - 16));
+  return Buffer.concat([decipher.update(sealed.subarray(12, sealed.length - 16)), decipher.final()]);
+}
+
 module.exports = {
   generateKeypair,
   canonicalJSON,
@@ -191,5 +340,11 @@ module.exports = {
   generateNonce,
   generateMessageId,
   createSignedMessage,
-  createSignedHeartbeat
+  verifyMessage,
+  fingerprint,
+  createSignedHeartbeat,
+  generateEncryptionKeypair,
+  encrypt,
+  decrypt,
+  isEncrypted
 };
@@ -11,6 +11,16 @@ const config = require('./config');
 const store = require('./store');
 const prompts = require('./prompts');
 const NotificationEmitter = require('./notification-emitter');
+const { HttpTransport, DEFAULT_PORT, DEFAULT_HOST } = require('./lib/http-transport');
+const resources = require('./lib/resources');
+const mcpPrompts = require('./lib/prompts');
+const { formatDuration } = require('./tools/_shared');
+
+// MCP protocol revisions this server speaks (newest first)
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// How long shutdown waits for this session's reservations to be withdrawn
+const SHUTDOWN_GRACE_MS = 2000;
 
 /**
  * MCP Tool Safety Annotations
@@ -25,15 +35,18 @@ const NotificationEmitter = require('./notification-emitter');
  * Spec: https://modelcontextprotocol.io/docs/concepts/tools
  */
 const TOOL_ANNOTATIONS = {
-  // ── GTM: 9 tools (8 core + init) ────────────────────────────
+  // ── GTM: 12 tools (11 core + init) ──────────────────────────
   vibe_start:    { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
   vibe_init:     { readOnlyHint: false, destructiveHint: false, idempotentHint: true,  openWorldHint: true },
   vibe_who:      { readOnlyHint: true,  destructiveHint: false, idempotentHint: true,  openWorldHint: true },
   vibe_dm:       { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
-  vibe_inbox:    { readOnlyHint: true,  destructiveHint: false, idempotentHint: true,  openWorldHint: true },
+  vibe_inbox:    { readOnlyHint: false, destructiveHint: true,  idempotentHint: true,  openWorldHint: true },
   vibe_status:   { readOnlyHint: false, destructiveHint: false, idempotentHint: true,  openWorldHint: true },
   vibe_ship:     { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
   vibe_discover: { readOnlyHint: true,  destructiveHint: false, idempotentHint: true,  openWorldHint: true },
+  vibe_search:   { readOnlyHint: true,  destructiveHint: false, idempotentHint: true,  openWorldHint: true },
+  vibe_group:    { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
+  vibe_handoff:  { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
   vibe_help:     { readOnlyHint: true,  destructiveHint: false, idempotentHint: true,  openWorldHint: false },
 };
 
@@ -54,10 +67,13 @@ function inferPromptFromArgs(toolName, args) {
     case 'start': return 'start vibing';
     case 'who': return 'who is online';
     case 'dm': return `message ${handle} ${message}`.trim();
-    case 'inbox': return 'check inbox';
+    case 'inbox': return args.outbox ? `${args.outbox} failed messages` : 'check inbox';
     case 'status': return `set status to ${mood}`;
     case 'ship': return args.title ? `ship: ${args.title}` : 'ship';
     case 'discover': return `discover ${args.command || 'suggest'}`;
+    case 'search': return `search "${args.query || ''}" ${handle}`.trim();
+    case 'group': return `group ${args.action || 'list'} ${args.group || ''}`.trim();
+    case 'handoff': return args.to ? `hand off to @${args.to.replace('@', '')}` : `handoff ${args.action || 'list'}`;
     case 'help': return 'help';
     case 'init': return 'init identity';
     default: return `${action} ${handle}`.trim() || null;
@@ -86,6 +102,21 @@ function getBadgeSequence(onlineCount, unreadCount) {
   return `\x1b]1337;SetBadgeFormat=${encoded}\x07`;
 }
 
+// One line per teammate reservation the working tree overlaps (at most 3)
+function formatReservationWarnings(conflicts) {
+  const seen = new Set();
+  const lines = [];
+  for (const c of conflicts) {
+    if (seen.has(c.reservation_id)) continue;
+    seen.add(c.reservation_id);
+    const reason = c.reason ? ` — "${c.reason}"` : '';
+    const left = formatDuration(new Date(c.expires_ts).getTime() - Date.now());
+    lines.push(`\n⚠️ ${c.path} is reserved by @${c.owner}${reason} (${left} left)`);
+  }
+  if (lines.length > 3) lines.splice(3, lines.length - 3, `\n⚠️ …and ${lines.length - 3} more`);
+  return lines.join('');
+}
+
 // Generate ambient presence footer - the room leaks into every response
 async function getPresenceFooter() {
   try {
@@ -151,6 +182,9 @@ async function getPresenceFooter() {
       footer += '\n_room is quiet_';
     }
 
+    // Files we're changing that a teammate has reserved (checked on each heartbeat, not per tool call)
+    footer += formatReservationWarnings(presence.getWorkingTreeConflicts());
+
     footer += '\n────────────────────────────────────────';
 
     // Prepend escape sequences (invisible to user, interpreted by terminal)
@@ -161,7 +195,7 @@ async function getPresenceFooter() {
   }
 }
 
-// Load GTM tools (8 core + init)
+// Load GTM tools (11 core + init)
 const tools = {
   vibe_start: require('./tools/start'),
   vibe_init: require('./tools/init'),
@@ -171,6 +205,9 @@ const tools = {
   vibe_status: require('./tools/status'),
   vibe_ship: require('./tools/ship'),
   vibe_discover: require('./tools/discover'),
+  vibe_search: require('./tools/search'),
+  vibe_group: require('./tools/group'),
+  vibe_handoff: require('./tools/handoff'),
   vibe_help: require('./tools/help'),
 };
 
@@ -185,6 +222,12 @@ class VibeMCPServer {
     // Make notifier globally accessible for tools and store layer
     global.vibeNotifier = this.notifier;
 
+    // Active HTTP transport (null when serving stdio)
+    this.httpTransport = null;
+
+    // Stdio has exactly one client, so one implicit session
+    this.stdioSession = { id: 'stdio', subscriptions: new Set() };
+
     // Start presence heartbeat
     presence.start();
   }
@@ -194,26 +237,64 @@ class VibeMCPServer {
    * Called by NotificationEmitter to push list_changed events
    */
   notification(payload) {
-    // Send notification via stdout (MCP protocol)
     const notification = {
       jsonrpc: '2.0',
       method: payload.method,
       params: payload.params || {}
     };
-    process.stdout.write(JSON.stringify(notification) + '\n');
+
+    // resources/updated only goes to sessions subscribed to that URI
+    if (payload.method === 'notifications/resources/updated') {
+      const uri = notification.params.uri;
+      for (const session of this.getSessions()) {
+        if (session.subscriptions?.has(uri)) this.deliver(session, notification);
+      }
+      return;
+    }
+
+    for (const session of this.getSessions()) {
+      this.deliver(session, notification);
+    }
+  }
+
+  getSessions() {
+    return this.httpTransport ? [...this.httpTransport.sessions.values()] : [this.stdioSession];
+  }
+
+  deliver(session, message) {
+    if (this.httpTransport) {
+      // HTTP mode: push down that session's SSE stream
+      this.httpTransport.sendToSession(session.id, message);
+    } else {
+      // Stdio mode: write to stdout (MCP protocol)
+      process.stdout.write(JSON.stringify(message) + '\n');
+    }
   }
 
-  async handleRequest(request) {
+  /**
+   * Dispatch a JSON-RPC request
+   * @param {object} request - JSON-RPC message
+   * @param {object} [context] - Transport context ({ session } over HTTP)
+   */
+  async handleRequest(request, context = {}) {
     const { method, params, id } = request;
+    const session = context.session || this.stdioSession;
 
     switch (method) {
-      case 'initialize':
+      case 'initialize': {
+        const requested = params?.protocolVersion;
         return {
           jsonrpc: '2.0',
           id,
           result: {
-            protocolVersion: '2024-11-05',
-            capabilities: { tools: {} },
+            protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+              ? requested
+              : SUPPORTED_PROTOCOL_VERSIONS[0],
+            capabilities: {
+              tools: {},
+              resources: { subscribe: true, listChanged: true },
+              prompts: {}
+            },
             serverInfo: {
               name: 'vibe',
               version: '1.0.0',
@@ -221,6 +302,7 @@ class VibeMCPServer {
             }
           }
         };
+      }
 
       case 'notifications/initialized':
         // Client confirms it's ready — no response needed for notifications
@@ -241,6 +323,76 @@ class VibeMCPServer {
           }
         };
 
+      case 'resources/list':
+        return {
+          jsonrpc: '2.0',
+          id,
+          result: { resources: await resources.listResources() }
+        };
+
+      case 'resources/templates/list':
+        return {
+          jsonrpc: '2.0',
+          id,
+          result: { resourceTemplates: resources.listResourceTemplates() }
+        };
+
+      case 'resources/read':
+        try {
+          return {
+            jsonrpc: '2.0',
+            id,
+            result: await resources.readResource(params?.uri)
+          };
+        } catch (e) {
+          return {
+            jsonrpc: '2.0',
+            id,
+            error: { code: e.code || -32603, message: e.message }
+          };
+        }
+
+      case 'prompts/list':
+        return {
+          jsonrpc: '2.0',
+          id,
+          result: { prompts: mcpPrompts.listPrompts() }
+        };
+
+      case 'prompts/get':
+        try {
+          return {
+            jsonrpc: '2.0',
+            id,
+            result: await mcpPrompts.getPrompt(params?.name, params?.arguments || {})
+          };
+        } catch (e) {
+          return {
+            jsonrpc: '2.0',
+            id,
+            error: { code: e.code || -32603, message: e.message }
+          };
+        }
+
+      case 'resources/subscribe':
+      case 'resources/unsubscribe': {
+        const uri = params?.uri;
+        if (!resources.parseUri(uri)) {
+          return {
+            jsonrpc: '2.0',
+            id,
+            error: { code: resources.RESOURCE_NOT_FOUND, message: `Resource not found: ${uri}` }
+          };
+        }
+        if (!session.subscriptions) session.subscriptions = new Set();
+        if (method === 'resources/subscribe') {
+          session.subscriptions.add(uri);
+        } else {
+          session.subscriptions.delete(uri);
+        }
+        return { jsonrpc: '2.0', id, result: {} };
+      }
+
       case 'tools/call':
         const tool = tools[params.name];
         if (!tool) {
@@ -266,11 +418,9 @@ class VibeMCPServer {
 
           const result = await tool.handler(args);
 
-          // Emit list_changed notification for state-changing tools
-          // This triggers Claude to refresh without reconnection
-          const stateChangingTools = [
-            'vibe_dm', 'vibe_status', 'vibe_ship'
-          ];
+          // Emit resources/list_changed for tools that can add resources (a DM may open a new thread)
+          // Thread-level resources/updated is emitted by the store when the message lands
+          const stateChangingTools = ['vibe_dm'];
           if (stateChangingTools.includes(params.name)) {
             // Debounced notification (prevents spam)
             global.vibeNotifier?.emitChange(params.name);
@@ -365,12 +515,7 @@ class VibeMCPServer {
       }
     });
 
-    const shutdown = () => {
-      presence.stop();
-      if (global.vibeNotifier) global.vibeNotifier.cancelAll();
-      try { require('./store/sqlite').close(); } catch (e) {}
-      process.exit(0);
-    };
+    const shutdown = () => this.shutdown();
 
     process.stdin.on('end', shutdown);
     process.on('SIGINT', shutdown);
@@ -386,6 +531,38 @@ class VibeMCPServer {
     this.checkForUpdates();
   }
 
+  /**
+   * Serve MCP over Streamable HTTP (POST + SSE) instead of stdio
+   * One daemon, one heartbeat, one SQLite handle — shared by every editor.
+   */
+  async startHttp({ port = DEFAULT_PORT, host = DEFAULT_HOST } = {}) {
+    this.httpTransport = new HttpTransport({
+      handleRequest: (request, context) => this.handleRequest(request, context)
+    });
+
+    const { url } = await this.httpTransport.listen(port, host);
+
+    const shutdown = () => this.shutdown();
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    process.stderr.write(`\n/vibe ready — serving MCP at ${url}\n`);
+    process.stderr.write('Point each editor at this URL (transport: streamable HTTP).\n\n');
+
+    this.checkForUpdates();
+  }
+
+  async shutdown() {
+    // Give released reservations a moment to be withdrawn from teammates' view
+    await Promise.race([presence.stop(), new Promise(resolve => setTimeout(resolve, SHUTDOWN_GRACE_MS))]);
+    if (global.vibeNotifier) global.vibeNotifier.cancelAll();
+    if (this.httpTransport) {
+      try { await this.httpTransport.close(); } catch (e) {}
+    }
+    try { require('./store/sqlite').close(); } catch (e) {}
+    process.exit(0);
+  }
+
   async checkForUpdates() {
     try {
       const { checkForUpdates, formatUpdateNotification } = await import('./auto-update.js');
@@ -412,6 +589,19 @@ if (args[0] === '--help' || args[0] === '-h') {
   console.log('Usage: slashvibe-mcp [command]\n');
   console.log('Commands:');
   console.log('  install     Configure /vibe in your editors');
+  console.log('  serve       Start the MCP server (stdio by default)');
+  console.log('    --http          Serve Streamable HTTP + SSE instead of stdio');
+  console.log(`    --port <port>   HTTP port (default: ${DEFAULT_PORT})`);
+  console.log(`    --host <host>   HTTP bind address (default: ${DEFAULT_HOST})`);
+  console.log("  trust @handle  Accept someone's new signing or encryption key after confirming it with them");
+  console.log('  hooks install   Warn on commits/pushes touching files teammates reserved');
+  console.log('    --block         Stop them instead (skip with --no-verify)');
+  console.log('  hooks uninstall Remove the git hooks');
+  console.log('  reservations    List, renew, release or transfer your file reservations');
+  console.log('  protocol schemas  Print the payload JSON Schemas for third-party agents');
+  console.log('  dev-server  Run a local stand-in for the slashvibe.dev API (offline development)');
+  console.log('    --port <port>   Port (default: 3030)');
+  console.log('    --db <path>     SQLite file (default: ~/.vibe/dev-server.db)');
   console.log('  --version   Show version');
   console.log('  --help      Show this help\n');
   console.log('When run without arguments, starts the MCP server (stdio).');
@@ -420,6 +610,69 @@ if (args[0] === '--help' || args[0] === '-h') {
 if (args[0] === 'install') {
   require('./scripts/install-editors');
   // install-editors handles its own exit
+} else if (args[0] === 'trust') {
+  // Re-pin someone's signing and encryption keys — a deliberate human step, never done by a tool
+  const crypto = require('./crypto');
+  const keys = require('./store/keys');
+  const handle = (args[1] || '').toLowerCase().replace(/^@/, '');
+  if (!handle) {
+    console.error('Usage: slashvibe-mcp trust @handle');
+    process.exit(1);
+  }
+  keys
+    .trustPublishedKey(require('./store'), handle)
+    .then(result => {
+      if (!result.success) {
+        console.error(`Could not trust @${handle}: ${result.error}`);
+        process.exit(1);
+      }
+      if (result.current) {
+        const was = result.previous ? crypto.fingerprint(result.previous) : 'none';
+        console.log(`Pinned @${handle}'s signing key ${crypto.fingerprint(result.current)} (was: ${was})`);
+      }
+      if (result.encryptionKey) {
+        console.log(`Pinned @${handle}'s encryption key ${crypto.fingerprint(result.encryptionKey)}`);
+      }
+      process.exit(0);
+    })
+    .catch(e => {
+      console.error(`Could not trust @${handle}: ${e.message}`);
+      process.exit(1);
+    });
+} else if (args[0] === 'hooks') {
+  // Git hooks that check file reservations at commit/push time
+  require('./lib/git-hooks')
+    .main(args.slice(1))
+    .then(code => process.exit(code));
+} else if (args[0] === 'reservations') {
+  require('./lib/reservations-cli')
+    .main(args.slice(1))
+    .then(code => process.exit(code));
+} else if (args[0] === 'protocol' && args[1] === 'schemas') {
+  // One JSON Schema document covering every payload type and version
+  console.log(JSON.stringify(require('./protocol').exportSchemas(), null, 2));
+  process.exit(0);
+} else if (args[0] === 'dev-server') {
+  // Point other instances at it with VIBE_API_URL
+  require('./lib/dev-server')
+    .main(args.slice(1))
+    .then(code => process.exit(code));
+} else if (args[0] === 'serve' && args.includes('--http')) {
+  // Long-lived daemon shared by multiple editors
+  const flag = name => {
+    const i = args.indexOf(name);
+    return i !== -1 ? args[i + 1] : undefined;
+  };
+  const server = new VibeMCPServer();
+  server
+    .startHttp({
+      port: parseInt(flag('--port') || process.env.VIBE_HTTP_PORT || DEFAULT_PORT, 10),
+      host: flag('--host') || process.env.VIBE_HTTP_HOST || DEFAULT_HOST
+    })
+    .catch(e => {
+      process.stderr.write(`Failed to start HTTP server: ${e.message}\n`);
+      process.exit(1);
+    });
 } else {
   // Start MCP server
   const server = new VibeMCPServer();
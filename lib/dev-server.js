@@ -0,0 +1,998 @@
+/**
+ * Dev Server — Local stand-in for the slashvibe.dev API
+ *
+ * Implements the endpoints store/api.js (and tools/ship.js, notify.js) call,
+ * backed by SQLite, so several local MCP instances can message each other
+ * offline and tests can run the real API client end to end:
+ *
+ *   slashvibe-mcp dev-server --port 3030
+ *   VIBE_API_URL=http://127.0.0.1:3030 npx slashvibe-mcp
+ *
+ * Covers presence (v1 + v2), users and published keys, messages (DMs, groups,
+ * sync, read receipts, idempotency keys), groups, reservations, account
+ * links, consent, follows, the board, artifacts, invites, reports and stats.
+ * Live broadcasts are always empty.
+ *
+ * There is no real authentication: registering returns a token that names
+ * the handle, and requests that name a user are taken at their word. Bind it
+ * to localhost only.
+ */
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const { createHash, randomBytes, randomUUID } = require('crypto');
+
+const DEFAULT_PORT = 3030;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 1024 * 1024;
+const ACTIVE_MS = 5 * 60 * 1000;
+const RECENT_MS = 24 * 60 * 60 * 1000;
+const LINK_CODE_TTL_MS = 10 * 60 * 1000;
+// Same shape as store/account-links.js codes
+const LINK_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const TYPING_MS = 5 * 1000;
+const SYNC_PAGE = 100;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS users (
+    handle TEXT PRIMARY KEY,
+    building TEXT,
+    public_key TEXT,
+    encryption_key TEXT,
+    encryption_key_signature TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS sessions (
+    token TEXT PRIMARY KEY,
+    handle TEXT NOT NULL,
+    session_id TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS presence (
+    handle TEXT PRIMARY KEY,
+    working_on TEXT,
+    source TEXT,
+    context TEXT,
+    typing_to TEXT,
+    typing_at INTEGER,
+    first_seen TEXT NOT NULL,
+    last_seen TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS messages (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT UNIQUE NOT NULL,
+    thread_id TEXT NOT NULL,
+    thread_type TEXT NOT NULL DEFAULT 'dm',
+    from_handle TEXT NOT NULL,
+    to_handle TEXT NOT NULL,
+    body TEXT,
+    payload TEXT,
+    signed TEXT,
+    idempotency_key TEXT,
+    created_at TEXT NOT NULL,
+    read_at TEXT
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_dev_messages_key ON messages(from_handle, idempotency_key);
+  CREATE INDEX IF NOT EXISTS idx_dev_messages_thread ON messages(thread_id, seq);
+  CREATE TABLE IF NOT EXISTS groups (
+    thread_id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    created_by TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS group_members (
+    thread_id TEXT NOT NULL,
+    handle TEXT NOT NULL,
+    joined_at TEXT NOT NULL,
+    last_read_at TEXT,
+    PRIMARY KEY (thread_id, handle)
+  );
+  CREATE TABLE IF NOT EXISTS link_codes (
+    hash TEXT PRIMARY KEY,
+    handle TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS account_links (
+    platform TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    username TEXT,
+    handle TEXT NOT NULL,
+    linked_at TEXT NOT NULL,
+    PRIMARY KEY (platform, user_id)
+  );
+  CREATE TABLE IF NOT EXISTS reservations (
+    reservation_id TEXT PRIMARY KEY,
+    scope TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS consent (
+    from_handle TEXT NOT NULL,
+    to_handle TEXT NOT NULL,
+    status TEXT NOT NULL,
+    message TEXT,
+    requested_at TEXT NOT NULL,
+    PRIMARY KEY (from_handle, to_handle)
+  );
+  CREATE TABLE IF NOT EXISTS follows (
+    follower TEXT NOT NULL,
+    following TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (follower, following)
+  );
+  CREATE TABLE IF NOT EXISTS board (
+    id TEXT PRIMARY KEY,
+    author TEXT NOT NULL,
+    content TEXT NOT NULL,
+    category TEXT,
+    tags TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS artifacts (
+    id TEXT PRIMARY KEY,
+    slug TEXT UNIQUE NOT NULL,
+    created_by TEXT,
+    data TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS invites (
+    code TEXT PRIMARY KEY,
+    handle TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS reports (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+`;
+
+// ============ HELPERS ============
+
+function now() {
+  return new Date().toISOString();
+}
+
+function newLinkCode() {
+  const raw = Array.from(randomBytes(8), b => LINK_CODE_ALPHABET[b % LINK_CODE_ALPHABET.length]).join('');
+  return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+}
+
+function hashLinkCode(code) {
+  const normalized = String(code || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+  return createHash('sha256').update(normalized).digest('hex');
+}
+
+function newId(prefix) {
+  return `${prefix}_${randomBytes(8).toString('hex')}`;
+}
+
+function handleOf(value) {
+  return value ? String(value).replace(/^@/, '').toLowerCase() : null;
+}
+
+function parseJson(value, fallback = null) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function dmThreadId(a, b) {
+  return `dm_${[a, b].sort().join('_')}`;
+}
+
+// Thrown by handlers to answer with an error status
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'payload_too_large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw) return resolve({});
+      try {
+        resolve(JSON.parse(raw));
+      } catch (e) {
+        reject(new HttpError(400, 'invalid_json'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// ============ SERVER ============
+
+/**
+ * Create a dev server (not yet listening)
+ * @param {object} [options]
+ * @param {string} [options.dbPath] - SQLite file, or ':memory:' (default)
+ * @returns {{server: object, db: object, listen: function(number=, string=): Promise<string>, close: function(): Promise<void>}}
+ */
+function createDevServer({ dbPath = ':memory:' } = {}) {
+  const Database = require('better-sqlite3');
+  if (dbPath !== ':memory:') fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  // Databases from before encryption keys were signed
+  const userColumns = db.prepare('PRAGMA table_info(users)').all();
+  if (!userColumns.some(c => c.name === 'encryption_key_signature')) {
+    db.exec('ALTER TABLE users ADD COLUMN encryption_key_signature TEXT');
+  }
+
+  // ---- identity ----
+
+  function tokenHandle(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (!match) return null;
+    const row = db.prepare('SELECT handle FROM sessions WHERE token = ?').get(match[1]);
+    return row ? row.handle : null;
+  }
+
+  // The user a request acts for: named in the request, else the token's
+  function actor(req, ...named) {
+    const handle = handleOf(named.find(Boolean)) || tokenHandle(req);
+    if (!handle) throw new HttpError(401, 'Authentication required');
+    return handle;
+  }
+
+  function upsertUser(handle, { building, publicKey, encryptionKey, encryptionKeySignature } = {}) {
+    db.prepare(
+      `INSERT INTO users (handle, building, public_key, encryption_key, encryption_key_signature, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(handle) DO UPDATE SET
+         building = COALESCE(excluded.building, building),
+         public_key = COALESCE(excluded.public_key, public_key),
+         encryption_key = COALESCE(excluded.encryption_key, encryption_key),
+         encryption_key_signature = CASE WHEN excluded.encryption_key IS NULL
+           THEN encryption_key_signature ELSE excluded.encryption_key_signature END`
+    ).run(handle, building || null, publicKey || null, encryptionKey || null, encryptionKeySignature || null, now());
+  }
+
+  // ---- presence ----
+
+  function touchPresence(handle, fields = {}) {
+    const at = now();
+    const existing = db.prepare('SELECT * FROM presence WHERE handle = ?').get(handle);
+    const context = { ...parseJson(existing && existing.context, {}), ...fields.context };
+    db.prepare(
+      `INSERT INTO presence (handle, working_on, source, context, first_seen, last_seen) VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(handle) DO UPDATE SET
+         working_on = COALESCE(excluded.working_on, working_on),
+         source = COALESCE(excluded.source, source),
+         context = excluded.context,
+         last_seen = excluded.last_seen`
+    ).run(handle, fields.workingOn || null, fields.source || null, JSON.stringify(context), at, at);
+  }
+
+  function presenceUser(row) {
+    const context = parseJson(row.context, {});
+    const away = Boolean(context.awayMessage);
+    return {
+      handle: row.handle,
+      username: row.handle,
+      workingOn: row.working_on,
+      lastSeen: row.last_seen,
+      firstSeen: row.first_seen,
+      status: away ? 'away' : 'active',
+      mood: context.mood || null,
+      context,
+      sources: row.source ? [row.source] : null
+    };
+  }
+
+  function listPresence(includeRecent) {
+    const cutoff = Date.now() - ACTIVE_MS;
+    const active = [];
+    const away = [];
+    const recent = [];
+    for (const row of db.prepare('SELECT * FROM presence ORDER BY last_seen DESC').all()) {
+      const seen = new Date(row.last_seen).getTime();
+      const user = presenceUser(row);
+      if (seen >= cutoff) (user.status === 'away' ? away : active).push(user);
+      else if (seen >= Date.now() - RECENT_MS) recent.push(user);
+    }
+    return includeRecent ? { success: true, active, away, recent } : { success: true, active, away };
+  }
+
+  // ---- messages ----
+
+  const messageColumns =
+    'id, thread_id, thread_type, from_handle, to_handle, body, payload, signed, created_at, read_at';
+
+  function toMessage(row) {
+    return {
+      id: row.id,
+      thread_id: row.thread_id,
+      thread_type: row.thread_type,
+      from: row.from_handle,
+      to: row.to_handle,
+      body: row.body,
+      text: row.body,
+      payload: parseJson(row.payload),
+      created_at: row.created_at,
+      read_at: row.read_at,
+      idempotencyKey: row.idempotency_key || undefined,
+      // Echo the signed envelope as sent so recipients can verify it (crypto.verifyMessage)
+      ...parseJson(row.signed, {})
+    };
+  }
+
+  function groupView(threadId) {
+    const group = db.prepare('SELECT * FROM groups WHERE thread_id = ?').get(threadId);
+    if (!group) return null;
+    const members = db
+      .prepare('SELECT handle, joined_at, last_read_at FROM group_members WHERE thread_id = ? ORDER BY joined_at')
+      .all(threadId);
+    return { ...group, id: group.thread_id, members };
+  }
+
+  function isMember(threadId, handle) {
+    return Boolean(db.prepare('SELECT 1 FROM group_members WHERE thread_id = ? AND handle = ?').get(threadId, handle));
+  }
+
+  function sendMessage(req, data) {
+    const from = actor(req, data.from, data.username);
+    const to = data.to ? String(data.to) : null;
+    if (!to) throw new HttpError(400, 'to required');
+
+    const key = req.headers['idempotency-key'] || data.idempotencyKey || null;
+    if (key) {
+      const existing = db
+        .prepare(
+          `SELECT ${messageColumns}, idempotency_key FROM messages WHERE from_handle = ? AND idempotency_key = ?`
+        )
+        .get(from, key);
+      if (existing) return { success: true, duplicate: true, message: toMessage(existing) };
+    }
+
+    let threadId;
+    let threadType = 'dm';
+    let toHandle;
+    if (to.startsWith('#') || data.thread_id) {
+      threadId = data.thread_id || to.slice(1);
+      threadType = 'group';
+      toHandle = to;
+      if (!isMember(threadId, from)) throw new HttpError(403, 'not_a_member');
+    } else {
+      toHandle = handleOf(to);
+      const consent = db
+        .prepare('SELECT status FROM consent WHERE from_handle = ? AND to_handle = ?')
+        .get(from, toHandle);
+      if (consent && consent.status === 'blocked') throw new HttpError(403, 'blocked');
+      if (!consent) {
+        db.prepare(
+          'INSERT INTO consent (from_handle, to_handle, status, message, requested_at) VALUES (?, ?, ?, ?, ?)'
+        ).run(from, toHandle, 'pending', data.body || data.text || null, now());
+      }
+      threadId = dmThreadId(from, toHandle);
+    }
+
+    // Keep what the sender signed, so it reaches the recipient intact
+    const signed = data.signature
+      ? JSON.stringify({
+          v: data.v,
+          from: data.from,
+          to: data.to,
+          timestamp: data.timestamp,
+          nonce: data.nonce,
+          signature: data.signature
+        })
+      : null;
+    const row = {
+      id: data.signature && data.id ? data.id : newId('msg'),
+      thread_id: threadId,
+      thread_type: threadType,
+      from_handle: from,
+      to_handle: toHandle,
+      body: data.body || data.text || null,
+      payload: data.payload ? JSON.stringify(data.payload) : null,
+      signed,
+      idempotency_key: key,
+      created_at: data.createdAt || now(),
+      read_at: null
+    };
+    db.prepare(
+      `INSERT INTO messages (id, thread_id, thread_type, from_handle, to_handle, body, payload, signed, idempotency_key, created_at)
+       VALUES (@id, @thread_id, @thread_type, @from_handle, @to_handle, @body, @payload, @signed, @idempotency_key, @created_at)`
+    ).run(row);
+    return { success: true, message: toMessage(row) };
+  }
+
+  function markRead(handle, receipts) {
+    const update = db.prepare('UPDATE messages SET read_at = ? WHERE id = ? AND to_handle = ? AND read_at IS NULL');
+    let updated = 0;
+    for (const r of receipts || []) updated += update.run(r.read_at || now(), r.id, handle).changes;
+    return { success: true, updated };
+  }
+
+  function inbox(handle) {
+    const rows = db
+      .prepare(
+        `SELECT ${messageColumns}, idempotency_key FROM messages WHERE thread_type = 'dm' AND (from_handle = ? OR to_handle = ?) ORDER BY seq`
+      )
+      .all(handle, handle);
+
+    const threads = new Map();
+    const unreadMessages = [];
+    for (const row of rows) {
+      const partner = row.from_handle === handle ? row.to_handle : row.from_handle;
+      const thread = threads.get(row.thread_id) || { id: row.thread_id, with: partner, unread: 0, last_message: null };
+      thread.last_message = toMessage(row);
+      if (row.to_handle === handle && !row.read_at) {
+        thread.unread++;
+        unreadMessages.push(toMessage(row));
+      }
+      threads.set(row.thread_id, thread);
+    }
+
+    const bySender = {};
+    for (const m of unreadMessages) bySender[m.from] = (bySender[m.from] || 0) + 1;
+    const sorted = [...threads.values()].sort((a, b) =>
+      b.last_message.created_at.localeCompare(a.last_message.created_at)
+    );
+    return { success: true, threads: sorted, inbox: unreadMessages, unread: unreadMessages.length, bySender };
+  }
+
+  // Fetching a thread marks it read, like the real API
+  function thread(handle, partner) {
+    const threadId = dmThreadId(handle, handleOf(partner));
+    db.prepare('UPDATE messages SET read_at = ? WHERE thread_id = ? AND to_handle = ? AND read_at IS NULL').run(
+      now(),
+      threadId,
+      handle
+    );
+    const rows = db
+      .prepare(`SELECT ${messageColumns}, idempotency_key FROM messages WHERE thread_id = ? ORDER BY seq`)
+      .all(threadId);
+    return { success: true, messages: rows.map(toMessage) };
+  }
+
+  function groupThread(handle, threadId) {
+    if (!isMember(threadId, handle)) throw new HttpError(403, 'not_a_member');
+    db.prepare('UPDATE group_members SET last_read_at = ? WHERE thread_id = ? AND handle = ?').run(
+      now(),
+      threadId,
+      handle
+    );
+    const rows = db
+      .prepare(`SELECT ${messageColumns}, idempotency_key FROM messages WHERE thread_id = ? ORDER BY seq`)
+      .all(threadId);
+    return { success: true, group: groupView(threadId), messages: rows.map(toMessage) };
+  }
+
+  // Cursor is the last message's sequence number
+  function syncMessages(handle, since) {
+    const after = parseInt(since, 10) || 0;
+    const rows = db
+      .prepare(
+        `SELECT seq, ${messageColumns}, idempotency_key FROM messages
+         WHERE seq > ? AND (from_handle = ? OR to_handle = ?
+           OR thread_id IN (SELECT thread_id FROM group_members WHERE handle = ?))
+         ORDER BY seq LIMIT ?`
+      )
+      .all(after, handle, handle, handle, SYNC_PAGE + 1);
+    const page = rows.slice(0, SYNC_PAGE);
+    return {
+      success: true,
+      messages: page.map(toMessage),
+      cursor: page.length ? String(page[page.length - 1].seq) : since || null,
+      hasMore: rows.length > SYNC_PAGE
+    };
+  }
+
+  // ---- groups ----
+
+  function groups(data) {
+    const handle = handleOf(data.user);
+    if (!handle) throw new HttpError(400, 'user required');
+    const members = (data.members || []).map(handleOf).filter(Boolean);
+    const addMember = db.prepare('INSERT OR IGNORE INTO group_members (thread_id, handle, joined_at) VALUES (?, ?, ?)');
+
+    if (data.action === 'create') {
+      if (!data.name) throw new HttpError(400, 'name required');
+      const threadId = newId('grp');
+      db.prepare('INSERT INTO groups (thread_id, name, created_by, created_at) VALUES (?, ?, ?, ?)').run(
+        threadId,
+        data.name,
+        handle,
+        now()
+      );
+      for (const member of new Set([handle, ...members])) addMember.run(threadId, member, now());
+      return { success: true, group: groupView(threadId) };
+    }
+
+    const threadId = data.thread_id;
+    if (!groupView(threadId)) throw new HttpError(404, 'group_not_found');
+    if (!isMember(threadId, handle)) throw new HttpError(403, 'not_a_member');
+
+    if (data.action === 'add') {
+      for (const member of members) addMember.run(threadId, member, now());
+      return { success: true, group: groupView(threadId) };
+    }
+    if (data.action === 'remove' || data.action === 'leave') {
+      const leaving = data.action === 'leave' ? [handle] : members;
+      const remove = db.prepare('DELETE FROM group_members WHERE thread_id = ? AND handle = ?');
+      for (const member of leaving) remove.run(threadId, member);
+      return { success: true, group: groupView(threadId) };
+    }
+    throw new HttpError(400, 'unknown action');
+  }
+
+  function listGroups(handle) {
+    const ids = db.prepare('SELECT thread_id FROM group_members WHERE handle = ?').all(handle);
+    const lastMessage = db.prepare(
+      `SELECT ${messageColumns}, idempotency_key FROM messages WHERE thread_id = ? ORDER BY seq DESC LIMIT 1`
+    );
+    return {
+      success: true,
+      groups: ids.map(({ thread_id }) => {
+        const last = lastMessage.get(thread_id);
+        return { ...groupView(thread_id), last_message: last ? toMessage(last) : null };
+      })
+    };
+  }
+
+  // ---- everything else ----
+
+  function follows(column, handle) {
+    const other = column === 'follower' ? 'following' : 'follower';
+    const rows = db.prepare(`SELECT ${other} AS handle, created_at FROM follows WHERE ${column} = ?`).all(handle);
+    return rows;
+  }
+
+  /** @param {Object<string, string>} query - scope (mine | for-me | network), handle, limit */
+  function listArtifacts({ scope, handle, limit }) {
+    const max = Math.min(parseInt(limit, 10) || 10, 100);
+    const all = db
+      .prepare('SELECT data FROM artifacts ORDER BY created_at DESC')
+      .all()
+      .map(r => JSON.parse(r.data));
+    const who = handleOf(handle);
+    const matching = all.filter(a => {
+      if (scope === 'mine') return a.created_by === who;
+      if (scope === 'for-me') return a.created_for === who || (a.audience || []).includes(who);
+      return a.visibility === 'public' || a.visibility === 'network';
+    });
+    return { success: true, artifacts: matching.slice(0, max), total: matching.length };
+  }
+
+  // ---- routing ----
+
+  async function route(req, url, data) {
+    const q = Object.fromEntries(url.searchParams);
+    const method = req.method;
+    const route = `${method} ${url.pathname}`;
+
+    if (method === 'GET' && url.pathname.startsWith('/api/artifacts/')) {
+      const slug = decodeURIComponent(url.pathname.slice('/api/artifacts/'.length));
+      const row = db.prepare('SELECT data FROM artifacts WHERE slug = ? OR id = ?').get(slug, slug);
+      if (!row) throw new HttpError(404, 'Not found');
+      return { success: true, artifact: JSON.parse(row.data) };
+    }
+
+    switch (route) {
+      // Presence
+      case 'POST /api/presence': {
+        if (data.action === 'register') {
+          const handle = handleOf(data.username);
+          if (!handle) throw new HttpError(400, 'username required');
+          upsertUser(handle, data);
+          touchPresence(handle);
+          const token = `dev_${randomBytes(16).toString('hex')}`;
+          const sessionId = randomUUID();
+          db.prepare('INSERT INTO sessions (token, handle, session_id, created_at) VALUES (?, ?, ?, ?)').run(
+            token,
+            handle,
+            sessionId,
+            now()
+          );
+          return { success: true, token, sessionId, handle };
+        }
+        const handle = actor(req, data.username);
+        if (data.typingTo) {
+          db.prepare('UPDATE presence SET typing_to = ?, typing_at = ? WHERE handle = ?').run(
+            handleOf(data.typingTo),
+            Date.now(),
+            handle
+          );
+        } else {
+          touchPresence(handle, { workingOn: data.workingOn });
+        }
+        return { success: true };
+      }
+      case 'GET /api/presence':
+        if (q.typing) {
+          const rows = db
+            .prepare('SELECT handle FROM presence WHERE typing_to = ? AND typing_at > ?')
+            .all(handleOf(q.user), Date.now() - TYPING_MS);
+          return { success: true, typingUsers: rows.map(r => r.handle) };
+        }
+        return listPresence(false);
+      case 'POST /api/v2/presence': {
+        const handle = actor(req, data.username);
+        const context = {};
+        for (const field of ['mood', 'file', 'project', 'awayMessage', 'awayAt', 'sessionId', 'availableFor']) {
+          if (data[field] !== undefined) context[field] = data[field];
+        }
+        touchPresence(handle, { workingOn: data.workingOn, source: data.source, context });
+        return { success: true };
+      }
+      case 'GET /api/v2/presence':
+        return listPresence(q.include === 'recent');
+
+      // Users / keys
+      case 'POST /api/users': {
+        const handle = handleOf(data.username);
+        if (!handle) throw new HttpError(400, 'username required');
+        upsertUser(handle, data);
+        return { success: true };
+      }
+      case 'GET /api/users': {
+        const user = db.prepare('SELECT * FROM users WHERE handle = ?').get(handleOf(q.username));
+        if (!user) throw new HttpError(404, 'User not found');
+        return {
+          success: true,
+          user: {
+            username: user.handle,
+            building: user.building,
+            publicKey: user.public_key,
+            encryptionKey: user.encryption_key,
+            encryptionKeySignature: user.encryption_key_signature
+          }
+        };
+      }
+
+      // Messages
+      case 'POST /api/messages':
+        if (data.action === 'read') return markRead(actor(req, data.user), data.receipts);
+        return sendMessage(req, data);
+      case 'GET /api/messages': {
+        const handle = actor(req, q.user);
+        if (q.thread_id) return groupThread(handle, q.thread_id);
+        if (q.with) return thread(handle, q.with);
+        return inbox(handle);
+      }
+      case 'GET /api/messages/sync':
+        return syncMessages(actor(req, q.user), q.since);
+
+      // Groups
+      case 'POST /api/groups':
+        return groups(data);
+      case 'GET /api/groups':
+        return listGroups(actor(req, q.user));
+
+      // Reservations
+      case 'POST /api/reservations': {
+        if (data.action === 'publish') {
+          const r = data.reservation || {};
+          if (!r.reservation_id || !r.scope) throw new HttpError(400, 'reservation_id and scope required');
+          db.prepare('INSERT OR REPLACE INTO reservations (reservation_id, scope, data) VALUES (?, ?, ?)').run(
+            r.reservation_id,
+            r.scope,
+            JSON.stringify(r)
+          );
+          return { success: true };
+        }
+        if (data.action === 'release') {
+          const removed = db.prepare('DELETE FROM reservations WHERE reservation_id = ?').run(data.reservation_id);
+          if (removed.changes === 0) throw new HttpError(404, 'Not found');
+          return { success: true };
+        }
+        throw new HttpError(400, 'unknown action');
+      }
+      case 'GET /api/reservations': {
+        const at = now();
+        const reservations = db
+          .prepare('SELECT data FROM reservations WHERE scope = ?')
+          .all(q.scope)
+          .map(r => JSON.parse(r.data))
+          .filter(r => !r.expires_ts || r.expires_ts > at);
+        return { success: true, reservations };
+      }
+
+      // Account links (codes are issued on one machine and redeemed by a bridge on another)
+      case 'POST /api/links': {
+        if (data.action === 'code') {
+          const handle = actor(req, data.handle);
+          const code = newLinkCode();
+          const expires_at = new Date(Date.now() + LINK_CODE_TTL_MS).toISOString();
+          db.prepare('DELETE FROM link_codes WHERE handle = ? OR expires_at <= ?').run(handle, now());
+          db.prepare('INSERT INTO link_codes (hash, handle, expires_at) VALUES (?, ?, ?)').run(
+            hashLinkCode(code),
+            handle,
+            expires_at
+          );
+          return { success: true, code, expires_at };
+        }
+        if (data.action === 'redeem') {
+          if (!data.platform || !data.user_id) throw new HttpError(400, 'platform and user_id required');
+          const hash = hashLinkCode(data.code);
+          const match = db.prepare('SELECT * FROM link_codes WHERE hash = ? AND expires_at > ?').get(hash, now());
+          if (!match) throw new HttpError(404, 'Unknown or expired link code');
+          db.prepare('DELETE FROM link_codes WHERE hash = ?').run(hash);
+          db.prepare(
+            `INSERT OR REPLACE INTO account_links (platform, user_id, username, handle, linked_at)
+             VALUES (?, ?, ?, ?, ?)`
+          ).run(data.platform, String(data.user_id), data.username || null, match.handle, now());
+          return { success: true, handle: match.handle };
+        }
+        if (data.action === 'discard') {
+          const removed = db.prepare('DELETE FROM link_codes WHERE hash = ?').run(hashLinkCode(data.code));
+          if (removed.changes === 0) throw new HttpError(404, 'Not found');
+          return { success: true };
+        }
+        if (data.action === 'unlink') {
+          db.prepare('DELETE FROM account_links WHERE platform = ? AND user_id = ?').run(
+            data.platform,
+            String(data.user_id)
+          );
+          return { success: true };
+        }
+        throw new HttpError(400, 'unknown action');
+      }
+      case 'GET /api/links': {
+        const links = db
+          .prepare('SELECT platform, username, linked_at FROM account_links WHERE handle = ? ORDER BY linked_at')
+          .all(actor(req, q.user));
+        return { success: true, links };
+      }
+
+      // Consent
+      case 'GET /api/consent': {
+        if (q.from && q.to) {
+          const row = db
+            .prepare('SELECT status FROM consent WHERE from_handle = ? AND to_handle = ?')
+            .get(handleOf(q.from), handleOf(q.to));
+          return { success: true, status: row ? row.status : 'none' };
+        }
+        const rows = db
+          .prepare("SELECT * FROM consent WHERE to_handle = ? AND status = 'pending' ORDER BY requested_at")
+          .all(actor(req, q.user));
+        return {
+          success: true,
+          pending: rows.map(r => ({ from: r.from_handle, message: r.message, requestedAt: r.requested_at }))
+        };
+      }
+      case 'POST /api/consent': {
+        const status = { accept: 'accepted', block: 'blocked' }[data.action];
+        if (!status) throw new HttpError(400, 'action must be accept or block');
+        const from = handleOf(data.from);
+        const to = handleOf(data.to);
+        if (!from || !to) throw new HttpError(400, 'from and to required');
+        db.prepare(
+          `INSERT INTO consent (from_handle, to_handle, status, requested_at) VALUES (?, ?, ?, ?)
+           ON CONFLICT(from_handle, to_handle) DO UPDATE SET status = excluded.status`
+        ).run(from, to, status, now());
+        return { success: true, status };
+      }
+
+      // Follows
+      case 'POST /api/follow':
+      case 'DELETE /api/follow': {
+        const follower = handleOf(data.follower);
+        const following = handleOf(data.following);
+        if (!follower || !following) throw new HttpError(400, 'follower and following required');
+        if (method === 'POST') {
+          if (follower === following) throw new HttpError(400, "Can't follow yourself");
+          db.prepare('INSERT OR IGNORE INTO follows (follower, following, created_at) VALUES (?, ?, ?)').run(
+            follower,
+            following,
+            now()
+          );
+        } else {
+          db.prepare('DELETE FROM follows WHERE follower = ? AND following = ?').run(follower, following);
+        }
+        return { success: true, follower, following };
+      }
+      case 'GET /api/following': {
+        const following = follows('follower', handleOf(q.handle));
+        return { success: true, following, count: following.length };
+      }
+      case 'GET /api/followers': {
+        const followers = follows('following', handleOf(q.handle));
+        return { success: true, followers, count: followers.length };
+      }
+
+      // Board
+      case 'GET /api/board': {
+        const limit = Math.min(parseInt(q.limit, 10) || 20, 100);
+        const rows = q.category
+          ? db.prepare('SELECT * FROM board WHERE category = ? ORDER BY created_at DESC LIMIT ?').all(q.category, limit)
+          : db.prepare('SELECT * FROM board ORDER BY created_at DESC LIMIT ?').all(limit);
+        return {
+          success: true,
+          entries: rows.map(r => ({ ...r, tags: parseJson(r.tags, []), timestamp: r.created_at }))
+        };
+      }
+      case 'POST /api/board': {
+        const author = actor(req, data.author);
+        if (!data.content) throw new HttpError(400, 'content required');
+        const entry = {
+          id: newId('board'),
+          author,
+          content: data.content,
+          category: data.category || 'general',
+          tags: JSON.stringify(data.tags || []),
+          created_at: now()
+        };
+        db.prepare(
+          'INSERT INTO board (id, author, content, category, tags, created_at) VALUES (@id, @author, @content, @category, @tags, @created_at)'
+        ).run(entry);
+        return { success: true, entry: { ...entry, tags: data.tags || [], timestamp: entry.created_at } };
+      }
+
+      // Artifacts
+      case 'POST /api/artifacts': {
+        const id = data.id || newId('artifact');
+        const slug = data.slug || id;
+        if (db.prepare('SELECT 1 FROM artifacts WHERE slug = ?').get(slug)) throw new HttpError(409, 'slug taken');
+        const artifact = { ...data, id, slug, created_at: data.created_at || now() };
+        db.prepare('INSERT INTO artifacts (id, slug, created_by, data, created_at) VALUES (?, ?, ?, ?, ?)').run(
+          id,
+          slug,
+          handleOf(data.created_by),
+          JSON.stringify(artifact),
+          artifact.created_at
+        );
+        return { success: true, artifact_id: id, slug, url: `${url.origin}/a/${slug}` };
+      }
+      case 'GET /api/artifacts':
+        return listArtifacts(q);
+
+      // Invites, reports, stats, auth, onboarding
+      case 'POST /api/invites': {
+        const handle = actor(req, data.handle);
+        const code = randomBytes(4).toString('hex').toUpperCase();
+        db.prepare('INSERT INTO invites (code, handle, created_at) VALUES (?, ?, ?)').run(code, handle, now());
+        return { success: true, code };
+      }
+      case 'GET /api/invites': {
+        const invite = db.prepare('SELECT * FROM invites WHERE code = ?').get(String(q.code || '').toUpperCase());
+        return invite
+          ? { valid: true, code: invite.code, invitedBy: invite.handle }
+          : { valid: false, error: 'Unknown code' };
+      }
+      case 'GET /api/invites/my': {
+        const invites = db.prepare('SELECT code, created_at FROM invites WHERE handle = ?').all(actor(req, q.handle));
+        return { success: true, invites };
+      }
+      case 'POST /api/report': {
+        const id = newId('report');
+        db.prepare('INSERT INTO reports (id, data, created_at) VALUES (?, ?, ?)').run(id, JSON.stringify(data), now());
+        return { success: true, report_id: id };
+      }
+      case 'GET /api/stats': {
+        const count = table => db.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n;
+        return {
+          success: true,
+          users: count('users'),
+          messages: count('messages'),
+          ships: db.prepare("SELECT COUNT(*) AS n FROM board WHERE category = 'shipped'").get().n,
+          online: listPresence(false).active.length
+        };
+      }
+      case 'POST /api/auth/verify': {
+        const handle = tokenHandle(req);
+        if (!handle) throw new HttpError(401, 'Invalid token');
+        return { valid: true, handle, userId: handle, github: null, expiresAt: null };
+      }
+      case 'GET /api/onboarding/checklist':
+        return { success: true, tasks: [], progress: { completed: 0, total: 0 } };
+
+      // Live broadcasts: never any locally
+      case 'GET /api/live':
+        return { success: true, broadcasts: [], upcoming: [], count: 0 };
+      case 'GET /api/watch':
+      case 'GET /api/watch/metrics':
+        throw new HttpError(404, 'No broadcast in that room');
+
+      default:
+        throw new HttpError(404, `No dev-server route for ${route}`);
+    }
+  }
+
+  const server = http.createServer(async (req, res) => {
+    let status = 200;
+    let result;
+    try {
+      const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+      const data = req.method === 'GET' ? {} : await readBody(req);
+      result = await route(req, url, data);
+    } catch (e) {
+      status = e instanceof HttpError ? e.status : 500;
+      result = { success: false, error: e.message };
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+  });
+
+  return {
+    server,
+    db,
+    /**
+     * @returns {Promise<string>} Base URL, for VIBE_API_URL
+     */
+    listen(port = DEFAULT_PORT, host = DEFAULT_HOST) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          const address = server.address();
+          resolve(`http://${host}:${typeof address === 'object' && address ? address.port : port}`);
+        });
+      });
+    },
+    close() {
+      return new Promise(resolve => {
+        server.close(() => {
+          db.close();
+          resolve();
+        });
+        server.closeAllConnections();
+      });
+    }
+  };
+}
+
+// ============ CLI ============
+
+/**
+ * `slashvibe-mcp dev-server [--port 3030] [--host 127.0.0.1] [--db path]`
+ * Resolves when the server is stopped (Ctrl-C).
+ * @param {string[]} argv - Arguments after `dev-server`
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  const flag = name => {
+    const i = argv.indexOf(name);
+    return i !== -1 ? argv[i + 1] : undefined;
+  };
+  const config = require('../config');
+  const dbPath = flag('--db') || path.join(config.VIBE_DIR, 'dev-server.db');
+
+  let dev;
+  let url;
+  try {
+    dev = createDevServer({ dbPath });
+    url = await dev.listen(parseInt(flag('--port'), 10) || DEFAULT_PORT, flag('--host') || DEFAULT_HOST);
+  } catch (e) {
+    console.error(`Failed to start dev server: ${e.message}`);
+    return 1;
+  }
+
+  console.log(`/vibe dev server on ${url} (data: ${dbPath})`);
+  console.log(`Point MCP instances at it with VIBE_API_URL=${url}`);
+  console.log('Give each instance its own HOME so they sign in as different handles.');
+
+  return new Promise(resolve => {
+    const stop = () => dev.close().then(() => resolve(0));
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  createDevServer,
+  main
+};
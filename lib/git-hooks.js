@@ -0,0 +1,309 @@
+/**
+ * Git Hooks — Check file reservations at commit and push time
+ *
+ * `slashvibe-mcp hooks install` writes pre-commit and pre-push hooks that
+ * run the reservation conflict check (store/reservations.js) against the
+ * staged or pushed files and print who holds any exclusive reservation hit.
+ * By default they only warn; installed with --block they stop the commit
+ * or push, unless it's made with `--no-verify` or VIBE_RESERVATIONS_OVERRIDE=1.
+ *
+ * Hooks we didn't write are never overwritten without --force, and then
+ * they're kept as `<hook>.pre-vibe` and restored by `hooks uninstall`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const HOOKS = ['pre-commit', 'pre-push'];
+const MARKER = '# slashvibe-mcp reservation check';
+const BACKUP_SUFFIX = '.pre-vibe';
+const SYNC_TIMEOUT_MS = 5000;
+const ZERO_SHA = /^0+$/;
+const SHA = /^[0-9a-f]{40,64}$/;
+
+function git(args, cwd) {
+  return execSync(`git ${args}`, { cwd, encoding: 'utf8', timeout: 5000, stdio: 'pipe' });
+}
+
+// Respects core.hooksPath
+function hooksDir(cwd) {
+  const dir = git('rev-parse --git-path hooks', cwd).trim();
+  return path.resolve(cwd || process.cwd(), dir);
+}
+
+function shellQuote(s) {
+  return `'${String(s).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * The hook script: this install of slashvibe-mcp if it's still there, else npx
+ * @param {string} hook
+ * @param {boolean} block
+ * @returns {string}
+ */
+function hookScript(hook, block) {
+  const cli = path.join(__dirname, '..', 'index.js');
+  const flags = block ? ' --block' : '';
+  return `#!/bin/sh
+${MARKER} — remove with: npx slashvibe-mcp hooks uninstall
+# Skip once with --no-verify or VIBE_RESERVATIONS_OVERRIDE=1
+VIBE_NODE=${shellQuote(process.execPath)}
+VIBE_CLI=${shellQuote(cli)}
+if [ -f "$VIBE_CLI" ] && [ -x "$VIBE_NODE" ]; then
+  exec "$VIBE_NODE" "$VIBE_CLI" hooks run ${hook}${flags} "$@"
+fi
+command -v npx >/dev/null 2>&1 || exit 0
+exec npx -y slashvibe-mcp hooks run ${hook}${flags} "$@"
+`;
+}
+
+function isOurs(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').includes(MARKER);
+  } catch (e) {
+    return false;
+  }
+}
+
+// ============ INSTALL ============
+
+/**
+ * Install the pre-commit and pre-push hooks in the current repo
+ * @param {object} [options] - { block, force, cwd }
+ * @returns {{success: boolean, installed?: string[], backedUp?: string[], dir?: string, error?: string}}
+ */
+function install(options = {}) {
+  const { block = false, force = false, cwd } = options;
+
+  let dir;
+  try {
+    dir = hooksDir(cwd);
+  } catch (e) {
+    return { success: false, error: 'Not a git repository' };
+  }
+
+  // e.g. core.hooksPath=/dev/null to turn hooks off
+  if (fs.existsSync(dir) && !fs.statSync(dir).isDirectory()) {
+    return { success: false, error: `Git hooks are disabled here (core.hooksPath is ${dir})` };
+  }
+
+  const foreign = HOOKS.filter(hook => fs.existsSync(path.join(dir, hook)) && !isOurs(path.join(dir, hook)));
+  if (foreign.length > 0 && !force) {
+    return {
+      success: false,
+      error: `${foreign.join(' and ')} hook already exists — rerun with --force to keep it as ${foreign[0]}${BACKUP_SUFFIX} and install ours`
+    };
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  for (const hook of foreign) {
+    fs.renameSync(path.join(dir, hook), path.join(dir, hook + BACKUP_SUFFIX));
+  }
+  for (const hook of HOOKS) {
+    fs.writeFileSync(path.join(dir, hook), hookScript(hook, block), { mode: 0o755 });
+    fs.chmodSync(path.join(dir, hook), 0o755);
+  }
+
+  return { success: true, installed: HOOKS, backedUp: foreign, dir };
+}
+
+/**
+ * Remove our hooks, restoring any we replaced
+ * @param {object} [options] - { cwd }
+ * @returns {{success: boolean, removed?: string[], restored?: string[], error?: string}}
+ */
+function uninstall(options = {}) {
+  let dir;
+  try {
+    dir = hooksDir(options.cwd);
+  } catch (e) {
+    return { success: false, error: 'Not a git repository' };
+  }
+
+  const removed = [];
+  const restored = [];
+  for (const hook of HOOKS) {
+    const file = path.join(dir, hook);
+    if (!isOurs(file)) continue;
+    fs.rmSync(file);
+    removed.push(hook);
+    if (fs.existsSync(file + BACKUP_SUFFIX)) {
+      fs.renameSync(file + BACKUP_SUFFIX, file);
+      restored.push(hook);
+    }
+  }
+
+  return { success: true, removed, restored };
+}
+
+// ============ CHECK ============
+
+// Files in the commit being made
+function stagedPaths(cwd) {
+  return git('diff --cached --name-only -z --diff-filter=ACMR', cwd).split('\0').filter(Boolean);
+}
+
+/**
+ * Files in the commits being pushed
+ * @param {string} input - pre-push stdin: `<local ref> <local sha> <remote ref> <remote sha>` per line
+ * @returns {string[]}
+ */
+function pushedPaths(input, cwd) {
+  const files = new Set();
+  for (const line of String(input || '').split('\n')) {
+    const [, localSha, , remoteSha] = line.trim().split(/\s+/);
+    // Deleting a remote branch pushes no files
+    if (!SHA.test(localSha || '') || ZERO_SHA.test(localSha)) continue;
+
+    // New branch: everything not on any remote yet
+    const range = remoteSha && SHA.test(remoteSha) && !ZERO_SHA.test(remoteSha) ? `^${remoteSha}` : '--not --remotes';
+    let out;
+    try {
+      out = git(`log --name-only --format= -z ${localSha} ${range}`, cwd);
+    } catch (e) {
+      // Remote sha we don't have locally (force push over unknown history)
+      out = git(`log --name-only --format= -z ${localSha} --not --remotes`, cwd);
+    }
+    out
+      .split('\0')
+      .map(f => f.trim())
+      .filter(Boolean)
+      .forEach(f => files.add(f));
+  }
+  return [...files];
+}
+
+// Pull teammates' latest reservations, but never hold up a commit for long
+async function syncShared(reservations) {
+  const store = require('../store');
+  const timeout = new Promise(resolve => setTimeout(resolve, SYNC_TIMEOUT_MS).unref());
+  await Promise.race([reservations.sync(store, { force: true }).catch(() => {}), timeout]);
+}
+
+/**
+ * Check the files a commit or push touches against teammates' reservations
+ * @param {string} hook - 'pre-commit' or 'pre-push'
+ * @param {object} [options] - { block, input (pre-push stdin), handle, cwd, sync }
+ * @returns {Promise<{conflicts: Array<object>, blocked: boolean, output: string}>}
+ */
+async function run(hook, options = {}) {
+  const { block = false, input = '', cwd, sync = true } = options;
+  const reservations = require('../store/reservations');
+  const handle = options.handle !== undefined ? options.handle : require('../config').getHandle();
+
+  let files;
+  try {
+    files = hook === 'pre-push' ? pushedPaths(input, cwd) : stagedPaths(cwd);
+  } catch (e) {
+    return { conflicts: [], blocked: false, output: '' };
+  }
+  if (files.length === 0) return { conflicts: [], blocked: false, output: '' };
+
+  if (sync) await syncShared(reservations);
+
+  const root = git('rev-parse --show-toplevel', cwd).trim();
+  const paths = files.map(f => path.join(root, f));
+  const conflicts = reservations.checkConflicts(paths, true).filter(c => c.owner !== handle);
+  if (conflicts.length === 0) return { conflicts, blocked: false, output: '' };
+
+  const blocked = block && process.env.VIBE_RESERVATIONS_OVERRIDE !== '1';
+  return { conflicts, blocked, output: formatConflicts(hook, conflicts, blocked) };
+}
+
+function formatConflicts(hook, conflicts, blocked) {
+  const action = hook === 'pre-push' ? 'pushing' : 'committing';
+  const command = hook === 'pre-push' ? 'git push' : 'git commit';
+
+  // One line per file and reservation
+  const lines = new Map();
+  for (const c of conflicts) {
+    const key = `${c.path}\0${c.reservation_id}`;
+    if (lines.has(key)) continue;
+    const reason = c.reason ? ` "${c.reason}"` : '';
+    const expires = new Date(c.expires_ts);
+    const left = Math.max(0, Math.round((expires.getTime() - Date.now()) / 60000));
+    lines.set(key, `  ${c.path} — @${c.owner}${reason} (expires in ${left}m, ${expires.toLocaleTimeString()})`);
+  }
+
+  let output = `⚠️  Files you're ${action} are reserved by teammates:\n${[...lines.values()].join('\n')}\n`;
+  output += blocked
+    ? `\nBlocked. To go ahead anyway: ${command} --no-verify, or VIBE_RESERVATIONS_OVERRIDE=1 ${command}\n`
+    : '\nCheck in with them before you merge.\n';
+  return output;
+}
+
+// ============ CLI ============
+
+const USAGE = `Usage: slashvibe-mcp hooks <command>
+
+  install [--block] [--force]  Warn (or with --block, stop) commits and pushes touching reserved files
+  uninstall                    Remove the hooks, restoring any they replaced`;
+
+function readStdin() {
+  return new Promise(resolve => {
+    if (process.stdin.isTTY) return resolve('');
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => (data += chunk));
+    process.stdin.on('end', () => resolve(data));
+  });
+}
+
+/**
+ * `slashvibe-mcp hooks ...`
+ * @param {string[]} argv - Arguments after `hooks`
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  const [command, ...rest] = argv;
+
+  if (command === 'install') {
+    const result = install({ block: rest.includes('--block'), force: rest.includes('--force') });
+    if (!result.success) {
+      console.error(result.error);
+      return 1;
+    }
+    for (const hook of result.backedUp) console.log(`Kept your existing ${hook} hook as ${hook}${BACKUP_SUFFIX}`);
+    const mode = rest.includes('--block') ? 'block' : 'warn about';
+    console.log(`Installed ${result.installed.join(' and ')} hooks in ${result.dir}`);
+    console.log(`They'll ${mode} commits and pushes touching files a teammate has reserved.`);
+    return 0;
+  }
+
+  if (command === 'uninstall') {
+    const result = uninstall();
+    if (!result.success) {
+      console.error(result.error);
+      return 1;
+    }
+    console.log(
+      result.removed.length > 0 ? `Removed ${result.removed.join(' and ')} hooks` : 'No /vibe hooks installed'
+    );
+    for (const hook of result.restored) console.log(`Restored your previous ${hook} hook`);
+    return 0;
+  }
+
+  // Called by the hook scripts
+  if (command === 'run' && HOOKS.includes(rest[0])) {
+    const hook = rest[0];
+    const input = hook === 'pre-push' ? await readStdin() : '';
+    const result = await run(hook, { block: rest.includes('--block'), input }).catch(() => null);
+    // A broken check never stops a commit
+    if (!result) return 0;
+    if (result.output) process.stderr.write(result.output);
+    return result.blocked ? 1 : 0;
+  }
+
+  console.error(USAGE);
+  return 1;
+}
+
+module.exports = {
+  HOOKS,
+  install,
+  uninstall,
+  pushedPaths,
+  run,
+  main
+};
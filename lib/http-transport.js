@@ -0,0 +1,363 @@
+/**
+ * Streamable HTTP Transport — MCP over POST + SSE
+ *
+ * Lets one long-lived /vibe daemon serve several editors at once instead of
+ * each editor spawning its own stdio process (own heartbeat, own SQLite handle).
+ *
+ * Implements the MCP Streamable HTTP transport (spec 2025-03-26):
+ *   POST   /mcp — JSON-RPC request(s) in, JSON response(s) out
+ *   GET    /mcp — SSE stream for server-initiated notifications
+ *   DELETE /mcp — end the session
+ *
+ * Sessions are keyed by the `Mcp-Session-Id` header issued on `initialize`.
+ * The dispatcher is the same `handleRequest` used by the stdio transport.
+ */
+
+const http = require('http');
+const { randomUUID } = require('crypto');
+
+const DEFAULT_PORT = 3333;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PATH = '/mcp';
+const SESSION_HEADER = 'mcp-session-id';
+const MAX_BODY_BYTES = 1024 * 1024; // 1 MB
+const KEEPALIVE_MS = 25 * 1000;
+const SESSION_TTL_MS = 30 * 60 * 1000; // Idle sessions without a stream are dropped after 30 min
+
+// DNS rebinding guard: requests must name the daemon by a local Host, and
+// browsers may only talk to it from a local page
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+class HttpTransport {
+  /**
+   * @param {object} options
+   * @param {function(object, object): Promise<object|null>} options.handleRequest - JSON-RPC dispatcher
+   * @param {string} [options.path] - Endpoint path (default: /mcp)
+   * @param {string[]} [options.allowedOrigins] - Extra Origins allowed besides localhost
+   * @param {function(object): void} [options.onSessionClosed] - Called when a session ends
+   */
+  constructor({ handleRequest, path = DEFAULT_PATH, allowedOrigins = [], onSessionClosed = null }) {
+    this.handleRequest = handleRequest;
+    this.path = path;
+    this.allowedOrigins = allowedOrigins;
+    this.onSessionClosed = onSessionClosed;
+    this.sessions = new Map();
+    this.server = http.createServer((req, res) => this.route(req, res));
+    this.keepaliveTimer = null;
+    this.host = DEFAULT_HOST;
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port]
+   * @param {string} [host]
+   * @returns {Promise<{port: number, host: string, url: string}>}
+   */
+  listen(port = DEFAULT_PORT, host = DEFAULT_HOST) {
+    this.host = host;
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        this.keepaliveTimer = setInterval(() => this.tick(), KEEPALIVE_MS);
+        this.keepaliveTimer.unref();
+        const addr = this.server.address();
+        const boundPort = typeof addr === 'object' && addr ? addr.port : port;
+        resolve({ port: boundPort, host, url: `http://${host}:${boundPort}${this.path}` });
+      });
+    });
+  }
+
+  /**
+   * Stop accepting connections and end every session
+   */
+  close() {
+    if (this.keepaliveTimer) {
+      clearInterval(this.keepaliveTimer);
+      this.keepaliveTimer = null;
+    }
+    for (const id of [...this.sessions.keys()]) {
+      this.endSession(id);
+    }
+    const closed = new Promise(resolve => this.server.close(() => resolve()));
+    // close() waits for idle keep-alive sockets otherwise (closeAllConnections is Node 18.2+)
+    if (typeof this.server.closeAllConnections === 'function') this.server.closeAllConnections();
+    return closed;
+  }
+
+  // ============ SESSIONS ============
+
+  createSession() {
+    const session = {
+      id: randomUUID(),
+      createdAt: Date.now(),
+      lastSeen: Date.now(),
+      clientInfo: null,
+      subscriptions: new Set(), // Resource URIs this client subscribed to
+      stream: null,
+      eventId: 0
+    };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  endSession(id) {
+    const session = this.sessions.get(id);
+    if (!session) return false;
+    if (session.stream) {
+      try {
+        session.stream.end();
+      } catch (e) {}
+      session.stream = null;
+    }
+    this.sessions.delete(id);
+    if (this.onSessionClosed) {
+      try {
+        this.onSessionClosed(session);
+      } catch (e) {}
+    }
+    return true;
+  }
+
+  /**
+   * Push a JSON-RPC message down one session's SSE stream
+   * @returns {boolean} Whether the message was written
+   */
+  sendToSession(id, message) {
+    const session = this.sessions.get(id);
+    if (!session || !session.stream) return false;
+    session.eventId++;
+    session.stream.write(`id: ${session.eventId}\nevent: message\ndata: ${JSON.stringify(message)}\n\n`);
+    return true;
+  }
+
+  /**
+   * Push a JSON-RPC message to every session with an open SSE stream
+   * @returns {number} Number of sessions reached
+   */
+  broadcast(message) {
+    let sent = 0;
+    for (const id of this.sessions.keys()) {
+      if (this.sendToSession(id, message)) sent++;
+    }
+    return sent;
+  }
+
+  // Keep SSE streams open through proxies and drop abandoned sessions
+  tick() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (session.stream) {
+        session.stream.write(': keepalive\n\n');
+      } else if (now - session.lastSeen > SESSION_TTL_MS) {
+        this.endSession(id);
+      }
+    }
+  }
+
+  // ============ ROUTING ============
+
+  async route(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== this.path) {
+      return sendJson(res, 404, { error: 'Not found' });
+    }
+
+    if (!this.isAllowedHost(req.headers.host)) {
+      return sendJson(res, 403, rpcError(null, -32600, 'Host not allowed'));
+    }
+
+    if (!this.isAllowedOrigin(req.headers.origin)) {
+      return sendJson(res, 403, rpcError(null, -32600, 'Origin not allowed'));
+    }
+
+    try {
+      switch (req.method) {
+        case 'POST':
+          return await this.handlePost(req, res);
+        case 'GET':
+          return this.handleGet(req, res);
+        case 'DELETE':
+          return this.handleDelete(req, res);
+        default:
+          res.setHeader('Allow', 'GET, POST, DELETE');
+          return sendJson(res, 405, { error: 'Method not allowed' });
+      }
+    } catch (e) {
+      if (!res.headersSent) {
+        sendJson(res, 500, rpcError(null, -32603, e.message));
+      }
+    }
+  }
+
+  isAllowedHost(host) {
+    if (!host) return false;
+    try {
+      const { hostname } = new URL(`http://${host}`);
+      const bound = this.host.includes(':') ? `[${this.host}]` : this.host;
+      return LOCAL_HOSTNAMES.includes(hostname) || hostname === bound;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  isAllowedOrigin(origin) {
+    // Non-browser clients (editors, curl) don't send Origin
+    if (!origin) return true;
+    if (this.allowedOrigins.includes(origin)) return true;
+    try {
+      return LOCAL_HOSTNAMES.includes(new URL(origin).hostname);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async handlePost(req, res) {
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (e) {
+      return sendJson(res, 413, rpcError(null, -32600, e.message));
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch (e) {
+      return sendJson(res, 400, rpcError(null, -32700, 'Parse error'));
+    }
+
+    const messages = Array.isArray(parsed) ? parsed : [parsed];
+    if (messages.length === 0) {
+      return sendJson(res, 400, rpcError(null, -32600, 'Empty batch'));
+    }
+
+    const isInitialize = messages.some(m => m && m.method === 'initialize');
+    let session;
+
+    if (isInitialize) {
+      if (messages.length > 1) {
+        return sendJson(res, 400, rpcError(null, -32600, 'initialize must not be batched'));
+      }
+      session = this.createSession();
+      session.clientInfo = messages[0].params?.clientInfo || null;
+    } else {
+      const id = req.headers[SESSION_HEADER];
+      if (!id) {
+        return sendJson(res, 400, rpcError(null, -32600, 'Missing Mcp-Session-Id header'));
+      }
+      session = this.sessions.get(id);
+      if (!session) {
+        return sendJson(res, 404, rpcError(null, -32001, 'Session not found'));
+      }
+    }
+
+    session.lastSeen = Date.now();
+
+    const responses = [];
+    for (const message of messages) {
+      if (!message || message.jsonrpc !== '2.0') {
+        responses.push(rpcError(message?.id ?? null, -32600, 'Invalid Request'));
+        continue;
+      }
+      try {
+        const response = await this.handleRequest(message, { session, transport: this });
+        // Notifications and client responses get no reply
+        if (response && message.id !== undefined) responses.push(response);
+      } catch (e) {
+        responses.push(rpcError(message.id ?? null, -32603, e.message));
+      }
+    }
+
+    res.setHeader('Mcp-Session-Id', session.id);
+
+    if (responses.length === 0) {
+      res.writeHead(202);
+      return res.end();
+    }
+
+    return sendJson(res, 200, Array.isArray(parsed) ? responses : responses[0]);
+  }
+
+  handleGet(req, res) {
+    const accept = req.headers.accept || '';
+    if (!accept.includes('text/event-stream')) {
+      return sendJson(res, 406, { error: 'GET requires Accept: text/event-stream' });
+    }
+
+    const session = this.sessions.get(req.headers[SESSION_HEADER]);
+    if (!session) {
+      return sendJson(res, 404, rpcError(null, -32001, 'Session not found'));
+    }
+
+    // One stream per session — a reconnect replaces the previous one
+    if (session.stream) {
+      try {
+        session.stream.end();
+      } catch (e) {}
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'Mcp-Session-Id': session.id
+    });
+    res.write(': connected\n\n');
+
+    session.stream = res;
+    session.lastSeen = Date.now();
+
+    req.on('close', () => {
+      if (session.stream === res) {
+        session.stream = null;
+        session.lastSeen = Date.now();
+      }
+    });
+  }
+
+  handleDelete(req, res) {
+    const id = req.headers[SESSION_HEADER];
+    if (!id || !this.endSession(id)) {
+      return sendJson(res, 404, rpcError(null, -32001, 'Session not found'));
+    }
+    res.writeHead(204);
+    res.end();
+  }
+}
+
+// ============ HELPERS ============
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      // Keep draining so we can still answer with 413
+      if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) return reject(new Error('Request body too large'));
+      resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+module.exports = {
+  HttpTransport,
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+  DEFAULT_PATH
+};
@@ -0,0 +1,253 @@
+/**
+ * MCP Prompts — Reusable /vibe requests surfaced as slash commands
+ *
+ * Built-in prompts take arguments and embed resources (see lib/resources.js)
+ * so the model starts with the thread, profile or inbox already attached.
+ *
+ * User prompts are mined from ~/.vibe/prompts.jsonl: any normalized phrasing
+ * you've used often enough becomes a prompt, with one argument per wildcard.
+ */
+
+const { execSync } = require('child_process');
+const patternLog = require('../prompts');
+const resources = require('./resources');
+const { normalizeHandle } = require('../tools/_shared');
+
+// MCP uses Invalid params for unknown prompts and missing arguments
+const INVALID_PARAMS = -32602;
+
+const USER_PROMPT_PREFIX = 'my-';
+const MIN_PATTERN_COUNT = 3; // Same threshold as suggestConstructs()
+const MAX_USER_PROMPTS = 10;
+const DEFAULT_COMMIT_COUNT = 10;
+
+// ============ BUILT-INS ============
+
+const BUILTIN_PROMPTS = {
+  'catch-up': {
+    definition: {
+      name: 'catch-up',
+      title: 'Catch me up on @handle',
+      description: 'Summarize your thread, their profile and what you remember about someone',
+      arguments: [{ name: 'handle', description: 'Who to catch up on', required: true }]
+    },
+    async build({ handle }) {
+      const h = normalizeHandle(handle);
+      return {
+        description: `Catch up on @${h}`,
+        messages: [
+          userText(
+            `Catch me up on @${h}. Summarize what we last talked about, what they're building and shipping, ` +
+              'and anything I noted about them. End with one suggestion for what I could message them next.'
+          ),
+          ...(await embed([resources.threadUri(h), `vibe://profile/${h}`, `vibe://memory/${h}`]))
+        ]
+      };
+    }
+  },
+
+  'ship-announcement': {
+    definition: {
+      name: 'ship-announcement',
+      title: 'Draft a ship announcement',
+      description: 'Turn your latest commits into a short ship post for vibe_ship',
+      arguments: [{ name: 'commits', description: `How many commits to include (default ${DEFAULT_COMMIT_COUNT})` }]
+    },
+    async build({ commits }) {
+      const count = Math.min(Math.max(parseInt(commits, 10) || DEFAULT_COMMIT_COUNT, 1), 50);
+      const log = recentCommits(count);
+      const instructions =
+        'Draft a ship announcement for /vibe: one punchy line about what shipped and why it matters, ' +
+        'no more than 280 characters, no hashtags. Show me the draft, then post it with vibe_ship once I approve.';
+
+      return {
+        description: 'Draft a ship announcement',
+        messages: [
+          userText(
+            log
+              ? `${instructions}\n\nMy last ${count} commits:\n${log}`
+              : `${instructions}\n\nThere's no git history here — ask me what I shipped.`
+          )
+        ]
+      };
+    }
+  },
+
+  'inbox-triage': {
+    definition: {
+      name: 'inbox-triage',
+      title: 'Triage my inbox',
+      description: 'Go through unread DMs and suggest replies',
+      arguments: []
+    },
+    async build() {
+      return {
+        description: 'Triage my inbox',
+        messages: [
+          userText(
+            'Go through my /vibe inbox. For each unread thread, tell me in one line what they want ' +
+              'and draft a short reply. Send nothing until I confirm.'
+          ),
+          ...(await embed([resources.INBOX_URI]))
+        ]
+      };
+    }
+  }
+};
+
+// ============ USER PROMPTS ============
+
+/**
+ * Turn frequent patterns from the prompt log into prompt definitions
+ * Wildcards become arguments — a handle wildcard becomes `handle`, a quoted one `text`
+ * @returns {Array<{definition: object, pattern: string}>}
+ */
+function getUserPrompts() {
+  const seen = new Set();
+  const userPrompts = [];
+
+  for (const { pattern, count } of patternLog.extractPatterns()) {
+    if (count < MIN_PATTERN_COUNT) continue;
+
+    const name = USER_PROMPT_PREFIX + slugify(pattern);
+    if (name === USER_PROMPT_PREFIX || seen.has(name)) continue;
+    seen.add(name);
+
+    userPrompts.push({
+      pattern,
+      definition: {
+        name,
+        title: pattern,
+        description: `You've asked this ${count} times`,
+        arguments: placeholders(pattern).map(p => ({ name: p.name, description: p.description, required: true }))
+      }
+    });
+
+    if (userPrompts.length >= MAX_USER_PROMPTS) break;
+  }
+
+  return userPrompts;
+}
+
+// List each wildcard in order, numbering repeats (handle, handle2, ...)
+function placeholders(pattern) {
+  const counts = { handle: 0, text: 0 };
+  const found = [];
+
+  for (const match of pattern.matchAll(/@\*|"\*"|'\*'/g)) {
+    const kind = match[0] === '@*' ? 'handle' : 'text';
+    counts[kind]++;
+    found.push({
+      token: match[0],
+      name: counts[kind] === 1 ? kind : `${kind}${counts[kind]}`,
+      description: kind === 'handle' ? 'Who (e.g. @alex)' : 'Text to use'
+    });
+  }
+
+  return found;
+}
+
+function fillPattern(pattern, args) {
+  let i = 0;
+  const slots = placeholders(pattern);
+  return pattern.replace(/@\*|"\*"|'\*'/g, token => {
+    const slot = slots[i++];
+    const value = String(args[slot.name]);
+    if (token === '@*') return `@${normalizeHandle(value)}`;
+    return token[0] + value + token[0];
+  });
+}
+
+// ============ LIST / GET ============
+
+/**
+ * List built-in and user prompts
+ * @returns {Array<{name: string, title?: string, description?: string, arguments?: Array}>}
+ */
+function listPrompts() {
+  return [...Object.values(BUILTIN_PROMPTS).map(p => p.definition), ...getUserPrompts().map(p => p.definition)];
+}
+
+/**
+ * Render a prompt by name
+ * @param {string} name
+ * @param {object} [args]
+ * @returns {Promise<{description: string, messages: Array}>}
+ */
+async function getPrompt(name, args = {}) {
+  const builtin = BUILTIN_PROMPTS[name];
+  if (builtin) {
+    checkArguments(builtin.definition, args);
+    return builtin.build(args);
+  }
+
+  if (typeof name === 'string' && name.startsWith(USER_PROMPT_PREFIX)) {
+    const userPrompt = getUserPrompts().find(p => p.definition.name === name);
+    if (userPrompt) {
+      checkArguments(userPrompt.definition, args);
+      return {
+        description: userPrompt.definition.description,
+        messages: [userText(fillPattern(userPrompt.pattern, args))]
+      };
+    }
+  }
+
+  throw invalidParams(`Unknown prompt: ${name}`);
+}
+
+// ============ HELPERS ============
+
+function checkArguments(definition, args) {
+  for (const arg of definition.arguments || []) {
+    if (arg.required && (args[arg.name] === undefined || args[arg.name] === '')) {
+      throw invalidParams(`Missing required argument: ${arg.name}`);
+    }
+  }
+}
+
+function invalidParams(message) {
+  return Object.assign(new Error(message), { code: INVALID_PARAMS });
+}
+
+function userText(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+// Attach resources as embedded content; skip any that can't be read
+async function embed(uris) {
+  const messages = [];
+  for (const uri of uris) {
+    try {
+      const { contents } = await resources.readResource(uri);
+      messages.push({ role: 'user', content: { type: 'resource', resource: contents[0] } });
+    } catch (e) {}
+  }
+  return messages;
+}
+
+function recentCommits(count) {
+  try {
+    return execSync(`git log -n ${count} --no-merges --pretty=format:"- %s"`, {
+      encoding: 'utf8',
+      timeout: 2000,
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+  } catch (e) {
+    return '';
+  }
+}
+
+function slugify(pattern) {
+  return pattern
+    .replace(/@\*|"\*"|'\*'/g, ' ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40)
+    .replace(/-+$/, '');
+}
+
+module.exports = {
+  INVALID_PARAMS,
+  listPrompts,
+  getPrompt
+};
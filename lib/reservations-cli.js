@@ -0,0 +1,107 @@
+/**
+ * Reservations CLI — Manage your file reservations from a terminal
+ *
+ * `slashvibe-mcp reservations` lists the current repo's reservations, and
+ * renews, releases or hands one of yours to a teammate. Changes are synced
+ * to the shared backend straight away rather than on the next heartbeat.
+ */
+
+const SYNC_TIMEOUT_MS = 5000;
+
+const USAGE = `Usage: slashvibe-mcp reservations [command]
+
+  list                           Reservations in this repo (default)
+  renew <id> [--ttl <seconds>]   Extend one of yours from now
+  release <id>                   Let go of one of yours
+  transfer <id> @handle [note]   Hand one of yours to a teammate (they get a DM)`;
+
+function flag(argv, name) {
+  const i = argv.indexOf(name);
+  return i !== -1 ? argv[i + 1] : undefined;
+}
+
+function minutesLeft(expires_ts) {
+  return Math.max(0, Math.round((new Date(expires_ts).getTime() - Date.now()) / 60000));
+}
+
+// Share the change now, but never hang the terminal on it
+async function syncNow(reservations, store) {
+  const timeout = new Promise(resolve => setTimeout(resolve, SYNC_TIMEOUT_MS).unref());
+  await Promise.race([reservations.sync(store, { force: true }).catch(() => {}), timeout]);
+}
+
+function list(reservations, handle) {
+  const all = reservations.list();
+  if (all.length === 0) {
+    console.log(`No reservations in ${reservations.getScope()}`);
+    return 0;
+  }
+
+  for (const r of all) {
+    const who = r.owner === handle ? 'you' : `@${r.owner}`;
+    const reason = r.reason ? ` "${r.reason}"` : '';
+    const renews = r.owner === handle && r.auto_renew ? ', renews while your session runs' : '';
+    console.log(
+      `${r.reservation_id}  ${r.paths.join(', ')} — ${who}${reason} (${minutesLeft(r.expires_ts)}m left${renews})`
+    );
+  }
+  return 0;
+}
+
+/**
+ * `slashvibe-mcp reservations ...`
+ * @param {string[]} argv - Arguments after `reservations`
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  const [command = 'list', id, ...rest] = argv;
+  const config = require('../config');
+  const store = require('../store');
+  const reservations = require('../store/reservations');
+  const handle = config.getHandle();
+
+  if (command === 'list') return list(reservations, handle);
+
+  if (!id || !['renew', 'release', 'transfer'].includes(command)) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  let result;
+  let notified = false;
+  if (command === 'renew') {
+    const ttl = flag(rest, '--ttl');
+    const ttl_seconds = ttl ? parseInt(ttl, 10) : undefined;
+    if (ttl !== undefined && !(ttl_seconds > 0)) {
+      console.error('--ttl takes a number of seconds');
+      return 1;
+    }
+    result = reservations.renew(id, { ttl_seconds, owner: handle });
+  } else if (command === 'release') {
+    result = reservations.release(id, handle);
+  } else {
+    const [to, ...note] = rest;
+    result = await reservations.transfer(id, to, store, { owner: handle, note: note.join(' ') || null });
+    notified = Boolean(result.notified);
+  }
+
+  if (!result.success) {
+    console.error(result.message || result.error);
+    return 1;
+  }
+
+  const r = result.reservation;
+  if (command === 'renew') {
+    await syncNow(reservations, store);
+    console.log(`Renewed ${r.reservation_id} — ${minutesLeft(r.expires_ts)}m left`);
+  } else if (command === 'release') {
+    await syncNow(reservations, store);
+    console.log(`Released ${r.reservation_id} (${r.paths.join(', ')})`);
+  } else {
+    const dm = notified ? ' and sent them a DM' : " — couldn't DM them, so let them know";
+    console.log(`Handed ${r.reservation_id} (${r.paths.join(', ')}) to @${r.owner}${dm}`);
+  }
+  return 0;
+}
+
+module.exports = { main };
@@ -0,0 +1,424 @@
+/**
+ * MCP Resources — Context agents can attach without a tool call
+ *
+ * URIs:
+ *   vibe://inbox                 — All threads, unread first
+ *   vibe://thread/@handle        — One conversation
+ *   vibe://group/{thread_id}     — One group thread, with members' unread counts
+ *   vibe://profile/{handle}      — What someone builds, ships, connections
+ *   vibe://ships/recent          — Latest ships from the board
+ *   vibe://session/{id}/journal  — Local session journal (tool calls, messages, notes)
+ *   vibe://memory/{handle}       — Thread-scoped memories you chose to keep
+ *
+ * Clients subscribe via `resources/subscribe` and receive
+ * `notifications/resources/updated` for exactly the thread that changed.
+ */
+
+const config = require('../config');
+const { normalizeHandle, truncate, formatTimeAgo, verificationBadge } = require('../tools/_shared');
+
+const INBOX_URI = 'vibe://inbox';
+const SHIPS_URI = 'vibe://ships/recent';
+const THREAD_PREFIX = 'vibe://thread/';
+const PROFILE_PREFIX = 'vibe://profile/';
+const MEMORY_PREFIX = 'vibe://memory/';
+const GROUP_PREFIX = 'vibe://group/';
+const SESSION_PATTERN = /^vibe:\/\/session\/([A-Za-z0-9_-]+)\/journal$/;
+const GROUP_PATTERN = /^vibe:\/\/group\/([A-Za-z0-9_-]+)$/;
+
+const HANDLE_PATTERN = /^[a-z0-9_-]+$/;
+const RECENT_SHIPS_LIMIT = 20;
+const JOURNAL_LIMIT = 200;
+const MEMORY_LIMIT = 50;
+
+// Parameterised URIs advertised via resources/templates/list (RFC 6570)
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'vibe://thread/@{handle}',
+    name: 'DM thread',
+    description: 'Your conversation with one person',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'vibe://group/{thread_id}',
+    name: 'Group thread',
+    description: 'A named group conversation and who has caught up',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'vibe://profile/{handle}',
+    name: 'Profile',
+    description: 'What someone is building, what they shipped, who they know',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'vibe://session/{id}/journal',
+    name: 'Session journal',
+    description: 'Tool calls, messages and notes from one local session',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'vibe://memory/{handle}',
+    name: 'Memories',
+    description: 'Thread-scoped memories you saved about someone',
+    mimeType: 'text/markdown'
+  }
+];
+
+// MCP error code for unknown resources
+const RESOURCE_NOT_FOUND = -32002;
+
+// ============ URIS ============
+
+/**
+ * Build the resource URI for a DM thread
+ * @param {string} handle - Other participant (leading @ optional)
+ * @returns {string} Thread resource URI
+ */
+function threadUri(handle) {
+  return `${THREAD_PREFIX}@${normalizeHandle(handle)}`;
+}
+
+/**
+ * Build the resource URI for a group thread
+ * @param {string} threadId
+ * @returns {string} Group resource URI
+ */
+function groupUri(threadId) {
+  return `${GROUP_PREFIX}${threadId}`;
+}
+
+/**
+ * Build the resource URI for the current session's journal
+ * @param {string} sessionId
+ * @returns {string}
+ */
+function journalUri(sessionId) {
+  return `vibe://session/${sessionId}/journal`;
+}
+
+/**
+ * Parse a vibe:// resource URI
+ * @param {string} uri
+ * @returns {{type: string, handle?: string, sessionId?: string, threadId?: string}|null}
+ */
+function parseUri(uri) {
+  if (typeof uri !== 'string') return null;
+  if (uri === INBOX_URI) return { type: 'inbox' };
+  if (uri === SHIPS_URI) return { type: 'ships' };
+
+  const prefixed = [
+    [THREAD_PREFIX, 'thread'],
+    [PROFILE_PREFIX, 'profile'],
+    [MEMORY_PREFIX, 'memory']
+  ];
+  for (const [prefix, type] of prefixed) {
+    if (!uri.startsWith(prefix)) continue;
+    const handle = parseHandle(uri.slice(prefix.length));
+    return handle ? { type, handle } : null;
+  }
+
+  const session = uri.match(SESSION_PATTERN);
+  if (session) return { type: 'journal', sessionId: session[1] };
+
+  const group = uri.match(GROUP_PATTERN);
+  if (group) return { type: 'group', threadId: group[1] };
+
+  return null;
+}
+
+function parseHandle(raw) {
+  try {
+    const handle = normalizeHandle(decodeURIComponent(raw));
+    return HANDLE_PATTERN.test(handle) ? handle : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Error carrying the JSON-RPC code index.js should answer with
+function notFound(uri) {
+  return Object.assign(new Error(`Resource not found: ${uri}`), { code: RESOURCE_NOT_FOUND });
+}
+
+function requireHandle() {
+  const handle = config.getHandle();
+  if (!handle) {
+    throw new Error('Run `vibe init` first to set your identity.');
+  }
+  return handle;
+}
+
+// ============ LIST ============
+
+/**
+ * List concrete resources (inbox, recent ships, this session's journal, one per known thread)
+ * @returns {Promise<Array<{uri: string, name: string, description?: string, mimeType: string}>>}
+ */
+async function listResources() {
+  const resources = [
+    {
+      uri: INBOX_URI,
+      name: 'Inbox',
+      description: 'Your /vibe DM threads, unread first',
+      mimeType: 'text/markdown'
+    },
+    {
+      uri: SHIPS_URI,
+      name: 'Recent ships',
+      description: 'What people shipped lately',
+      mimeType: 'text/markdown'
+    }
+  ];
+
+  const myHandle = config.getHandle();
+  if (!myHandle) return resources;
+
+  const sessionId = config.getSessionId();
+  if (sessionId) {
+    resources.push({
+      uri: journalUri(sessionId),
+      name: 'This session',
+      description: 'Journal of the current /vibe session',
+      mimeType: 'text/markdown'
+    });
+  }
+
+  const store = require('../store');
+  const threads = await store.getInbox(myHandle).catch(() => []);
+  for (const t of threads || []) {
+    if (!t.handle) continue;
+    resources.push({
+      uri: threadUri(t.handle),
+      name: `DM with @${t.handle}`,
+      description: t.unread > 0 ? `${t.unread} unread` : truncate(t.lastMessage || '', 60),
+      mimeType: 'text/markdown'
+    });
+  }
+
+  const groups = store.getGroups ? await store.getGroups(myHandle).catch(() => []) : [];
+  for (const g of groups || []) {
+    resources.push({
+      uri: groupUri(g.threadId),
+      name: `#${g.name}`,
+      description: g.unread > 0 ? `${g.unread} unread` : truncate(g.lastMessage || '', 60),
+      mimeType: 'text/markdown'
+    });
+  }
+
+  return resources;
+}
+
+/**
+ * List parameterised resource templates
+ * @returns {Array<{uriTemplate: string, name: string, description: string, mimeType: string}>}
+ */
+function listResourceTemplates() {
+  return RESOURCE_TEMPLATES;
+}
+
+// ============ READ ============
+
+/**
+ * Read a resource by URI
+ * @param {string} uri
+ * @returns {Promise<{contents: Array<{uri: string, mimeType: string, text: string}>}>}
+ */
+async function readResource(uri) {
+  const parsed = parseUri(uri);
+  if (!parsed) throw notFound(uri);
+
+  let text;
+  switch (parsed.type) {
+    case 'inbox':
+      text = await renderInbox(requireHandle());
+      break;
+    case 'thread':
+      text = await renderThread(requireHandle(), parsed.handle);
+      break;
+    case 'group':
+      text = await renderGroup(requireHandle(), parsed.threadId);
+      if (text === null) throw notFound(uri);
+      break;
+    case 'profile':
+      text = await renderProfile(parsed.handle);
+      break;
+    case 'ships':
+      text = await renderShips();
+      break;
+    case 'journal':
+      text = renderJournal(parsed.sessionId);
+      if (text === null) throw notFound(uri);
+      break;
+    case 'memory':
+      text = renderMemory(parsed.handle);
+      break;
+    default:
+      throw notFound(uri);
+  }
+
+  return { contents: [{ uri, mimeType: 'text/markdown', text }] };
+}
+
+async function renderInbox(myHandle) {
+  const store = require('../store');
+  const threads = (await store.getInbox(myHandle)) || [];
+
+  if (threads.length === 0) {
+    return '# Inbox\n\n_No messages yet._';
+  }
+
+  const sorted = [...threads].sort((a, b) => {
+    if (a.unread > 0 && b.unread === 0) return -1;
+    if (b.unread > 0 && a.unread === 0) return 1;
+    return (b.lastTimestamp || 0) - (a.lastTimestamp || 0);
+  });
+
+  const lines = sorted.map(t => {
+    const unread = t.unread > 0 ? ` (${t.unread} unread)` : '';
+    const when = t.lastTimestamp ? ` · ${formatTimeAgo(t.lastTimestamp)}` : '';
+    return `- **@${t.handle}**${unread}${when} — ${truncate(t.lastMessage || '', 80)}`;
+  });
+
+  return `# Inbox\n\n${lines.join('\n')}`;
+}
+
+async function renderThread(myHandle, theirHandle) {
+  const store = require('../store');
+  const messages = (await store.getThread(myHandle, theirHandle)) || [];
+
+  if (messages.length === 0) {
+    return `# @${theirHandle}\n\n_No messages yet._`;
+  }
+
+  const lines = messages.map(m => {
+    const who = m.from === myHandle ? 'you' : `@${m.from}`;
+    const badge = verificationBadge(m.verification);
+    const lock = m.encrypted ? ' 🔒' : '';
+    return `**${who}**${badge ? ` ${badge}` : ''} · ${formatTimeAgo(m.timestamp)}${lock}\n${m.body || ''}`;
+  });
+
+  return `# @${theirHandle}\n\n${lines.join('\n\n')}`;
+}
+
+// Returns null for a group you're not in
+async function renderGroup(myHandle, threadId) {
+  const store = require('../store');
+  const thread = store.getGroupThread ? await store.getGroupThread(myHandle, threadId) : null;
+  if (!thread) return null;
+
+  const { group, messages } = thread;
+  const members = group.members.map(m => {
+    const who = m.handle === myHandle ? 'you' : `@${m.handle}`;
+    return m.unread > 0 ? `${who} (${m.unread} unread)` : who;
+  });
+  const header = `# #${group.name}\n\n**Members:** ${members.join(', ')}`;
+
+  if (messages.length === 0) {
+    return `${header}\n\n_No messages yet._`;
+  }
+
+  const lines = messages.map(m => {
+    const who = m.from === myHandle ? 'you' : `@${m.from}`;
+    const badge = verificationBadge(m.verification);
+    const lock = m.encrypted ? ' 🔒' : '';
+    return `**${who}**${badge ? ` ${badge}` : ''} · ${formatTimeAgo(m.timestamp)}${lock}\n${m.body || ''}`;
+  });
+
+  return `${header}\n\n${lines.join('\n\n')}`;
+}
+
+async function renderProfile(handle) {
+  const profiles = require('../store/profiles');
+  const profile = await profiles.getProfile(handle);
+
+  const lines = [`# @${handle}`, ''];
+  if (profile.building) lines.push(`**Building:** ${profile.building}`);
+  if (profile.interests?.length) lines.push(`**Interests:** ${profile.interests.join(', ')}`);
+  if (profile.tags?.length) lines.push(`**Tags:** ${profile.tags.join(', ')}`);
+  if (profile.lastSeen) lines.push(`**Last seen:** ${formatTimeAgo(profile.lastSeen)}`);
+
+  const ships = (profile.ships || []).slice(-10).reverse();
+  if (ships.length > 0) {
+    lines.push('', '## Ships', ...ships.map(s => `- ${s.what} · ${formatTimeAgo(s.timestamp)}`));
+  }
+
+  const connections = (profile.connections || []).slice(-10).reverse();
+  if (connections.length > 0) {
+    lines.push('', '## Connections', ...connections.map(c => `- @${c.handle}${c.reason ? ` — ${c.reason}` : ''}`));
+  }
+
+  if (lines.length === 2) lines.push('_No profile yet._');
+  return lines.join('\n');
+}
+
+async function renderShips() {
+  const store = require('../store');
+  const ships = store.getRecentShips ? await store.getRecentShips(RECENT_SHIPS_LIMIT) : [];
+
+  if (!ships || ships.length === 0) {
+    return '# Recent ships\n\n_Nothing shipped yet._';
+  }
+
+  const lines = ships.map(s => {
+    const when = s.timestamp ? ` · ${formatTimeAgo(s.timestamp)}` : '';
+    return `- **@${s.author}**${when} — ${truncate(s.content || '', 140)}`;
+  });
+
+  return `# Recent ships\n\n${lines.join('\n')}`;
+}
+
+// Returns null when the session isn't in the local journal
+function renderJournal(sessionId) {
+  const getSessions = require('../store/sessions');
+  const sessions = getSessions();
+  const session = sessions.getSession(sessionId);
+  if (!session) return null;
+
+  const entries = sessions.getSessionJournal(sessionId, { limit: JOURNAL_LIMIT });
+  const header = [`# Session ${sessionId}`, ''];
+  if (session.git_repo) {
+    const branch = session.git_branch ? ` (${session.git_branch})` : '';
+    header.push(`**Repo:** ${session.git_repo}${branch}`);
+  }
+  header.push(`**Started:** ${session.started_at}`);
+  if (session.ended_at) header.push(`**Ended:** ${session.ended_at}`);
+  if (session.summary) header.push('', session.summary);
+
+  if (entries.length === 0) {
+    return `${header.join('\n')}\n\n_No journal entries yet._`;
+  }
+
+  const lines = entries.map(e => {
+    const what = [e.tool_name, e.target].filter(Boolean).join(' → ');
+    const summary = e.summary ? ` — ${truncate(e.summary, 120)}` : '';
+    return `- ${e.timestamp} · ${e.event_type}${what ? ` ${what}` : ''}${summary}`;
+  });
+
+  return `${header.join('\n')}\n\n## Journal\n\n${lines.join('\n')}`;
+}
+
+function renderMemory(handle) {
+  const memory = require('../memory');
+  const memories = memory.recall(handle, MEMORY_LIMIT);
+
+  if (memories.length === 0) {
+    return `# Memories of @${handle}\n\n_Nothing remembered yet._`;
+  }
+
+  const lines = memories.map(m => `- ${m.observation} · ${formatTimeAgo(m.timestamp)}`);
+  return `# Memories of @${handle}\n\n${lines.join('\n')}`;
+}
+
+module.exports = {
+  INBOX_URI,
+  SHIPS_URI,
+  RESOURCE_NOT_FOUND,
+  threadUri,
+  groupUri,
+  journalUri,
+  parseUri,
+  listResources,
+  listResourceTemplates,
+  readResource
+};
@@ -1,13 +1,18 @@
 /**
- * MCP `list_changed` notification emitter
+ * MCP notification emitter
+ *
+ * Sends resource notifications so clients refresh without reconnection:
+ * - notifications/resources/updated — one resource (a DM thread, the inbox) changed
+ * - notifications/resources/list_changed — the set of resources changed (new thread)
  *
- * Triggers Claude to refresh tool results without reconnection.
  * Implements debouncing to prevent notification spam.
  *
  * This eliminates the need for 30-second polling loops,
  * reducing API calls by ~90% and providing instant updates.
  */
 
+const { INBOX_URI, threadUri, groupUri } = require('./lib/resources');
+
 class NotificationEmitter {
   constructor(server) {
     this.server = server;
@@ -15,42 +20,64 @@ class NotificationEmitter {
   }
 
   /**
-   * Emit list_changed notification with debouncing
+   * Emit resources/list_changed notification with debouncing
    * @param {string} reason - Why notification is being sent (for logging/debugging)
    * @param {number} debounceMs - Debounce window in milliseconds (default: 1000ms)
    */
   emitChange(reason, debounceMs = 1000) {
-    // Debounce to prevent notification spam
-    // If we get multiple changes of the same type within the window,
-    // only emit one notification
-    if (this.debounceTimers[reason]) {
-      clearTimeout(this.debounceTimers[reason]);
-    }
-
-    this.debounceTimers[reason] = setTimeout(() => {
-      try {
-        this.server.notification({
-          method: 'notifications/list_changed'
-        });
-        delete this.debounceTimers[reason];
-      } catch (e) {
-        // Silent fail - notifications are best-effort
-        // If notification fails, Claude will continue working normally
-      }
-    }, debounceMs);
+    this.debounce(reason, debounceMs, { method: 'notifications/resources/list_changed' });
   }
 
   /**
-   * Emit immediately without debouncing
+   * Emit resources/list_changed immediately without debouncing
    * Use for urgent updates like direct mentions
    */
   emitImmediate() {
+    this.send({ method: 'notifications/resources/list_changed' });
+  }
+
+  /**
+   * Emit resources/updated for a single resource URI
+   * Only sessions subscribed to that URI receive it (see VibeMCPServer.notification)
+   * @param {string} uri - Resource URI (e.g. vibe://thread/@alex)
+   * @param {number} debounceMs - Debounce window in milliseconds (default: 250ms)
+   */
+  emitResourceUpdated(uri, debounceMs = 250) {
+    this.debounce(`updated:${uri}`, debounceMs, {
+      method: 'notifications/resources/updated',
+      params: { uri }
+    });
+  }
+
+  /**
+   * A DM thread changed — update that thread and the inbox
+   * @param {string} handle - The other participant
+   */
+  emitThreadUpdated(handle) {
+    if (!handle) return;
+    // Group addresses (#<thread_id>, see store/groups.js) map to the group resource
+    this.emitResourceUpdated(handle.startsWith('#') ? groupUri(handle.slice(1)) : threadUri(handle));
+    this.emitResourceUpdated(INBOX_URI);
+  }
+
+  // If we get multiple changes with the same key within the window, only emit one notification
+  debounce(key, debounceMs, payload) {
+    if (this.debounceTimers[key]) {
+      clearTimeout(this.debounceTimers[key]);
+    }
+
+    this.debounceTimers[key] = setTimeout(() => {
+      delete this.debounceTimers[key];
+      this.send(payload);
+    }, debounceMs);
+  }
+
+  send(payload) {
     try {
-      this.server.notification({
-        method: 'notifications/list_changed'
-      });
+      this.server.notification(payload);
     } catch (e) {
-      // Silent fail
+      // Silent fail - notifications are best-effort
+      // If notification fails, Claude will continue working normally
     }
   }
 
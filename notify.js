@@ -11,6 +11,7 @@
  */
 
 const { exec } = require('child_process');
+const crypto = require('crypto');
 const os = require('os');
 const fs = require('fs');
 const path = require('path');
@@ -155,6 +156,40 @@ async function checkAndNotify(inbox) {
   return notified;
 }
 
+/**
+ * Detect inbound messages the inbox poll hasn't seen before
+ * Emits MCP resources/updated for each thread that got a new message.
+ * The first poll only seeds the seen-set (no notifications for old mail).
+ */
+let seenInboxIds = null;
+
+function checkNewMessages(inbox) {
+  const ids = inbox.map(m => m.id).filter(Boolean);
+
+  if (seenInboxIds === null) {
+    seenInboxIds = new Set(ids);
+    return [];
+  }
+
+  const fresh = inbox.filter(m => m.id && !seenInboxIds.has(m.id));
+  for (const msg of fresh) {
+    seenInboxIds.add(msg.id);
+    if (global.vibeNotifier) global.vibeNotifier.emitThreadUpdated(msg.from);
+  }
+
+  // A message from someone new opens a new thread resource
+  if (fresh.length > 0 && global.vibeNotifier) {
+    global.vibeNotifier.emitChange('inbox');
+  }
+
+  // Keep the seen-set bounded to what the server still returns
+  if (seenInboxIds.size > 500) {
+    seenInboxIds = new Set(ids);
+  }
+
+  return fresh;
+}
+
 /**
  * Send a single notification immediately
  */
@@ -337,6 +372,8 @@ async function checkAll(store) {
   try {
     // Check for unread messages
     const inbox = await store.getRawInbox(myHandle).catch(() => []);
+    const fresh = checkNewMessages(inbox);
+    if (fresh.length > 0) relayToBridge(fresh, myHandle).catch(() => {});
     if (inbox.length > 0) {
       checkAndNotify(inbox);
     }
@@ -364,6 +401,39 @@ async function checkAll(store) {
   }
 }
 
+/**
+ * Push new DMs to the webhook runner's /webhook/vibe, which relays them to
+ * your linked Slack and Matrix accounts (see bridges/webhook-server.js)
+ * Off unless vibe_webhook_url and webhook_secret (or VIBE_WEBHOOK_URL and
+ * WEBHOOK_SECRET) are set, the secret matching the runner's.
+ */
+async function relayToBridge(messages, myHandle) {
+  const cfg = config.load();
+  const url = cfg.vibe_webhook_url || process.env.VIBE_WEBHOOK_URL;
+  const secret = cfg.webhook_secret || process.env.WEBHOOK_SECRET;
+  if (!url || !secret) return;
+
+  for (const msg of messages) {
+    const body = JSON.stringify({
+      type: 'dm',
+      id: msg.id,
+      from: msg.from,
+      to: myHandle,
+      body: msg.text || '',
+      timestamp: msg.createdAt
+    });
+    const signature = 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+    try {
+      await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Vibe-Signature': signature },
+        body,
+        signal: AbortSignal.timeout(5000)
+      });
+    } catch (e) {}
+  }
+}
+
 /**
  * Push event to subscribed agent gateways (Clawdbot, @seth, etc.)
  * Wraps agent-gateway pushEvent for use in tool handlers.
@@ -380,16 +450,18 @@ async function pushToAgents(eventType, eventData) {
     const agentGateway = require('./bridges/agent-gateway');
     await agentGateway.pushEvent(eventType, eventData);
   } catch (e) {
-    // Silent fail — agent gateway is optional infrastructure
+    // Agent gateway is optional infrastructure; failed deliveries are already queued for retry
   }
 }
 
 module.exports = {
   showNotification,
   checkAndNotify,
+  checkNewMessages,
   checkPresence,
   checkShips,
   checkAll,
+  relayToBridge,
   notify,
   ringBell,
   pushToAgents
@@ -15,6 +15,9 @@ const { execSync } = require('child_process');
 
 let heartbeatInterval = null;
 let sessionInitialized = false;
+// Teammates' reservations on files we're changing, worked out on each heartbeat
+// so tool responses don't run git themselves
+let workingTreeConflicts = [];
 
 function start() {
   if (heartbeatInterval) return;
@@ -26,15 +29,22 @@ function start() {
   heartbeatInterval = setInterval(sendHeartbeat, 30 * 1000);
 }
 
+/**
+ * Stop the heartbeat and end the session
+ * Its file reservations are released; the returned promise settles once
+ * they're withdrawn from the shared backend (best-effort).
+ * @returns {Promise<unknown>}
+ */
 function stop() {
   if (heartbeatInterval) {
     clearInterval(heartbeatInterval);
     heartbeatInterval = null;
   }
 
+  const sessionId = config.getSessionId();
+
   // End local session journal + analytics
   try {
-    const sessionId = config.getSessionId();
     if (sessionId) {
       const getSessions = require('./store/sessions');
       getSessions().endSession(sessionId);
@@ -42,8 +52,19 @@ function stop() {
     analytics.trackSession('ended');
   } catch (e) { /* journal/analytics is best-effort */ }
 
+  // Nobody renews this session's reservations from here on
+  /** @type {Promise<unknown>} */
+  let withdrawn = Promise.resolve();
+  try {
+    const reservations = require('./store/reservations');
+    if (reservations.releaseSession(sessionId).length > 0) {
+      withdrawn = reservations.sync(store, { force: true }).catch(() => {});
+    }
+  } catch (e) { /* reservations are best-effort */ }
+
   // Clean up session file
   config.clearSession();
+  return withdrawn;
 }
 
 async function initSession() {
@@ -101,9 +122,40 @@ async function sendHeartbeat() {
 
     // Check for notifications (runs in background, non-blocking)
     notify.checkAll(store).catch(() => {});
+
+    // Resend DMs that failed while offline, then sync history and read receipts (API store only)
+    if (store.retryMessage) {
+      require('./store/outbox')
+        .flush(store, handle)
+        .then(() => require('./store/sync').run(store, handle))
+        .catch(() => {});
+    }
+
+    // Keep this session's file reservations alive and share them with teammates in the same repo
+    try {
+      const reservations = require('./store/reservations');
+      const sessionId = config.getSessionId();
+      const changed = reservations.releaseOrphans().length + reservations.renewSession(sessionId).length;
+      // Sync is throttled, except when teammates would otherwise see stale expiries
+      reservations
+        .sync(store, { force: changed > 0, session_id: sessionId, handle })
+        .catch(() => {})
+        .then(() => {
+          workingTreeConflicts = reservations.checkWorkingTree(handle);
+        })
+        .catch(() => {});
+    } catch (e) { /* reservations are best-effort */ }
   }
 }
 
+/**
+ * Conflicts from the last heartbeat's working tree check (reservations.checkWorkingTree)
+ * @returns {Array<object>}
+ */
+function getWorkingTreeConflicts() {
+  return workingTreeConflicts;
+}
+
 // Force an immediate heartbeat (for doctor auto-fix)
 async function forceHeartbeat() {
   if (!config.isInitialized()) {
@@ -126,4 +178,4 @@ async function forceHeartbeat() {
   return { success: true, handle };
 }
 
-module.exports = { start, stop, forceHeartbeat };
+module.exports = { start, stop, forceHeartbeat, getWorkingTreeConflicts };
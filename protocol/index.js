@@ -1,19 +1,49 @@
 /**
  * Agent Protocol — Structured message payloads
  *
- * Version 0.1.0 — Starting with ONE schema (game state)
+ * Version 0.1.0 — Each payload type is a JSON Schema in the registry
+ * (protocol/registry.js), versioned with semver
  *
  * Design principles:
  * - Start specific, generalize later
  * - Include version for forward compatibility
  * - Keep payloads small and inspectable
  * - Support idempotency keys for retries
+ *
+ * Third-party agents can validate against the same schemas:
+ * `slashvibe-mcp protocol schemas` prints them as one JSON Schema bundle.
  */
 
+const { createRegistry } = require('./registry');
+
 const PROTOCOL_VERSION = '0.1.0';
+const BUNDLE_ID = 'https://slashvibe.dev/protocol/schemas.json';
+
+const registry = createRegistry();
 
 // ============ SCHEMA DEFINITIONS ============
 
+const SEMVER_PATTERN = '^\\d+\\.\\d+\\.\\d+$';
+const NON_EMPTY = { type: 'string', minLength: 1 };
+const NULLABLE_STRING = { type: ['string', 'null'] };
+
+// Fields every payload shares, plus the type's own
+function payloadSchema(type, description, required, properties) {
+  return {
+    title: `${type} payload`,
+    description,
+    type: 'object',
+    required: ['type', 'version', ...required],
+    properties: {
+      type: { const: type },
+      version: { type: 'string', pattern: SEMVER_PATTERN },
+      idempotencyKey: NON_EMPTY,
+      replyTo: NON_EMPTY,
+      ...properties
+    }
+  };
+}
+
 /**
  * Game state schema — For turn-based games between agents
  *
@@ -31,19 +61,14 @@ const PROTOCOL_VERSION = '0.1.0';
  *   }
  * }
  */
-const GAME_SCHEMA = {
-  type: 'game',
-  required: ['game', 'state'],
-  validate: payload => {
-    if (!payload.game || typeof payload.game !== 'string') {
-      return { valid: false, error: 'Missing or invalid game name' };
-    }
-    if (!payload.state || typeof payload.state !== 'object') {
-      return { valid: false, error: 'Missing or invalid state object' };
-    }
-    return { valid: true };
-  }
-};
+registry.register(
+  'game',
+  '0.1.0',
+  payloadSchema('game', 'Turn-based game state', ['game', 'state'], {
+    game: NON_EMPTY,
+    state: { type: 'object' }
+  })
+);
 
 /**
  * Handoff schema — For passing work between agents
@@ -62,19 +87,28 @@ const GAME_SCHEMA = {
  *   }
  * }
  */
-const HANDOFF_SCHEMA = {
-  type: 'handoff',
-  required: ['task', 'context'],
-  validate: payload => {
-    if (!payload.task || typeof payload.task !== 'string') {
-      return { valid: false, error: 'Missing or invalid task type' };
-    }
-    if (!payload.context || typeof payload.context !== 'object') {
-      return { valid: false, error: 'Missing or invalid context object' };
+registry.register(
+  'handoff',
+  '0.1.0',
+  payloadSchema('handoff', 'Work passed from one agent to another', ['task', 'context'], {
+    task: NON_EMPTY,
+    context: {
+      type: 'object',
+      properties: {
+        description: NULLABLE_STRING,
+        repo: NULLABLE_STRING,
+        branch: NULLABLE_STRING,
+        commit: NULLABLE_STRING,
+        files: { type: 'array', items: { type: 'string' } },
+        journal: {
+          type: 'array',
+          items: { type: 'object', properties: { at: { type: 'string' }, type: { type: 'string' } } }
+        },
+        priority: { type: 'string' }
+      }
     }
-    return { valid: true };
-  }
-};
+  })
+);
 
 /**
  * Ack schema — For acknowledging receipt of structured messages
@@ -87,19 +121,14 @@ const HANDOFF_SCHEMA = {
  *   status: 'received'
  * }
  */
-const ACK_SCHEMA = {
-  type: 'ack',
-  required: ['replyTo', 'status'],
-  validate: payload => {
-    if (!payload.replyTo || typeof payload.replyTo !== 'string') {
-      return { valid: false, error: 'Missing or invalid replyTo' };
-    }
-    if (!['received', 'processed', 'rejected'].includes(payload.status)) {
-      return { valid: false, error: 'Invalid status (must be: received, processed, rejected)' };
-    }
-    return { valid: true };
-  }
-};
+registry.register(
+  'ack',
+  '0.1.0',
+  payloadSchema('ack', 'Acknowledges the payload whose idempotencyKey is replyTo', ['replyTo', 'status'], {
+    status: { enum: ['received', 'processed', 'rejected'] },
+    message: { type: 'string' }
+  })
+);
 
 /**
  * Artifact schema — For sharing artifacts in messages
@@ -116,28 +145,18 @@ const ACK_SCHEMA = {
  *   url: 'https://slashvibe.dev/a/pizza-guide-abc123'
  * }
  */
-const ARTIFACT_SCHEMA = {
-  type: 'artifact',
-  required: ['artifactId', 'slug', 'title', 'template', 'url'],
-  validate: payload => {
-    if (!payload.artifactId || typeof payload.artifactId !== 'string') {
-      return { valid: false, error: 'Missing or invalid artifactId' };
-    }
-    if (!payload.slug || typeof payload.slug !== 'string') {
-      return { valid: false, error: 'Missing or invalid slug' };
-    }
-    if (!payload.title || typeof payload.title !== 'string') {
-      return { valid: false, error: 'Missing or invalid title' };
-    }
-    if (!['guide', 'learning', 'workspace'].includes(payload.template)) {
-      return { valid: false, error: 'Invalid template (must be: guide, learning, workspace)' };
-    }
-    if (!payload.url || typeof payload.url !== 'string') {
-      return { valid: false, error: 'Missing or invalid url' };
-    }
-    return { valid: true };
-  }
-};
+registry.register(
+  'artifact',
+  '0.1.0',
+  payloadSchema('artifact', 'A shared artifact card', ['artifactId', 'slug', 'title', 'template', 'url'], {
+    artifactId: NON_EMPTY,
+    slug: NON_EMPTY,
+    title: NON_EMPTY,
+    template: { enum: ['guide', 'learning', 'workspace'] },
+    preview: { type: 'string' },
+    url: { type: 'string', pattern: '^https?://' }
+  })
+);
 
 /**
  * Agent wire schema — For agent-to-agent communication on the wire
@@ -145,6 +164,10 @@ const ARTIFACT_SCHEMA = {
  * Used when external agents (Clawdbot, @seth) communicate via /vibe.
  * AIRC-signed for identity verification.
  *
+ * Known actions: session_sync, event_subscribe, memory_query, memory_store,
+ * identity_verify, heartbeat and capability_announce. Others are allowed
+ * for forward compat.
+ *
  * Example:
  * {
  *   type: 'agent',
@@ -159,37 +182,44 @@ const ARTIFACT_SCHEMA = {
  *   }
  * }
  */
-const AGENT_SCHEMA = {
-  type: 'agent',
-  required: ['action'],
-  validate: payload => {
-    if (!payload.action || typeof payload.action !== 'string') {
-      return { valid: false, error: 'Missing or invalid action' };
-    }
-    const validActions = [
-      'session_sync',   // Sync session state to /vibe presence
-      'event_subscribe', // Subscribe to event pushes
-      'memory_query',   // Query local memory
-      'memory_store',   // Store observation
-      'identity_verify', // AIRC identity verification
-      'heartbeat',      // Agent heartbeat
-      'capability_announce' // Announce agent capabilities
-    ];
-    // Allow unknown actions for forward compat
-    if (!validActions.includes(payload.action)) {
-      return { valid: true, unknown_action: true };
+registry.register(
+  'agent',
+  '0.1.0',
+  payloadSchema('agent', 'Agent-to-agent wire message', ['action'], {
+    action: NON_EMPTY,
+    source: { type: 'object', properties: { platform: { type: 'string' }, gateway: { type: 'string' } } },
+    context: { type: 'object' },
+    events: { type: 'array', items: { type: 'string' } },
+    capabilities: { type: 'array', items: { type: 'string' } },
+    // capability_announce: payload type → versions the sender reads
+    schemas: {
+      type: 'object',
+      additionalProperties: { type: 'array', items: { type: 'string', pattern: SEMVER_PATTERN } }
     }
-    return { valid: true };
-  }
-};
+  })
+);
 
-const SCHEMAS = {
-  game: GAME_SCHEMA,
-  handoff: HANDOFF_SCHEMA,
-  ack: ACK_SCHEMA,
-  artifact: ARTIFACT_SCHEMA,
-  agent: AGENT_SCHEMA
-};
+/**
+ * The newest schema of each registered type, keyed by type
+ * Each entry keeps the { type, required, validate } shape from before the
+ * registry, so existing callers still work. registerSchema keeps it current.
+ * @type {Object<string, {type: string, version: string, required: string[], schema: Object, validate: function(Object): Object}>}
+ */
+const SCHEMAS = {};
+
+function describeSchema(type) {
+  const version = registry.latest(type);
+  const { schema } = registry.resolve(type, version);
+  SCHEMAS[type] = {
+    type,
+    version,
+    required: schema.required || [],
+    schema,
+    validate: payload => registry.validate({ version, ...payload, type })
+  };
+}
+
+for (const type of Object.keys(registry.capabilities())) describeSchema(type);
 
 // ============ PROTOCOL FUNCTIONS ============
 
@@ -197,18 +227,17 @@ const SCHEMAS = {
  * Create a protocol-compliant payload
  * @param {string} type - Payload type (game, handoff, ack)
  * @param {Object} data - Payload data
- * @param {Object} options - Options (idempotencyKey, replyTo)
+ * @param {Object} options - Options (idempotencyKey, replyTo, version — defaults to the newest registered)
  * @returns {Object} - Protocol-compliant payload
  */
 function createPayload(type, data, options = {}) {
-  const schema = SCHEMAS[type];
-  if (!schema) {
+  if (!registry.has(type)) {
     throw new Error(`Unknown payload type: ${type}`);
   }
 
   const payload = {
     type,
-    version: PROTOCOL_VERSION,
+    version: options.version || registry.latest(type),
     ...data
   };
 
@@ -221,7 +250,7 @@ function createPayload(type, data, options = {}) {
   }
 
   // Validate
-  const result = schema.validate(payload);
+  const result = registry.validate(payload);
   if (!result.valid) {
     throw new Error(`Invalid ${type} payload: ${result.error}`);
   }
@@ -231,26 +260,36 @@ function createPayload(type, data, options = {}) {
 
 /**
  * Validate a received payload
+ * Every problem is listed in `errors` with the JSON Pointer of the field;
+ * `error` joins them into one line.
  * @param {Object} payload - Payload to validate
- * @returns {Object} - { valid: boolean, error?: string, type?: string }
+ * @returns {Object} - { valid, errors, error?, type?, version?, unknown?, newer?, incompatible? }
  */
 function validatePayload(payload) {
-  if (!payload || typeof payload !== 'object') {
-    return { valid: false, error: 'Payload must be an object' };
-  }
-
-  if (!payload.type) {
-    return { valid: false, error: 'Missing payload type' };
-  }
+  return registry.validate(payload);
+}
 
-  const schema = SCHEMAS[payload.type];
-  if (!schema) {
-    // Unknown types are allowed but flagged
-    return { valid: true, type: payload.type, unknown: true };
-  }
+/**
+ * Declare a new payload type, or a new version of one
+ * @param {string} type
+ * @param {string} version - Semver
+ * @param {Object} schema - JSON Schema for the whole payload
+ */
+function registerSchema(type, version, schema) {
+  registry.register(type, version, schema);
+  describeSchema(type);
+}
 
-  const result = schema.validate(payload);
-  return { ...result, type: payload.type };
+/**
+ * Every registered schema as one JSON Schema document
+ * @returns {Object}
+ */
+function exportSchemas() {
+  return registry.bundle({
+    $id: BUNDLE_ID,
+    title: '/vibe agent protocol',
+    description: `Payload schemas for protocol ${PROTOCOL_VERSION}. Each type is also under $defs as <type>-<version>.`
+  });
 }
 
 /**
@@ -332,7 +371,8 @@ function createHandoffPayload(task, context, options = {}) {
  * @returns {Object} - Ack payload
  */
 function createAckPayload(replyTo, status, message = null) {
-  const payload = createPayload('ack', { replyTo, status });
+  // One ack per status per payload, so a resent ack carries the same key
+  const payload = createPayload('ack', { replyTo, status }, { idempotencyKey: `ack_${status}_${replyTo}` });
   if (message) {
     payload.message = message;
   }
@@ -506,6 +546,31 @@ function formatAgentPayload(payload) {
   }
 }
 
+// ============ CAPABILITY EXCHANGE ============
+
+/**
+ * Announce which payload types and versions we read
+ * The peer answers with its own; both sides then call negotiate().
+ * @param {object} [options] - Options (idempotencyKey, source)
+ * @returns {object} - capability_announce agent payload
+ */
+function createCapabilitiesPayload(options = {}) {
+  const schemas = registry.capabilities();
+  return createAgentPayload('capability_announce', { capabilities: Object.keys(schemas), schemas }, options);
+}
+
+/**
+ * Agree on a version per payload type with a peer
+ * Send each type at its agreed version (createPayload's `version` option);
+ * types in `unsupported` have no version in common and shouldn't be sent.
+ * @param {object} remote - The peer's capability_announce payload, or its `schemas` map
+ * @returns {{agreed: Object<string, string>, unsupported: string[]}}
+ */
+function negotiate(remote) {
+  const schemas = remote && remote.type === 'agent' ? remote.schemas : remote;
+  return registry.negotiate(schemas || {});
+}
+
 module.exports = {
   PROTOCOL_VERSION,
 
@@ -531,6 +596,14 @@ module.exports = {
   // Agent helpers
   createAgentPayload,
 
-  // Schemas (for extension)
-  SCHEMAS
+  // Capability exchange
+  capabilities: registry.capabilities,
+  createCapabilitiesPayload,
+  negotiate,
+
+  // Schema registry (for extension)
+  SCHEMAS,
+  registerSchema,
+  exportSchemas,
+  registry
 };
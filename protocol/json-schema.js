@@ -0,0 +1,154 @@
+/**
+ * JSON Schema — Minimal validator for protocol payloads
+ *
+ * Supports the subset of draft 2020-12 the payload schemas use:
+ * type (incl. 'integer' and type lists), const, enum, properties, required,
+ * additionalProperties, items, minItems, maxItems, minLength, maxLength,
+ * pattern, minimum, maximum, anyOf and local $ref ('#/$defs/...').
+ * Unknown keywords are ignored, as the spec requires.
+ *
+ * Every error is reported, not just the first, each with the JSON Pointer
+ * of the value that failed ('' is the payload itself).
+ */
+
+/**
+ * @typedef {{path: string, message: string}} SchemaError
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+// RFC 6901: ~ and / are escaped in pointer segments
+function pointer(path, key) {
+  return `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) throw new Error(`Only local $refs are supported: ${ref}`);
+  const target = ref
+    .slice(2)
+    .split('/')
+    .reduce((node, key) => (node ? node[key.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined), root);
+  if (!target) throw new Error(`Unresolvable $ref: ${ref}`);
+  return target;
+}
+
+function check(value, schema, path, root, errors) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path, message: 'is not allowed' });
+    return;
+  }
+
+  if (schema.$ref) {
+    check(value, resolveRef(schema.$ref, root), path, root, errors);
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}` });
+      // Nothing else about the value is meaningful once its type is wrong
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      const message = schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`;
+      errors.push({ path, message });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => check(item, schema.items, pointer(path, i), root, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: pointer(path, key), message: 'is required' });
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (child === undefined) continue;
+      if (key in properties) check(child, properties[key], pointer(path, key), root, errors);
+      else if (schema.additionalProperties !== undefined) {
+        check(child, schema.additionalProperties, pointer(path, key), root, errors);
+      }
+    }
+  }
+
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map(branch => {
+      const branchErrors = [];
+      check(value, branch, path, root, branchErrors);
+      return branchErrors;
+    });
+    // Report the closest branch's errors
+    if (!branches.some(b => b.length === 0)) {
+      errors.push(...branches.reduce((best, b) => (b.length < best.length ? b : best)));
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value
+ * @param {object|boolean} schema
+ * @returns {SchemaError[]} Empty when valid
+ */
+function validate(value, schema) {
+  const errors = [];
+  check(value, schema, '', schema, errors);
+  return errors;
+}
+
+/**
+ * One line per error, e.g. "/context/files/0 must be string"
+ * @param {SchemaError[]} errors
+ * @returns {string}
+ */
+function formatErrors(errors) {
+  return errors.map(e => `${e.path || '(payload)'} ${e.message}`).join('; ');
+}
+
+module.exports = { validate, formatErrors };
@@ -0,0 +1,210 @@
+/**
+ * Schema Registry — Versioned JSON Schemas for protocol payloads
+ *
+ * Each payload type is registered as one or more JSON Schemas, each under a
+ * semver version. Versions with the same major are compatible (in 0.x, the
+ * same minor as well): a newer compatible payload only adds optional fields,
+ * so it's checked against the newest schema we have for that line and the
+ * extra fields pass through. An incompatible version is rejected.
+ *
+ * Clients exchange capabilities() — type → versions they read — and
+ * negotiate() picks, per type, the newest version both sides understand.
+ */
+
+const jsonSchema = require('./json-schema');
+
+const SEMVER = /^(\d+)\.(\d+)\.(\d+)$/;
+
+// ============ SEMVER ============
+
+function parseVersion(version) {
+  const match = SEMVER.exec(String(version));
+  return match ? match.slice(1).map(Number) : null;
+}
+
+function compareVersions(a, b) {
+  const [pa, pb] = [parseVersion(a), parseVersion(b)];
+  for (let i = 0; i < 3; i++) {
+    if (pa[i] !== pb[i]) return pa[i] - pb[i];
+  }
+  return 0;
+}
+
+/**
+ * Whether a reader of one version can read the other
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function isCompatible(a, b) {
+  const [pa, pb] = [parseVersion(a), parseVersion(b)];
+  if (!pa || !pb || pa[0] !== pb[0]) return false;
+  return pa[0] > 0 || pa[1] === pb[1];
+}
+
+// ============ REGISTRY ============
+
+/**
+ * Create an empty registry
+ * @returns {object}
+ */
+function createRegistry() {
+  /** @type {Map<string, Map<string, object>>} type → version → schema */
+  const types = new Map();
+
+  /**
+   * Declare a payload type's schema at a version
+   * @param {string} type
+   * @param {string} version - Semver, e.g. '1.2.0'
+   * @param {object} schema - JSON Schema for the whole payload
+   */
+  function register(type, version, schema) {
+    if (!type || typeof type !== 'string') throw new Error('Schema type must be a non-empty string');
+    if (!parseVersion(version)) {
+      throw new Error(`Invalid schema version for ${type}: ${version} (use MAJOR.MINOR.PATCH)`);
+    }
+    if (!schema || typeof schema !== 'object') throw new Error(`Schema for ${type} ${version} must be an object`);
+
+    if (!types.has(type)) types.set(type, new Map());
+    const versions = types.get(type);
+    if (versions.has(version)) throw new Error(`${type} ${version} is already registered`);
+    versions.set(version, schema);
+  }
+
+  function has(type) {
+    return types.has(type);
+  }
+
+  /**
+   * Registered versions of a type, newest first
+   * @param {string} type
+   * @returns {string[]}
+   */
+  function versions(type) {
+    return [...(types.get(type) || new Map()).keys()].sort((a, b) => compareVersions(b, a));
+  }
+
+  function latest(type) {
+    return versions(type)[0] || null;
+  }
+
+  /**
+   * The schema to check a payload of this version against
+   * @param {string} type
+   * @param {string} version
+   * @returns {{version: string, schema: object, newer: boolean}|null} Null when no registered version is compatible
+   */
+  function resolve(type, version) {
+    const known = types.get(type);
+    if (!known) return null;
+    if (known.has(version)) return { version, schema: known.get(version), newer: false };
+
+    const compatible = versions(type).filter(v => isCompatible(v, version));
+    if (compatible.length === 0) return null;
+    // Prefer the oldest version at least as new as the payload, else our newest
+    const atLeast = compatible.filter(v => compareVersions(v, version) >= 0);
+    const chosen = atLeast.length > 0 ? atLeast[atLeast.length - 1] : compatible[0];
+    return { version: chosen, schema: known.get(chosen), newer: compareVersions(version, chosen) > 0 };
+  }
+
+  /**
+   * Validate a payload against its type's schema
+   * @param {object} payload
+   * @returns {{valid: boolean, type?: string, version?: string, errors: Array<{path: string, message: string}>, error?: string, unknown?: boolean, newer?: boolean, incompatible?: boolean}}
+   */
+  function validate(payload) {
+    const fail = (errors, extra = {}) => ({ valid: false, ...extra, errors, error: jsonSchema.formatErrors(errors) });
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return fail([{ path: '', message: 'must be object' }]);
+    }
+    if (!payload.type) return fail([{ path: '/type', message: 'is required' }]);
+
+    const { type } = payload;
+    // Unknown types are allowed but flagged
+    if (!types.has(type)) return { valid: true, type, errors: [], unknown: true };
+
+    if (payload.version === undefined) return fail([{ path: '/version', message: 'is required' }], { type });
+    if (!parseVersion(payload.version)) {
+      return fail([{ path: '/version', message: 'must be a MAJOR.MINOR.PATCH version' }], { type });
+    }
+
+    const resolved = resolve(type, payload.version);
+    if (!resolved) {
+      const message = `${payload.version} isn't supported (this client reads ${type} ${versions(type).join(', ')})`;
+      return fail([{ path: '/version', message }], { type, incompatible: true });
+    }
+
+    const errors = jsonSchema.validate(payload, resolved.schema);
+    const result = { type, version: resolved.version, newer: resolved.newer };
+    return errors.length > 0 ? fail(errors, result) : { valid: true, ...result, errors };
+  }
+
+  /**
+   * What this client reads, to send to peers
+   * @returns {Object<string, string[]>} type → versions, newest first
+   */
+  function capabilities() {
+    /** @type {Object<string, string[]>} */
+    const caps = {};
+    for (const type of types.keys()) caps[type] = versions(type);
+    return caps;
+  }
+
+  /**
+   * Agree on a version per type with a peer
+   * @param {Object<string, string[]>} remote - The peer's capabilities()
+   * @returns {{agreed: Object<string, string>, unsupported: string[]}} unsupported lists types with no version in common
+   */
+  function negotiate(remote = {}) {
+    /** @type {Object<string, string>} */
+    const agreed = {};
+    const unsupported = [];
+
+    for (const type of new Set([...types.keys(), ...Object.keys(remote || {})])) {
+      const theirs = Array.isArray(remote[type]) ? remote[type].filter(v => parseVersion(v)) : [];
+      let best = null;
+      for (const ours of versions(type)) {
+        for (const v of theirs) {
+          if (!isCompatible(ours, v)) continue;
+          // Both sides read the older of a compatible pair in full
+          const shared = compareVersions(ours, v) <= 0 ? ours : v;
+          if (!best || compareVersions(shared, best) > 0) best = shared;
+        }
+      }
+      if (best) agreed[type] = best;
+      else unsupported.push(type);
+    }
+
+    return { agreed, unsupported };
+  }
+
+  /**
+   * Every schema as one JSON Schema document
+   * A payload is valid against the bundle if it matches any registered
+   * type and version; each one is also addressable as #/$defs/<type>-<version>.
+   * @param {object} [meta] - Top-level fields to include ($id, title, ...)
+   * @returns {object}
+   */
+  function bundle(meta = {}) {
+    const $defs = {};
+    for (const [type, known] of types) {
+      for (const version of versions(type)) $defs[`${type}-${version}`] = known.get(version);
+    }
+    return {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      ...meta,
+      $defs,
+      anyOf: Object.keys($defs).map(name => ({ $ref: `#/$defs/${name}` }))
+    };
+  }
+
+  return { register, has, versions, latest, resolve, validate, capabilities, negotiate, bundle };
+}
+
+module.exports = {
+  createRegistry,
+  parseVersion,
+  compareVersions,
+  isCompatible
+};
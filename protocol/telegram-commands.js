@@ -10,6 +10,7 @@ const { status } = require('../tools/status');
 const { who } = require('../tools/who');
 const { ship } = require('../tools/ship');
 const config = require('../config');
+const accountLinks = require('../store/account-links');
 
 /**
  * Process a /vibe command from Telegram
@@ -19,7 +20,7 @@ async function processVibeCommand(command, params, telegramUser) {
   const vibeHandle = mapTelegramUserToHandle(telegramUser);
 
   if (!vibeHandle) {
-    return `❌ Telegram account not linked to /vibe. Contact admin to link @${telegramUser.username || telegramUser.first_name} to a /vibe handle.`;
+    return '❌ Telegram account not linked to /vibe. Run vibe_init with link in your /vibe session, then DM me `/vibe link CODE`.';
   }
 
   try {
@@ -46,15 +47,17 @@ async function processVibeCommand(command, params, telegramUser) {
 }
 
 /**
- * Map Telegram user to /vibe handle using config
+ * Map Telegram user to /vibe handle: a verified link, or an admin mapping by user ID
+ *
+ * Usernames are never trusted — they can be changed or picked up by someone else.
  */
 function mapTelegramUserToHandle(telegramUser) {
+  const linked = accountLinks.getLinkedHandle('telegram', telegramUser.id);
+  if (linked) return linked;
+
   const cfg = config.load();
   const telegramMappings = cfg.telegram_user_mappings || {};
-
-  // Try username first, then user ID
-  const telegramKey = telegramUser.username || telegramUser.id.toString();
-  return telegramMappings[telegramKey] || null;
+  return telegramMappings[telegramUser.id.toString()] || null;
 }
 
 /**
@@ -152,10 +155,7 @@ async function linkTelegramUser(telegramUser, vibeHandle) {
     cfg.telegram_user_mappings = {};
   }
 
-  // Store both username and ID for flexibility
-  if (telegramUser.username) {
-    cfg.telegram_user_mappings[telegramUser.username] = vibeHandle;
-  }
+  // By ID only: mapTelegramUserToHandle doesn't trust usernames
   cfg.telegram_user_mappings[telegramUser.id.toString()] = vibeHandle;
 
   config.save(cfg);
@@ -0,0 +1,277 @@
+/**
+ * Account Links — Verified chat platform identities for bridge commands
+ *
+ * A chat platform's display name says nothing about who someone is on /vibe,
+ * so bridges only act for accounts linked here. Linking proves both sides:
+ *
+ *   1. In their /vibe session the user asks for a one-time code (vibe_init
+ *      with `link: true`), which is tied to their signed-in handle
+ *   2. They send `/vibe link CODE` from Telegram, Discord, WhatsApp or Slack (or
+ *      `!vibe link CODE` on Matrix), and the platform's stable user id is linked
+ *      to that handle
+ *
+ * Codes expire after 10 minutes, work once, and are stored hashed. Links live
+ * in ~/.vibe/bridge-links.json, next to the bridges that read them.
+ *
+ * The bridges usually run on a public host, not where vibe_init runs, so with
+ * the API store codes are issued and redeemed through the slashvibe.dev API
+ * (issue, redeem). A redeemed link is saved on the bridge host that took the
+ * code, and recorded with the API so vibe_init can list it. The local store
+ * keeps everything in the file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodeCrypto = require('crypto');
+const config = require('../config');
+
+const LINKS_FILE = path.join(config.VIBE_DIR, 'bridge-links.json');
+const CODE_TTL_S = 10 * 60;
+// No 0/O, 1/I/L: codes get read off one screen and typed on another
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const PLATFORMS = ['telegram', 'discord', 'whatsapp', 'slack', 'matrix'];
+const UNKNOWN_CODE = 'Unknown or expired link code';
+
+// ============ FILES ============
+
+function readState() {
+  try {
+    const state = JSON.parse(fs.readFileSync(LINKS_FILE, 'utf8'));
+    return { codes: state.codes || [], links: state.links || [] };
+  } catch (e) {
+    return { codes: [], links: [] };
+  }
+}
+
+function writeState(state) {
+  fs.mkdirSync(path.dirname(LINKS_FILE), { recursive: true });
+  const tmp = `${LINKS_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, LINKS_FILE);
+}
+
+// ============ CODES ============
+
+function normalizeCode(code) {
+  return String(code || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+}
+
+function hashCode(code) {
+  return nodeCrypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+}
+
+function normalizeHandle(handle) {
+  return String(handle || '')
+    .replace(/^@/, '')
+    .toLowerCase();
+}
+
+/**
+ * Issue a one-time link code for a handle (replaces any earlier code of theirs)
+ * @param {string} handle - The signed-in /vibe handle
+ * @param {number} [now] - ms
+ * @returns {{success: boolean, code?: string, expires_at?: string, error?: string}}
+ */
+function createLinkCode(handle, now = Date.now()) {
+  const owner = normalizeHandle(handle);
+  if (!owner) return { success: false, error: 'Sign in first (vibe init)' };
+
+  const bytes = nodeCrypto.randomBytes(CODE_LENGTH);
+  const raw = Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+  const code = `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  const expires_at = new Date(now + CODE_TTL_S * 1000).toISOString();
+
+  const state = readState();
+  state.codes = state.codes.filter(c => c.handle !== owner && new Date(c.expires_at).getTime() > now);
+  state.codes.push({ hash: hashCode(code), handle: owner, expires_at });
+  writeState(state);
+
+  return { success: true, code, expires_at };
+}
+
+/**
+ * Throw away a code that was seen somewhere others could read it
+ * @param {string} code
+ * @returns {boolean} Whether a live code was discarded
+ */
+function discardLinkCode(code) {
+  const state = readState();
+  const hash = hashCode(code);
+  const codes = state.codes.filter(c => c.hash !== hash);
+  if (codes.length === state.codes.length) return false;
+  writeState({ ...state, codes });
+  return true;
+}
+
+// ============ LINKS ============
+
+/**
+ * Redeem a code sent from a chat platform, linking that account to the code's handle
+ * @param {string} code - As typed, any case, dashes optional
+ * @param {object} account
+ * @param {string} account.platform - telegram | discord | whatsapp
+ * @param {string} account.userId - The platform's stable user id (not a display name)
+ * @param {string} [account.username] - For display only
+ * @param {number} [now] - ms
+ * @returns {{success: boolean, handle?: string, error?: string}}
+ */
+function redeemLinkCode(code, { platform, userId, username }, now = Date.now()) {
+  if (!PLATFORMS.includes(platform)) return { success: false, error: `Can't link ${platform} accounts` };
+  if (!userId) return { success: false, error: 'No platform user id to link' };
+
+  const state = readState();
+  const hash = hashCode(code);
+  const match = state.codes.find(c => c.hash === hash && new Date(c.expires_at).getTime() > now);
+  if (!match) return { success: false, error: UNKNOWN_CODE };
+
+  state.codes = state.codes.filter(c => c !== match);
+  writeState(addLink(state, { platform, userId, username }, match.handle, now));
+
+  return { success: true, handle: match.handle };
+}
+
+/**
+ * State with the account linked to handle, replacing any earlier link of that account
+ * @param {{codes: Array, links: Array}} state
+ * @param {{platform: string, userId: string|number, username?: string}} account
+ * @param {string} handle
+ * @param {number} now - ms
+ */
+function addLink(state, { platform, userId, username }, handle, now) {
+  const id = String(userId);
+  const links = state.links.filter(l => !(l.platform === platform && l.user_id === id));
+  links.push({ platform, user_id: id, username: username || null, handle, linked_at: new Date(now).toISOString() });
+  return { ...state, links };
+}
+
+/**
+ * The /vibe handle a platform account is linked to
+ * @param {string} platform
+ * @param {string|number} userId
+ * @returns {string|null}
+ */
+function getLinkedHandle(platform, userId) {
+  if (!userId) return null;
+  const link = readState().links.find(l => l.platform === platform && l.user_id === String(userId));
+  return link ? link.handle : null;
+}
+
+/**
+ * Remove links, by platform account or for every account of a handle
+ * @param {object} filter - { platform, userId } or { handle }
+ * @returns {number} Links removed
+ */
+function unlink({ platform, userId, handle }) {
+  const state = readState();
+  const owner = handle ? normalizeHandle(handle) : null;
+  const kept = state.links.filter(l =>
+    owner ? l.handle !== owner : !(l.platform === platform && l.user_id === String(userId))
+  );
+  const removed = state.links.length - kept.length;
+  if (removed > 0) writeState({ ...state, links: kept });
+  return removed;
+}
+
+/**
+ * Linked accounts, optionally for one handle
+ * @param {string} [handle]
+ * @returns {Array<{platform: string, user_id: string, username: string|null, handle: string, linked_at: string}>}
+ */
+function listLinks(handle) {
+  const owner = handle ? normalizeHandle(handle) : null;
+  return readState().links.filter(l => !owner || l.handle === owner);
+}
+
+// ============ THROUGH THE STORE ============
+
+// Stores without link endpoints (VIBE_LOCAL) fall back to the file
+const hasApi = (store, method) => Boolean(store) && typeof store[method] === 'function';
+
+/**
+ * Issue a link code that bridges on other hosts can redeem
+ * @param {object} store - Store exposing createLinkCode(handle), or any other store for a local code
+ * @param {string} handle
+ * @returns {Promise<{success: boolean, code?: string, expires_at?: string, error?: string}>}
+ */
+async function issue(store, handle) {
+  if (!hasApi(store, 'createLinkCode')) return createLinkCode(handle);
+  const owner = normalizeHandle(handle);
+  if (!owner) return { success: false, error: 'Sign in first (vibe init)' };
+  return store.createLinkCode(owner);
+}
+
+/**
+ * Redeem a code on the bridge host: one issued here, or else one issued through the API
+ * The link is saved locally either way, since that's where the bridge looks it up.
+ * @param {object} store - Store exposing redeemLinkCode(code, account)
+ * @param {string} code
+ * @param {{platform: string, userId: string, username?: string}} account
+ * @param {number} [now] - ms
+ * @returns {Promise<{success: boolean, handle?: string, error?: string}>}
+ */
+async function redeem(store, code, account, now = Date.now()) {
+  const local = redeemLinkCode(code, account, now);
+  if (local.success || local.error !== UNKNOWN_CODE || !hasApi(store, 'redeemLinkCode')) return local;
+
+  const remote = await store.redeemLinkCode(code, account);
+  if (!remote.success || !remote.handle) return { success: false, error: remote.error || UNKNOWN_CODE };
+
+  const handle = normalizeHandle(remote.handle);
+  writeState(addLink(readState(), account, handle, now));
+  return { success: true, handle };
+}
+
+/**
+ * Void a code wherever it was issued (best-effort for the API)
+ * @param {object} store
+ * @param {string} code
+ * @returns {Promise<boolean>} Whether a local code was discarded
+ */
+async function discard(store, code) {
+  const discarded = discardLinkCode(code);
+  if (hasApi(store, 'discardLinkCode')) await store.discardLinkCode(code).catch(() => {});
+  return discarded;
+}
+
+/**
+ * Unlink a platform account here and in the API's record of links
+ * @param {object} store
+ * @param {{platform: string, userId: string|number}} account
+ * @returns {Promise<number>} Local links removed
+ */
+async function remove(store, { platform, userId }) {
+  const removed = unlink({ platform, userId });
+  if (hasApi(store, 'unlinkAccount')) await store.unlinkAccount({ platform, userId }).catch(() => {});
+  return removed;
+}
+
+/**
+ * Linked accounts of a handle, from the API when links go through it
+ * @param {object} store
+ * @param {string} handle
+ * @returns {Promise<Array<{platform: string, username: string|null, linked_at: string}>>}
+ */
+async function linksFor(store, handle) {
+  if (!hasApi(store, 'getAccountLinks')) return listLinks(handle);
+  const result = await store.getAccountLinks(normalizeHandle(handle));
+  return result.success ? result.links : [];
+}
+
+module.exports = {
+  LINKS_FILE,
+  PLATFORMS,
+  createLinkCode,
+  discardLinkCode,
+  redeemLinkCode,
+  getLinkedHandle,
+  unlink,
+  listLinks,
+  issue,
+  redeem,
+  discard,
+  remove,
+  linksFor
+};
@@ -4,6 +4,8 @@
  * Uses VIBE_API_URL environment variable
  * Uses HMAC-signed tokens for authentication
  * AIRC v0.1: Ed25519 message signing
+ * Opt-in E2E encryption of DM bodies (see store/e2e.js)
+ * Received signatures checked against TOFU-pinned keys (see store/keys.js)
  */
 
 const https = require('https');
@@ -11,6 +13,12 @@ const http = require('http');
 const config = require('../config');
 const crypto = require('../crypto');
 const sqlite = require('./sqlite'); // V2 messaging - local persistence
+const outbox = require('./outbox');
+const sync = require('./sync');
+const e2e = require('./e2e');
+const keys = require('./keys');
+const groups = require('./groups');
+const idempotency = require('./idempotency');
 
 const API_URL = process.env.VIBE_API_URL || 'https://www.slashvibe.dev';
 
@@ -29,6 +37,8 @@ function request(method, path, data = null, options = {}) {
       'User-Agent': 'vibe-mcp/1.0'
     };
 
+    if (options.headers) Object.assign(headers, options.headers);
+
     // Add auth token if provided or if we have one stored
     const token = options.token || config.getAuthToken();
     if (token && options.auth !== false) {
@@ -110,6 +120,9 @@ async function registerSession(sessionId, handle, building = null, publicKey = n
     if (publicKey) {
       registrationData.publicKey = publicKey;
     }
+    // E2E: publish our encryption key so others can send us encrypted DMs
+    const encryption = e2e.getPublishedKey(handle);
+    if (encryption) Object.assign(registrationData, encryption);
 
     const result = await request('POST', '/api/presence', registrationData, { auth: false }); // Don't send token for registration (we don't have one yet)
 
@@ -137,6 +150,7 @@ async function registerSession(sessionId, handle, building = null, publicKey = n
       if (publicKey) {
         userData.publicKey = publicKey;
       }
+      if (encryption) Object.assign(userData, encryption);
       await request('POST', '/api/users', userData, { auth: false }); // User registration doesn't need auth
     } catch (e) {
       // Non-fatal if user registration fails
@@ -258,20 +272,63 @@ async function setVisibility(handle, visible) {
 
 // ============ MESSAGES ============
 
-async function sendMessage(from, to, body, type = 'dm', payload = null) {
+async function sendMessage(from, to, body, type = 'dm', payload = null, options = {}) {
+  // A keyed payload sent before goes out again as the same message, under the same idempotency key
+  const payloadKey = payload && typeof payload.idempotencyKey === 'string' ? payload.idempotencyKey : null;
+  if (payloadKey) {
+    let previous = null;
+    try {
+      previous = sqlite.getMessageByIdempotencyKey(outbox.payloadIdempotencyKey(to, payloadKey));
+    } catch (e) {}
+    if (previous && previous.from_handle === from) return resendMessage(previous);
+  }
+
+  // E2E: encrypt before anything is stored for resend, so retries send the same ciphertext
+  // `to` is a handle, or a group address (see store/groups.js) to encrypt for every member
+  let wire = { body, payload };
+  let encryption = null;
+  const missingKeys = [];
+  if (options.encrypt) {
+    /** @type {Object<string, string>} */
+    const recipientKeys = {};
+    for (const recipient of recipientsOf(from, to)) {
+      const lookup = await e2e.lookupKey(module.exports, recipient);
+      if (!lookup.success) {
+        return {
+          error: 'key_lookup_failed',
+          message: `Couldn't get a trusted encryption key for @${recipient} (${lookup.error}). Message not sent.`
+        };
+      }
+      if (lookup.key) recipientKeys[recipient] = lookup.key;
+      else missingKeys.push(recipient);
+    }
+
+    if (missingKeys.length === 0) {
+      wire = e2e.seal(from, recipientKeys, body, payload);
+      encryption = 'encrypted';
+    } else {
+      encryption = 'unavailable'; // Someone hasn't published a key — sent in plaintext
+    }
+  }
+
   // V2 MESSAGING: Save to SQLite first (optimistic UI)
   const local_id = require('crypto').randomUUID();
   const created_at = new Date().toISOString();
+  const idempotency_key = payloadKey ? outbox.payloadIdempotencyKey(to, payloadKey) : outbox.idempotencyKey(local_id);
 
   try {
     // 1. Save to local SQLite (optimistic - before API call)
+    // The idempotency key and payload let the outbox resend it verbatim if this attempt fails
+    // Content stays plaintext locally; an encrypted DM keeps its envelope as the payload
     sqlite.saveLocalMessage({
       local_id,
       from_handle: from,
       to_handle: to,
       content: body || '',
       created_at,
-      status: 'pending'
+      status: 'pending',
+      idempotency_key,
+      payload: wire.payload
     });
   } catch (sqliteError) {
     // Don't fail message send if SQLite fails (just log)
@@ -279,117 +336,238 @@ async function sendMessage(from, to, body, type = 'dm', payload = null) {
   }
 
   try {
-    let data;
-
-    // Check if using Privy auth (server-side signing)
-    if (config.hasPrivyAuth()) {
-      // NEW: Privy auth flow - server handles signing
-      // Just send message data, server signs it
-      data = { to, body: body || undefined, text: body };
-      if (payload) data.payload = payload;
-
-      console.error('[vibe] Sending message via Privy auth (server-side signing)');
-    } else {
-      // LEGACY: Create signed message if we have a keypair
-      const keypair = config.getKeypair();
-
-      if (keypair) {
-        // Full AIRC-compliant signed message
-        data = crypto.createSignedMessage(
-          {
-            from,
-            to,
-            body: body || undefined,
-            payload: payload || undefined
-          },
-          keypair.privateKey
-        );
-
-        // Also include 'text' for backward compat with current API
-        if (body) data.text = body;
-      } else {
-        // No auth at all - legacy format (no signing)
-        data = { from, to, text: body };
-        if (payload) {
-          data.payload = payload;
-        }
-      }
-    }
-
-    const result = await request('POST', '/api/messages', data);
+    const data = buildMessageData(from, to, wire.body, wire.payload);
+    const result = await postMessage(data, idempotency_key);
 
     // Handle auth errors
     if (!result.success && result.error?.includes('Authentication')) {
-      // Mark as failed in SQLite
-      try {
-        sqlite.updateMessageStatus(local_id, 'failed');
-      } catch (e) {}
+      // Queue for retry in the outbox
+      markFailed(local_id, result.error);
       console.error('[vibe] Auth failed for message. Try `vibe init` to re-register.');
-      return { error: 'auth_failed', message: 'Authentication failed. Try `vibe init` to re-register.' };
+      return {
+        error: 'auth_failed',
+        message: 'Authentication failed. Try `vibe init` to re-register.',
+        queued: true
+      };
     }
 
     // Handle expired token
     if (result.statusCode === 401) {
-      // Mark as failed in SQLite
-      try {
-        sqlite.updateMessageStatus(local_id, 'failed');
-      } catch (e) {}
+      // Queue for retry in the outbox
+      markFailed(local_id, 'auth_expired');
       console.error('[vibe] Auth expired. Run browser auth to refresh token.');
-      return { error: 'auth_expired', message: 'Auth expired. Run `vibe init` to refresh token.' };
+      return { error: 'auth_expired', message: 'Auth expired. Run `vibe init` to refresh token.', queued: true };
     }
 
     // Handle storage errors (KV write failed)
     if (!result.success && result.error === 'storage_error') {
-      // Mark as failed in SQLite
-      try {
-        sqlite.updateMessageStatus(local_id, 'failed');
-      } catch (e) {}
+      // Queue for retry in the outbox
+      markFailed(local_id, 'storage_error');
       console.error('[vibe] Storage error:', result.details || result.message);
-      return { error: 'storage_error', message: result.message || 'Failed to save message. Please try again.' };
+      return {
+        error: 'storage_error',
+        message: result.message || 'Failed to save message. Please try again.',
+        queued: true
+      };
     }
 
     // Handle other errors
     if (!result.success && result.error) {
-      // Mark as failed in SQLite
-      try {
-        sqlite.updateMessageStatus(local_id, 'failed');
-      } catch (e) {}
+      // Queue for retry in the outbox, unless the server rejected the message itself
+      const permanent = outbox.isPermanentFailure(result.statusCode);
+      markFailed(local_id, result.error, permanent);
       console.error('[vibe] Send error:', result.error, result.message);
-      return { error: result.error, message: result.message || 'Failed to send message.' };
+      return { error: result.error, message: result.message || 'Failed to send message.', queued: !permanent };
     }
 
     // V2 MESSAGING: Update SQLite with server_id, thread_id and mark as sent
     if (result.success || result.message) {
       try {
-        // V2 Postgres: result.message.id, result.message.thread_id
-        const message = result.message || {};
-        const server_id = message.id || result.messageId || result.id || null;
-        const thread_id = message.thread_id || null;
+        const { server_id, thread_id } = serverIds(result);
         sqlite.updateMessageStatus(local_id, 'sent', server_id, thread_id);
       } catch (sqliteError) {
         console.warn('[SQLite] Failed to update message status:', sqliteError.message);
       }
     }
 
-    // Emit list_changed notification for successful message send
-    // This allows other Claude Code instances to see the new message instantly
+    // Emit resources/updated for this thread (and the inbox) on successful send
+    // This allows subscribed clients to see the new message instantly
     if (result.success || result.message) {
       if (global.vibeNotifier) {
-        global.vibeNotifier.emitImmediate(); // Immediate for DMs
+        global.vibeNotifier.emitThreadUpdated(to);
       }
     }
 
-    return result.message;
+    if (!encryption) return result.message;
+    return { ...(typeof result.message === 'object' ? result.message : {}), encryption, missingKeys };
   } catch (e) {
     console.error('Send failed:', e.message);
-    // Mark as failed in SQLite
-    try {
-      sqlite.updateMessageStatus(local_id, 'failed');
-    } catch (sqliteErr) {}
+    // Queue for retry in the outbox
+    markFailed(local_id, e.message);
     return null;
   }
 }
 
+/**
+ * Send a stored message again rather than a copy of it
+ * Already on the server: nothing to do. Still queued: try it now, keeping its
+ * idempotency key and created_at; if that fails the outbox keeps retrying.
+ * @param {object} row - Message row from sqlite.getMessageByIdempotencyKey
+ */
+async function resendMessage(row) {
+  if (row.status !== 'pending' && row.status !== 'failed') {
+    return { duplicate: true, server_id: row.server_id, thread_id: row.thread_id };
+  }
+
+  const result = await retryMessage(row);
+  if (!result.success) {
+    if (row.status === 'pending') markFailed(row.local_id, result.error, result.permanent);
+    return { error: result.error, message: `Failed to send message: ${result.error}`, queued: !result.permanent };
+  }
+
+  try {
+    sqlite.updateMessageStatus(row.local_id, 'sent', result.server_id, result.thread_id);
+  } catch (e) {}
+  if (global.vibeNotifier) global.vibeNotifier.emitThreadUpdated(row.to_handle);
+  return { duplicate: true, server_id: result.server_id, thread_id: result.thread_id };
+}
+
+/**
+ * DMs from `handle` still waiting in the outbox (pending or failed)
+ */
+function getQueuedMessages(handle) {
+  return outbox.getQueued(handle);
+}
+
+/**
+ * Delete the DMs from `handle` that the outbox gave up on
+ * @returns {number} Messages deleted
+ */
+function discardFailedMessages(handle) {
+  return outbox.discard(handle);
+}
+
+/**
+ * Send the DMs from `handle` that the outbox gave up on again, starting now
+ * @returns {Promise<number>} Messages requeued
+ */
+async function retryFailedMessages(handle) {
+  const count = outbox.retry(handle);
+  if (count > 0) await outbox.flush({ retryMessage }, handle);
+  return count;
+}
+
+/**
+ * Resend a queued outbox message (see store/outbox.js)
+ * Reuses the original idempotency key and created_at so the server can dedupe.
+ * @param {object} row - Outbox row from sqlite.getOutboxMessages
+ * @returns {Promise<{success: boolean, server_id?: string, thread_id?: string, error?: string, network?: boolean,
+ *   permanent?: boolean}>} permanent: retrying won't help (see outbox.isPermanentFailure)
+ */
+async function retryMessage(row) {
+  try {
+    // An encrypted DM goes out as its placeholder plus the stored envelope
+    const body = e2e.isEncrypted(row.payload) ? e2e.PLACEHOLDER : row.content || null;
+    const data = buildMessageData(row.from_handle, row.to_handle, body, row.payload);
+    data.createdAt = row.created_at; // Preserve original send time
+    const result = await postMessage(data, row.idempotency_key);
+
+    if (result.success || result.message) {
+      return { success: true, ...serverIds(result) };
+    }
+
+    return {
+      success: false,
+      error: result.error || 'Unexpected response',
+      network: Boolean(result.network || result.timeout),
+      permanent: outbox.isPermanentFailure(result.statusCode)
+    };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+}
+
+// Who a message is for: the DM recipient, or every other active member of a group
+function recipientsOf(from, to) {
+  const threadId = groups.threadIdFromAddress(to);
+  if (!threadId) return [to];
+  const group = sqlite.getGroup(threadId);
+  return group ? group.members.map(m => m.handle).filter(h => h !== from) : [];
+}
+
+// Build the POST /api/messages body for the active auth mode
+function buildMessageData(from, to, body, payload) {
+  let data;
+
+  // Check if using Privy auth (server-side signing)
+  if (config.hasPrivyAuth()) {
+    // NEW: Privy auth flow - server handles signing
+    // Just send message data, server signs it
+    data = { to, body: body || undefined, text: body };
+    if (payload) data.payload = payload;
+
+    console.error('[vibe] Sending message via Privy auth (server-side signing)');
+  } else {
+    // LEGACY: Create signed message if we have a keypair
+    const keypair = config.getKeypair();
+
+    if (keypair) {
+      // Full AIRC-compliant signed message
+      data = crypto.createSignedMessage(
+        {
+          from,
+          to,
+          body: body || undefined,
+          payload: payload || undefined
+        },
+        keypair.privateKey
+      );
+
+      // Also include 'text' for backward compat with current API
+      if (body) data.text = body;
+    } else {
+      // No auth at all - legacy format (no signing)
+      data = { from, to, text: body };
+      if (payload) {
+        data.payload = payload;
+      }
+    }
+  }
+
+  // Group messages are routed by thread; `to` stays the group address (it's signed)
+  const threadId = groups.threadIdFromAddress(to);
+  if (threadId) data.thread_id = threadId;
+
+  return data;
+}
+
+// The same idempotency key goes in the body and the header on every attempt
+function postMessage(data, idempotencyKey) {
+  if (!idempotencyKey) return request('POST', '/api/messages', data);
+  const headers = { 'Idempotency-Key': idempotencyKey };
+  return request('POST', '/api/messages', { ...data, idempotencyKey }, { headers });
+}
+
+// V2 Postgres: result.message.id, result.message.thread_id
+function serverIds(result) {
+  const message = result.message || {};
+  return {
+    server_id: message.id || result.messageId || result.id || null,
+    thread_id: message.thread_id || null
+  };
+}
+
+// Mark a send as failed so the outbox retries it after the first backoff step, or never if it can't succeed
+function markFailed(local_id, reason, permanent = false) {
+  try {
+    sqlite.markMessageFailed(local_id, {
+      retry_count: 0,
+      next_retry_at: permanent ? null : outbox.nextRetryAt(0),
+      last_error: reason || null
+    });
+  } catch (e) {}
+}
+
 async function getInbox(handle) {
   try {
     // V2 MESSAGING: Hybrid approach - SQLite (fast) + API (sync)
@@ -406,7 +584,16 @@ async function getInbox(handle) {
     const result = await request('GET', `/api/messages?user=${handle}`);
 
     // V2 Postgres: result.threads[] with thread_id
-    const threads = result.threads || [];
+    // Verify signatures on the message as delivered, then decrypt
+    const threads = [];
+    for (const thread of result.threads || []) {
+      if (!thread.last_message) {
+        threads.push(thread);
+        continue;
+      }
+      const [received] = await receive([thread.last_message], handle);
+      threads.push({ ...thread, last_message: received });
+    }
 
     // Merge threads into SQLite for persistence
     if (threads.length > 0) {
@@ -414,16 +601,15 @@ async function getInbox(handle) {
         threads.forEach(thread => {
           const msg = thread.last_message;
           if (msg) {
-            sqlite.mergeServerMessages([
-              {
-                server_id: msg.id,
-                thread_id: thread.id, // V2 thread_id
-                from_handle: msg.from,
-                to_handle: handle === msg.from ? thread.with : handle,
-                content: msg.body,
-                created_at: msg.created_at,
-                status: 'delivered'
-              }
+            sqlite.applyServerMessages([
+              sync.normalize(
+                {
+                  ...msg,
+                  thread_id: thread.id, // V2 thread_id
+                  to: handle === msg.from ? thread.with : handle
+                },
+                handle
+              )
             ]);
           }
         });
@@ -441,13 +627,15 @@ async function getInbox(handle) {
               from: thread.last_message.from,
               body: thread.last_message.body,
               timestamp: new Date(thread.last_message.created_at).getTime(),
-              read: thread.unread === 0
+              read: thread.unread === 0,
+              verification: thread.last_message.verification || null
             }
           ]
         : [],
       unread: thread.unread,
       lastMessage: thread.last_message?.body,
-      lastTimestamp: thread.last_message ? new Date(thread.last_message.created_at).getTime() : 0
+      lastTimestamp: thread.last_message ? new Date(thread.last_message.created_at).getTime() : 0,
+      verification: thread.last_message?.verification || null
     }));
   } catch (e) {
     console.error('Inbox failed:', e.message);
@@ -488,7 +676,7 @@ async function getRawInbox(handle) {
   try {
     // Use unified messages endpoint - returns { inbox, unread, bySender }
     const result = await request('GET', `/api/messages?user=${handle}`);
-    return result.inbox || [];
+    return (result.inbox || []).map(m => e2e.open(m, handle));
   } catch (e) {
     return [];
   }
@@ -510,24 +698,20 @@ async function getThread(myHandle, theirHandle) {
     const result = await request('GET', `/api/messages?user=${myHandle}&with=${theirHandle}`);
 
     // V2 Postgres: result.messages[] (not result.thread)
-    const apiMessages = result.messages || result.thread || [];
+    // A payload the server took twice (a retried send) shows once (see store/idempotency.js)
+    const apiMessages = idempotency.dedupe(await receive(result.messages || result.thread || [], myHandle), myHandle);
 
     // 3. Merge API messages into SQLite (for future reads)
     if (apiMessages.length > 0) {
       try {
-        sqlite.mergeServerMessages(
-          apiMessages.map(m => ({
-            server_id: m.id || m.messageId,
-            thread_id: m.thread_id || null, // V2 thread_id (if present)
-            from_handle: m.from,
-            to_handle: m.to || (m.from === myHandle ? theirHandle : myHandle),
-            content: m.body || m.text || '', // V2 uses 'body'
-            created_at: m.created_at || m.createdAt || new Date().toISOString(),
-            status: 'delivered',
-            sent_at: m.sent_at || m.sentAt || m.created_at || m.createdAt,
-            delivered_at: m.delivered_at || m.deliveredAt || m.created_at || m.createdAt
-          }))
+        // Reconciles with optimistic sends and rows written by the Tauri app
+        sqlite.applyServerMessages(
+          apiMessages.map(m =>
+            sync.normalize({ ...m, to: m.to || (m.from === myHandle ? theirHandle : myHandle) }, myHandle)
+          )
         );
+        // The server marks the thread read when it's fetched; mirror that locally
+        sqlite.markThreadRead(myHandle, theirHandle);
       } catch (sqliteError) {
         console.warn('[SQLite] Failed to merge messages:', sqliteError.message);
       }
@@ -544,7 +728,9 @@ async function getThread(myHandle, theirHandle) {
       body: m.body || m.text || m.content || '',
       payload: m.payload || null,
       timestamp: new Date(m.created_at || m.createdAt).getTime(),
-      direction: m.direction
+      direction: m.direction,
+      encrypted: Boolean(m.encrypted),
+      verification: m.verification || null
     }));
 
     // Find local messages not yet on the server (pending/sent without matching server_id)
@@ -594,9 +780,381 @@ async function getThread(myHandle, theirHandle) {
   }
 }
 
+// Check signatures on messages as delivered, then decrypt (see store/keys.js, store/e2e.js)
+async function receive(messages, handle) {
+  const verified = await keys.verifyMessages(module.exports, messages, handle);
+  return verified.map(m => e2e.open(m, handle));
+}
+
 async function markThreadRead(myHandle, theirHandle) {
-  // No-op: Backend automatically marks messages as read when getThread() is called
+  // Backend automatically marks messages as read when getThread() is called
   // See: api/messages.js thread endpoint (GET /api/messages?user=X&with=Y)
+  // Mark locally too; the sync engine pushes the receipt if the server missed it (offline read)
+  try {
+    sqlite.markThreadRead(myHandle, theirHandle);
+  } catch (e) {}
+}
+
+// ============ SYNC ============
+
+/**
+ * Fetch messages to or from `handle` newer than `cursor` (see store/sync.js)
+ * @returns {Promise<{success: boolean, messages?: Array, cursor?: string|null, hasMore?: boolean, error?: string}>}
+ */
+async function pullMessages(handle, cursor = null) {
+  const since = cursor ? `&since=${encodeURIComponent(cursor)}` : '';
+  const result = await request('GET', `/api/messages/sync?user=${handle}${since}`);
+
+  if (result.success === false || !Array.isArray(result.messages)) {
+    return { success: false, error: result.error || 'Unexpected response' };
+  }
+
+  return {
+    success: true,
+    messages: result.messages.map(m => e2e.open(m, handle)),
+    cursor: result.cursor || null,
+    hasMore: Boolean(result.hasMore || result.has_more)
+  };
+}
+
+/**
+ * Tell the server which messages were read locally
+ * @param {string} handle - Reader
+ * @param {Array<{id: string, read_at: string}>} receipts
+ */
+async function pushReadReceipts(handle, receipts) {
+  const result = await request('POST', '/api/messages', { action: 'read', user: handle, receipts });
+  return { success: result.success !== false && !result.error, error: result.error };
+}
+
+// ============ GROUPS ============
+
+/**
+ * Create a named group thread
+ * @param {string} handle - Creator (a member automatically)
+ * @param {string} name
+ * @param {string[]} members - Everyone else
+ * @returns {Promise<{success: boolean, group?: object, error?: string}>}
+ */
+async function createGroup(handle, name, members) {
+  const result = await request('POST', '/api/groups', { action: 'create', user: handle, name, members });
+  return saveGroup(result);
+}
+
+/**
+ * Add members to a group
+ * @returns {Promise<{success: boolean, group?: object, error?: string}>}
+ */
+async function addGroupMembers(handle, threadId, members) {
+  const result = await request('POST', '/api/groups', { action: 'add', user: handle, thread_id: threadId, members });
+  return saveGroup(result);
+}
+
+/**
+ * Remove members from a group
+ * @returns {Promise<{success: boolean, group?: object, error?: string}>}
+ */
+async function removeGroupMembers(handle, threadId, members) {
+  const data = { action: 'remove', user: handle, thread_id: threadId, members };
+  const result = await request('POST', '/api/groups', data);
+  return saveGroup(result);
+}
+
+/**
+ * Leave a group
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function leaveGroup(handle, threadId) {
+  const result = await request('POST', '/api/groups', { action: 'leave', user: handle, thread_id: threadId });
+  if (result.success === false || result.error) return { success: false, error: result.error || 'Unexpected response' };
+
+  try {
+    sqlite.leaveGroup(threadId, handle);
+  } catch (e) {}
+  if (global.vibeNotifier) global.vibeNotifier.emitChange('group');
+  return { success: true };
+}
+
+/**
+ * Groups `handle` belongs to, most recently active first
+ * Refreshes the local cache from the API; falls back to it offline.
+ * @returns {Promise<Array<{threadId: string, name: string, members: Array, unread: number, lastMessage: string|null, lastFrom: string|null, lastTimestamp: number}>>}
+ */
+async function getGroups(handle) {
+  const result = await request('GET', `/api/groups?user=${handle}`);
+
+  if (Array.isArray(result.groups)) {
+    try {
+      for (const g of result.groups) {
+        const group = groups.normalizeGroup(g);
+        sqlite.upsertGroup(group);
+        if (g.last_message) await applyGroupMessages(handle, group.thread_id, [g.last_message]);
+      }
+    } catch (e) {
+      console.warn('[SQLite] Failed to merge groups:', e.message);
+    }
+  }
+
+  try {
+    return sqlite.getGroups(handle).map(formatGroup);
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * One group's conversation, with per-member unread counts
+ * Reading it moves your read position to now.
+ * @returns {Promise<{group: object, messages: Array}|null>} null for a group you're not in
+ */
+async function getGroupThread(handle, threadId) {
+  const result = await request('GET', `/api/messages?user=${handle}&thread_id=${encodeURIComponent(threadId)}`);
+  let received = [];
+
+  try {
+    if (result.group) sqlite.upsertGroup(groups.normalizeGroup(result.group));
+    if (Array.isArray(result.messages)) received = await applyGroupMessages(handle, threadId, result.messages);
+    sqlite.markGroupRead(threadId, handle);
+  } catch (e) {
+    console.warn('[SQLite] Failed to merge group messages:', e.message);
+  }
+
+  const group = sqlite.getGroup(threadId);
+  if (!group || !group.members.some(m => m.handle === handle)) return null;
+
+  // Badges only exist for what we just fetched; older rows come from the cache
+  const byServerId = new Map(received.map(m => [m.id || m.messageId, m]));
+  const messages = sqlite.getGroupMessages(threadId).map(row => {
+    const fetched = byServerId.get(row.server_id) || {};
+    return {
+      from: row.from_handle,
+      body: row.content,
+      timestamp: new Date(row.created_at).getTime(),
+      status: row.status,
+      encrypted: Boolean(fetched.encrypted),
+      verification: fetched.verification || null
+    };
+  });
+
+  return { group: formatGroup(group), messages };
+}
+
+// Verify, decrypt and cache messages from a group thread
+async function applyGroupMessages(handle, threadId, messages) {
+  const address = groups.groupAddress(threadId);
+  const received = await receive(
+    messages.map(m => ({ ...m, to: m.to || address })),
+    handle
+  );
+  sqlite.applyServerMessages(
+    received.map(m => sync.normalize({ ...m, thread_id: threadId, thread_type: 'group' }, handle))
+  );
+  return received;
+}
+
+// Cache a group the API returned and tell clients the resource list changed
+function saveGroup(result) {
+  if (result.success === false || !result.group) {
+    return { success: false, error: result.error || 'Unexpected response' };
+  }
+
+  const group = groups.normalizeGroup(result.group);
+  try {
+    sqlite.upsertGroup(group);
+  } catch (e) {}
+  if (global.vibeNotifier) global.vibeNotifier.emitChange('group');
+
+  return { success: true, group: formatGroup(sqlite.getGroup(group.thread_id) || group) };
+}
+
+function formatGroup(g) {
+  return {
+    threadId: g.thread_id,
+    name: g.name,
+    createdBy: g.created_by || null,
+    members: (g.members || []).map(m => ({ handle: m.handle, unread: m.unread || 0, lastReadAt: m.last_read_at })),
+    unread: g.unread || 0,
+    lastMessage: g.latestMessage ? g.latestMessage.content : null,
+    lastFrom: g.latestMessage ? g.latestMessage.from_handle : null,
+    lastTimestamp: g.latestMessage ? new Date(g.latestMessage.created_at).getTime() : 0
+  };
+}
+
+// ============ KEYS ============
+
+/**
+ * Look up the keys someone published at registerSession
+ * Use store/keys.js lookup() rather than calling this directly — it caches.
+ * @param {string} handle
+ * @returns {Promise<{success: boolean, publicKey?: string|null, encryptionKey?: string|null,
+ *   encryptionKeySignature?: string|null, error?: string}>} The signature binds encryptionKey to publicKey
+ */
+async function getPublishedKeys(handle) {
+  const result = await request('GET', `/api/users?username=${encodeURIComponent(handle)}`);
+
+  if (result.statusCode === 404) {
+    return { success: true, publicKey: null, encryptionKey: null, encryptionKeySignature: null };
+  }
+  if (result.success === false) return { success: false, error: result.error || 'Unexpected response' };
+
+  const user = result.user || result;
+  return {
+    success: true,
+    publicKey: user.publicKey || null,
+    encryptionKey: user.encryptionKey || null,
+    encryptionKeySignature: user.encryptionKeySignature || null
+  };
+}
+
+// ============ RESERVATIONS ============
+
+/**
+ * Publish (or refresh) one of our file reservations so teammates see it
+ * Idempotent by reservation_id. See store/reservations.js.
+ * @param {object} reservation
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function publishReservation(reservation) {
+  const result = await request('POST', '/api/reservations', { action: 'publish', reservation });
+  if (result.success === false) return { success: false, error: result.error || 'Unexpected response' };
+  return { success: true };
+}
+
+/**
+ * Withdraw a released or expired reservation
+ * @param {object} reservation - { reservation_id, scope, owner }
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function withdrawReservation(reservation) {
+  const result = await request('POST', '/api/reservations', {
+    action: 'release',
+    reservation_id: reservation.reservation_id,
+    scope: reservation.scope
+  });
+  // Already gone is fine
+  if (result.success === false && result.statusCode !== 404) {
+    return { success: false, error: result.error || 'Unexpected response' };
+  }
+  return { success: true };
+}
+
+/**
+ * Everyone's active reservations in a repo scope
+ * @param {string} scope - `repo:<remote>`
+ * @returns {Promise<{success: boolean, reservations?: Array<object>, error?: string}>}
+ */
+async function getReservations(scope) {
+  const result = await request('GET', `/api/reservations?scope=${encodeURIComponent(scope)}`);
+  if (result.success === false || !Array.isArray(result.reservations)) {
+    return { success: false, error: result.error || 'Unexpected response' };
+  }
+  return { success: true, reservations: result.reservations };
+}
+
+// ============ ACCOUNT LINKS ============
+
+/**
+ * Issue a one-time code for linking a chat account to our handle (see store/account-links.js)
+ * @param {string} handle
+ * @returns {Promise<{success: boolean, code?: string, expires_at?: string, error?: string}>}
+ */
+async function createLinkCode(handle) {
+  const result = await request('POST', '/api/links', { action: 'code', handle });
+  if (result.success === false || !result.code) return { success: false, error: result.error || 'Unexpected response' };
+  return { success: true, code: result.code, expires_at: result.expires_at };
+}
+
+/**
+ * Redeem a code for a chat account (called by the bridge that received it)
+ * @param {string} code
+ * @param {{platform: string, userId: string|number, username?: string}} account
+ * @returns {Promise<{success: boolean, handle?: string, error?: string}>}
+ */
+async function redeemLinkCode(code, { platform, userId, username }) {
+  const result = await request('POST', '/api/links', {
+    action: 'redeem',
+    code,
+    platform,
+    user_id: String(userId),
+    username: username || null
+  });
+  if (result.success === false || !result.handle) {
+    return { success: false, error: result.statusCode === 404 ? null : result.error || 'Unexpected response' };
+  }
+  return { success: true, handle: result.handle };
+}
+
+/**
+ * Void a code that was posted where others could read it
+ * @param {string} code
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function discardLinkCode(code) {
+  const result = await request('POST', '/api/links', { action: 'discard', code });
+  // Already gone is fine
+  if (result.success === false && result.statusCode !== 404) {
+    return { success: false, error: result.error || 'Unexpected response' };
+  }
+  return { success: true };
+}
+
+/**
+ * Drop the API's record of a linked chat account
+ * @param {{platform: string, userId: string|number}} account
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function unlinkAccount({ platform, userId }) {
+  const result = await request('POST', '/api/links', { action: 'unlink', platform, user_id: String(userId) });
+  if (result.success === false && result.statusCode !== 404) {
+    return { success: false, error: result.error || 'Unexpected response' };
+  }
+  return { success: true };
+}
+
+/**
+ * Chat accounts linked to a handle
+ * @param {string} handle
+ * @returns {Promise<{success: boolean, links?: Array<{platform: string, username: string|null, linked_at: string}>, error?: string}>}
+ */
+async function getAccountLinks(handle) {
+  const result = await request('GET', `/api/links?user=${encodeURIComponent(handle)}`);
+  if (result.success === false || !Array.isArray(result.links)) {
+    return { success: false, error: result.error || 'Unexpected response' };
+  }
+  return { success: true, links: result.links };
+}
+
+// ============ SEARCH ============
+
+/**
+ * Full-text search over DM history in the local SQLite store
+ * Syncs first so recent messages are in the index; works offline from what's already synced.
+ * @param {string} handle - Whose messages to search
+ * @param {string} query - Free text
+ * @param {object} [filters] - { with, since, until, direction, limit } (see MessageStore.searchMessages)
+ * @returns {Promise<Array<{from: string, to: string, body: string, snippet: string, timestamp: number, direction: string, context: object}>>}
+ */
+async function searchMessages(handle, query, filters = {}) {
+  await sync.run(module.exports, handle).catch(() => {});
+
+  try {
+    return sqlite.searchMessages(handle, query, filters).map(row => {
+      const context = sqlite.getThreadContext(row.from_handle, row.to_handle, row.created_at);
+      const toEntry = m => ({ from: m.from_handle, body: m.content, timestamp: new Date(m.created_at).getTime() });
+      return {
+        from: row.from_handle,
+        to: row.to_handle,
+        body: row.content,
+        snippet: row.snippet,
+        timestamp: new Date(row.created_at).getTime(),
+        direction: row.from_handle === handle ? 'sent' : 'received',
+        context: { before: context.before.map(toEntry), after: context.after.map(toEntry) }
+      };
+    });
+  } catch (e) {
+    console.warn('[SQLite] Search failed:', e.message);
+    return [];
+  }
 }
 
 // ============ CONSENT ============
@@ -1050,12 +1608,46 @@ module.exports = {
 
   // Messages
   sendMessage,
+  retryMessage,
+  getQueuedMessages,
+  discardFailedMessages,
+  retryFailedMessages,
   getInbox,
   getRawInbox,
   getUnreadCount,
   getThread,
   markThreadRead,
 
+  // Sync
+  pullMessages,
+  pushReadReceipts,
+
+  // Groups
+  createGroup,
+  addGroupMembers,
+  removeGroupMembers,
+  leaveGroup,
+  getGroups,
+  getGroupThread,
+
+  // Reservations
+  publishReservation,
+  withdrawReservation,
+  getReservations,
+
+  // Account links
+  createLinkCode,
+  redeemLinkCode,
+  discardLinkCode,
+  unlinkAccount,
+  getAccountLinks,
+
+  // Keys
+  getPublishedKeys,
+
+  // Search
+  searchMessages,
+
   // Consent
   getConsentStatus,
   getPendingConsents,
@@ -0,0 +1,118 @@
+/**
+ * E2E — End-to-end encrypted DM bodies
+ *
+ * Opt-in: with e2e_enabled in config (or vibe_dm's `encrypt`), sendMessage
+ * replaces the body with a placeholder and carries the real body and payload
+ * in an encrypted envelope (see crypto.encrypt). The server only ever sees
+ * ciphertext; the local SQLite store keeps the plaintext.
+ *
+ * Every client publishes an X25519 key at registerSession, signed with the
+ * Ed25519 identity key when there is one, so anyone can receive encrypted
+ * DMs whether or not they send them.
+ */
+
+const crypto = require('../crypto');
+const config = require('../config');
+const keys = require('./keys');
+
+// What the server (and old clients) see in place of the body
+const PLACEHOLDER = '🔒 Encrypted message';
+const UNREADABLE = "🔒 Encrypted message (can't decrypt on this device)";
+
+/**
+ * This device's encryption keypair, generated on first use
+ * @returns {{ publicKey: string, privateKey: string }}
+ */
+function ensureKeypair() {
+  let keypair = config.getEncryptionKeypair();
+  if (!keypair) {
+    keypair = crypto.generateEncryptionKeypair();
+    config.saveEncryptionKeypair(keypair);
+  }
+  return keypair;
+}
+
+/**
+ * Fields to publish at registerSession
+ * @param {string} handle
+ * @returns {{ encryptionKey: string, encryptionKeySignature?: string }|null}
+ */
+function getPublishedKey(handle) {
+  try {
+    const { publicKey } = ensureKeypair();
+    const published = { encryptionKey: publicKey };
+
+    // Bind the encryption key to the signing identity (AIRC keypair users)
+    const signing = config.getKeypair();
+    if (signing) {
+      published.encryptionKeySignature = crypto.sign({ handle, encryptionKey: publicKey }, signing.privateKey);
+    }
+
+    return published;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Look up a recipient's published encryption key (cached, see store/keys.js)
+ * The server hands the key out, so it's only used once it checks out against
+ * the recipient's pinned keys (keys.checkEncryptionKey).
+ * @param {object} store - Store exposing getPublishedKeys(handle)
+ * @param {string} handle
+ * @returns {Promise<{success: boolean, key?: string|null, error?: string}>} key is null when they haven't published one
+ */
+async function lookupKey(store, handle) {
+  const result = await keys.lookup(store, handle);
+  if (!result.success) return { success: false, error: result.error };
+  if (!result.encryptionKey) return { success: true, key: null };
+
+  const check = keys.checkEncryptionKey(handle, result);
+  if (!check.ok) return { success: false, error: check.error };
+  return { success: true, key: result.encryptionKey };
+}
+
+/**
+ * Encrypt a message for its recipients and for this device, so the sender can read their own copy
+ * @param {string} from
+ * @param {Object<string, string>} recipientKeys - Handle → published encryption key (one for a DM, every member for a group)
+ * @param {string} body
+ * @param {object|null} payload
+ * @returns {{ body: string, payload: object }} What goes over the wire
+ */
+function seal(from, recipientKeys, body, payload) {
+  const { publicKey } = ensureKeypair();
+  return {
+    body: PLACEHOLDER,
+    payload: crypto.encrypt({ body, payload: payload || null }, { ...recipientKeys, [from]: publicKey })
+  };
+}
+
+/**
+ * Decrypt a server message in place of its placeholder body
+ * Messages that aren't encrypted come back untouched.
+ * @param {object} m - Server message (body/text/content and payload)
+ * @param {string} handle - Whose mailbox this is
+ * @returns {object}
+ */
+function open(m, handle) {
+  if (!m || !crypto.isEncrypted(m.payload)) return m;
+
+  const keypair = config.getEncryptionKeypair();
+  const content = keypair ? crypto.decrypt(m.payload, handle, keypair) : null;
+  if (!content) {
+    return { ...m, body: UNREADABLE, text: UNREADABLE, payload: null, encrypted: true };
+  }
+
+  return { ...m, body: content.body, text: content.body, payload: content.payload, encrypted: true };
+}
+
+module.exports = {
+  PLACEHOLDER,
+  ensureKeypair,
+  getPublishedKey,
+  lookupKey,
+  seal,
+  open,
+  isEncrypted: crypto.isEncrypted
+};
@@ -0,0 +1,97 @@
+/**
+ * Groups — Named multi-member threads
+ *
+ * A group is a server thread (thread_id) with a name and a member list.
+ * Group messages live in the shared `messages` table like DMs, addressed to
+ * `#<thread_id>` instead of a handle, so the outbox, sync, search and E2E
+ * paths handle them unchanged. Names and membership are cached in the
+ * `groups` / `group_members` tables (see MessageStore.upsertGroup), along
+ * with each member's read position for per-member unread counts.
+ */
+
+const sqlite = require('./sqlite');
+
+const GROUP_PREFIX = '#';
+const THREAD_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Address a message to a group
+ * @param {string} threadId
+ * @returns {string} `#<thread_id>`
+ */
+function groupAddress(threadId) {
+  return `${GROUP_PREFIX}${threadId}`;
+}
+
+/**
+ * @param {string} to - Handle or group address
+ * @returns {boolean}
+ */
+function isGroupAddress(to) {
+  return typeof to === 'string' && to.startsWith(GROUP_PREFIX);
+}
+
+/**
+ * @param {string} address - Group address
+ * @returns {string|null} Thread id, or null for a DM handle
+ */
+function threadIdFromAddress(address) {
+  return isGroupAddress(address) ? address.slice(GROUP_PREFIX.length) : null;
+}
+
+/**
+ * Normalize a group from the API to the shape MessageStore.upsertGroup takes
+ * @param {object} g - { id|thread_id, name, created_by, created_at, members: [handle | {handle, last_read_at, joined_at}] }
+ * @returns {object}
+ */
+function normalizeGroup(g) {
+  const now = new Date().toISOString();
+  return {
+    thread_id: g.thread_id || g.threadId || g.id,
+    name: g.name || 'group',
+    created_by: g.created_by || g.createdBy || null,
+    created_at: g.created_at || g.createdAt || now,
+    members: (g.members || []).map(m =>
+      typeof m === 'string'
+        ? { handle: m, joined_at: now, last_read_at: null }
+        : {
+            handle: m.handle || m.username,
+            joined_at: m.joined_at || m.joinedAt || now,
+            last_read_at: m.last_read_at || m.lastReadAt || null
+          }
+    )
+  };
+}
+
+/**
+ * Find one of `handle`'s groups by thread id or name (case-insensitive)
+ * @param {string} handle
+ * @param {string} ref - Thread id, name, or either with a leading #
+ * @returns {{group?: object, error?: string}}
+ */
+function resolve(handle, ref) {
+  const key = String(ref || '')
+    .trim()
+    .replace(/^#/, '');
+  if (!key) return { error: 'Which group? Give its name or thread id.' };
+
+  const groups = sqlite.getGroups(handle);
+  const byId = groups.find(g => g.thread_id === key);
+  if (byId) return { group: byId };
+
+  const byName = groups.filter(g => g.name.toLowerCase() === key.toLowerCase());
+  if (byName.length === 1) return { group: byName[0] };
+  if (byName.length > 1) {
+    return { error: `More than one group is called "${key}" — use its thread id (${byName.map(g => g.thread_id).join(', ')})` };
+  }
+  return { error: `No group "${key}". See your groups with vibe_group list.` };
+}
+
+module.exports = {
+  THREAD_ID_PATTERN,
+  groupAddress,
+  isGroupAddress,
+  threadIdFromAddress,
+  normalizeGroup,
+  resolve
+};
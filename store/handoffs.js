@@ -0,0 +1,254 @@
+/**
+ * Handoffs — Pass work in progress to a teammate
+ *
+ * A handoff is a DM carrying a protocol `handoff` payload (protocol/index.js):
+ * the branch, the files changed in the working tree, the latest session
+ * journal entries and a description. The recipient accepts or declines it by
+ * replying with an `ack` payload whose replyTo is the handoff's idempotency
+ * key, which also keys its row in the `handoffs` table.
+ *
+ * Both sides record each step in `handoff_events`, so a handoff's history
+ * reads: sent/received → accepted or declined.
+ */
+
+const path = require('path');
+const { execSync } = require('child_process');
+const sqlite = require('./sqlite');
+const idempotency = require('./idempotency');
+const protocol = require('../protocol');
+const { parseStatus } = require('./reservation-paths');
+
+const DEFAULT_TASK = 'continue_work';
+const JOURNAL_ENTRIES = 10;
+const MAX_FILES = 50;
+// Message previews stay private — only what was done goes in a handoff
+const JOURNAL_EVENTS = ['tool_call', 'note'];
+
+// Ack status → handoff status
+const ACK_STATUS = { processed: 'accepted', rejected: 'declined' };
+
+function git(args) {
+  try {
+    return execSync(`git ${args}`, { encoding: 'utf8', timeout: 2000, stdio: 'pipe' });
+  } catch (e) {
+    return null;
+  }
+}
+
+// Remote URL without credentials, or the repo's directory name
+function repoName() {
+  const remote = git('remote get-url origin');
+  if (remote) return remote.trim().replace(/^(\w+:\/\/)[^@/]+@/, '$1');
+  const root = git('rev-parse --show-toplevel');
+  return root ? path.basename(root.trim()) : null;
+}
+
+/**
+ * What's in flight right now, for the handoff payload's context
+ * @param {object} [options] - { description, sessionId, journalEntries }
+ * @returns {{description: string|null, repo: string|null, branch: string|null, commit: string|null, files: string[], journal: Array<object>}}
+ */
+function gatherContext(options = {}) {
+  const { description = null, sessionId = null, journalEntries = JOURNAL_ENTRIES } = options;
+
+  const status = git('status --porcelain -z --untracked-files=all');
+  const files = status === null ? [] : parseStatus(status).changed.slice(0, MAX_FILES);
+
+  let journal = [];
+  if (sessionId) {
+    try {
+      const getSessions = require('./sessions');
+      journal = getSessions()
+        .getRecentJournal(sessionId, { limit: journalEntries * 3 })
+        .filter(e => JOURNAL_EVENTS.includes(e.event_type))
+        .slice(-journalEntries)
+        .map(e => ({ at: e.timestamp, type: e.event_type, tool: e.tool_name, target: e.target, summary: e.summary }));
+    } catch (e) {}
+  }
+
+  return {
+    description,
+    repo: repoName(),
+    branch: (git('rev-parse --abbrev-ref HEAD') || '').trim() || null,
+    commit: (git('rev-parse HEAD') || '').trim() || null,
+    files,
+    journal
+  };
+}
+
+/**
+ * Readable text for the DM carrying a handoff
+ * @param {string} from
+ * @param {object} payload - Handoff payload
+ * @returns {string}
+ */
+function formatMessage(from, payload) {
+  const ctx = payload.context || {};
+  let text = `📋 Handoff from @${from}`;
+  if (ctx.description) text += `: ${ctx.description}`;
+
+  const where = [];
+  if (ctx.branch) where.push(`branch ${ctx.branch}`);
+  const changed = (ctx.files || []).length;
+  if (changed > 0) where.push(`${changed} changed file${changed === 1 ? '' : 's'}`);
+  if (where.length > 0) text += `\n${where.join(' · ')}`;
+
+  text += `\n\nAccept or decline it with vibe_handoff (id ${payload.idempotencyKey}).`;
+  return text;
+}
+
+/**
+ * Send a handoff and record it as pending
+ * @param {object} store - Store with sendMessage(from, to, body, type, payload, options)
+ * @param {string} from
+ * @param {string} to
+ * @param {object} context - From gatherContext()
+ * @param {object} [options] - { task, encrypt }
+ * @returns {Promise<{success: boolean, handoff?: object, result?: object, error?: string}>}
+ */
+async function send(store, from, to, context, options = {}) {
+  const payload = protocol.createHandoffPayload(options.task || DEFAULT_TASK, context);
+  const result = await store.sendMessage(from, to, formatMessage(from, payload), 'dm', payload, {
+    encrypt: Boolean(options.encrypt)
+  });
+
+  // Queued sends are retried by the outbox with the same payload, so they still count
+  if (result && result.error && !result.queued) return { success: false, error: result.message || result.error };
+
+  const handoff = {
+    id: payload.idempotencyKey,
+    direction: 'sent',
+    from_handle: from,
+    to_handle: to,
+    task: payload.task,
+    description: context.description,
+    payload,
+    status: 'pending',
+    created_at: new Date().toISOString()
+  };
+  sqlite.saveHandoff(handoff);
+  return { success: true, handoff, result };
+}
+
+/**
+ * Accept or decline a handoff we received, acking it to the sender
+ * @param {object} store
+ * @param {string} handle - Us (the recipient)
+ * @param {string} id
+ * @param {boolean} accept
+ * @param {string|null} [note] - Sent with the ack
+ * @returns {Promise<{success: boolean, handoff?: object, error?: string}>}
+ */
+async function respond(store, handle, id, accept, note = null) {
+  const handoff = sqlite.getHandoff(id, 'received');
+  if (!handoff || handoff.to_handle !== handle) {
+    return { success: false, error: `No handoff ${id} for you` };
+  }
+  if (handoff.status !== 'pending') return { success: false, error: `Already ${handoff.status}` };
+
+  const status = accept ? 'accepted' : 'declined';
+  const ack = protocol.createAckPayload(id, accept ? 'processed' : 'rejected', note || status);
+  const body = `${accept ? '✅ Accepted' : '↩️ Declined'} your handoff${note ? `: ${note}` : ''}`;
+  const result = await store.sendMessage(handle, handoff.from_handle, body, 'dm', ack);
+  if (result && result.error && !result.queued) return { success: false, error: result.message || result.error };
+
+  sqlite.addHandoffEvent(id, 'received', { event: status, by_handle: handle, note, status });
+  return { success: true, handoff: sqlite.getHandoff(id, 'received') };
+}
+
+/**
+ * Record handoffs and acks found in messages we received
+ * Called on every sync pull; a payload already applied (store/idempotency.js) is skipped.
+ * @param {Array<object>} messages - As delivered (decrypted), with `payload`
+ * @param {string} handle - Us
+ * @returns {{received: number, updated: number}}
+ */
+function ingest(messages, handle) {
+  const stats = { received: 0, updated: 0 };
+
+  for (const m of messages) {
+    const from = m.from || m.from_handle;
+    const payload = m.payload;
+    if (!from || from === handle || !payload || !protocol.validatePayload(payload).valid) continue;
+
+    if (payload.type === 'handoff' && payload.idempotencyKey) {
+      if (!idempotency.claim(handle, m)) continue;
+      const saved = sqlite.saveHandoff({
+        id: payload.idempotencyKey,
+        direction: 'received',
+        from_handle: from,
+        to_handle: handle,
+        task: payload.task,
+        description: payload.context.description || null,
+        payload,
+        status: 'pending',
+        created_at: toIso(m.created_at || m.createdAt)
+      });
+      if (saved) stats.received++;
+    } else if (payload.type === 'ack') {
+      const handoff = sqlite.getHandoff(payload.replyTo, 'sent');
+      // Only the person we handed it to can answer for it, and only once
+      if (!handoff || handoff.to_handle !== from) continue;
+      if (handoff.status !== 'pending') continue;
+      if (!idempotency.claim(handle, m)) continue;
+
+      const status = ACK_STATUS[payload.status] || null;
+      sqlite.addHandoffEvent(handoff.id, 'sent', {
+        event: status || payload.status,
+        by_handle: from,
+        note: payload.message && payload.message !== status ? payload.message : null,
+        status,
+        at: toIso(m.created_at || m.createdAt)
+      });
+      stats.updated++;
+    }
+  }
+
+  return stats;
+}
+
+function toIso(value) {
+  const date = new Date(value || Date.now());
+  return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+/**
+ * Handoffs we sent or received, most recently updated first
+ * @param {string} handle
+ * @returns {Array<object>}
+ */
+function list(handle) {
+  return sqlite.getHandoffs(handle);
+}
+
+/**
+ * Find a handoff by id, or the only pending one we received
+ * @param {string} handle
+ * @param {string} [id]
+ * @returns {{handoff?: object, error?: string}}
+ */
+function resolve(handle, id) {
+  if (id) {
+    const received = sqlite.getHandoff(id.trim(), 'received');
+    if (received && received.to_handle === handle) return { handoff: received };
+    const sent = sqlite.getHandoff(id.trim(), 'sent');
+    if (sent && sent.from_handle === handle) return { handoff: sent };
+    return { error: `No handoff ${id}.` };
+  }
+
+  const pending = sqlite.getHandoffs(handle).filter(h => h.direction === 'received' && h.status === 'pending');
+  if (pending.length === 1) return { handoff: sqlite.getHandoff(pending[0].id, 'received') };
+  if (pending.length === 0) return { error: 'No pending handoffs.' };
+  return { error: `${pending.length} handoffs are pending — say which one.` };
+}
+
+module.exports = {
+  DEFAULT_TASK,
+  gatherContext,
+  formatMessage,
+  send,
+  respond,
+  ingest,
+  list,
+  resolve
+};
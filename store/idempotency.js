@@ -0,0 +1,105 @@
+/**
+ * Idempotency — Apply each structured payload once, show each delivery once
+ *
+ * Senders stamp payloads with an idempotencyKey (protocol/index.js) and keep
+ * it across retries, so a payload the server accepted twice comes back as two
+ * messages with different server ids but one key. The `seen_payloads` table
+ * remembers, per mailbox and sender, which delivery of each key came first and
+ * whether its effect — a handoff recorded, an ack applied — has happened:
+ *
+ * - isFirstDelivery() — later copies are dropped from threads (dedupe)
+ * - claim() — true exactly once per key, right before a payload is applied
+ *
+ * Keys are forgotten after RETENTION_MS; senders stop retrying long before.
+ */
+
+const sqlite = require('./sqlite');
+
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+function keyOf(m) {
+  const key = m && m.payload && m.payload.idempotencyKey;
+  return typeof key === 'string' && key ? key : null;
+}
+
+function senderOf(m) {
+  return m.from || m.from_handle || null;
+}
+
+function serverIdOf(m) {
+  return m.id || m.messageId || m.server_id || null;
+}
+
+/**
+ * Record a delivery; false if the same payload already arrived as another message
+ * Messages without a keyed payload are always first deliveries.
+ * @param {string} handle - Whose mailbox
+ * @param {object} m - Message as delivered (decrypted), with `payload`
+ * @returns {boolean}
+ */
+function isFirstDelivery(handle, m) {
+  const key = keyOf(m);
+  const from = senderOf(m);
+  if (!key || !from) return true;
+
+  const serverId = serverIdOf(m);
+  const seen = sqlite.recordSeenPayload({
+    handle,
+    from_handle: from,
+    idempotency_key: key,
+    type: m.payload.type || null,
+    server_id: serverId
+  });
+  return !seen.server_id || !serverId || seen.server_id === serverId;
+}
+
+/**
+ * Claim a payload for applying — true the first time only
+ * Call after any checks that could reject it, so a rejected copy doesn't use up the key.
+ * @param {string} handle
+ * @param {object} m
+ * @returns {boolean}
+ */
+function claim(handle, m) {
+  const key = keyOf(m);
+  const from = senderOf(m);
+  if (!key || !from) return true;
+  if (!isFirstDelivery(handle, m)) return false;
+  return sqlite.markPayloadApplied(handle, from, key);
+}
+
+/**
+ * Drop repeat deliveries: a payload seen before as another message, or the
+ * same message (its message-level idempotency key) listed twice
+ * @param {Array<object>} messages - As delivered, oldest first
+ * @param {string} handle
+ * @returns {Array<object>}
+ */
+function dedupe(messages, handle) {
+  const messageKeys = new Set();
+  return messages.filter(m => {
+    const messageKey = m.idempotencyKey || m.idempotency_key;
+    if (messageKey) {
+      const scoped = `${senderOf(m)}\n${messageKey}`;
+      if (messageKeys.has(scoped)) return false;
+      messageKeys.add(scoped);
+    }
+    return isFirstDelivery(handle, m);
+  });
+}
+
+/**
+ * Forget keys past retention
+ * @param {number} [now]
+ * @returns {number} Keys removed
+ */
+function prune(now = Date.now()) {
+  return sqlite.pruneSeenPayloads(new Date(now - RETENTION_MS).toISOString());
+}
+
+module.exports = {
+  isFirstDelivery,
+  claim,
+  dedupe,
+  prune
+};
@@ -0,0 +1,304 @@
+/**
+ * Known Keys — Trust-on-first-use pinning of senders' signing keys
+ *
+ * The first time a signed DM from someone verifies against the key they
+ * published, that key is pinned in ~/.vibe/known_keys.json. Later messages
+ * must verify against the pinned key. If they don't, and the published key
+ * has changed, the message is flagged `key_changed` — the key is never
+ * re-pinned automatically; run `slashvibe-mcp trust <handle>` once you've
+ * confirmed the change with them.
+ *
+ * Encryption keys are pinned too: one signed by the pinned signing key is
+ * accepted (and replaces the pinned one), an unsigned one is pinned on first
+ * use, and an unsigned change is flagged the same way and never used.
+ *
+ * Published keys (signing and encryption) are looked up through the store
+ * and cached for a few minutes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('../crypto');
+const config = require('../config');
+
+const KEYS_FILE = path.join(config.VIBE_DIR, 'known_keys.json');
+const LOOKUP_TTL_MS = 10 * 60 * 1000;
+
+// Verification results for received messages
+const VERIFIED = 'verified'; // Signature checks out against the pinned key
+const UNVERIFIED = 'unverified'; // Unsigned, or the sender has no published key
+const INVALID = 'invalid'; // Signature doesn't match any key we know for them
+const KEY_CHANGED = 'key_changed'; // Signed with a new published key that doesn't match the pin
+
+const lookupCache = new Map();
+
+// ============ PINNED KEYS ============
+
+function loadKeys() {
+  try {
+    if (fs.existsSync(KEYS_FILE)) {
+      return JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
+    }
+  } catch (e) {
+    console.warn('Failed to load known keys:', e.message);
+  }
+  return {};
+}
+
+function saveKeys(keys) {
+  try {
+    if (!fs.existsSync(config.VIBE_DIR)) fs.mkdirSync(config.VIBE_DIR, { recursive: true });
+    fs.writeFileSync(KEYS_FILE, JSON.stringify(keys, null, 2));
+  } catch (e) {
+    console.error('Failed to save known keys:', e.message);
+  }
+}
+
+/**
+ * Pinned keys for a handle
+ * publicKey is null for someone pinned only by their encryption key.
+ * @param {string} handle
+ * @returns {{publicKey: string|null, pinnedAt: string, previous: Array, pendingKey?: string,
+ *   encryptionKey?: string, pendingEncryptionKey?: string}|null}
+ */
+function getPinned(handle) {
+  return loadKeys()[handle] || null;
+}
+
+// First use: remember the key
+function pin(handle, publicKey) {
+  const keys = loadKeys();
+  if (keys[handle] && keys[handle].publicKey) return;
+  keys[handle] = { ...keys[handle], publicKey, pinnedAt: new Date().toISOString(), previous: [] };
+  saveKeys(keys);
+}
+
+function pinEncryptionKey(handle, encryptionKey) {
+  const keys = loadKeys();
+  const entry = keys[handle] || { publicKey: null, pinnedAt: new Date().toISOString(), previous: [] };
+  if (entry.encryptionKey === encryptionKey && !entry.pendingEncryptionKey) return;
+  keys[handle] = { ...entry, encryptionKey };
+  delete keys[handle].pendingEncryptionKey;
+  delete keys[handle].encryptionChangedAt;
+  saveKeys(keys);
+}
+
+// Remember the unconfirmed new key so `trust` can show what changed
+function flagChange(handle, publicKey) {
+  const keys = loadKeys();
+  if (!keys[handle] || keys[handle].pendingKey === publicKey) return;
+  keys[handle].pendingKey = publicKey;
+  keys[handle].changedAt = new Date().toISOString();
+  saveKeys(keys);
+  console.error(
+    `[vibe] ⚠️ @${handle}'s signing key changed (${crypto.fingerprint(keys[handle].publicKey)} → ` +
+      `${crypto.fingerprint(publicKey)}). Confirm with them, then run: npx slashvibe-mcp trust @${handle}`
+  );
+}
+
+function flagEncryptionChange(handle, encryptionKey) {
+  const keys = loadKeys();
+  if (!keys[handle] || keys[handle].pendingEncryptionKey === encryptionKey) return;
+  keys[handle].pendingEncryptionKey = encryptionKey;
+  keys[handle].encryptionChangedAt = new Date().toISOString();
+  saveKeys(keys);
+  console.error(
+    `[vibe] ⚠️ @${handle}'s encryption key changed (${crypto.fingerprint(keys[handle].encryptionKey)} → ` +
+      `${crypto.fingerprint(encryptionKey)}). Confirm with them, then run: npx slashvibe-mcp trust @${handle}`
+  );
+}
+
+/**
+ * Replace the pinned keys (explicit user action)
+ * @param {string} handle
+ * @param {string|null} publicKey
+ * @param {string|null} [encryptionKey]
+ * @returns {{previous: string|null, current: string|null}}
+ */
+function trust(handle, publicKey, encryptionKey = null) {
+  const keys = loadKeys();
+  const existing = keys[handle];
+  const previous = existing ? existing.publicKey : null;
+
+  keys[handle] = {
+    publicKey,
+    pinnedAt: new Date().toISOString(),
+    previous: previous
+      ? [...(existing.previous || []), { publicKey: previous, replacedAt: new Date().toISOString() }]
+      : []
+  };
+  if (encryptionKey) keys[handle].encryptionKey = encryptionKey;
+  saveKeys(keys);
+
+  return { previous, current: publicKey };
+}
+
+/**
+ * Handles whose published key no longer matches the pin
+ * @returns {Array<{handle: string, changedAt: string, key: 'signing'|'encryption'}>}
+ */
+function getKeyChanges() {
+  /** @type {Array<{handle: string, changedAt: string, key: 'signing'|'encryption'}>} */
+  const changes = [];
+  for (const [handle, entry] of Object.entries(loadKeys())) {
+    if (entry.pendingKey) changes.push({ handle, changedAt: entry.changedAt, key: 'signing' });
+    if (entry.pendingEncryptionKey) {
+      changes.push({ handle, changedAt: entry.encryptionChangedAt, key: 'encryption' });
+    }
+  }
+  return changes;
+}
+
+// ============ PUBLISHED KEYS ============
+
+/**
+ * Keys someone published at registerSession, cached for a few minutes
+ * @param {object} store - Store exposing getPublishedKeys(handle)
+ * @param {string} handle
+ * @returns {Promise<{success: boolean, publicKey?: string|null, encryptionKey?: string|null,
+ *   encryptionKeySignature?: string|null, error?: string}>}
+ */
+async function lookup(store, handle) {
+  const cached = lookupCache.get(handle);
+  if (cached && Date.now() - cached.at < LOOKUP_TTL_MS) return cached.result;
+
+  if (typeof store.getPublishedKeys !== 'function') return { success: false, error: 'Key lookup not supported' };
+
+  const result = await store.getPublishedKeys(handle);
+  if (result.success) lookupCache.set(handle, { result, at: Date.now() });
+  return result;
+}
+
+function clearLookupCache() {
+  lookupCache.clear();
+}
+
+// ============ ENCRYPTION KEYS ============
+
+/**
+ * Check a published encryption key before sealing a DM to it
+ *
+ * It must be signed by the recipient's pinned signing key, or on first use by
+ * the one they publish (which is pinned then). Someone without a signing key
+ * has the encryption key itself pinned on first use.
+ * @param {string} handle
+ * @param {{publicKey?: string|null, encryptionKey?: string|null, encryptionKeySignature?: string|null}} published
+ * @returns {{ok: boolean, error?: string}}
+ */
+function checkEncryptionKey(handle, published) {
+  const pinned = getPinned(handle);
+  const pinnedKey = pinned ? pinned.publicKey : null;
+  const signingKey = pinnedKey || published.publicKey || null;
+  const { encryptionKey, encryptionKeySignature } = published;
+
+  if (signingKey) {
+    const signed = { handle, encryptionKey, signature: encryptionKeySignature };
+    if (!encryptionKeySignature || !crypto.verify(signed, signingKey)) {
+      const whose = pinnedKey ? 'pinned signing key' : 'signing key';
+      return { ok: false, error: `it isn't signed by @${handle}'s ${whose}` };
+    }
+    pin(handle, signingKey);
+    pinEncryptionKey(handle, encryptionKey);
+    return { ok: true };
+  }
+
+  if (pinned && pinned.encryptionKey && pinned.encryptionKey !== encryptionKey) {
+    flagEncryptionChange(handle, encryptionKey);
+    const error = `it changed since it was pinned. Confirm with them, then run: npx slashvibe-mcp trust @${handle}`;
+    return { ok: false, error };
+  }
+
+  pinEncryptionKey(handle, encryptionKey);
+  return { ok: true };
+}
+
+// ============ VERIFICATION ============
+
+/**
+ * Verify one received message against the sender's pinned (or first-seen) key
+ * Must run on the message as delivered — before E2E decryption replaces body and payload.
+ * @param {object} store
+ * @param {object} m - Server message
+ * @returns {Promise<string>} VERIFIED, UNVERIFIED, INVALID or KEY_CHANGED
+ */
+async function verifyMessage(store, m) {
+  const from = m.from || m.from_handle;
+  if (!m.signature || !m.nonce || !m.timestamp || !from) return UNVERIFIED;
+
+  const pinned = getPinned(from);
+  const pinnedKey = pinned ? pinned.publicKey : null;
+  if (pinnedKey && crypto.verifyMessage(m, pinnedKey)) return VERIFIED;
+
+  const published = await lookup(store, from).catch(() => ({ success: false, publicKey: null }));
+  const publishedKey = published.success ? published.publicKey : null;
+
+  if (!pinnedKey) {
+    if (!publishedKey) return UNVERIFIED;
+    if (!crypto.verifyMessage(m, publishedKey)) return INVALID;
+    pin(from, publishedKey);
+    return VERIFIED;
+  }
+
+  if (publishedKey && publishedKey !== pinnedKey && crypto.verifyMessage(m, publishedKey)) {
+    flagChange(from, publishedKey);
+    return KEY_CHANGED;
+  }
+
+  return INVALID;
+}
+
+/**
+ * Attach `verification` to received messages; our own messages pass through untouched
+ * @param {object} store
+ * @param {Array<object>} messages - Server messages
+ * @param {string} handle - Whose mailbox this is
+ * @returns {Promise<Array<object>>}
+ */
+async function verifyMessages(store, messages, handle) {
+  const verified = [];
+  for (const m of messages) {
+    if (!m || (m.from || m.from_handle) === handle) {
+      verified.push(m);
+      continue;
+    }
+    // The recipient is implied in thread responses but was signed
+    const withTo = m.to ? m : { ...m, to: handle };
+    verified.push({ ...m, verification: await verifyMessage(store, withTo) });
+  }
+  return verified;
+}
+
+/**
+ * Replace a handle's pinned keys with the ones they currently publish (`slashvibe-mcp trust <handle>`)
+ * @param {object} store
+ * @param {string} handle
+ * @returns {Promise<{success: boolean, previous?: string|null, current?: string|null,
+ *   encryptionKey?: string|null, error?: string}>}
+ */
+async function trustPublishedKey(store, handle) {
+  clearLookupCache();
+  const published = await lookup(store, handle);
+  if (!published.success) return { success: false, error: published.error };
+  if (!published.publicKey && !published.encryptionKey) {
+    return { success: false, error: `@${handle} hasn't published a signing or encryption key` };
+  }
+
+  const result = trust(handle, published.publicKey || null, published.encryptionKey || null);
+  return { success: true, ...result, encryptionKey: published.encryptionKey || null };
+}
+
+module.exports = {
+  VERIFIED,
+  UNVERIFIED,
+  INVALID,
+  KEY_CHANGED,
+  getPinned,
+  trust,
+  getKeyChanges,
+  checkEncryptionKey,
+  lookup,
+  clearLookupCache,
+  verifyMessage,
+  verifyMessages,
+  trustPublishedKey
+};
@@ -116,6 +116,12 @@ async function sendMessage(from, to, body, type = 'dm') {
     read_at: null
   };
   appendMessage(msg);
+
+  // Subscribed clients see the thread change instantly
+  if (global.vibeNotifier) {
+    global.vibeNotifier.emitThreadUpdated(msg.to);
+  }
+
   return msg;
 }
 
@@ -148,6 +154,58 @@ async function getThread(myHandle, theirHandle) {
     .sort((a, b) => a.timestamp - b.timestamp);
 }
 
+/**
+ * Search DM history (substring match on every word, newest first)
+ * Same result shape as the API store's SQLite-backed search.
+ */
+async function searchMessages(handle, query, filters = {}) {
+  const me = handle.toLowerCase().replace('@', '');
+  const partner = filters.with ? filters.with.toLowerCase().replace('@', '') : null;
+  const terms = String(query || '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}_]+/gu);
+  if (!terms) return [];
+
+  const since = filters.since ? new Date(filters.since).getTime() : -Infinity;
+  const until = filters.until ? new Date(filters.until).getTime() : Infinity;
+  const mine = loadMessages().filter(m => m.from === me || m.to === me);
+
+  const matches = mine
+    .filter(m => !partner || m.from === partner || m.to === partner)
+    .filter(m => m.timestamp >= since && m.timestamp < until)
+    .filter(m => filters.direction !== 'sent' || m.from === me)
+    .filter(m => filters.direction !== 'received' || m.to === me)
+    .filter(m => terms.every(t => (m.body || '').toLowerCase().includes(t)))
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, filters.limit || 20);
+
+  return matches.map(m => {
+    const thread = mine
+      .filter(t => (t.from === m.from && t.to === m.to) || (t.from === m.to && t.to === m.from))
+      .sort((a, b) => a.timestamp - b.timestamp);
+    const i = thread.findIndex(t => t.id === m.id);
+    const toEntry = t => ({ from: t.from, body: t.body, timestamp: t.timestamp });
+
+    return {
+      from: m.from,
+      to: m.to,
+      body: m.body,
+      snippet: highlight(m.body || '', terms),
+      timestamp: m.timestamp,
+      direction: m.from === me ? 'sent' : 'received',
+      context: {
+        before: thread.slice(Math.max(0, i - 1), i).map(toEntry),
+        after: thread.slice(i + 1, i + 2).map(toEntry)
+      }
+    };
+  });
+}
+
+function highlight(text, terms) {
+  const escaped = terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return text.replace(new RegExp(`(${escaped.join('|')})`, 'gi'), '**$1**');
+}
+
 async function markThreadRead(myHandle, theirHandle) {
   const messages = loadMessages();
   const me = myHandle.toLowerCase().replace('@', '');
@@ -247,6 +305,7 @@ module.exports = {
   getUnreadCount,
   getThread,
   markThreadRead,
+  searchMessages,
 
   // Skill Exchanges
   appendSkillExchange,
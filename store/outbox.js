@@ -0,0 +1,185 @@
+/**
+ * Outbox — Automatic retry for DMs that didn't make it to the server
+ *
+ * sendMessage writes every DM to SQLite as `pending` before the API call and
+ * flips it to `failed` on error. The outbox resends those rows with
+ * exponential backoff, reusing the original idempotency key so the server can
+ * drop duplicates, and leaves `created_at` untouched.
+ *
+ * Flushed from the presence heartbeat; cheap when nothing is queued.
+ */
+
+const sqlite = require('./sqlite');
+
+const BASE_DELAY_MS = 15 * 1000;
+const MAX_DELAY_MS = 30 * 60 * 1000;
+const MAX_RETRIES = 8; // ~1h of attempts before giving up
+const STALE_PENDING_MS = 2 * 60 * 1000; // A `pending` row this old lost its sender (crash, killed editor)
+
+let flushing = false;
+
+/**
+ * Idempotency key for a DM, stable across retries
+ * @param {string} localId - SQLite local_id
+ * @returns {string}
+ */
+function idempotencyKey(localId) {
+  return `dm_${localId}`;
+}
+
+/**
+ * Idempotency key for a message carrying a keyed payload
+ * Derived from the payload's own key, so sending the same payload again —
+ * a caller retrying after an error — is the same message, not a second one.
+ * @param {string} to - Recipient handle or group address
+ * @param {string} payloadKey - payload.idempotencyKey
+ * @returns {string}
+ */
+function payloadIdempotencyKey(to, payloadKey) {
+  return `dm_${to}_${payloadKey}`;
+}
+
+/**
+ * When to try again after a failed attempt
+ * @param {number} retryCount - Attempts already made (0 after the original send)
+ * @param {number} [now]
+ * @returns {string|null} ISO timestamp, or null once retries are exhausted
+ */
+function nextRetryAt(retryCount, now = Date.now()) {
+  if (retryCount >= MAX_RETRIES) return null;
+  const delay = Math.min(BASE_DELAY_MS * 2 ** retryCount, MAX_DELAY_MS);
+  const jitter = Math.floor(Math.random() * delay * 0.1);
+  return new Date(now + delay + jitter).toISOString();
+}
+
+/**
+ * Whether a failed send would fail the same way on every retry
+ * A 4xx means the server rejected the message itself. Timeouts (408) and rate
+ * limits (429) pass, and so does an expired session (401) once `vibe init` runs.
+ * @param {number} [statusCode]
+ * @returns {boolean}
+ */
+function isPermanentFailure(statusCode) {
+  return statusCode >= 400 && statusCode < 500 && ![401, 408, 429].includes(statusCode);
+}
+
+function isDue(row, now) {
+  if (row.status === 'pending') {
+    return now - new Date(row.created_at).getTime() > STALE_PENDING_MS;
+  }
+  if (!row.next_retry_at) return false; // Gave up
+  return new Date(row.next_retry_at).getTime() <= now;
+}
+
+/**
+ * Resend due messages from `handle`
+ * Once one send succeeds the API is back, so the rest are sent without waiting out their backoff.
+ * @param {object} store - Store exposing retryMessage(row)
+ * @param {string} handle - Sender
+ * @param {number} [now]
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+async function flush(store, handle, now = Date.now()) {
+  const stats = { sent: 0, failed: 0 };
+  if (flushing || !handle || typeof store.retryMessage !== 'function') return stats;
+
+  flushing = true;
+  try {
+    let online = false;
+
+    for (const row of sqlite.getOutboxMessages(handle)) {
+      const retrying = row.status === 'failed' && row.next_retry_at && row.retry_count < MAX_RETRIES;
+      if (!(online && retrying) && !isDue(row, now)) continue;
+
+      const result = await store.retryMessage({
+        ...row,
+        idempotency_key: row.idempotency_key || idempotencyKey(row.local_id)
+      });
+
+      if (result.success) {
+        sqlite.updateMessageStatus(row.local_id, 'sent', result.server_id, result.thread_id);
+        if (global.vibeNotifier) global.vibeNotifier.emitThreadUpdated(row.to_handle);
+        online = true;
+        stats.sent++;
+        continue;
+      }
+
+      const retryCount = row.retry_count + 1;
+      sqlite.markMessageFailed(row.local_id, {
+        retry_count: retryCount,
+        next_retry_at: result.permanent ? null : nextRetryAt(retryCount, now),
+        last_error: result.error || 'unknown error'
+      });
+      stats.failed++;
+
+      // Still offline — leave the rest for their own backoff
+      if (result.network) break;
+    }
+  } catch (e) {
+    // Outbox is best-effort; the next heartbeat tries again
+  } finally {
+    flushing = false;
+  }
+
+  return stats;
+}
+
+/**
+ * Delete the DMs from `handle` that failed for good (vibe_inbox outbox: 'discard')
+ * @param {string} handle - Sender
+ * @returns {number} Messages deleted
+ */
+function discard(handle) {
+  try {
+    return sqlite.discardFailedMessages(handle);
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * Queue the DMs from `handle` that failed for good for another full round of retries, due now
+ * @param {string} handle - Sender
+ * @param {number} [now]
+ * @returns {number} Messages requeued
+ */
+function retry(handle, now = Date.now()) {
+  try {
+    return sqlite.retryFailedMessages(handle, new Date(now).toISOString());
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * Unsent DMs for display (vibe_inbox)
+ * @param {string} handle - Sender
+ * @returns {Array<{to: string, text: string, createdAt: string, status: string, retries: number, nextRetryAt: string|null, error: string|null}>}
+ */
+function getQueued(handle) {
+  try {
+    return sqlite.getOutboxMessages(handle).map(row => ({
+      to: row.to_handle,
+      text: row.content,
+      createdAt: row.created_at,
+      status: row.status,
+      retries: row.retry_count || 0,
+      nextRetryAt: row.next_retry_at,
+      error: row.last_error
+    }));
+  } catch (e) {
+    return [];
+  }
+}
+
+module.exports = {
+  MAX_RETRIES,
+  idempotencyKey,
+  payloadIdempotencyKey,
+  nextRetryAt,
+  isPermanentFailure,
+  flush,
+  discard,
+  retry,
+  getQueued
+};
@@ -0,0 +1,291 @@
+/**
+ * Reservation Paths — How reserved paths are compared
+ *
+ * Reserved paths are stored relative to the git toplevel, so `./src`,
+ * `src/` and `/abs/path/to/repo/src` are the same reservation. A path may
+ * be a file, a directory (covers everything below it) or a glob:
+ *
+ *   *     any characters except /
+ *   **    any number of directories
+ *   ?     one character except /
+ *   [ab]  one of a set ([!ab] negates)
+ *   {a,b} either alternative
+ *
+ * When reservations overlap, the concrete tracked files (git ls-files) they
+ * share are reported. Reservations follow renames — `git mv` in the working
+ * tree and renames committed since the reservation was issued.
+ */
+
+const path = require('path');
+const { execSync } = require('child_process');
+
+const GIT_TIMEOUT = 2000;
+const GLOB_CHARS = /[*?[{]/;
+
+function git(args) {
+  try {
+    return execSync(`git ${args}`, {
+      encoding: 'utf8',
+      timeout: GIT_TIMEOUT,
+      stdio: 'pipe',
+      maxBuffer: 32 * 1024 * 1024
+    });
+  } catch (e) {
+    return null;
+  }
+}
+
+// ============ GLOBS ============
+
+/**
+ * @param {string} p
+ * @returns {boolean}
+ */
+function isGlob(p) {
+  return GLOB_CHARS.test(p);
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.+^$()|[\]{}\\]/g, '\\$&');
+}
+
+// Glob → regular expression source (no anchors)
+function translate(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+
+    if (c === '*' && glob[i + 1] === '*') {
+      // `**/` is zero or more directories; a trailing `**` is everything below
+      if (glob[i + 2] === '/') {
+        re += '(?:.*/)?';
+        i += 2;
+      } else {
+        re += '.*';
+        i += 1;
+      }
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2);
+      const set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+      re += set.startsWith('!') ? `[^${set.slice(1)}]` : `[${set}]`;
+      i = end;
+    } else if (c === '{' && glob.indexOf('}', i) !== -1) {
+      const end = glob.indexOf('}', i);
+      re += `(?:${glob
+        .slice(i + 1, end)
+        .split(',')
+        .map(translate)
+        .join('|')})`;
+      i = end;
+    } else {
+      re += escapeRegExp(c);
+    }
+  }
+  return re;
+}
+
+/**
+ * @param {string} glob - Repo-relative glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  return new RegExp(`^${translate(glob)}$`);
+}
+
+// ============ NORMALIZATION ============
+
+/**
+ * Where we are in the repo
+ * @returns {{root: string|null, prefix: string}} prefix is the cwd relative to root ('' at the top)
+ */
+function getBase() {
+  const root = git('rev-parse --show-toplevel');
+  const prefix = git('rev-parse --show-prefix');
+  return { root: root ? root.trim() : null, prefix: prefix ? prefix.trim() : '' };
+}
+
+/**
+ * Normalize a path or glob to be relative to the git toplevel
+ * @param {string} p - Relative to the cwd, or absolute
+ * @param {{root: string|null, prefix: string}} [base]
+ * @returns {string} '' never — the whole repo is '**'
+ */
+function normalizePath(p, base = getBase()) {
+  let s = String(p).trim().replace(/\\/g, '/');
+
+  if (path.posix.isAbsolute(s)) {
+    if (base.root && (s === base.root || s.startsWith(base.root + '/'))) s = s.slice(base.root.length + 1);
+  } else {
+    s = path.posix.join(base.prefix, s);
+  }
+
+  s = path.posix.normalize(s || '.').replace(/\/+$/, '');
+  return s === '.' || s === '' ? '**' : s;
+}
+
+// ============ MATCHING ============
+
+const regexCache = new Map();
+
+function regexFor(glob) {
+  if (!regexCache.has(glob)) regexCache.set(glob, globToRegExp(glob));
+  return regexCache.get(glob);
+}
+
+/**
+ * Does a reserved path (file, directory or glob) cover a concrete file?
+ * @param {string} reserved - Normalized reserved path
+ * @param {string} file - Repo-relative file path
+ * @returns {boolean}
+ */
+function matches(reserved, file) {
+  if (!isGlob(reserved)) return file === reserved || file.startsWith(reserved + '/');
+
+  // A glob that matches a directory covers everything in it
+  const re = regexFor(reserved);
+  const parts = file.split('/');
+  for (let i = parts.length; i > 0; i--) {
+    if (re.test(parts.slice(0, i).join('/'))) return true;
+  }
+  return false;
+}
+
+/**
+ * How two reserved paths overlap, if they do
+ * Two literal paths overlap when one is (under) the other; anything involving
+ * a glob overlaps when they cover a common tracked file, or the glob covers
+ * the literal path (a file that doesn't exist yet).
+ * @param {string} wanted - Path being checked
+ * @param {string} held - Path already reserved
+ * @param {object} ctx - From createContext()
+ * @returns {{path: string, conflictsWith?: string, files: string[]}|null}
+ */
+function overlap(wanted, held, ctx) {
+  const shared = () => ctx.tracked().filter(f => matches(wanted, f) && matches(held, f));
+
+  if (!isGlob(wanted) && !isGlob(held)) {
+    let result = null;
+    if (wanted === held) result = { path: wanted };
+    else if (wanted.startsWith(held + '/')) result = { path: wanted, conflictsWith: held };
+    else if (held.startsWith(wanted + '/')) result = { path: held, conflictsWith: wanted };
+    if (!result) return null;
+
+    const files = shared();
+    return { ...result, files: files.length > 0 ? files : [result.path] };
+  }
+
+  const files = shared();
+  if (files.length > 0) return { path: wanted, conflictsWith: held, files };
+
+  if (!isGlob(wanted) && matches(held, wanted)) return { path: wanted, conflictsWith: held, files: [wanted] };
+  if (!isGlob(held) && matches(wanted, held)) return { path: held, conflictsWith: wanted, files: [held] };
+  return null;
+}
+
+// ============ RENAMES ============
+
+/**
+ * Parse `git status --porcelain -z`
+ * @param {string} out
+ * @returns {{changed: string[], renames: string[][]}} renames are [from, to] pairs
+ */
+function parseStatus(out) {
+  const entries = (out || '').split('\0');
+  const changed = [];
+  const renames = [];
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (entry.length < 4) continue;
+    const file = entry.slice(3);
+    changed.push(file);
+    // Renames and copies are followed by the original path
+    if (entry[0] === 'R' || entry[0] === 'C') {
+      i++;
+      if (entry[0] === 'R') renames.push([entries[i], file]);
+    }
+  }
+  return { changed, renames };
+}
+
+// Renames committed since a time (`git log --name-status -z`: R100, from, to)
+function committedRenames(since) {
+  const date = new Date(since);
+  if (isNaN(date.getTime())) return [];
+
+  const out = git(`log --since=${date.toISOString()} -M --diff-filter=R --name-status --format= -z`);
+  const tokens = (out || '').split('\0').map(t => t.trim());
+  const renames = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (/^R\d*$/.test(tokens[i]) && tokens[i + 2]) {
+      renames.push([tokens[i + 1], tokens[i + 2]]);
+      i += 2;
+    }
+  }
+  return renames;
+}
+
+/**
+ * Add where reserved files went after being renamed
+ * @param {string[]} paths - Normalized reserved paths
+ * @param {object} ctx - From createContext()
+ * @param {string} [since] - When the reservation was issued (committed renames after this count)
+ * @returns {string[]}
+ */
+function followRenames(paths, ctx, since) {
+  const renames = ctx.renames(since);
+  if (renames.length === 0) return paths;
+
+  const followed = new Set(paths);
+  for (const p of paths) {
+    for (const [from, to] of renames) {
+      if (matches(p, from) && !matches(p, to)) followed.add(to);
+    }
+  }
+  return [...followed];
+}
+
+/**
+ * Lazily-loaded git state shared by the comparisons in one conflict check
+ * @returns {{base: object, tracked: () => string[], status: () => object, renames: (since?: string) => string[][]}}
+ */
+function createContext() {
+  let base = null;
+  let tracked = null;
+  let status = null;
+  const committed = new Map();
+
+  const ctx = {
+    get base() {
+      if (!base) base = getBase();
+      return base;
+    },
+    tracked() {
+      if (!tracked) tracked = (git('ls-files -z') || '').split('\0').filter(Boolean);
+      return tracked;
+    },
+    status() {
+      if (!status) status = parseStatus(git('status --porcelain -z --untracked-files=all'));
+      return status;
+    },
+    renames(since) {
+      if (since && !committed.has(since)) committed.set(since, committedRenames(since));
+      return [...(since ? committed.get(since) : []), ...ctx.status().renames];
+    }
+  };
+  return ctx;
+}
+
+module.exports = {
+  isGlob,
+  globToRegExp,
+  normalizePath,
+  matches,
+  overlap,
+  parseStatus,
+  followRenames,
+  createContext
+};
@@ -9,17 +9,41 @@
  * - Paths are relative to scope
  * - TTL is client-enforced (check expires_ts on read)
  * - Warn on conflict (overlapping exclusive paths), don't block
+ *
+ * Sharing: reservations in a `repo:` scope are published to a shared
+ * backend (the vibe API, or a shared directory — see getBackend) and
+ * teammates' reservations are pulled into shared.json from the heartbeat,
+ * so conflict checks see everyone's, not just our own. `local:` scopes
+ * stay on this machine.
+ *
+ * Lifecycle: a reservation belongs to the MCP session that made it. The
+ * heartbeat renews it while that session is alive, presence.stop() releases
+ * it, and one whose process died without stopping is released by the next
+ * session on the same machine. Only the session id is published; which
+ * process runs it stays in sessions.json on this machine. transfer() hands one to a teammate, who picks
+ * it up on their next sync.
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { execSync } = require('child_process');
 const crypto = require('crypto');
+const config = require('../config');
+const reservationPaths = require('./reservation-paths');
 
 const RESERVATIONS_DIR = path.join(process.env.HOME, '.vibe', 'reservations');
 const ACTIVE_FILE = path.join(RESERVATIONS_DIR, 'active.jsonl');
 const HISTORY_FILE = path.join(RESERVATIONS_DIR, 'history.jsonl');
 const INDEX_FILE = path.join(RESERVATIONS_DIR, 'index.json');
+const SHARED_FILE = path.join(RESERVATIONS_DIR, 'shared.json');
+const WITHDRAW_FILE = path.join(RESERVATIONS_DIR, 'withdraw.jsonl');
+const SESSIONS_FILE = path.join(RESERVATIONS_DIR, 'sessions.json');
+
+// Heartbeats are every 30s; teammates' reservations don't need to be fresher than this
+const SYNC_INTERVAL_MS = 2 * 60 * 1000;
+
+let lastSync = 0;
 
 // Ensure directories exist
 function ensureDir() {
@@ -130,53 +154,47 @@ function updateIndex(reservations) {
   fs.writeFileSync(INDEX_FILE, JSON.stringify(index, null, 2));
 }
 
-// Check for conflicts with existing reservations
-function checkConflicts(paths, exclusive = true, scope = null) {
-  const active = readActive();
+/**
+ * Check for conflicts with existing reservations (ours and teammates')
+ * Paths may be files, directories or globs (see store/reservation-paths.js).
+ * @param {string[]} paths - Relative to the cwd, or absolute
+ * @param {boolean} [exclusive]
+ * @param {string|null} [scope] - Defaults to the current repo
+ * @param {object} [ctx] - Git state to reuse (reservationPaths.createContext())
+ * @returns {Array<{path: string, conflictsWith?: string, files: string[], reservation_id: string, owner: string, reason: string|null, expires_ts: string}>}
+ */
+function checkConflicts(paths, exclusive = true, scope = null, ctx = reservationPaths.createContext()) {
   const targetScope = scope || getScope();
+  const active = [...readActive(), ...readShared(targetScope)];
   const conflicts = [];
 
+  const wanted = paths.map(p => reservationPaths.normalizePath(p, ctx.base));
+  // Stored paths are already repo-relative
+  const atRoot = { root: ctx.base.root, prefix: '' };
+
   for (const reservation of active) {
     // Only check same scope
     if (reservation.scope !== targetScope) continue;
     // Only check exclusive reservations
     if (!reservation.exclusive) continue;
 
-    // Check path overlap
-    for (const newPath of paths) {
-      for (const existingPath of reservation.paths) {
-        // Exact match
-        if (newPath === existingPath) {
-          conflicts.push({
-            path: newPath,
-            reservation_id: reservation.reservation_id,
-            owner: reservation.owner,
-            reason: reservation.reason,
-            expires_ts: reservation.expires_ts
-          });
-        }
-        // Check if new path is under existing (existing: src/, new: src/auth.ts)
-        else if (newPath.startsWith(existingPath + '/')) {
-          conflicts.push({
-            path: newPath,
-            conflictsWith: existingPath,
-            reservation_id: reservation.reservation_id,
-            owner: reservation.owner,
-            reason: reservation.reason,
-            expires_ts: reservation.expires_ts
-          });
-        }
-        // Check if existing path is under new (existing: src/auth.ts, new: src/)
-        else if (existingPath.startsWith(newPath + '/')) {
-          conflicts.push({
-            path: existingPath,
-            conflictsWith: newPath,
-            reservation_id: reservation.reservation_id,
-            owner: reservation.owner,
-            reason: reservation.reason,
-            expires_ts: reservation.expires_ts
-          });
-        }
+    const held = reservationPaths.followRenames(
+      reservation.paths.map(p => reservationPaths.normalizePath(p, atRoot)),
+      ctx,
+      reservation.issued_ts
+    );
+
+    for (const newPath of wanted) {
+      for (const existingPath of held) {
+        const overlap = reservationPaths.overlap(newPath, existingPath, ctx);
+        if (!overlap) continue;
+        conflicts.push({
+          ...overlap,
+          reservation_id: reservation.reservation_id,
+          owner: reservation.owner,
+          reason: reservation.reason,
+          expires_ts: reservation.expires_ts
+        });
       }
     }
   }
@@ -187,18 +205,24 @@ function checkConflicts(paths, exclusive = true, scope = null) {
 // Create a new reservation
 function create(owner, paths, options = {}) {
   const { ttl_seconds = 3600, exclusive = true, reason = null, thread_id = null } = options;
+  const session_id = options.session_id !== undefined ? options.session_id : config.getSessionId();
+  const auto_renew = options.auto_renew !== undefined ? Boolean(options.auto_renew) : Boolean(session_id);
 
   const scope = getScope();
   const now = new Date();
   const expires = new Date(now.getTime() + ttl_seconds * 1000);
 
   // Check for conflicts
-  const conflicts = checkConflicts(paths, exclusive, scope);
+  const ctx = reservationPaths.createContext();
+  const conflicts = checkConflicts(paths, exclusive, scope, ctx);
+
+  // Store repo-relative, so ./src, src/ and an absolute path are one reservation
+  const normalized = [...new Set(paths.map(p => reservationPaths.normalizePath(p, ctx.base)))];
 
   const reservation = {
     reservation_id: generateId(),
     scope,
-    paths,
+    paths: normalized,
     exclusive,
     reason,
     thread_id,
@@ -206,7 +230,9 @@ function create(owner, paths, options = {}) {
     status: 'active',
     ttl_seconds,
     issued_ts: now.toISOString(),
-    expires_ts: expires.toISOString()
+    expires_ts: expires.toISOString(),
+    ...holder(session_id),
+    auto_renew
   };
 
   // Add to active
@@ -242,6 +268,7 @@ function release(reservation_id, owner = null) {
   reservation.status = 'released';
   reservation.released_ts = new Date().toISOString();
   appendHistory(reservation);
+  queueWithdrawal(reservation);
 
   // Remove from active
   active.splice(index, 1);
@@ -255,16 +282,9 @@ function release(reservation_id, owner = null) {
 function list(options = {}) {
   const { active_only = true, path_filter = null, scope_filter = null } = options;
 
-  let reservations = readActive();
-
-  // Filter by scope
-  if (scope_filter) {
-    reservations = reservations.filter(r => r.scope === scope_filter);
-  } else {
-    // Default: only show current scope
-    const currentScope = getScope();
-    reservations = reservations.filter(r => r.scope === currentScope);
-  }
+  // Default: only show current scope
+  const scope = scope_filter || getScope();
+  let reservations = [...readActive().filter(r => r.scope === scope), ...readShared(scope)];
 
   // Filter by path
   if (path_filter) {
@@ -292,6 +312,7 @@ function cleanup() {
     r.status = 'expired';
     r.expired_ts = now;
     appendHistory(r);
+    queueWithdrawal(r);
   }
 
   if (expired.length > 0) {
@@ -302,6 +323,471 @@ function cleanup() {
   return { expired: expired.length, remaining: remaining.length };
 }
 
+// ============ LIFECYCLE ============
+
+// Which session holds a reservation; the process running it is noted locally
+function holder(session_id) {
+  if (session_id) recordSession(session_id);
+  return { session_id: session_id || null };
+}
+
+// session_id → { host, pid }, for releaseOrphans — never published
+function readSessions() {
+  try {
+    return JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+function writeSessions(sessions) {
+  ensureDir();
+  fs.writeFileSync(SESSIONS_FILE, JSON.stringify(sessions, null, 2));
+}
+
+function recordSession(session_id) {
+  const sessions = readSessions();
+  const current = sessions[session_id];
+  if (current && current.host === os.hostname() && current.pid === process.pid) return;
+  sessions[session_id] = { host: os.hostname(), pid: process.pid };
+  writeSessions(sessions);
+}
+
+// What we publish: no trace of which machine or process holds it (older records carried host and pid)
+function shareable(reservation) {
+  const { host: _host, pid: _pid, ...rest } = reservation;
+  return rest;
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // EPERM: it's running, just not as us
+    return e.code === 'EPERM';
+  }
+}
+
+function extend(reservation, ttl_seconds, now = Date.now()) {
+  reservation.ttl_seconds = ttl_seconds;
+  reservation.renewed_ts = new Date(now).toISOString();
+  reservation.expires_ts = new Date(now + ttl_seconds * 1000).toISOString();
+}
+
+/**
+ * Extend a reservation to a full TTL from now
+ * @param {string} reservation_id
+ * @param {object} [options] - { ttl_seconds (default: its current TTL), owner }
+ * @returns {{success: boolean, reservation?: object, error?: string, message?: string}}
+ */
+function renew(reservation_id, options = {}) {
+  const active = readActive();
+  const reservation = active.find(r => r.reservation_id === reservation_id);
+
+  if (!reservation) {
+    return { success: false, error: 'not_found', message: 'Reservation not found or already expired' };
+  }
+  if (options.owner && reservation.owner !== options.owner) {
+    return { success: false, error: 'not_owner', message: 'You are not the owner of this reservation' };
+  }
+
+  extend(reservation, options.ttl_seconds || reservation.ttl_seconds);
+  writeActive(active);
+  updateIndex(active);
+
+  return { success: true, reservation };
+}
+
+/**
+ * Renew a session's reservations once they're past half their TTL
+ * Runs from the heartbeat, so they last exactly as long as the session.
+ * @param {string} sessionId
+ * @returns {object[]} The reservations renewed
+ */
+function renewSession(sessionId) {
+  if (!sessionId) return [];
+
+  const active = readActive();
+  const now = Date.now();
+  const due = active.filter(
+    r =>
+      r.session_id === sessionId && r.auto_renew && new Date(r.expires_ts).getTime() - now < (r.ttl_seconds * 1000) / 2
+  );
+  if (due.length === 0) return [];
+
+  for (const r of due) extend(r, r.ttl_seconds, now);
+  writeActive(active);
+  updateIndex(active);
+  return due;
+}
+
+function releaseWhere(predicate, release_reason) {
+  const active = readActive();
+  const released = active.filter(predicate);
+  if (released.length === 0) return [];
+
+  const now = new Date().toISOString();
+  for (const r of released) {
+    Object.assign(r, { status: 'released', released_ts: now, release_reason });
+    appendHistory(r);
+    queueWithdrawal(r);
+  }
+
+  const remaining = active.filter(r => !released.includes(r));
+  writeActive(remaining);
+  updateIndex(remaining);
+  return released;
+}
+
+/**
+ * Release everything a session holds (called by presence.stop())
+ * @param {string} sessionId
+ * @returns {object[]} The reservations released
+ */
+function releaseSession(sessionId) {
+  if (!sessionId) return [];
+  return releaseWhere(r => r.session_id === sessionId, 'session_ended');
+}
+
+/**
+ * Release reservations whose session's process on this machine died without stopping
+ * @returns {object[]} The reservations released
+ */
+function releaseOrphans() {
+  const host = os.hostname();
+  const sessions = readSessions();
+  const dead = new Set();
+  for (const [id, s] of Object.entries(sessions)) {
+    if (s.host === host && s.pid && s.pid !== process.pid && !isAlive(s.pid)) dead.add(id);
+  }
+
+  const released = releaseWhere(
+    r =>
+      r.session_id &&
+      (dead.has(r.session_id) ||
+        // Reservations made before sessions.json
+        (!sessions[r.session_id] && r.host === host && r.pid && r.pid !== process.pid && !isAlive(r.pid))),
+    'session_died'
+  );
+
+  if (dead.size > 0) {
+    for (const id of dead) delete sessions[id];
+    writeSessions(sessions);
+  }
+  return released;
+}
+
+/**
+ * Hand a reservation to a teammate and DM them about it
+ * It's published under their handle right away and their next sync adopts it.
+ * @param {string} reservation_id
+ * @param {string} toHandle
+ * @param {object} store - Shares it (API backend) and sends the DM
+ * @param {object} [options] - { owner, note }
+ * @returns {Promise<{success: boolean, reservation?: object, notified?: boolean, error?: string, message?: string}>}
+ */
+async function transfer(reservation_id, toHandle, store, options = {}) {
+  const to = String(toHandle || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^@/, '');
+  if (!to) return { success: false, error: 'no_recipient', message: 'Who should get the reservation?' };
+
+  const active = readActive();
+  const index = active.findIndex(r => r.reservation_id === reservation_id);
+  if (index === -1) {
+    return { success: false, error: 'not_found', message: 'Reservation not found or already expired' };
+  }
+
+  const reservation = active[index];
+  if (options.owner && reservation.owner !== options.owner) {
+    return { success: false, error: 'not_owner', message: 'You are not the owner of this reservation' };
+  }
+  if (reservation.owner === to) {
+    return { success: false, error: 'already_owner', message: `@${to} already holds this reservation` };
+  }
+  if (!isShared(reservation.scope)) {
+    return {
+      success: false,
+      error: 'not_shared',
+      message: 'Only reservations in a repo with a remote can be handed over'
+    };
+  }
+
+  const backend = getBackend(store);
+  if (!backend) return { success: false, error: 'no_backend', message: 'No shared backend configured' };
+
+  const now = new Date();
+  const handed = {
+    ...reservation,
+    owner: to,
+    transferred_from: reservation.owner,
+    transferred_ts: now.toISOString(),
+    expires_ts: new Date(now.getTime() + reservation.ttl_seconds * 1000).toISOString(),
+    // Their session takes it over when they adopt it
+    ...holder(null),
+    auto_renew: false
+  };
+
+  const published = await backend.publish(shareable(handed)).catch(e => ({ success: false, error: e.message }));
+  if (!published.success) return { success: false, error: 'publish_failed', message: published.error };
+
+  // Same id, new owner — so it's dropped here without being withdrawn
+  active.splice(index, 1);
+  writeActive(active);
+  updateIndex(active);
+  appendHistory({ ...reservation, status: 'transferred', transferred_to: to, transferred_ts: handed.transferred_ts });
+
+  let notified = false;
+  if (store && typeof store.sendMessage === 'function') {
+    const sent = await store
+      .sendMessage(reservation.owner, to, transferMessage(handed, options.note))
+      .catch(() => null);
+    notified = Boolean(sent) && !sent.error;
+  }
+
+  return { success: true, reservation: handed, notified };
+}
+
+function transferMessage(reservation, note) {
+  const paths = reservation.paths.map(p => `\`${p}\``).join(', ');
+  const reason = reservation.reason ? ` ("${reservation.reason}")` : '';
+  const minutes = Math.round(reservation.ttl_seconds / 60);
+  let message = `Handing you my reservation on ${paths}${reason}. It's yours for the next ${minutes}m, and /vibe keeps it renewed while you're working.`;
+  if (note) message += `\n\n${note}`;
+  return message;
+}
+
+// Reservations teammates handed us, taken into our session
+function adopt(fetched, handle, sessionId) {
+  if (!handle || !sessionId) return [];
+
+  const active = readActive();
+  const known = new Set([...active, ...readWithdrawals()].map(r => r.reservation_id));
+  const now = new Date().toISOString();
+  const adopted = fetched.filter(
+    r =>
+      r.owner === handle &&
+      r.transferred_from &&
+      r.status === 'active' &&
+      r.expires_ts > now &&
+      !known.has(r.reservation_id)
+  );
+  if (adopted.length === 0) return [];
+
+  for (const r of adopted) active.push({ ...r, ...holder(sessionId), auto_renew: true, adopted_ts: now });
+  writeActive(active);
+  updateIndex(active);
+  return adopted;
+}
+
+// ============ SHARED BACKENDS ============
+//
+// A backend shares reservations between machines:
+//   publish(reservation)  → Promise<{success, error?}>  (idempotent by reservation_id)
+//   withdraw(reservation) → Promise<{success, error?}>  (released or expired)
+//   fetch(scope)          → Promise<{success, reservations?, error?}>
+
+// Only repo scopes mean the same thing on a teammate's machine
+function isShared(scope) {
+  return typeof scope === 'string' && scope.startsWith('repo:');
+}
+
+/**
+ * Share through the vibe API (store/api.js)
+ * @param {object} store - Store exposing publishReservation, withdrawReservation, getReservations
+ */
+function apiBackend(store) {
+  return {
+    name: 'api',
+    publish: r => store.publishReservation(r),
+    withdraw: r => store.withdrawReservation(r),
+    fetch: scope => store.getReservations(scope)
+  };
+}
+
+/**
+ * Share through a directory every teammate can write (network drive, synced folder)
+ * One file per reservation, so concurrent writers never clobber each other.
+ * @param {string} dir
+ */
+function directoryBackend(dir) {
+  const scopeDir = scope => path.join(dir, crypto.createHash('sha256').update(scope).digest('hex').slice(0, 16));
+  const fileFor = r => path.join(scopeDir(r.scope), `${r.reservation_id}.json`);
+
+  return {
+    name: 'directory',
+    async publish(r) {
+      try {
+        fs.mkdirSync(scopeDir(r.scope), { recursive: true });
+        // Write then rename so readers never see half a file
+        const tmp = `${fileFor(r)}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(r));
+        fs.renameSync(tmp, fileFor(r));
+        return { success: true };
+      } catch (e) {
+        return { success: false, error: e.message };
+      }
+    },
+    async withdraw(r) {
+      try {
+        fs.rmSync(fileFor(r), { force: true });
+        return { success: true };
+      } catch (e) {
+        return { success: false, error: e.message };
+      }
+    },
+    async fetch(scope) {
+      const target = scopeDir(scope);
+      if (!fs.existsSync(target)) return { success: true, reservations: [] };
+
+      try {
+        const now = new Date().toISOString();
+        const reservations = [];
+        for (const file of fs.readdirSync(target).filter(f => f.endsWith('.json'))) {
+          try {
+            const r = JSON.parse(fs.readFileSync(path.join(target, file), 'utf8'));
+            if (r.expires_ts > now) reservations.push(r);
+            // Owners who went offline never withdraw — tidy up for them
+            else fs.rmSync(path.join(target, file), { force: true });
+          } catch (e) {}
+        }
+        return { success: true, reservations };
+      } catch (e) {
+        return { success: false, error: e.message };
+      }
+    }
+  };
+}
+
+/**
+ * The configured backend: a shared directory if one is set, otherwise the API store
+ * @param {object} [store]
+ * @returns {object|null} null when there's nowhere to share (e.g. local mode)
+ */
+function getBackend(store) {
+  const dir = config.getReservationsDir();
+  if (dir) return directoryBackend(dir);
+  if (store && typeof store.getReservations === 'function') return apiBackend(store);
+  return null;
+}
+
+// Teammates' active reservations in a scope, as of the last sync
+function readShared(scope) {
+  if (!isShared(scope)) return [];
+
+  let cached;
+  try {
+    cached = JSON.parse(fs.readFileSync(SHARED_FILE, 'utf8'))[scope];
+  } catch (e) {
+    return [];
+  }
+  if (!cached) return [];
+
+  // Our own come from active.jsonl; released ones may not be withdrawn yet
+  const now = new Date().toISOString();
+  const ours = new Set([...readActive(), ...readWithdrawals()].map(r => r.reservation_id));
+  return (cached.reservations || []).filter(
+    r => r.expires_ts > now && r.status === 'active' && !ours.has(r.reservation_id)
+  );
+}
+
+function writeShared(scope, reservations) {
+  ensureDir();
+  let shared = {};
+  try {
+    shared = JSON.parse(fs.readFileSync(SHARED_FILE, 'utf8'));
+  } catch (e) {}
+  shared[scope] = { fetched_ts: new Date().toISOString(), reservations };
+  fs.writeFileSync(SHARED_FILE, JSON.stringify(shared, null, 2));
+}
+
+// Released/expired reservations still to be withdrawn from the backend
+function readWithdrawals() {
+  try {
+    return fs
+      .readFileSync(WITHDRAW_FILE, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  } catch (e) {
+    return [];
+  }
+}
+
+function queueWithdrawal(reservation) {
+  if (!isShared(reservation.scope)) return;
+  ensureDir();
+  const { reservation_id, scope, owner } = reservation;
+  fs.appendFileSync(WITHDRAW_FILE, JSON.stringify({ reservation_id, scope, owner }) + '\n');
+}
+
+/**
+ * Publish our reservations and pull teammates' for the current repo
+ * Runs from the presence heartbeat; throttled to once every couple of minutes.
+ * @param {object} store - Active store (used for the API backend)
+ * Pass session_id (and handle) to adopt reservations teammates handed us.
+ * @param {object} [options] - { force, scope, session_id, handle }
+ * @returns {Promise<{success: boolean, skipped?: boolean, published?: number, withdrawn?: number, adopted?: number, shared?: number, error?: string}>}
+ */
+async function sync(store, options = {}) {
+  const backend = getBackend(store);
+  if (!backend) return { success: false, error: 'No shared backend configured' };
+
+  if (!options.force && Date.now() - lastSync < SYNC_INTERVAL_MS) return { success: true, skipped: true };
+  lastSync = Date.now();
+
+  const scope = options.scope || getScope();
+  if (!isShared(scope)) return { success: false, error: 'Not in a repo with a remote' };
+
+  // Withdrawals first, so a failed one stays queued and is retried next time
+  const remaining = [];
+  let withdrawn = 0;
+  for (const r of readWithdrawals()) {
+    const result = await backend.withdraw(shareable(r)).catch(e => ({ success: false, error: e.message }));
+    if (result.success) withdrawn++;
+    else remaining.push(r);
+  }
+  ensureDir();
+  fs.writeFileSync(WITHDRAW_FILE, remaining.map(r => JSON.stringify(r) + '\n').join(''));
+
+  let published = 0;
+  for (const r of readActive().filter(r => r.scope === scope)) {
+    const result = await backend.publish(shareable(r)).catch(e => ({ success: false, error: e.message }));
+    if (result.success) published++;
+  }
+
+  const fetched = await backend.fetch(scope).catch(e => ({ success: false, error: e.message }));
+  if (!fetched.success) return { success: false, error: fetched.error };
+  writeShared(scope, fetched.reservations);
+
+  const handle = options.handle !== undefined ? options.handle : config.getHandle();
+  const adopted = adopt(fetched.reservations, handle, options.session_id);
+
+  return { success: true, published, withdrawn, adopted: adopted.length, shared: readShared(scope).length };
+}
+
+// ============ WORKING TREE ============
+
+/**
+ * Teammates' exclusive reservations on files we're changing right now
+ * @param {string} handle - Us (our own reservations never conflict)
+ * @returns {Array<object>} Conflicts, as from checkConflicts
+ */
+function checkWorkingTree(handle) {
+  const scope = getScope();
+  if (!isShared(scope)) return [];
+
+  const ctx = reservationPaths.createContext();
+  const { changed } = ctx.status();
+  if (changed.length === 0 || !ctx.base.root) return [];
+
+  // Status paths are repo-relative; checkConflicts takes cwd-relative or absolute
+  const absolute = changed.map(f => path.join(ctx.base.root, f));
+  return checkConflicts(absolute, true, scope, ctx).filter(c => c.owner !== handle);
+}
+
 module.exports = {
   create,
   release,
@@ -310,5 +796,17 @@ module.exports = {
   getScope,
   checkConflicts,
   cleanup,
-  generateId
+  generateId,
+  // Lifecycle
+  renew,
+  renewSession,
+  releaseSession,
+  releaseOrphans,
+  transfer,
+  // Sharing
+  apiBackend,
+  directoryBackend,
+  getBackend,
+  sync,
+  checkWorkingTree
 };
@@ -116,6 +116,15 @@ class SessionStore {
         LIMIT ?
       `),
 
+      getRecentJournal: this.db.prepare(`
+        SELECT * FROM (
+          SELECT * FROM session_journal
+          WHERE session_id = ?
+          ORDER BY timestamp DESC, id DESC
+          LIMIT ?
+        ) ORDER BY timestamp ASC, id ASC
+      `),
+
       getLastSession: this.db.prepare(`
         SELECT * FROM sessions
         WHERE handle = ? AND ended_at IS NOT NULL
@@ -221,6 +230,13 @@ class SessionStore {
     return this.stmts.getSessionJournal.all(sessionId, limit);
   }
 
+  /**
+   * Get the latest journal entries for a session, oldest first
+   */
+  getRecentJournal(sessionId, { limit = 20 } = {}) {
+    return this.stmts.getRecentJournal.all(sessionId, limit);
+  }
+
   /**
    * Get the last completed session for a handle
    */
@@ -260,6 +276,7 @@ function getInstance() {
         logNote: () => {},
         getRecentSessions: () => [],
         getSessionJournal: () => [],
+        getRecentJournal: () => [],
         getLastSession: () => null,
         getSession: () => null,
         close: () => {}
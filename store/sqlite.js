@@ -33,6 +33,9 @@ class MessageStore {
     this.db.pragma('busy_timeout = 5000');
     this.db.pragma('synchronous = NORMAL');
 
+    // INSERT OR REPLACE only fires delete triggers with recursive triggers on (keeps the FTS index clean)
+    this.db.pragma('recursive_triggers = ON');
+
     // Ensure messages table exists (should already exist from Tauri, but just in case)
     this.ensureSchema();
 
@@ -73,7 +76,151 @@ class MessageStore {
 
       CREATE INDEX IF NOT EXISTS idx_messages_synced
       ON messages(synced_at);
+
+      -- MCP sync cursors (one per handle); the Tauri app ignores this table
+      CREATE TABLE IF NOT EXISTS sync_state (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      -- Group threads (see store/groups.js); their messages are addressed to '#' || thread_id
+      CREATE TABLE IF NOT EXISTS groups (
+        thread_id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        created_by TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS group_members (
+        thread_id TEXT NOT NULL,
+        handle TEXT NOT NULL,
+        joined_at TEXT NOT NULL,
+        left_at TEXT,
+        last_read_at TEXT,
+        PRIMARY KEY (thread_id, handle)
+      );
+
+      -- Handoffs sent and received (see store/handoffs.js), keyed by the payload's idempotency key
+      -- Both ends of one handoff can be on the same machine, so the direction is part of the key
+      CREATE TABLE IF NOT EXISTS handoffs (
+        id TEXT NOT NULL,
+        direction TEXT NOT NULL,
+        from_handle TEXT NOT NULL,
+        to_handle TEXT NOT NULL,
+        task TEXT NOT NULL,
+        description TEXT,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (id, direction)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_handoffs_status
+      ON handoffs(status, updated_at);
+
+      CREATE TABLE IF NOT EXISTS handoff_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        handoff_id TEXT NOT NULL,
+        direction TEXT NOT NULL,
+        event TEXT NOT NULL,
+        by_handle TEXT,
+        note TEXT,
+        at TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_handoff_events
+      ON handoff_events(handoff_id, direction, at);
+
+      -- Structured payloads already delivered (see store/idempotency.js)
+      -- Keys belong to their sender, and each mailbox on this machine keeps its own
+      CREATE TABLE IF NOT EXISTS seen_payloads (
+        handle TEXT NOT NULL,
+        from_handle TEXT NOT NULL,
+        idempotency_key TEXT NOT NULL,
+        type TEXT,
+        server_id TEXT,
+        seen_at TEXT NOT NULL,
+        applied_at TEXT,
+        PRIMARY KEY (handle, from_handle, idempotency_key)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_seen_payloads_seen
+      ON seen_payloads(seen_at);
     `);
+
+    this.migrateSchema();
+    this.ensureSearchIndex();
+  }
+
+  /**
+   * Full-text index over message content, kept in sync by triggers
+   *
+   * A standalone FTS5 table keyed by the messages rowid (plus local_id, so a
+   * reused rowid never matches a stale entry). Triggers live in the shared
+   * database, so rows written by the Tauri app get indexed too.
+   * Search is disabled (not fatal) if this SQLite build lacks FTS5.
+   */
+  ensureSearchIndex() {
+    try {
+      const lookup = "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'";
+      const exists = this.db.prepare(lookup).get();
+
+      this.db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+          content,
+          local_id UNINDEXED,
+          tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+          INSERT INTO messages_fts (rowid, content, local_id) VALUES (new.rowid, new.content, new.local_id);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+          DELETE FROM messages_fts WHERE rowid = old.rowid;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF content ON messages BEGIN
+          UPDATE messages_fts SET content = new.content WHERE rowid = old.rowid;
+        END;
+      `);
+
+      // First run on an existing database: index what's already there
+      if (!exists) {
+        this.db.exec(`
+          INSERT INTO messages_fts (rowid, content, local_id)
+          SELECT rowid, content, local_id FROM messages
+        `);
+      }
+
+      this.searchEnabled = true;
+    } catch (e) {
+      this.searchEnabled = false;
+    }
+  }
+
+  /**
+   * Add MCP-only columns the Tauri schema doesn't have
+   * ALTER TABLE ADD COLUMN keeps rows written by the Tauri app readable by both sides.
+   */
+  migrateSchema() {
+    const info = this.db.prepare('PRAGMA table_info(messages)').all();
+    const existing = new Set(info.map(c => c.name));
+    const columns = {
+      idempotency_key: 'TEXT', // Sent with every (re)delivery so the server can dedupe
+      payload: 'TEXT', // JSON payload to resend with the body
+      next_retry_at: 'TEXT', // Outbox: earliest time to retry a failed send
+      last_error: 'TEXT' // Outbox: why the last attempt failed
+    };
+
+    for (const [name, type] of Object.entries(columns)) {
+      if (!existing.has(name)) {
+        this.db.exec(`ALTER TABLE messages ADD COLUMN ${name} ${type}`);
+      }
+    }
   }
 
   prepareStatements() {
@@ -106,7 +253,7 @@ class MessageStore {
           SELECT DISTINCT
             CASE WHEN from_handle = ? THEN to_handle ELSE from_handle END as partner
           FROM messages
-          WHERE from_handle = ? OR to_handle = ?
+          WHERE (from_handle = ? OR to_handle = ?) AND to_handle NOT LIKE '#%'
         ),
         latest_messages AS (
           SELECT
@@ -116,7 +263,7 @@ class MessageStore {
             ROW_NUMBER() OVER (PARTITION BY CASE WHEN from_handle = ? THEN to_handle ELSE from_handle END
                                ORDER BY created_at DESC) as rn
           FROM messages
-          WHERE from_handle = ? OR to_handle = ?
+          WHERE (from_handle = ? OR to_handle = ?) AND to_handle NOT LIKE '#%'
         ),
         unread_counts AS (
           SELECT
@@ -139,8 +286,223 @@ class MessageStore {
 
       markThreadRead: this.db.prepare(`
         UPDATE messages
-        SET status = 'read', read_at = ?
+        SET status = 'read', read_at = ?, synced_at = NULL
         WHERE from_handle = ? AND to_handle = ? AND status IN ('sent', 'delivered')
+      `),
+
+      setOutboxFields: this.db.prepare(`
+        UPDATE messages
+        SET idempotency_key = COALESCE(?, idempotency_key), payload = COALESCE(?, payload)
+        WHERE local_id = ?
+      `),
+
+      markFailed: this.db.prepare(`
+        UPDATE messages
+        SET status = 'failed', retry_count = ?, next_retry_at = ?, last_error = ?
+        WHERE local_id = ?
+      `),
+
+      clearRetry: this.db.prepare(`
+        UPDATE messages
+        SET next_retry_at = NULL, last_error = NULL
+        WHERE local_id = ?
+      `),
+
+      discardFailed: this.db.prepare(`
+        DELETE FROM messages
+        WHERE from_handle = ? AND status = 'failed' AND next_retry_at IS NULL
+      `),
+
+      retryFailed: this.db.prepare(`
+        UPDATE messages
+        SET retry_count = 0, next_retry_at = ?
+        WHERE from_handle = ? AND status = 'failed' AND next_retry_at IS NULL
+      `),
+
+      getByServerId: this.db.prepare(`
+        SELECT * FROM messages WHERE server_id = ? ORDER BY created_at ASC
+      `),
+
+      getByIdempotencyKey: this.db.prepare(`
+        SELECT * FROM messages WHERE idempotency_key = ? ORDER BY created_at ASC
+      `),
+
+      reconcile: this.db.prepare(`
+        UPDATE messages
+        SET server_id = ?, thread_id = ?, status = ?, sent_at = ?, delivered_at = ?, read_at = ?, synced_at = ?
+        WHERE local_id = ?
+      `),
+
+      deleteMessage: this.db.prepare(`
+        DELETE FROM messages WHERE local_id = ?
+      `),
+
+      getUnsyncedReceipts: this.db.prepare(`
+        SELECT local_id, server_id, read_at
+        FROM messages
+        WHERE to_handle = ? AND status = 'read' AND server_id IS NOT NULL
+          AND read_at IS NOT NULL AND (synced_at IS NULL OR synced_at < read_at)
+        ORDER BY read_at ASC
+        LIMIT ?
+      `),
+
+      markSynced: this.db.prepare(`
+        UPDATE messages SET synced_at = ? WHERE local_id = ?
+      `),
+
+      getSyncState: this.db.prepare(`
+        SELECT value FROM sync_state WHERE key = ?
+      `),
+
+      setSyncState: this.db.prepare(`
+        INSERT INTO sync_state (key, value, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+      `),
+
+      getThreadBefore: this.db.prepare(`
+        SELECT local_id, from_handle, to_handle, content, created_at FROM messages
+        WHERE ((from_handle = ? AND to_handle = ?) OR (from_handle = ? AND to_handle = ?)) AND created_at < ?
+        ORDER BY created_at DESC
+        LIMIT ?
+      `),
+
+      getThreadAfter: this.db.prepare(`
+        SELECT local_id, from_handle, to_handle, content, created_at FROM messages
+        WHERE ((from_handle = ? AND to_handle = ?) OR (from_handle = ? AND to_handle = ?)) AND created_at > ?
+        ORDER BY created_at ASC
+        LIMIT ?
+      `),
+
+      upsertGroup: this.db.prepare(`
+        INSERT INTO groups (thread_id, name, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(thread_id) DO UPDATE SET
+          name = excluded.name,
+          created_by = COALESCE(groups.created_by, excluded.created_by),
+          updated_at = excluded.updated_at
+      `),
+
+      // Rejoining clears left_at; read positions only move forward
+      upsertGroupMember: this.db.prepare(`
+        INSERT INTO group_members (thread_id, handle, joined_at, left_at, last_read_at) VALUES (?, ?, ?, NULL, ?)
+        ON CONFLICT(thread_id, handle) DO UPDATE SET
+          left_at = NULL,
+          joined_at = CASE WHEN group_members.left_at IS NULL THEN group_members.joined_at ELSE excluded.joined_at END,
+          last_read_at = CASE
+            WHEN excluded.last_read_at IS NULL THEN group_members.last_read_at
+            WHEN group_members.last_read_at IS NULL OR excluded.last_read_at > group_members.last_read_at
+              THEN excluded.last_read_at
+            ELSE group_members.last_read_at
+          END
+      `),
+
+      leaveGroup: this.db.prepare(`
+        UPDATE group_members SET left_at = ? WHERE thread_id = ? AND handle = ? AND left_at IS NULL
+      `),
+
+      getGroup: this.db.prepare(`
+        SELECT thread_id, name, created_by, created_at, updated_at FROM groups WHERE thread_id = ?
+      `),
+
+      // Unread = messages from others since the member last read (or joined)
+      getGroupMembers: this.db.prepare(`
+        SELECT gm.handle, gm.joined_at, gm.last_read_at,
+               (SELECT COUNT(*) FROM messages m
+                WHERE m.to_handle = '#' || gm.thread_id AND m.from_handle != gm.handle
+                  AND m.created_at > COALESCE(gm.last_read_at, gm.joined_at)) AS unread
+        FROM group_members gm
+        WHERE gm.thread_id = ? AND gm.left_at IS NULL
+        ORDER BY gm.joined_at ASC, gm.handle ASC
+      `),
+
+      getGroupsFor: this.db.prepare(`
+        SELECT g.thread_id FROM groups g
+        JOIN group_members gm ON gm.thread_id = g.thread_id
+        WHERE gm.handle = ? AND gm.left_at IS NULL
+      `),
+
+      getGroupLatest: this.db.prepare(`
+        SELECT local_id, from_handle, content, created_at FROM messages
+        WHERE to_handle = ?
+        ORDER BY created_at DESC
+        LIMIT 1
+      `),
+
+      getGroupMessages: this.db.prepare(`
+        SELECT * FROM (
+          SELECT local_id, server_id, thread_id, from_handle, to_handle, content, created_at, status
+          FROM messages
+          WHERE to_handle = ?
+          ORDER BY created_at DESC
+          LIMIT ?
+        ) ORDER BY created_at ASC
+      `),
+
+      markGroupRead: this.db.prepare(`
+        UPDATE group_members SET last_read_at = ?
+        WHERE thread_id = ? AND handle = ? AND (last_read_at IS NULL OR last_read_at < ?)
+      `),
+
+      insertHandoff: this.db.prepare(`
+        INSERT OR IGNORE INTO handoffs
+        (id, direction, from_handle, to_handle, task, description, payload, status, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+
+      setHandoffStatus: this.db.prepare(`
+        UPDATE handoffs SET status = ?, updated_at = ? WHERE id = ? AND direction = ?
+      `),
+
+      insertHandoffEvent: this.db.prepare(`
+        INSERT INTO handoff_events (handoff_id, direction, event, by_handle, note, at) VALUES (?, ?, ?, ?, ?, ?)
+      `),
+
+      getHandoff: this.db.prepare(`
+        SELECT * FROM handoffs WHERE id = ? AND direction = ?
+      `),
+
+      insertSeenPayload: this.db.prepare(`
+        INSERT OR IGNORE INTO seen_payloads (handle, from_handle, idempotency_key, type, server_id, seen_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `),
+
+      // The first copy may have had no server id (a local delivery); the first one that does counts
+      setSeenServerId: this.db.prepare(`
+        UPDATE seen_payloads SET server_id = ?
+        WHERE handle = ? AND from_handle = ? AND idempotency_key = ? AND server_id IS NULL
+      `),
+
+      getSeenPayload: this.db.prepare(`
+        SELECT * FROM seen_payloads WHERE handle = ? AND from_handle = ? AND idempotency_key = ?
+      `),
+
+      markPayloadApplied: this.db.prepare(`
+        UPDATE seen_payloads SET applied_at = ?
+        WHERE handle = ? AND from_handle = ? AND idempotency_key = ? AND applied_at IS NULL
+      `),
+
+      pruneSeenPayloads: this.db.prepare(`
+        DELETE FROM seen_payloads WHERE seen_at < ?
+      `),
+
+      getHandoffEvents: this.db.prepare(`
+        SELECT event, by_handle, note, at FROM handoff_events
+        WHERE handoff_id = ? AND direction = ?
+        ORDER BY at ASC, id ASC
+      `),
+
+      getHandoffsFor: this.db.prepare(`
+        SELECT * FROM handoffs
+        WHERE (direction = 'received' AND to_handle = ?) OR (direction = 'sent' AND from_handle = ?)
+        ORDER BY updated_at DESC
+        LIMIT ?
+      `),
+
+      getOutbox: this.db.prepare(`
+        SELECT local_id, from_handle, to_handle, content, created_at, status, retry_count,
+               idempotency_key, payload, next_retry_at, last_error
+        FROM messages
+        WHERE from_handle = ? AND status IN ('pending', 'failed')
+        ORDER BY created_at ASC
       `)
     };
   }
@@ -162,7 +524,9 @@ class MessageStore {
       delivered_at = null,
       read_at = null,
       synced_at = null,
-      retry_count = 0
+      retry_count = 0,
+      idempotency_key = null,
+      payload = null
     } = message;
 
     this.stmts.insert.run(
@@ -181,6 +545,10 @@ class MessageStore {
       retry_count
     );
 
+    if (idempotency_key || payload) {
+      this.stmts.setOutboxFields.run(idempotency_key, payload ? JSON.stringify(payload) : null, local_id);
+    }
+
     return local_id;
   }
 
@@ -212,6 +580,296 @@ class MessageStore {
     const sent_at = status === 'sent' || status === 'delivered' || status === 'read' ? new Date().toISOString() : null;
 
     this.stmts.updateStatus.run(status, server_id, thread_id, sent_at, local_id);
+    if (sent_at) this.stmts.clearRetry.run(local_id);
+  }
+
+  /**
+   * Mark a send as failed and schedule the next outbox attempt
+   * @param {string} local_id
+   * @param {object} retry - { retry_count, next_retry_at (ISO or null to stop retrying), last_error }
+   */
+  markMessageFailed(local_id, { retry_count = 0, next_retry_at = null, last_error = null } = {}) {
+    this.stmts.markFailed.run(retry_count, next_retry_at, last_error, local_id);
+  }
+
+  /**
+   * Delete failed sends that the outbox gave up on
+   * @param {string} from_handle
+   * @returns {number} Messages deleted
+   */
+  discardFailedMessages(from_handle) {
+    return this.stmts.discardFailed.run(from_handle).changes;
+  }
+
+  /**
+   * Give failed sends that the outbox gave up on a fresh round of retries
+   * @param {string} from_handle
+   * @param {string} next_retry_at - ISO timestamp of the first new attempt
+   * @returns {number} Messages rescheduled
+   */
+  retryFailedMessages(from_handle, next_retry_at) {
+    return this.stmts.retryFailed.run(next_retry_at, from_handle).changes;
+  }
+
+  /**
+   * Full-text search over one user's DMs
+   * @param {string} handle - Whose messages to search (sent or received)
+   * @param {string} query - Free text; each word must match (prefix match)
+   * @param {object} [filters]
+   * @param {string} [filters.with] - Only the thread with this handle
+   * @param {string} [filters.since] - ISO timestamp, inclusive
+   * @param {string} [filters.until] - ISO timestamp, exclusive
+   * @param {string} [filters.direction] - 'sent' | 'received'
+   * @param {number} [filters.limit]
+   * @returns {Array<object>} Rows with a `snippet` (matches wrapped in **) and bm25 `rank`
+   */
+  searchMessages(handle, query, filters = {}) {
+    if (!this.searchEnabled) return [];
+
+    const { with: partner = null, since = null, until = null, direction = null, limit = 20 } = filters;
+    const match = toFtsQuery(query);
+    if (!match) return [];
+
+    const where = ['messages_fts MATCH ?', '(m.from_handle = ? OR m.to_handle = ?)'];
+    const params = [match, handle, handle];
+
+    if (partner) {
+      where.push('(m.from_handle = ? OR m.to_handle = ?)');
+      params.push(partner, partner);
+    }
+    if (since) {
+      where.push('m.created_at >= ?');
+      params.push(since);
+    }
+    if (until) {
+      where.push('m.created_at < ?');
+      params.push(until);
+    }
+    if (direction === 'sent') {
+      where.push('m.from_handle = ?');
+      params.push(handle);
+    } else if (direction === 'received') {
+      where.push('m.to_handle = ?');
+      params.push(handle);
+    }
+
+    return this.db
+      .prepare(
+        `
+      SELECT m.local_id, m.server_id, m.thread_id, m.from_handle, m.to_handle, m.content, m.created_at, m.status,
+             snippet(messages_fts, 0, '**', '**', '…', 16) AS snippet,
+             bm25(messages_fts) AS rank
+      FROM messages_fts
+      JOIN messages m ON m.rowid = messages_fts.rowid AND m.local_id = messages_fts.local_id
+      WHERE ${where.join(' AND ')}
+      ORDER BY rank
+      LIMIT ?
+    `
+      )
+      .all(...params, limit);
+  }
+
+  /**
+   * Messages around a point in a thread (for search result context)
+   * @returns {{before: Array<object>, after: Array<object>}}
+   */
+  getThreadContext(handle1, handle2, created_at, { before = 1, after = 1 } = {}) {
+    const pair = [handle1, handle2, handle2, handle1, created_at];
+    return {
+      before: this.stmts.getThreadBefore.all(...pair, before).reverse(),
+      after: this.stmts.getThreadAfter.all(...pair, after)
+    };
+  }
+
+  // ============ GROUPS ============
+
+  /**
+   * Cache a group and its current member list (from the API)
+   * Members missing from the list are marked as having left.
+   * @param {object} group - See store/groups.js normalizeGroup
+   */
+  upsertGroup(group) {
+    const now = new Date().toISOString();
+    const apply = this.db.transaction(g => {
+      this.stmts.upsertGroup.run(g.thread_id, g.name, g.created_by, g.created_at, now);
+
+      const current = new Set(g.members.map(m => m.handle));
+      for (const m of g.members) {
+        this.stmts.upsertGroupMember.run(g.thread_id, m.handle, m.joined_at || now, m.last_read_at || null);
+      }
+      for (const m of this.stmts.getGroupMembers.all(g.thread_id)) {
+        if (!current.has(m.handle)) this.stmts.leaveGroup.run(now, g.thread_id, m.handle);
+      }
+    });
+    apply(group);
+  }
+
+  /**
+   * A group with its active members and each member's unread count
+   * @param {string} thread_id
+   * @returns {{thread_id: string, name: string, created_by: string|null, created_at: string, members: Array<{handle: string, joined_at: string, last_read_at: string|null, unread: number}>}|null}
+   */
+  getGroup(thread_id) {
+    const group = this.stmts.getGroup.get(thread_id);
+    if (!group) return null;
+    return { ...group, members: this.stmts.getGroupMembers.all(thread_id) };
+  }
+
+  /**
+   * Groups `handle` belongs to, most recently active first
+   * @returns {Array<object>} getGroup() shape plus `unread` (for handle) and `latestMessage`
+   */
+  getGroups(handle) {
+    return this.stmts.getGroupsFor
+      .all(handle)
+      .map(({ thread_id }) => {
+        const group = this.getGroup(thread_id);
+        const me = group.members.find(m => m.handle === handle);
+        return {
+          ...group,
+          unread: me ? me.unread : 0,
+          latestMessage: this.stmts.getGroupLatest.get(`#${thread_id}`) || null
+        };
+      })
+      .sort((a, b) => activity(b).localeCompare(activity(a)));
+  }
+
+  /**
+   * Latest messages in a group, oldest first
+   */
+  getGroupMessages(thread_id, limit = 100) {
+    return this.stmts.getGroupMessages.all(`#${thread_id}`, limit);
+  }
+
+  /**
+   * Move a member's read position forward (never back)
+   */
+  markGroupRead(thread_id, handle, read_at = new Date().toISOString()) {
+    return this.stmts.markGroupRead.run(read_at, thread_id, handle, read_at).changes;
+  }
+
+  leaveGroup(thread_id, handle) {
+    return this.stmts.leaveGroup.run(new Date().toISOString(), thread_id, handle).changes;
+  }
+
+  // ============ HANDOFFS ============
+
+  /**
+   * Record a handoff we sent or received, with its first event
+   * @param {object} handoff - See store/handoffs.js
+   * @returns {boolean} false if it was already recorded
+   */
+  saveHandoff(handoff) {
+    const { id, direction, from_handle, to_handle, task, description, payload, status, created_at } = handoff;
+    const save = this.db.transaction(() => {
+      const { changes } = this.stmts.insertHandoff.run(
+        id,
+        direction,
+        from_handle,
+        to_handle,
+        task,
+        description || null,
+        JSON.stringify(payload),
+        status,
+        created_at,
+        created_at
+      );
+      if (changes === 0) return false;
+      this.stmts.insertHandoffEvent.run(id, direction, direction, from_handle, null, created_at);
+      return true;
+    });
+    return save();
+  }
+
+  /**
+   * Add to a handoff's history, moving it to a new status if given
+   * @param {string} id
+   * @param {string} direction - 'sent' or 'received'
+   * @param {object} entry - { event, by_handle, note, status, at }
+   */
+  addHandoffEvent(id, direction, entry) {
+    const { event, by_handle = null, note = null, status = null, at = new Date().toISOString() } = entry;
+    this.db.transaction(() => {
+      this.stmts.insertHandoffEvent.run(id, direction, event, by_handle, note, at);
+      if (status) this.stmts.setHandoffStatus.run(status, at, id, direction);
+    })();
+  }
+
+  /**
+   * A handoff with its payload parsed and its history, oldest event first
+   * @param {string} id
+   * @param {string} direction - 'sent' or 'received'
+   * @returns {object|null}
+   */
+  getHandoff(id, direction) {
+    const row = this.stmts.getHandoff.get(id, direction);
+    if (!row) return null;
+    return { ...row, payload: parseJson(row.payload), events: this.stmts.getHandoffEvents.all(id, direction) };
+  }
+
+  /**
+   * Handoffs sent by or to `handle`, most recently updated first
+   * @param {string} handle
+   * @param {number} [limit]
+   * @returns {Array<object>} getHandoff() shape without events
+   */
+  getHandoffs(handle, limit = 50) {
+    return this.stmts.getHandoffsFor
+      .all(handle, handle, limit)
+      .map(row => ({ ...row, payload: parseJson(row.payload) }));
+  }
+
+  // ============ SEEN PAYLOADS ============
+
+  /**
+   * Remember a delivery of a structured payload
+   * @param {object} seen - { handle, from_handle, idempotency_key, type, server_id }
+   * @returns {object} The stored row: the first delivery's server_id, and applied_at once applied
+   */
+  recordSeenPayload(seen) {
+    const { handle, from_handle, idempotency_key, type = null, server_id = null } = seen;
+    return this.db.transaction(() => {
+      this.stmts.insertSeenPayload.run(handle, from_handle, idempotency_key, type, server_id, new Date().toISOString());
+      if (server_id) this.stmts.setSeenServerId.run(server_id, handle, from_handle, idempotency_key);
+      return this.stmts.getSeenPayload.get(handle, from_handle, idempotency_key);
+    })();
+  }
+
+  /**
+   * Mark a recorded payload as applied
+   * @returns {boolean} false if it already was (or was never recorded)
+   */
+  markPayloadApplied(handle, from_handle, idempotency_key) {
+    const at = new Date().toISOString();
+    return this.stmts.markPayloadApplied.run(at, handle, from_handle, idempotency_key).changes === 1;
+  }
+
+  /**
+   * Forget payloads first seen before `before` (ISO timestamp)
+   * @returns {number} Rows removed
+   */
+  pruneSeenPayloads(before) {
+    return this.stmts.pruneSeenPayloads.run(before).changes;
+  }
+
+  /**
+   * The message sent with this idempotency key, payload parsed
+   * @param {string} idempotency_key
+   * @returns {object|null}
+   */
+  getMessageByIdempotencyKey(idempotency_key) {
+    const row = this.stmts.getByIdempotencyKey.get(idempotency_key);
+    return row ? { ...row, payload: parseJson(row.payload) } : null;
+  }
+
+  /**
+   * Get unsent messages from a handle (pending and failed), oldest first
+   */
+  getOutboxMessages(from_handle) {
+    return this.stmts.getOutbox.all(from_handle).map(row => ({
+      ...row,
+      payload: parseJson(row.payload)
+    }));
   }
 
   /**
@@ -288,6 +946,7 @@ class MessageStore {
 
   /**
    * Mark all messages in a thread as read
+   * Clears synced_at so the sync engine pushes the read receipt to the server.
    */
   markThreadRead(my_handle, other_handle) {
     const now = new Date().toISOString();
@@ -295,6 +954,119 @@ class MessageStore {
     return result.changes;
   }
 
+  /**
+   * Apply messages pulled from the server (see store/sync.js)
+   *
+   * Reconciles against rows the MCP or the Tauri app already wrote:
+   * - matched by server_id, then by idempotency key (our optimistic/outbox sends)
+   * - status only moves forward (pending → sent → delivered → read)
+   * - the earliest delivered_at/read_at wins; local created_at and content are kept
+   * - a local read the server hasn't seen stays unsynced so its receipt is pushed
+   * - duplicate rows for one server message collapse into the oldest
+   *
+   * @param {Array<object>} messages - Normalized server messages
+   * @returns {{inserted: Array<object>, updated: number}}
+   */
+  applyServerMessages(messages) {
+    const now = new Date().toISOString();
+    const inserted = [];
+    let updated = 0;
+
+    const apply = this.db.transaction(msgs => {
+      for (const msg of msgs) {
+        if (!msg.server_id) continue;
+
+        let rows = this.stmts.getByServerId.all(msg.server_id);
+        if (rows.length === 0 && msg.idempotency_key) {
+          rows = this.stmts.getByIdempotencyKey.all(msg.idempotency_key);
+        }
+
+        if (rows.length === 0) {
+          this.saveLocalMessage({
+            local_id: msg.server_id,
+            server_id: msg.server_id,
+            thread_id: msg.thread_id,
+            from_handle: msg.from_handle,
+            to_handle: msg.to_handle,
+            content: msg.content,
+            created_at: msg.created_at,
+            status: serverStatus(msg),
+            sent_at: msg.sent_at || msg.created_at,
+            delivered_at: msg.delivered_at,
+            read_at: msg.read_at,
+            synced_at: now,
+            idempotency_key: msg.idempotency_key
+          });
+          inserted.push(msg);
+          continue;
+        }
+
+        const [keep, ...duplicates] = rows;
+        const merged = [keep, ...duplicates].reduce(
+          (acc, row) => ({
+            status: laterStatus(acc.status, row.status),
+            sent_at: earliest(acc.sent_at, row.sent_at),
+            delivered_at: earliest(acc.delivered_at, row.delivered_at),
+            read_at: earliest(acc.read_at, row.read_at)
+          }),
+          {
+            status: serverStatus(msg),
+            sent_at: msg.sent_at || msg.created_at,
+            delivered_at: msg.delivered_at,
+            read_at: msg.read_at
+          }
+        );
+
+        // Read here but not on the server yet — keep it unsynced so the receipt goes up
+        const receiptPending = merged.status === 'read' && !msg.read_at;
+
+        this.stmts.reconcile.run(
+          msg.server_id,
+          msg.thread_id || keep.thread_id,
+          merged.status,
+          merged.sent_at,
+          merged.delivered_at,
+          merged.read_at,
+          receiptPending ? keep.synced_at : now,
+          keep.local_id
+        );
+        for (const dup of duplicates) {
+          this.stmts.deleteMessage.run(dup.local_id);
+        }
+        updated++;
+      }
+    });
+
+    apply(messages);
+    return { inserted, updated };
+  }
+
+  /**
+   * Read receipts for messages to `handle` that the server hasn't seen
+   */
+  getUnsyncedReadReceipts(handle, limit = 200) {
+    return this.stmts.getUnsyncedReceipts.all(handle, limit);
+  }
+
+  /**
+   * Mark rows as matching the server as of now
+   */
+  markSynced(local_ids) {
+    const now = new Date().toISOString();
+    const mark = this.db.transaction(ids => {
+      for (const id of ids) this.stmts.markSynced.run(now, id);
+    });
+    mark(local_ids);
+  }
+
+  getSyncCursor(handle) {
+    return this.stmts.getSyncState.get(`cursor:${handle}`)?.value || null;
+  }
+
+  setSyncCursor(handle, cursor) {
+    this.stmts.setSyncState.run(`cursor:${handle}`, String(cursor), new Date().toISOString());
+  }
+
   /**
    * Get pending/failed messages for retry
    */
@@ -332,6 +1104,45 @@ class MessageStore {
   }
 }
 
+const STATUS_ORDER = ['failed', 'pending', 'sent', 'delivered', 'read'];
+
+function laterStatus(a, b) {
+  return STATUS_ORDER.indexOf(b) > STATUS_ORDER.indexOf(a) ? b : a;
+}
+
+function serverStatus(msg) {
+  if (msg.read_at) return 'read';
+  if (msg.delivered_at) return 'delivered';
+  return 'sent';
+}
+
+function earliest(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return a < b ? a : b;
+}
+
+// Most recent message, or creation for a group nobody has written in yet
+function activity(group) {
+  return group.latestMessage ? group.latestMessage.created_at : group.created_at;
+}
+
+// Quote each word so user input can't hit FTS5 syntax (AND/OR/NEAR, quotes, colons)
+function toFtsQuery(query) {
+  const terms = String(query || '').match(/[\p{L}\p{N}_]+/gu);
+  if (!terms) return null;
+  return terms.map(t => `"${t}"*`).join(' ');
+}
+
+function parseJson(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
 // Export singleton instance
 let instance = null;
 
@@ -346,9 +1157,34 @@ function getInstance() {
         saveLocalMessage: () => randomUUID(),
         getThreadMessages: () => [],
         updateMessageStatus: () => {},
+        markMessageFailed: () => {},
+        discardFailedMessages: () => 0,
+        retryFailedMessages: () => 0,
+        getOutboxMessages: () => [],
+        searchMessages: () => [],
+        getThreadContext: () => ({ before: [], after: [] }),
+        upsertGroup: () => {},
+        getGroup: () => null,
+        getGroups: () => [],
+        getGroupMessages: () => [],
+        markGroupRead: () => 0,
+        leaveGroup: () => 0,
+        saveHandoff: () => false,
+        addHandoffEvent: () => {},
+        getHandoff: () => null,
+        getHandoffs: () => [],
+        recordSeenPayload: () => ({ server_id: null, applied_at: null }),
+        markPayloadApplied: () => true,
+        pruneSeenPayloads: () => 0,
+        getMessageByIdempotencyKey: () => null,
         mergeServerMessages: () => 0,
         getInboxThreads: () => [],
         markThreadRead: () => 0,
+        applyServerMessages: () => ({ inserted: [], updated: 0 }),
+        getUnsyncedReadReceipts: () => [],
+        markSynced: () => {},
+        getSyncCursor: () => null,
+        setSyncCursor: () => {},
         getPendingMessages: () => [],
         close: () => {}
       };
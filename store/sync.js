@@ -0,0 +1,153 @@
+/**
+ * Sync — Keep the local SQLite message store and the server in step
+ *
+ * Pull: fetch messages since the last cursor and fold them into `messages`
+ *       (server_id/thread_id reconciliation and conflict rules live in
+ *       MessageStore.applyServerMessages).
+ * Push: send read receipts for messages read locally — offline, or in the
+ *       Tauri terminal app that shares ~/.vibecodings/sessions.db.
+ *
+ * Runs from the presence heartbeat. The cursor is per handle so several
+ * identities on one machine don't clobber each other.
+ */
+
+const sqlite = require('./sqlite');
+const groups = require('./groups');
+const handoffs = require('./handoffs');
+const idempotency = require('./idempotency');
+
+const MAX_PAGES = 10; // Per run; a long offline stretch catches up over a few heartbeats
+const RECEIPT_BATCH = 200;
+
+let syncing = false;
+
+/**
+ * Normalize a server message to the MessageStore shape
+ * @param {object} m - Message from GET /api/messages/sync
+ * @param {string} handle - Whose mailbox is being synced
+ * @returns {object}
+ */
+function normalize(m, handle) {
+  const from = m.from || m.from_handle;
+  const createdAt = toIso(m.created_at || m.createdAt) || new Date().toISOString();
+  const inbound = from !== handle;
+  const threadId = m.thread_id || m.threadId || null;
+  const isGroup = threadId && (m.thread_type || m.threadType) === 'group';
+
+  return {
+    server_id: m.id || m.messageId || m.server_id || null,
+    thread_id: threadId,
+    from_handle: from,
+    // Group messages are addressed to the group, not to us
+    to_handle: isGroup ? groups.groupAddress(threadId) : m.to || m.to_handle || handle,
+    content: m.body || m.text || m.content || '',
+    created_at: createdAt,
+    sent_at: toIso(m.sent_at || m.sentAt) || createdAt,
+    // Anything we pulled has reached this device
+    delivered_at: toIso(m.delivered_at || m.deliveredAt) || (inbound ? createdAt : null),
+    read_at: toIso(m.read_at || m.readAt),
+    idempotency_key: m.idempotencyKey || m.idempotency_key || null
+  };
+}
+
+function toIso(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Pull new messages for `handle`
+ * @returns {Promise<{pulled: number, success: boolean}>}
+ */
+async function pull(store, handle) {
+  let cursor = sqlite.getSyncCursor(handle);
+  let pulled = 0;
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const result = await store.pullMessages(handle, cursor);
+    if (!result.success) return { pulled, success: false };
+
+    // Handoffs and their acks ride along as payloads, which the messages table doesn't keep
+    handoffs.ingest(result.messages, handle);
+
+    const messages = result.messages.map(m => normalize(m, handle)).filter(m => m.server_id && m.from_handle);
+    const { inserted } = sqlite.applyServerMessages(messages);
+    pulled += messages.length;
+
+    // New inbound messages change those threads
+    if (global.vibeNotifier) {
+      for (const m of inserted) {
+        if (m.from_handle === handle) continue;
+        global.vibeNotifier.emitThreadUpdated(groups.isGroupAddress(m.to_handle) ? m.to_handle : m.from_handle);
+      }
+    }
+
+    // Servers without an explicit cursor page by created_at
+    const next = result.cursor || latest(messages) || cursor;
+    if (!next || next === cursor) break;
+    cursor = next;
+    sqlite.setSyncCursor(handle, cursor);
+
+    if (!result.hasMore) break;
+  }
+
+  return { pulled, success: true };
+}
+
+function latest(messages) {
+  return messages.reduce((max, m) => (!max || m.created_at > max ? m.created_at : max), null);
+}
+
+/**
+ * Push read receipts the server hasn't seen
+ * @returns {Promise<{pushed: number, success: boolean}>}
+ */
+async function pushReceipts(store, handle) {
+  const receipts = sqlite.getUnsyncedReadReceipts(handle, RECEIPT_BATCH);
+  if (receipts.length === 0) return { pushed: 0, success: true };
+
+  const result = await store.pushReadReceipts(
+    handle,
+    receipts.map(r => ({ id: r.server_id, read_at: r.read_at }))
+  );
+  if (!result.success) return { pushed: 0, success: false };
+
+  sqlite.markSynced(receipts.map(r => r.local_id));
+  return { pushed: receipts.length, success: true };
+}
+
+/**
+ * One sync pass: pull, then push receipts
+ * @param {object} store - Store exposing pullMessages(handle, cursor) and pushReadReceipts(handle, receipts)
+ * @param {string} handle
+ * @returns {Promise<{pulled: number, pushed: number, success: boolean}>}
+ */
+async function run(store, handle) {
+  const stats = { pulled: 0, pushed: 0, success: false };
+  if (syncing || !handle || typeof store.pullMessages !== 'function') return stats;
+
+  syncing = true;
+  try {
+    const down = await pull(store, handle);
+    stats.pulled = down.pulled;
+    if (!down.success) return stats;
+
+    const up = await pushReceipts(store, handle);
+    stats.pushed = up.pushed;
+    stats.success = up.success;
+
+    idempotency.prune();
+  } catch (e) {
+    // Sync is best-effort; the next heartbeat tries again
+  } finally {
+    syncing = false;
+  }
+
+  return stats;
+}
+
+module.exports = {
+  normalize,
+  run
+};
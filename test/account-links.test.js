@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Links live under HOME — point it at a temp dir
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-account-links-test-'));
+process.env.HOME = tmpHome;
+
+const config = require('../config');
+const accountLinks = require('../store/account-links');
+
+const telegram = { platform: 'telegram', userId: '1001', username: 'seth' };
+
+describe('account links: codes', () => {
+  it('issues readable one-time codes and stores only their hash', () => {
+    const { success, code, expires_at } = accountLinks.createLinkCode('@Alex');
+    assert.equal(success, true);
+    assert.match(code, /^[A-HJKMNP-Z2-9]{4}-[A-HJKMNP-Z2-9]{4}$/);
+    assert.ok(new Date(expires_at).getTime() > Date.now());
+
+    const stored = fs.readFileSync(path.join(config.VIBE_DIR, 'bridge-links.json'), 'utf8');
+    assert.ok(!stored.includes(code.replace('-', '')), 'code is not stored in the clear');
+    assert.ok(!stored.includes(code));
+  });
+
+  it('redeems a code once, in any case and without the dash', () => {
+    const { code } = accountLinks.createLinkCode('alex');
+    const typed = code.replace('-', '').toLowerCase();
+
+    assert.deepEqual(accountLinks.redeemLinkCode(typed, telegram), { success: true, handle: 'alex' });
+    assert.equal(accountLinks.redeemLinkCode(typed, telegram).error, 'Unknown or expired link code');
+  });
+
+  it('rejects expired, replaced and discarded codes', () => {
+    const now = Date.now();
+    const expired = accountLinks.createLinkCode('kim', now).code;
+    assert.equal(accountLinks.redeemLinkCode(expired, telegram, now + 11 * 60 * 1000).success, false);
+
+    const first = accountLinks.createLinkCode('kim').code;
+    const second = accountLinks.createLinkCode('kim').code;
+    assert.equal(accountLinks.redeemLinkCode(first, telegram).success, false);
+
+    assert.equal(accountLinks.discardLinkCode(second), true);
+    assert.equal(accountLinks.discardLinkCode(second), false);
+    assert.equal(accountLinks.redeemLinkCode(second, telegram).success, false);
+  });
+
+  it('needs a signed-in handle, a known platform and a user id', () => {
+    assert.equal(accountLinks.createLinkCode('').success, false);
+    const { code } = accountLinks.createLinkCode('kim');
+    assert.equal(accountLinks.redeemLinkCode(code, { platform: 'x', userId: '1' }).error, "Can't link x accounts");
+    assert.equal(accountLinks.redeemLinkCode(code, { platform: 'discord' }).error, 'No platform user id to link');
+  });
+});
+
+describe('account links: links', () => {
+  it('maps a platform user id, not a username, to the handle', () => {
+    const { code } = accountLinks.createLinkCode('sam');
+    accountLinks.redeemLinkCode(code, { platform: 'discord', userId: 42, username: 'alex' });
+
+    assert.equal(accountLinks.getLinkedHandle('discord', '42'), 'sam');
+    assert.equal(accountLinks.getLinkedHandle('telegram', '42'), null);
+    assert.equal(accountLinks.getLinkedHandle('discord', 'alex'), null);
+  });
+
+  it('relinks an account to the latest handle and lists links per handle', () => {
+    const { code } = accountLinks.createLinkCode('kim');
+    accountLinks.redeemLinkCode(code, telegram);
+
+    assert.equal(accountLinks.getLinkedHandle('telegram', '1001'), 'kim');
+    assert.deepEqual(
+      accountLinks.listLinks('@kim').map(l => l.platform),
+      ['telegram']
+    );
+    assert.equal(accountLinks.listLinks('alex').length, 0);
+  });
+
+  it('unlinks one account or every account of a handle', () => {
+    const { code } = accountLinks.createLinkCode('kim');
+    accountLinks.redeemLinkCode(code, { platform: 'whatsapp', userId: '15550001' });
+
+    assert.equal(accountLinks.unlink({ platform: 'telegram', userId: '1001' }), 1);
+    assert.equal(accountLinks.getLinkedHandle('telegram', '1001'), null);
+    assert.equal(accountLinks.unlink({ handle: 'kim' }), 1);
+    assert.equal(accountLinks.unlink({ handle: 'kim' }), 0);
+  });
+});
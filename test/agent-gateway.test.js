@@ -1,10 +1,22 @@
 const { describe, it, beforeEach, afterEach, before } = require('node:test');
 const assert = require('node:assert/strict');
+const fs = require('fs');
 const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Delivery queues and subscriptions live under ~/.vibe — point it at a temp dir
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-agent-gateway-test-'));
+process.env.HOME = tmpHome;
+
 const crypto = require('../crypto');
 
 // Agent gateway under test
 const agentGateway = require('../bridges/agent-gateway');
+const config = require('../config');
+
+// Capability tokens are signed with the owner's key
+config.saveKeypair(crypto.generateKeypair());
 
 // ============ HELPERS ============
 
@@ -14,6 +26,11 @@ function createTestAgent(handle = 'test-agent') {
   return { handle, ...keypair };
 }
 
+/** Mint a capability token for an agent */
+function grant(handle, ...scopes) {
+  return agentGateway.mintToken({ agent: handle, scopes }).token;
+}
+
 /** Start a mock HTTP server that collects pushed events */
 function startMockEndpoint(port = 0) {
   const events = [];
@@ -57,13 +74,37 @@ function startMockEndpoint(port = 0) {
   });
 }
 
+/** Start an endpoint that answers with the given statuses in turn (200 once they run out) */
+function startFlakyEndpoint(statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200);
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(r => server.close(r))
+      });
+    });
+  });
+}
+
 // ============ TESTS ============
 
 describe('Agent Gateway', () => {
   beforeEach(() => {
     // Clear registry between tests
     agentGateway.getAgentRegistry().clear();
-    agentGateway.getSubscriptions().clear();
+    for (const handle of agentGateway.getSubscriptions().keys()) agentGateway.unsubscribe(handle);
   });
 
   describe('registerAgent', () => {
@@ -244,6 +285,7 @@ describe('Agent Gateway', () => {
       const result = await agentGateway.handleRequest({
         path: '/agent/status',
         method: 'GET',
+        headers: { authorization: `Bearer ${grant('status-test', 'read:status')}` },
         body: null
       });
 
@@ -283,7 +325,12 @@ describe('Agent Gateway', () => {
       const result = await agentGateway.handleRequest({
         path: '/agent/subscribe',
         method: 'POST',
-        body: { from: 'sub-http', endpoint: 'http://localhost:9999', events: ['dm', 'ship'] }
+        body: {
+          from: 'sub-http',
+          endpoint: 'http://localhost:9999',
+          events: ['dm', 'ship'],
+          token: grant('sub-http', 'subscribe:dm', 'subscribe:ship')
+        }
       });
 
       assert.equal(result.success, true);
@@ -343,7 +390,7 @@ describe('Agent Gateway', () => {
       const result = await agentGateway.handleRequest({
         path: '/agent/memory',
         method: 'POST',
-        body: { from: 'mem-http', action: 'recall', handle: 'someone' }
+        body: { from: 'mem-http', action: 'recall', handle: 'someone', token: grant('mem-http', 'read:memory') }
       });
 
       assert.equal(result.success, true);
@@ -357,7 +404,13 @@ describe('Agent Gateway', () => {
       const result = await agentGateway.handleRequest({
         path: '/agent/memory',
         method: 'POST',
-        body: { from: 'mem-store', action: 'remember', handle: 'peer', observation: 'ships daily' }
+        body: {
+          from: 'mem-store',
+          action: 'remember',
+          handle: 'peer',
+          observation: 'ships daily',
+          token: grant('mem-store', 'write:memory:@peer')
+        }
       });
 
       assert.equal(result.success, true);
@@ -370,7 +423,7 @@ describe('Agent Gateway', () => {
       const result = await agentGateway.handleRequest({
         path: '/agent/memory',
         method: 'POST',
-        body: { from: 'mem-threads', action: 'threads' }
+        body: { from: 'mem-threads', action: 'threads', token: grant('mem-threads', 'read:memory') }
       });
 
       assert.equal(result.success, true);
@@ -392,6 +445,277 @@ describe('Agent Gateway', () => {
   });
 });
 
+describe('durable delivery', () => {
+  const delivery = require('../bridges/agent-delivery');
+  const DAY = 24 * 60 * 60 * 1000;
+
+  beforeEach(() => {
+    agentGateway.getAgentRegistry().clear();
+    for (const handle of agentGateway.getSubscriptions().keys()) agentGateway.unsubscribe(handle);
+    delivery.replay();
+    for (const handle of Object.keys(delivery.getStats())) delivery.dropQueue(handle);
+  });
+
+  it('signs deliveries with the subscription secret', async () => {
+    const endpoint = await startFlakyEndpoint();
+    try {
+      const { secret } = agentGateway.subscribe('signed', endpoint.url, ['dm']);
+      assert.match(secret, /^[0-9a-f]{64}$/);
+      assert.equal(agentGateway.subscribe('signed', endpoint.url, ['dm', 'ship']).secret, secret);
+
+      await agentGateway.pushEvent('dm', { from: 'stan', body: 'hi' });
+      const [{ headers, body }] = endpoint.requests;
+      assert.match(headers['x-vibe-delivery'], /^dlv_/);
+      assert.equal(JSON.parse(body).data.body, 'hi');
+      assert.deepEqual(agentGateway.verifyDelivery({ body, headers, secret }), { valid: true });
+
+      // Tampered, wrongly keyed and stale deliveries are rejected
+      assert.equal(agentGateway.verifyDelivery({ body: body + ' ', headers, secret }).valid, false);
+      assert.equal(agentGateway.verifyDelivery({ body, headers, secret: delivery.createSecret() }).valid, false);
+      const stale = agentGateway.verifyDelivery({ body, headers, secret, now: Date.now() + 10 * 60 * 1000 });
+      assert.deepEqual(stale, { valid: false, error: 'Stale timestamp' });
+    } finally {
+      await endpoint.close();
+    }
+  });
+
+  it('retries a failed delivery under the same id, in order', async () => {
+    const endpoint = await startFlakyEndpoint([503]);
+    try {
+      agentGateway.subscribe('flaky', endpoint.url, ['dm']);
+      assert.deepEqual(await agentGateway.pushEvent('dm', { n: 1 }), { queued: 1, delivered: 0 });
+      await agentGateway.pushEvent('dm', { n: 2 });
+
+      // The first delivery is backing off, so the second waits behind it
+      assert.equal(endpoint.requests.length, 1);
+      const stats = agentGateway.getDeliveryStats('flaky').flaky;
+      assert.equal(stats.pending, 2);
+      assert.equal(stats.last_error, 'HTTP 503');
+      assert.ok(new Date(stats.next_attempt_at).getTime() > Date.now());
+
+      const sub = agentGateway.getSubscriptions().get('flaky');
+      assert.deepEqual(await delivery.flush(sub, { now: Date.now() + DAY }), { delivered: 2, failed: 0, dead: 0 });
+      const [first, retry, second] = endpoint.requests;
+      assert.equal(retry.headers['x-vibe-delivery'], first.headers['x-vibe-delivery']);
+      assert.deepEqual(
+        [retry, second].map(r => JSON.parse(r.body).data.n),
+        [1, 2]
+      );
+      assert.equal(agentGateway.getDeliveryStats('flaky').flaky.delivered, 2);
+    } finally {
+      await endpoint.close();
+    }
+  });
+
+  it('keeps subscriptions and queued deliveries across a restart', async () => {
+    const { secret } = agentGateway.subscribe('restarts', 'http://127.0.0.1:9', ['ship']);
+    await agentGateway.pushEvent('ship', { what: 'durable queues' });
+
+    delete require.cache[require.resolve('../bridges/agent-gateway')];
+    const reloaded = require('../bridges/agent-gateway');
+    assert.equal(reloaded.getSubscriptions().get('restarts').secret, secret);
+    assert.equal(reloaded.getDeliveryStats('restarts').restarts.pending, 1);
+
+    // Subscription secrets are readable by the owner only
+    const saved = path.join(tmpHome, '.vibe', 'agent-gateway', 'subscriptions', 'restarts.json');
+    assert.equal(fs.statSync(saved).mode & 0o777, 0o600);
+  });
+
+  it('shares subscriptions with other processes without overwriting theirs', async () => {
+    const dir = path.join(tmpHome, '.vibe', 'agent-gateway', 'subscriptions');
+    agentGateway.subscribe('here', 'http://127.0.0.1:9', ['ship']);
+
+    // Another process subscribes after this one loaded
+    const elsewhere = { handle: 'elsewhere', endpoint: 'http://127.0.0.1:9', events: ['ship'], secret: 'x' };
+    fs.writeFileSync(path.join(dir, 'elsewhere.json'), JSON.stringify(elsewhere));
+    assert.deepEqual(await agentGateway.pushEvent('ship', { what: 'seen by both' }), { queued: 2, delivered: 0 });
+
+    agentGateway.subscribe('here', 'http://127.0.0.1:9', ['ship', 'dm']);
+    agentGateway.unsubscribe('here');
+    assert.deepEqual([...agentGateway.getSubscriptions().keys()], ['elsewhere']);
+  });
+
+  it('moves subscriptions out of the old shared file', () => {
+    const legacy = path.join(tmpHome, '.vibe', 'agent-gateway', 'subscriptions.json');
+    const sub = { handle: 'legacy', endpoint: 'http://127.0.0.1:9', events: ['dm'], secret: 'old' };
+    fs.writeFileSync(legacy, JSON.stringify([sub]));
+
+    assert.deepEqual(agentGateway.getSubscriptions().get('legacy'), sub);
+    assert.equal(fs.existsSync(legacy), false);
+  });
+
+  it('leaves a queue to the process already flushing it, unless its lock is stale', async () => {
+    const endpoint = await startFlakyEndpoint();
+    try {
+      agentGateway.subscribe('locked', endpoint.url, ['dm']);
+      const sub = agentGateway.getSubscriptions().get('locked');
+      const lock = path.join(tmpHome, '.vibe', 'agent-gateway', 'queues', 'locked.json.flush');
+      fs.writeFileSync(lock, '');
+
+      assert.deepEqual(await agentGateway.pushEvent('dm', { n: 1 }), { queued: 1, delivered: 0 });
+      assert.equal(endpoint.requests.length, 0);
+
+      const stale = new Date(Date.now() - 60 * 1000);
+      fs.utimesSync(lock, stale, stale);
+      assert.deepEqual(await delivery.flush(sub), { delivered: 1, failed: 0, dead: 0 });
+      assert.equal(fs.existsSync(lock), false);
+    } finally {
+      await endpoint.close();
+    }
+  });
+
+  it('dead-letters after the last attempt and replays it', async () => {
+    const endpoint = await startFlakyEndpoint(new Array(delivery.MAX_ATTEMPTS).fill(500));
+    try {
+      const agent = createTestAgent('dead-end');
+      agentGateway.registerAgent({ handle: agent.handle, publicKey: agent.publicKey });
+      agentGateway.subscribe('dead-end', endpoint.url, ['dm']);
+      await agentGateway.pushEvent('dm', { body: 'lost?' });
+
+      const sub = agentGateway.getSubscriptions().get('dead-end');
+      for (let i = 1; i < delivery.MAX_ATTEMPTS; i++) await delivery.flush(sub, { now: Date.now() + i * DAY });
+
+      const [dead] = delivery.deadLetters({ handle: 'dead-end' });
+      assert.equal(dead.attempts, delivery.MAX_ATTEMPTS);
+      assert.equal(dead.id, endpoint.requests[0].headers['x-vibe-delivery']);
+      const stats = agentGateway.getDeliveryStats('dead-end')['dead-end'];
+      assert.deepEqual([stats.pending, stats.dead, stats.dead_lettered], [0, 1, 1]);
+
+      // Other agents can't replay it
+      agentGateway.registerAgent({ handle: 'nosy', publicKey: createTestAgent('nosy').publicKey });
+      const nosy = await agentGateway.handleRequest({
+        path: '/agent/replay',
+        method: 'POST',
+        body: { from: 'nosy', token: grant('nosy', 'subscribe:*') }
+      });
+      assert.equal(nosy.replayed, 0);
+
+      const result = await agentGateway.handleRequest({
+        path: '/agent/replay',
+        method: 'POST',
+        body: { from: 'dead-end', id: dead.id, token: grant('dead-end', 'subscribe:dm') }
+      });
+      assert.deepEqual(result, { success: true, replayed: 1 });
+      assert.equal(delivery.deadLetters().length, 0);
+
+      // The route sends it again in the background
+      for (let i = 0; i < 100 && endpoint.requests.length <= delivery.MAX_ATTEMPTS; i++) {
+        await new Promise(r => setTimeout(r, 20));
+      }
+      assert.equal(endpoint.requests.at(-1).headers['x-vibe-delivery'], dead.id);
+      assert.equal(agentGateway.getDeliveryStats('dead-end')['dead-end'].pending, 0);
+    } finally {
+      await endpoint.close();
+    }
+  });
+
+  it('reports delivery stats in /agent/status', async () => {
+    agentGateway.subscribe('stats-agent', 'http://127.0.0.1:9', ['dm']);
+    await agentGateway.pushEvent('dm', { body: 'queued' });
+
+    const status = await agentGateway.handleRequest({
+      path: '/agent/status',
+      method: 'GET',
+      headers: { authorization: `Bearer ${grant('stats-agent', 'read:status')}` },
+      body: null
+    });
+    assert.equal(status.deliveries['stats-agent'].pending, 1);
+    assert.equal(JSON.stringify(status).includes(agentGateway.getSubscriptions().get('stats-agent').secret), false);
+  });
+});
+
+describe('capability tokens', () => {
+  const tokens = require('../bridges/agent-tokens');
+
+  function request(path, body) {
+    return agentGateway.handleRequest({ path, method: 'POST', body });
+  }
+
+  beforeEach(() => {
+    agentGateway.getAgentRegistry().clear();
+    for (const handle of agentGateway.getSubscriptions().keys()) agentGateway.unsubscribe(handle);
+    const agent = createTestAgent('scoped');
+    agentGateway.registerAgent({ handle: agent.handle, publicKey: agent.publicKey });
+  });
+
+  it('matches scopes by part, with wildcards and open targets', () => {
+    assert.equal(tokens.allows(['read:memory'], 'read:memory:@alex'), true);
+    assert.equal(tokens.allows(['read:memory:@alex'], 'read:memory:@Alex'), true);
+    assert.equal(tokens.allows(['read:memory:@alex'], 'read:memory:@sam'), false);
+    assert.equal(tokens.allows(['read:memory:@alex'], 'read:memory'), false);
+    assert.equal(tokens.allows(['subscribe:*'], 'subscribe:handoff'), true);
+    assert.equal(tokens.allows(['write:memory'], 'read:memory:@alex'), false);
+  });
+
+  it('mints only well-formed scopes and lifetimes', () => {
+    assert.match(agentGateway.mintToken({ agent: '@Scoped', scopes: ['write:ship'] }).token, /^vat_/);
+    assert.equal(agentGateway.mintToken({ agent: 'scoped', scopes: [] }).success, false);
+    assert.match(agentGateway.mintToken({ agent: 'scoped', scopes: ['memory'] }).error, /Invalid scope: memory/);
+    assert.equal(agentGateway.mintToken({ agent: 'scoped', scopes: ['read:status'], ttlSeconds: 0 }).success, false);
+  });
+
+  it('enforces scopes on every route', async () => {
+    const token = grant('scoped', 'read:memory:@alex', 'subscribe:dm');
+    const memory = (action, handle, t = token) =>
+      request('/agent/memory', { from: 'scoped', action, handle, token: t });
+    const subscribe = events =>
+      request('/agent/subscribe', { from: 'scoped', endpoint: 'http://127.0.0.1:9', events, token });
+
+    const missing = await memory('recall', 'alex', null);
+    assert.deepEqual([missing.status, missing.error], [401, 'Capability token required']);
+
+    assert.equal((await memory('recall', 'alex')).success, true);
+    const other = await memory('recall', 'sam');
+    assert.deepEqual([other.status, other.error], [403, 'Token lacks scope: read:memory:@sam']);
+    assert.equal((await memory('threads')).status, 403);
+    assert.equal((await memory('remember', 'alex')).status, 403);
+
+    const sub = await subscribe(['dm', 'ship']);
+    assert.deepEqual([sub.status, sub.error], [403, 'Token lacks scope: subscribe:ship']);
+    assert.equal((await subscribe(['dm'])).success, true);
+
+    // Anonymous status is health only
+    const status = await agentGateway.handleRequest({ path: '/agent/status', method: 'GET', body: null });
+    assert.equal(status.status, 'ok');
+    assert.equal(status.agents, undefined);
+  });
+
+  it('refuses tokens that are forged, borrowed or expired', async () => {
+    const token = grant('scoped', 'read:memory');
+    const claims = JSON.parse(Buffer.from(token.slice(4), 'base64url').toString('utf8'));
+    const forged = 'vat_' + Buffer.from(JSON.stringify({ ...claims, scopes: ['*:*'] })).toString('base64url');
+    assert.equal(tokens.verify(forged).error, 'Capability token signature is invalid');
+
+    const thief = createTestAgent('thief');
+    agentGateway.registerAgent({ handle: thief.handle, publicKey: thief.publicKey });
+    const borrowed = await request('/agent/memory', { from: 'thief', action: 'threads', token });
+    assert.deepEqual([borrowed.status, borrowed.error], [401, 'Capability token was issued to @scoped']);
+
+    const later = Date.now() + 25 * 60 * 60 * 1000;
+    assert.deepEqual(tokens.verify(token, { now: later }), { valid: false, error: 'Capability token has expired' });
+  });
+
+  it('revokes tokens and ends the subscriptions made with them', async () => {
+    const token = grant('scoped', 'subscribe:dm');
+    const { id } = tokens.verify(token).token;
+    await request('/agent/subscribe', { from: 'scoped', endpoint: 'http://127.0.0.1:9', events: ['dm'], token });
+    assert.ok(agentGateway.listTokens().some(t => t.id === id));
+    const tokensFile = path.join(tmpHome, '.vibe', 'agent-gateway', 'tokens.json');
+    assert.equal(fs.statSync(tokensFile).mode & 0o777, 0o600);
+
+    assert.equal(agentGateway.revokeToken({ id }), 1);
+    assert.equal(agentGateway.revokeToken({ id }), 0);
+    const refused = await request('/agent/unsubscribe', { from: 'scoped', token });
+    assert.equal(refused.error, 'Capability token was revoked');
+    const active = agentGateway.listTokens().map(t => t.id);
+    assert.equal(active.includes(id), false);
+    assert.ok(agentGateway.listTokens({ all: true }).some(t => t.id === id && t.revoked_at));
+
+    assert.deepEqual(await agentGateway.pushEvent('dm', { body: 'not for you' }), { queued: 0, delivered: 0 });
+    assert.equal(agentGateway.getSubscriptions().has('scoped'), false);
+  });
+});
+
 describe('AIRC Crypto Round-trip', () => {
   it('generates valid keypair', () => {
     const kp = crypto.generateKeypair();
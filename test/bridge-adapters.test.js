@@ -0,0 +1,176 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Bridge config is read from HOME — point it at a temp dir
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-bridge-adapters-test-'));
+process.env.HOME = tmpHome;
+
+const { createAdapter, createRateLimiter, parseCommand, renderText } = require('../bridges/adapter');
+const registry = require('../bridges/registry');
+
+function fakeAdapter(overrides = {}) {
+  const sent = [];
+  const adapter = createAdapter({
+    platform: 'fake',
+    commands: { prefix: '/' },
+    isConfigured: () => true,
+    normalize: event => ({ ...event, platform: 'fake' }),
+    render: activity => renderText(activity, { markdown: false }),
+    send: async (target, payload) => sent.push({ target, payload }),
+    ...overrides
+  });
+  return { adapter, sent };
+}
+
+describe('bridge adapters: commands', () => {
+  it('parses the shared grammar in each platform syntax', () => {
+    assert.deepEqual(parseCommand('/status shipping the adapter work'), {
+      command: 'status',
+      params: { mood: 'shipping', note: 'the adapter work' }
+    });
+    assert.deepEqual(parseCommand('!who', { prefix: '!' }), { command: 'who' });
+    assert.deepEqual(parseCommand('/ship@vibebot v2 is out', { botMention: true }), {
+      command: 'ship',
+      params: { message: 'v2 is out' }
+    });
+    assert.equal(parseCommand('/ship@vibebot v2'), null, 'no bot mentions unless the platform uses them');
+    assert.deepEqual(parseCommand('/vibe link abcd-2345'), { command: 'link', params: { code: 'abcd-2345' } });
+    assert.deepEqual(parseCommand('/vibe unlink'), { command: 'unlink' });
+    assert.deepEqual(parseCommand('/vibe hello all'), { command: 'vibe', params: { message: 'hello all' } });
+  });
+
+  it('reads a dm target as a handle or a Discord mention', () => {
+    assert.deepEqual(parseCommand('/dm @sam lunch?'), { command: 'dm', params: { handle: 'sam', message: 'lunch?' } });
+    assert.deepEqual(parseCommand('!dm <@!1234> lunch?', { prefix: '!' }), {
+      command: 'dm',
+      params: { userId: '1234', message: 'lunch?' }
+    });
+  });
+
+  it('ignores ordinary text and lookalike commands', () => {
+    assert.equal(parseCommand('status shipping'), null);
+    assert.equal(parseCommand('/statuses shipping'), null);
+    assert.equal(parseCommand('/status'), null);
+    assert.equal(parseCommand('!who'), null);
+  });
+});
+
+describe('bridge adapters: rendering', () => {
+  it('renders activities as text with or without markdown', () => {
+    const status = { type: 'status', handle: 'alex', mood: 'shipping', note: 'adapters' };
+    assert.equal(renderText(status), '🔥 *@alex* is shipping\n"adapters"');
+    assert.equal(renderText(status, { markdown: false }), '🔥 @alex is shipping\n"adapters"');
+
+    const ship = renderText({ type: 'ship', handle: 'alex', message: 'v2' }, { footer: 'slashvibe.dev' });
+    assert.equal(ship, '🔔 *@alex* shipped\n_v2_\n\n_slashvibe.dev_');
+    assert.match(renderText({ type: 'online', users: [] }), /Room is quiet/);
+  });
+
+  it('renders each built-in bridge in its own format', () => {
+    const activity = { type: 'status', handle: 'alex', mood: 'deep' };
+    assert.equal(registry.getAdapter('telegram').render(activity).options.markdown, true);
+    assert.equal(registry.getAdapter('discord').render(activity).embeds[0].description, '🧠 **@alex** is deep');
+    assert.match(registry.getAdapter('whatsapp').render(activity), /From \/vibe - slashvibe\.dev_$/);
+    assert.equal(registry.getAdapter('x').render(activity), '🧠 @alex is deep');
+
+    const long = registry.getAdapter('farcaster').render({ type: 'text', text: 'x'.repeat(400) });
+    assert.equal(long.length, 320);
+  });
+
+  it('renders help in the platform command syntax and plain replies without markdown', () => {
+    assert.match(registry.getAdapter('discord').render({ type: 'help' }).content, /^!status/m);
+    const reply = registry.getAdapter('telegram').render({ type: 'text', text: 'run vibe_init' });
+    assert.deepEqual(reply, { text: 'run vibe_init', options: { markdown: false, silent: false } });
+    assert.throws(() => registry.getAdapter('telegram').render({ type: 'poke' }), /Unknown activity type/);
+  });
+});
+
+describe('bridge adapters: contract', () => {
+  it('registers the built-in bridges', () => {
+    const platforms = registry.listAdapters().map(a => a.platform);
+    assert.deepEqual(platforms, ['telegram', 'discord', 'whatsapp', 'farcaster', 'x', 'slack', 'matrix']);
+    assert.equal(registry.getAdapter('x').capabilities.commands, false);
+    assert.equal(registry.getAdapter('discord').capabilities.embeds, true);
+  });
+
+  it('normalizes platform events to canonical messages', () => {
+    const update = {
+      update_id: 1,
+      message: {
+        message_id: 5,
+        date: 1,
+        from: { id: 42, username: 'sam' },
+        chat: { id: 42, type: 'private' },
+        text: 'hi'
+      }
+    };
+    const fromTelegram = registry.getAdapter('telegram').normalize(update);
+    assert.equal(fromTelegram.platform, 'telegram');
+    assert.equal(fromTelegram.type, 'dm');
+    assert.deepEqual(fromTelegram.from, { id: '42', handle: 'sam', name: '' });
+    assert.equal(fromTelegram.replyTo, '42');
+
+    const message_create = { sender_id: '77', target: { recipient_id: '1' }, message_data: { text: 'yo' } };
+    const fromX = registry.getAdapter('x').normalize({ id: '9', created_timestamp: '1000', message_create });
+    assert.equal(fromX.platform, 'x');
+    assert.equal(fromX.replyTo, '77');
+
+    assert.equal(registry.getAdapter('whatsapp').normalize({}), null);
+    assert.equal(registry.getAdapter('discord').normalize({ author: { bot: true } }), null);
+  });
+
+  it('refuses an adapter missing part of the contract', () => {
+    assert.throws(() => createAdapter({ platform: 'half', render: () => '' }), /missing isConfigured, normalize, send/);
+    assert.throws(() => registry.registerAdapter({ platform: 'raw' }), /createAdapter/);
+  });
+
+  it('delivers through a registered adapter and reports failures', async () => {
+    const { adapter, sent } = fakeAdapter();
+    registry.registerAdapter(adapter);
+    assert.equal(registry.getAdapter('fake'), adapter);
+
+    const result = await adapter.deliver('room-1', { type: 'ship', handle: 'kim', message: 'v1' });
+    assert.equal(result.success, true);
+    assert.deepEqual(sent, [{ target: 'room-1', payload: '🔔 @kim shipped\nv1' }]);
+
+    assert.equal((await adapter.deliver(null, { type: 'text', text: 'hi' })).error, 'No fake target');
+
+    const broken = fakeAdapter({ send: async () => Promise.reject(new Error('503 from platform')) }).adapter;
+    assert.deepEqual(await broken.deliver('room-1', { type: 'text', text: 'hi' }), {
+      success: false,
+      error: '503 from platform'
+    });
+
+    const unconfigured = fakeAdapter({ isConfigured: () => false }).adapter;
+    assert.equal((await unconfigured.deliver('room-1', { type: 'text', text: 'hi' })).success, false);
+  });
+});
+
+describe('bridge adapters: rate limits', () => {
+  it('holds sends past the limit until the window moves on', () => {
+    const limiter = createRateLimiter({ max: 2, windowMs: 1000 });
+    assert.equal(limiter.take('a', 0), 0);
+    assert.equal(limiter.take('b', 100), 0);
+    assert.equal(limiter.take('a', 200), 800);
+    assert.equal(limiter.take('a', 1000), 0);
+  });
+
+  it('counts per target when the platform limits each channel', () => {
+    const limiter = createRateLimiter({ max: 1, windowMs: 1000, perTarget: true });
+    assert.equal(limiter.take('a', 0), 0);
+    assert.equal(limiter.take('b', 0), 0);
+    assert.equal(limiter.take('a', 10), 990);
+  });
+
+  it('turns a full window into a retryable delivery failure', async () => {
+    const { adapter, sent } = fakeAdapter({ rateLimit: { max: 1, windowMs: 60000 } });
+    await adapter.deliver('room-1', { type: 'text', text: 'one' });
+    const limited = await adapter.deliver('room-1', { type: 'text', text: 'two' });
+    assert.equal(limited.error, 'Rate limited');
+    assert.ok(limited.retryAfterMs > 0);
+    assert.equal(sent.length, 1);
+  });
+});
@@ -0,0 +1,233 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Config and the message store live under HOME — point it at a temp dir
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-dev-server-test-'));
+process.env.HOME = tmpHome;
+
+const config = require('../config');
+const crypto = require('../crypto');
+const keys = require('../store/keys');
+const protocol = require('../protocol');
+const { createDevServer } = require('../lib/dev-server');
+
+let dev;
+let api;
+let baseUrl;
+
+async function post(route, body, headers = {}) {
+  const res = await fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+before(async () => {
+  // Signed (keypair) mode: messages carry `from` and a signature the server must echo
+  config.saveKeypair(crypto.generateKeypair());
+  dev = createDevServer();
+  baseUrl = await dev.listen(0);
+  // store/api reads the URL when it's first required
+  process.env.VIBE_API_URL = baseUrl;
+  api = require('../store/api');
+
+  const publicKey = config.getKeypair().publicKey;
+  await post('/api/users', { username: 'alex', publicKey });
+  await post('/api/users', { username: 'sam', publicKey });
+});
+
+after(() => dev.close());
+
+describe('dev server: direct messages', () => {
+  it('delivers a signed DM that the recipient verifies', async () => {
+    const sent = await api.sendMessage('alex', 'sam', 'hey sam');
+    assert.ok(sent.id, 'server returns the message');
+    assert.ok(sent.thread_id);
+
+    const [thread] = await api.getInbox('sam');
+    assert.equal(thread.handle, 'alex');
+    assert.equal(thread.unread, 1);
+    assert.equal(thread.lastMessage, 'hey sam');
+    assert.equal(thread.verification, keys.VERIFIED);
+
+    const messages = await api.getThread('sam', 'alex');
+    assert.equal(messages[0].body, 'hey sam');
+    assert.equal(messages[0].verification, keys.VERIFIED);
+
+    // Reading the thread marks it read
+    assert.equal(await api.getUnreadCount('sam'), 0);
+  });
+
+  it('stores a retried send once per idempotency key', async () => {
+    const message = { from: 'alex', to: 'sam', text: 'once' };
+    const headers = { 'Idempotency-Key': 'dm_retry_1' };
+    const first = await post('/api/messages', { ...message, idempotencyKey: 'dm_retry_1' }, headers);
+    const again = await post('/api/messages', { ...message, idempotencyKey: 'dm_retry_1' }, headers);
+
+    assert.equal(again.body.duplicate, true);
+    assert.equal(again.body.message.id, first.body.message.id);
+    const count = dev.db.prepare("SELECT COUNT(*) AS n FROM messages WHERE body = 'once'").get().n;
+    assert.equal(count, 1);
+  });
+
+  it('syncs by cursor and takes read receipts', async () => {
+    const payload = protocol.createAckPayload('handoff_1', 'processed');
+    await api.sendMessage('alex', 'sam', 'with payload', 'dm', payload);
+
+    const page = await api.pullMessages('sam');
+    assert.equal(page.success, true);
+    assert.equal(page.hasMore, false);
+    const latest = page.messages[page.messages.length - 1];
+    assert.equal(latest.body, 'with payload');
+    assert.deepEqual(latest.payload, payload);
+
+    const next = await api.pullMessages('sam', page.cursor);
+    assert.deepEqual(next.messages, []);
+
+    const receipt = await api.pushReadReceipts('sam', [{ id: latest.id, read_at: new Date().toISOString() }]);
+    assert.equal(receipt.success, true);
+    assert.ok(dev.db.prepare('SELECT read_at FROM messages WHERE id = ?').get(latest.id).read_at);
+  });
+
+  it('refuses messages once the recipient blocks the sender', async () => {
+    assert.equal((await api.getConsentStatus('kim', 'sam')).status, 'none');
+    await post('/api/messages', { from: 'kim', to: 'sam', text: 'hi, can we talk?' });
+    assert.equal((await api.getConsentStatus('kim', 'sam')).status, 'pending');
+
+    const pending = await fetch(`${baseUrl}/api/consent?user=sam`).then(r => r.json());
+    assert.equal(pending.pending.find(p => p.from === 'kim').message, 'hi, can we talk?');
+
+    await api.blockUser('kim', 'sam');
+    const refused = await post('/api/messages', { from: 'kim', to: 'sam', text: 'hello?' });
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.error, 'blocked');
+  });
+});
+
+describe('dev server: groups', () => {
+  it('creates a group, delivers to members and lets them leave', async () => {
+    const created = await api.createGroup('alex', 'crew', ['sam']);
+    assert.equal(created.success, true);
+    const threadId = created.group.threadId;
+    assert.deepEqual(created.group.members.map(m => m.handle).sort(), ['alex', 'sam']);
+
+    await api.sendMessage('alex', `#${threadId}`, 'hello crew');
+    const view = await api.getGroupThread('sam', threadId);
+    assert.equal(view.messages[view.messages.length - 1].body, 'hello crew');
+
+    const groups = await api.getGroups('sam');
+    assert.equal(groups.find(g => g.threadId === threadId).lastMessage, 'hello crew');
+
+    await api.leaveGroup('sam', threadId);
+    const outsider = await fetch(`${baseUrl}/api/messages?user=sam&thread_id=${threadId}`);
+    assert.equal(outsider.status, 403);
+
+    // Refused for good: shown as failed rather than retried
+    const refused = await api.sendMessage('sam', `#${threadId}`, 'wait, one more thing');
+    assert.equal(refused.queued, false);
+    const queued = api.getQueuedMessages('sam').find(m => m.text === 'wait, one more thing');
+    assert.equal(queued.status, 'failed');
+    assert.equal(queued.nextRetryAt, null);
+  });
+});
+
+describe('dev server: account links', () => {
+  const accountLinks = require('../store/account-links');
+  const telegram = { platform: 'telegram', userId: 5151, username: 'kim_tg' };
+
+  it('redeems a code issued through the API on a bridge that never saw it', async () => {
+    const { code } = await accountLinks.issue(api, 'kim');
+    assert.equal(fs.existsSync(accountLinks.LINKS_FILE), false, 'the API issued the code, nothing is saved here');
+
+    assert.deepEqual(await accountLinks.redeem(api, code, telegram), { success: true, handle: 'kim' });
+    assert.equal(accountLinks.getLinkedHandle('telegram', '5151'), 'kim');
+    assert.deepEqual(
+      (await accountLinks.linksFor(api, 'kim')).map(l => l.platform),
+      ['telegram']
+    );
+    assert.equal((await accountLinks.redeem(api, code, telegram)).error, 'Unknown or expired link code');
+  });
+
+  it('voids codes and unlinks through the API', async () => {
+    const { code } = await accountLinks.issue(api, 'kim');
+    await accountLinks.discard(api, code);
+    assert.equal((await accountLinks.redeem(api, code, telegram)).success, false);
+
+    assert.equal(await accountLinks.remove(api, telegram), 1);
+    assert.equal(accountLinks.getLinkedHandle('telegram', '5151'), null);
+    assert.deepEqual(await accountLinks.linksFor(api, 'kim'), []);
+  });
+});
+
+describe('dev server: everything else', () => {
+  it('keeps follows, ships, artifacts and reservations', async () => {
+    await api.followUser('sam', 'alex');
+    const followers = await api.getFollowers('alex');
+    assert.deepEqual(
+      followers.followers.map(f => f.handle),
+      ['sam']
+    );
+    await api.unfollowUser('sam', 'alex');
+    assert.equal((await api.getFollowers('alex')).count, 0);
+
+    await post('/api/board', { author: 'alex', content: 'shipped the dev server', category: 'shipped', tags: [] });
+    const ships = await api.getRecentShips();
+    assert.equal(ships[0].author, 'alex');
+
+    const artifact = await api.createArtifact({
+      title: 'Notes',
+      slug: 'notes-1',
+      created_by: 'alex',
+      created_for: 'sam',
+      visibility: 'unlisted',
+      content: { blocks: [] }
+    });
+    assert.equal(artifact.success, true);
+    assert.equal((await api.getArtifact('notes-1')).artifact.title, 'Notes');
+    assert.equal((await api.listArtifacts({ scope: 'for-me', handle: 'sam' })).total, 1);
+
+    const scope = 'repo:github.com/acme/app';
+    const expires_ts = new Date(Date.now() + 60000).toISOString();
+    const reservation = { reservation_id: 'rsv-1', scope, owner: 'alex', paths: ['src'], expires_ts };
+    assert.equal((await api.publishReservation(reservation)).success, true);
+    assert.deepEqual(
+      (await api.getReservations(scope)).reservations.map(r => r.reservation_id),
+      ['rsv-1']
+    );
+    assert.equal((await api.withdrawReservation(reservation)).success, true);
+    assert.equal((await api.withdrawReservation(reservation)).success, true);
+  });
+});
+
+// Last: registering switches this process to token auth
+describe('dev server: presence', () => {
+  it('registers a session, takes heartbeats and lists who is online', async () => {
+    const publicKey = config.getKeypair().publicKey;
+    const registered = await api.registerSession(null, 'kim', 'a CLI', publicKey);
+    assert.equal(registered.success, true);
+    assert.ok(registered.token);
+
+    await api.heartbeat('kim', 'building a CLI', { mood: 'shipping' });
+    const users = await api.getActiveUsers();
+    const kim = users.find(u => u.handle === 'kim');
+    assert.equal(kim.one_liner, 'building a CLI');
+    assert.equal(kim.mood, 'shipping');
+
+    const published = await api.getPublishedKeys('kim');
+    assert.equal(published.publicKey, publicKey);
+    assert.ok(published.encryptionKeySignature, 'the encryption key is published with its signature');
+    const nobody = await api.getPublishedKeys('nobody');
+    assert.deepEqual(nobody, { success: true, publicKey: null, encryptionKey: null, encryptionKeySignature: null });
+
+    // Sends now name the sender by token alone
+    const sent = await api.sendMessage('kim', 'alex', 'token auth works');
+    assert.ok(sent.id);
+    const row = dev.db.prepare('SELECT from_handle FROM messages WHERE id = ?').get(sent.id);
+    assert.equal(row.from_handle, 'kim');
+  });
+});
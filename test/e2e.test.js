@@ -0,0 +1,169 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keys are saved to ~/.vibecodings/config.json — point it at a temp dir
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-e2e-test-'));
+process.env.HOME = tmpHome;
+
+const crypto = require('../crypto');
+const config = require('../config');
+const e2e = require('../store/e2e');
+const keys = require('../store/keys');
+
+describe('crypto encryption', () => {
+  const alex = crypto.generateEncryptionKeypair();
+  const sam = crypto.generateEncryptionKeypair();
+  const content = { body: 'the launch is friday', payload: { type: 'note' } };
+
+  it('round-trips for every recipient', () => {
+    const envelope = crypto.encrypt(content, { alex: alex.publicKey, sam: sam.publicKey });
+    assert.ok(crypto.isEncrypted(envelope));
+    assert.deepEqual(crypto.decrypt(envelope, 'alex', alex), content);
+    assert.deepEqual(crypto.decrypt(envelope, 'sam', sam), content);
+    assert.ok(!JSON.stringify(envelope).includes('friday'));
+  });
+
+  it('refuses other recipients, wrong keys and tampering', () => {
+    const envelope = crypto.encrypt(content, { alex: alex.publicKey });
+    assert.equal(crypto.decrypt(envelope, 'sam', sam), null);
+    assert.equal(crypto.decrypt(envelope, 'alex', sam), null);
+
+    const ct = Buffer.from(envelope.ct, 'base64');
+    ct[20] ^= 1;
+    assert.equal(crypto.decrypt({ ...envelope, ct: ct.toString('base64') }, 'alex', alex), null);
+  });
+});
+
+describe('store/e2e', () => {
+  beforeEach(() => keys.clearLookupCache());
+
+  it('generates and keeps one keypair', () => {
+    const first = e2e.ensureKeypair();
+    assert.deepEqual(e2e.ensureKeypair(), first);
+    assert.deepEqual(config.getEncryptionKeypair(), first);
+  });
+
+  it('signs the published key with the identity keypair', () => {
+    const signing = crypto.generateKeypair();
+    config.saveKeypair(signing);
+
+    const published = e2e.getPublishedKey('me');
+    assert.equal(published.encryptionKey, e2e.ensureKeypair().publicKey);
+    const signed = {
+      handle: 'me',
+      encryptionKey: published.encryptionKey,
+      signature: published.encryptionKeySignature
+    };
+    assert.ok(crypto.verify(signed, signing.publicKey));
+  });
+
+  it('seals for the recipient and the sender', () => {
+    const alex = crypto.generateEncryptionKeypair();
+    const wire = e2e.seal('me', { alex: alex.publicKey }, 'hi alex', null);
+
+    assert.equal(wire.body, e2e.PLACEHOLDER);
+    assert.deepEqual(crypto.decrypt(wire.payload, 'alex', alex), { body: 'hi alex', payload: null });
+
+    // Our own copy, as the server returns it in the thread
+    const mine = e2e.open({ from: 'me', to: 'alex', body: wire.body, payload: wire.payload }, 'me');
+    assert.equal(mine.body, 'hi alex');
+    assert.equal(mine.encrypted, true);
+  });
+
+  it('passes plaintext through and flags what it cannot decrypt', () => {
+    const plain = { from: 'alex', body: 'hello' };
+    assert.equal(e2e.open(plain, 'me'), plain);
+
+    const stranger = crypto.generateEncryptionKeypair();
+    const payload = crypto.encrypt({ body: 'secret', payload: null }, { sam: stranger.publicKey });
+    const opened = e2e.open({ from: 'sam', body: e2e.PLACEHOLDER, payload }, 'me');
+    assert.equal(opened.encrypted, true);
+    assert.match(opened.body, /can't decrypt/);
+    assert.equal(opened.payload, null);
+  });
+
+  it('caches key lookups, including recipients without a key', async () => {
+    let lookups = 0;
+    const store = {
+      getPublishedKeys: async () => {
+        lookups++;
+        return { success: true, publicKey: null, encryptionKey: null };
+      }
+    };
+
+    assert.deepEqual(await e2e.lookupKey(store, 'alex'), { success: true, key: null });
+    await e2e.lookupKey(store, 'alex');
+    assert.equal(lookups, 1);
+  });
+
+  it('does not cache failed lookups', async () => {
+    const results = [
+      { success: false, error: 'offline' },
+      { success: true, encryptionKey: 'k' }
+    ];
+    const store = { getPublishedKeys: async () => results.shift() };
+
+    assert.equal((await e2e.lookupKey(store, 'sam')).success, false);
+    assert.equal((await e2e.lookupKey(store, 'sam')).key, 'k');
+  });
+
+  describe('key checks', () => {
+    const signing = crypto.generateKeypair();
+    const signedKey = handle => {
+      const encryptionKey = crypto.generateEncryptionKeypair().publicKey;
+      const signature = crypto.sign({ handle, encryptionKey }, signing.privateKey);
+      return { success: true, publicKey: signing.publicKey, encryptionKey, encryptionKeySignature: signature };
+    };
+    const storeFor = published => ({ getPublishedKeys: async () => published });
+
+    it('uses an encryption key signed by the pinned signing key, and pins it', async () => {
+      const published = signedKey('kim');
+      keys.trust('kim', signing.publicKey);
+
+      assert.deepEqual(await e2e.lookupKey(storeFor(published), 'kim'), {
+        success: true,
+        key: published.encryptionKey
+      });
+      assert.equal(keys.getPinned('kim').encryptionKey, published.encryptionKey);
+    });
+
+    it('refuses an unsigned or forged key from someone with a signing key', async () => {
+      const forged = { ...signedKey('lee'), encryptionKey: crypto.generateEncryptionKeypair().publicKey };
+      const result = await e2e.lookupKey(storeFor(forged), 'lee');
+      assert.equal(result.success, false);
+      assert.match(result.error, /isn't signed by @lee's signing key/);
+
+      keys.clearLookupCache();
+      const unsigned = await e2e.lookupKey(storeFor({ ...forged, encryptionKeySignature: null }), 'lee');
+      assert.equal(unsigned.success, false);
+    });
+
+    it('refuses a key signed by anyone but the pinned signing key', async () => {
+      keys.trust('ana', crypto.generateKeypair().publicKey);
+      const result = await e2e.lookupKey(storeFor(signedKey('ana')), 'ana');
+      assert.equal(result.success, false);
+      assert.match(result.error, /pinned signing key/);
+    });
+
+    it('flags a changed unsigned key until it is trusted', async () => {
+      const first = crypto.generateEncryptionKeypair().publicKey;
+      const second = crypto.generateEncryptionKeypair().publicKey;
+      await e2e.lookupKey(storeFor({ success: true, publicKey: null, encryptionKey: first }), 'bo');
+
+      keys.clearLookupCache();
+      const changed = await e2e.lookupKey(storeFor({ success: true, publicKey: null, encryptionKey: second }), 'bo');
+      assert.equal(changed.success, false);
+      assert.match(changed.error, /trust @bo/);
+      assert.ok(keys.getKeyChanges().some(c => c.handle === 'bo' && c.key === 'encryption'));
+
+      keys.trust('bo', null, second);
+      keys.clearLookupCache();
+      const trusted = await e2e.lookupKey(storeFor({ success: true, publicKey: null, encryptionKey: second }), 'bo');
+      assert.deepEqual(trusted, { success: true, key: second });
+      assert.ok(!keys.getKeyChanges().some(c => c.handle === 'bo'));
+    });
+  });
+});
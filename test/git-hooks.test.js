@@ -0,0 +1,128 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync, spawnSync } = require('child_process');
+
+// Reservations live in ~/.vibe/reservations — point it at a temp dir
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-hooks-test-'));
+process.env.HOME = tmpHome;
+const sharedDir = path.join(tmpHome, 'shared');
+process.env.VIBE_RESERVATIONS_DIR = sharedDir;
+// The hooks run index.js against no server
+process.env.VIBE_API_URL = 'http://127.0.0.1:9';
+// Drop config injected through the environment (some CI sets core.hooksPath this way)
+delete process.env.GIT_CONFIG_COUNT;
+
+const hooks = require('../lib/git-hooks');
+const reservations = require('../store/reservations');
+
+const repo = path.join(tmpHome, 'app');
+const hooksPath = path.join(repo, '.git', 'hooks');
+const originalCwd = process.cwd();
+
+function git(args, env = {}) {
+  return spawnSync('sh', ['-c', `git ${args}`], {
+    cwd: repo,
+    encoding: 'utf8',
+    env: { ...process.env, ...env },
+    timeout: 30000
+  });
+}
+
+async function reserveAsTeammate(paths) {
+  const now = Date.now();
+  await reservations.directoryBackend(sharedDir).publish({
+    reservation_id: reservations.generateId(),
+    scope: 'repo:github.com/team/app',
+    paths,
+    exclusive: true,
+    reason: 'auth refactor',
+    owner: 'alex',
+    status: 'active',
+    issued_ts: new Date(now).toISOString(),
+    expires_ts: new Date(now + 3600 * 1000).toISOString()
+  });
+}
+
+describe('git hooks', () => {
+  before(() => {
+    fs.mkdirSync(path.join(repo, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(repo, 'README.md'), 'app');
+    execSync('git init -q && git config user.name t && git config user.email t@t', { cwd: repo });
+    execSync('git remote add origin git@github.com:team/app.git && git add -A && git commit -qm init', { cwd: repo });
+    process.chdir(repo);
+  });
+
+  after(() => process.chdir(originalCwd));
+
+  beforeEach(() => {
+    hooks.uninstall();
+    for (const hook of hooks.HOOKS) fs.rmSync(path.join(hooksPath, hook), { force: true });
+    fs.rmSync(sharedDir, { recursive: true, force: true });
+    fs.rmSync(path.join(tmpHome, '.vibe'), { recursive: true, force: true });
+  });
+
+  it('installs executable pre-commit and pre-push hooks', () => {
+    const result = hooks.install();
+    assert.equal(result.success, true);
+    for (const hook of hooks.HOOKS) {
+      const stat = fs.statSync(path.join(hooksPath, hook));
+      assert.ok(stat.mode & 0o100);
+    }
+  });
+
+  it('keeps an existing hook unless forced, and restores it on uninstall', () => {
+    fs.writeFileSync(path.join(hooksPath, 'pre-commit'), '#!/bin/sh\necho mine\n', { mode: 0o755 });
+
+    assert.equal(hooks.install().success, false);
+    assert.equal(hooks.install({ force: true }).success, true);
+    assert.ok(fs.existsSync(path.join(hooksPath, 'pre-commit.pre-vibe')));
+
+    const removed = hooks.uninstall();
+    assert.deepEqual(removed.restored, ['pre-commit']);
+    assert.match(fs.readFileSync(path.join(hooksPath, 'pre-commit'), 'utf8'), /echo mine/);
+  });
+
+  it('reports staged files a teammate has reserved', async () => {
+    await reserveAsTeammate(['src']);
+    fs.writeFileSync(path.join(repo, 'src', 'auth.js'), 'edit');
+    execSync('git add src/auth.js');
+
+    const warned = await hooks.run('pre-commit', { handle: 'me' });
+    assert.equal(warned.blocked, false);
+    assert.match(warned.output, /src\/auth\.js — @alex "auth refactor"/);
+
+    const blocked = await hooks.run('pre-commit', { handle: 'me', block: true });
+    assert.equal(blocked.blocked, true);
+    assert.match(blocked.output, /--no-verify/);
+
+    execSync('git reset -q');
+  });
+
+  it('lists the files in commits being pushed', () => {
+    fs.writeFileSync(path.join(repo, 'pushed.js'), 'x');
+    execSync(`git add pushed.js && git commit -qm push`);
+    const head = execSync('git rev-parse HEAD', { encoding: 'utf8' }).trim();
+    const parent = execSync('git rev-parse HEAD~1', { encoding: 'utf8' }).trim();
+
+    const input = `refs/heads/main ${head} refs/heads/main ${parent}\n`;
+    assert.deepEqual(hooks.pushedPaths(input), ['pushed.js']);
+    // Deleting a branch pushes nothing
+    assert.deepEqual(hooks.pushedPaths(`(delete) ${'0'.repeat(40)} refs/heads/old ${head}\n`), []);
+  });
+
+  it('blocks a real commit until overridden', async () => {
+    await reserveAsTeammate(['src/auth.js']);
+    assert.equal(hooks.install({ block: true }).success, true);
+    fs.writeFileSync(path.join(repo, 'src', 'auth.js'), 'edit again');
+
+    const blocked = git('add src/auth.js && git commit -qm blocked');
+    assert.notEqual(blocked.status, 0);
+    assert.match(blocked.stderr, /reserved by teammates/);
+
+    const overridden = git('commit -qm overridden', { VIBE_RESERVATIONS_OVERRIDE: '1' });
+    assert.equal(overridden.status, 0, overridden.stderr);
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The message store opens ~/.vibecodings/sessions.db at require time — point it at a temp dir
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-groups-test-'));
+process.env.HOME = tmpHome;
+
+const sqlite = require('../store/sqlite');
+const sync = require('../store/sync');
+const groups = require('../store/groups');
+const { parseMembers } = require('../tools/group');
+
+function launch(members = ['me', 'alex', 'sam']) {
+  return groups.normalizeGroup({
+    id: 'grp_1',
+    name: 'Launch',
+    created_by: 'me',
+    created_at: '2026-01-01T09:00:00.000Z',
+    members: members.map(handle => ({ handle, joined_at: '2026-01-01T09:00:00.000Z' }))
+  });
+}
+
+function groupMessage(id, from, created_at) {
+  return sync.normalize(
+    { id, thread_id: 'grp_1', thread_type: 'group', from, body: `${from} says ${id}`, created_at },
+    'me'
+  );
+}
+
+describe('groups', () => {
+  beforeEach(() => {
+    sqlite.db.exec('DELETE FROM messages; DELETE FROM groups; DELETE FROM group_members;');
+  });
+
+  it('addresses group messages to the group', () => {
+    const m = groupMessage('g1', 'alex', '2026-01-01T10:00:00.000Z');
+    assert.equal(m.to_handle, '#grp_1');
+    assert.equal(groups.threadIdFromAddress(m.to_handle), 'grp_1');
+    assert.equal(groups.threadIdFromAddress('alex'), null);
+  });
+
+  it('caches membership and marks removed members as left', () => {
+    sqlite.upsertGroup(launch());
+    sqlite.upsertGroup(launch(['me', 'alex']));
+
+    assert.deepEqual(
+      sqlite.getGroup('grp_1').members.map(m => m.handle),
+      ['alex', 'me']
+    );
+    assert.equal(sqlite.getGroups('sam').length, 0);
+
+    // Re-adding brings them back
+    sqlite.upsertGroup(launch());
+    assert.equal(sqlite.getGroups('sam').length, 1);
+  });
+
+  it('counts unread per member', () => {
+    sqlite.upsertGroup(launch());
+    sqlite.applyServerMessages([
+      groupMessage('g1', 'alex', '2026-01-01T10:00:00.000Z'),
+      groupMessage('g2', 'sam', '2026-01-01T11:00:00.000Z')
+    ]);
+
+    const unread = () => Object.fromEntries(sqlite.getGroup('grp_1').members.map(m => [m.handle, m.unread]));
+    assert.deepEqual(unread(), { me: 2, alex: 1, sam: 1 });
+
+    sqlite.markGroupRead('grp_1', 'me', '2026-01-01T10:30:00.000Z');
+    assert.equal(unread().me, 1);
+
+    // Read positions never move back
+    sqlite.markGroupRead('grp_1', 'me', '2026-01-01T09:30:00.000Z');
+    assert.equal(unread().me, 1);
+
+    const [mine] = sqlite.getGroups('me');
+    assert.equal(mine.unread, 1);
+    assert.equal(mine.latestMessage.from_handle, 'sam');
+  });
+
+  it('keeps group messages out of DM threads', () => {
+    sqlite.upsertGroup(launch());
+    sqlite.applyServerMessages([groupMessage('g1', 'alex', '2026-01-01T10:00:00.000Z')]);
+
+    assert.equal(sqlite.getInboxThreads('me').length, 0);
+    assert.equal(sqlite.getGroupMessages('grp_1').length, 1);
+  });
+
+  it('resolves a group by name or thread id', () => {
+    sqlite.upsertGroup(launch());
+
+    assert.equal(groups.resolve('me', 'launch').group.thread_id, 'grp_1');
+    assert.equal(groups.resolve('me', '#grp_1').group.name, 'Launch');
+    assert.match(groups.resolve('me', 'nope').error, /No group/);
+    assert.match(groups.resolve('carol', 'launch').error, /No group/);
+  });
+
+  it('parses member lists', () => {
+    assert.deepEqual(parseMembers(['@Alex', 'sam', '@alex']), ['alex', 'sam']);
+    assert.deepEqual(parseMembers('@alex, @sam'), ['alex', 'sam']);
+  });
+});
@@ -0,0 +1,169 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+
+// The message store opens ~/.vibecodings/sessions.db at require time — point it at a temp dir
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-handoffs-test-'));
+process.env.HOME = tmpHome;
+
+const sqlite = require('../store/sqlite');
+const handoffs = require('../store/handoffs');
+const protocol = require('../protocol');
+const getSessions = require('../store/sessions');
+
+const originalCwd = process.cwd();
+
+// Records what would have been sent, and delivers it as the server would
+function fakeStore() {
+  const sent = [];
+  return {
+    sent,
+    async sendMessage(from, to, body, type, payload) {
+      sent.push({ from, to, body, payload, created_at: new Date().toISOString() });
+      return { success: true };
+    }
+  };
+}
+
+function context(description = 'tests next') {
+  return {
+    description,
+    repo: 'github.com/team/app',
+    branch: 'feature/auth',
+    commit: null,
+    files: ['src/auth.js'],
+    journal: []
+  };
+}
+
+describe('handoffs', () => {
+  beforeEach(() => {
+    sqlite.db.exec('DELETE FROM handoffs; DELETE FROM handoff_events;');
+  });
+
+  it('sends a valid handoff payload and records it as pending', async () => {
+    const store = fakeStore();
+    const result = await handoffs.send(store, 'me', 'alex', context());
+
+    assert.equal(result.success, true);
+    const [message] = store.sent;
+    assert.equal(message.to, 'alex');
+    assert.equal(protocol.validatePayload(message.payload).valid, true);
+    assert.equal(message.payload.context.branch, 'feature/auth');
+    assert.match(message.body, /tests next/);
+
+    const [mine] = handoffs.list('me');
+    assert.equal(mine.id, message.payload.idempotencyKey);
+    assert.equal(mine.status, 'pending');
+  });
+
+  it('records a received handoff once', async () => {
+    const store = fakeStore();
+    await handoffs.send(store, 'me', 'alex', context());
+
+    // Alex's side: both ends can share one machine
+    const delivered = store.sent.map(m => ({ ...m, id: 'srv_1' }));
+    assert.equal(handoffs.ingest(delivered, 'alex').received, 1);
+    assert.equal(handoffs.ingest(delivered, 'alex').received, 0);
+
+    const { handoff } = handoffs.resolve('alex');
+    assert.equal(handoff.direction, 'received');
+    assert.equal(handoff.from_handle, 'me');
+    assert.equal(handoff.payload.context.files[0], 'src/auth.js');
+  });
+
+  it('acks an accepted handoff back to the sender', async () => {
+    const store = fakeStore();
+    await handoffs.send(store, 'me', 'alex', context());
+    handoffs.ingest(store.sent, 'alex');
+    const id = store.sent[0].payload.idempotencyKey;
+
+    const result = await handoffs.respond(store, 'alex', id, true, 'on it');
+    assert.equal(result.success, true);
+    assert.equal(result.handoff.status, 'accepted');
+
+    const ack = store.sent[1];
+    assert.equal(ack.to, 'me');
+    assert.deepEqual([ack.payload.type, ack.payload.replyTo, ack.payload.status], ['ack', id, 'processed']);
+
+    // Answering twice isn't possible
+    assert.equal((await handoffs.respond(store, 'alex', id, false)).success, false);
+
+    // The sender sees it accepted, with its history
+    assert.equal(handoffs.ingest([ack], 'me').updated, 1);
+    const { handoff } = handoffs.resolve('me', id);
+    assert.equal(handoff.direction, 'sent');
+    assert.equal(handoff.status, 'accepted');
+    assert.deepEqual(
+      handoff.events.map(e => [e.event, e.by_handle, e.note]),
+      [
+        ['sent', 'me', null],
+        ['accepted', 'alex', 'on it']
+      ]
+    );
+  });
+
+  it('only takes an answer from the person it was handed to', async () => {
+    const store = fakeStore();
+    await handoffs.send(store, 'me', 'alex', context());
+    const id = store.sent[0].payload.idempotencyKey;
+
+    const forged = { from: 'mallory', payload: protocol.createAckPayload(id, 'rejected') };
+    assert.equal(handoffs.ingest([forged], 'me').updated, 0);
+    assert.equal(handoffs.resolve('me', id).handoff.status, 'pending');
+
+    const declined = { from: 'alex', payload: protocol.createAckPayload(id, 'rejected', 'no time') };
+    handoffs.ingest([declined], 'me');
+    assert.equal(handoffs.resolve('me', id).handoff.status, 'declined');
+  });
+
+  it('asks which one when several are pending', async () => {
+    const store = fakeStore();
+    await handoffs.send(store, 'me', 'alex', context('one'));
+    await handoffs.send(store, 'sam', 'alex', context('two'));
+    handoffs.ingest(store.sent, 'alex');
+
+    assert.match(handoffs.resolve('alex').error, /2 handoffs are pending/);
+    assert.match(handoffs.resolve('carol').error, /No pending/);
+    assert.match(handoffs.resolve('carol', store.sent[0].payload.idempotencyKey).error, /No handoff/);
+  });
+});
+
+describe('handoff context', () => {
+  const repo = path.join(tmpHome, 'app');
+
+  before(() => {
+    fs.mkdirSync(repo, { recursive: true });
+    execSync('git init -q -b feature/auth && git config user.email t@example.com && git config user.name t', {
+      cwd: repo
+    });
+    fs.writeFileSync(path.join(repo, 'README.md'), 'hi');
+    execSync('git add -A && git commit -qm init', { cwd: repo });
+    process.chdir(repo);
+  });
+
+  after(() => process.chdir(originalCwd));
+
+  it('packages the branch, changed files and recent journal', () => {
+    fs.writeFileSync(path.join(repo, 'README.md'), 'edited');
+    fs.writeFileSync(path.join(repo, 'new.js'), 'new');
+
+    const sessions = getSessions();
+    sessions.startSession('sess_h', 'me');
+    sessions.logToolCall('sess_h', 'vibe_ship', null, 'shipped auth');
+    sessions.logMessage('sess_h', 'sent', 'alex', 'private preview');
+    sessions.logNote('sess_h', 'tests are next');
+
+    const ctx = handoffs.gatherContext({ description: 'over to you', sessionId: 'sess_h' });
+    assert.equal(ctx.branch, 'feature/auth');
+    assert.match(ctx.commit, /^[0-9a-f]{40}$/);
+    assert.deepEqual(ctx.files.sort(), ['README.md', 'new.js']);
+    assert.deepEqual(
+      ctx.journal.map(e => e.summary),
+      ['shipped auth', 'tests are next']
+    );
+  });
+});
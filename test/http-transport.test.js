@@ -0,0 +1,245 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { HttpTransport } = require('../lib/http-transport');
+
+// ============ HELPERS ============
+
+/** Minimal dispatcher standing in for VibeMCPServer.handleRequest */
+async function fakeHandleRequest(request, context) {
+  if (request.method === 'initialize') {
+    return { jsonrpc: '2.0', id: request.id, result: { protocolVersion: '2025-03-26', capabilities: {} } };
+  }
+  if (request.method === 'notifications/initialized') return null;
+  if (request.method === 'whoami') {
+    return { jsonrpc: '2.0', id: request.id, result: { session: context.session.id } };
+  }
+  return { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: 'Method not found' } };
+}
+
+/** Send an HTTP request and collect the full response */
+function send(url, { method = 'POST', headers = {}, body = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers: { 'Content-Type': 'application/json', ...headers } }, res => {
+      let data = '';
+      res.on('data', chunk => (data += chunk));
+      res.on('end', () => {
+        let json = null;
+        try {
+          json = data ? JSON.parse(data) : null;
+        } catch (e) {}
+        resolve({ status: res.statusCode, headers: res.headers, body: json });
+      });
+    });
+    req.on('error', reject);
+    if (body !== null) req.write(typeof body === 'string' ? body : JSON.stringify(body));
+    req.end();
+  });
+}
+
+/** Open an SSE stream and resolve with the first `message` event */
+function openStream(url, sessionId) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, {
+      method: 'GET',
+      headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId }
+    });
+    req.on('response', res => {
+      let buffer = '';
+      let resolveMessage;
+      const nextMessage = new Promise(r => (resolveMessage = r));
+      res.on('data', chunk => {
+        buffer += chunk;
+        const match = buffer.match(/event: message\ndata: (.+)\n\n/);
+        if (match) resolveMessage(JSON.parse(match[1]));
+      });
+      resolve({ status: res.statusCode, nextMessage, close: () => req.destroy() });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+const INIT = { jsonrpc: '2.0', id: 1, method: 'initialize', params: { clientInfo: { name: 'test' } } };
+
+// ============ TESTS ============
+
+describe('HttpTransport', () => {
+  let transport;
+  let url;
+
+  beforeEach(async () => {
+    transport = new HttpTransport({ handleRequest: fakeHandleRequest });
+    ({ url } = await transport.listen(0, '127.0.0.1'));
+  });
+
+  afterEach(async () => {
+    await transport.close();
+  });
+
+  describe('POST', () => {
+    it('issues a session id on initialize', async () => {
+      const res = await send(url, { body: INIT });
+      assert.equal(res.status, 200);
+      assert.ok(res.headers['mcp-session-id']);
+      assert.equal(res.body.result.protocolVersion, '2025-03-26');
+      assert.equal(transport.sessions.size, 1);
+    });
+
+    it('requires a session id after initialize', async () => {
+      const res = await send(url, { body: { jsonrpc: '2.0', id: 2, method: 'whoami' } });
+      assert.equal(res.status, 400);
+    });
+
+    it('returns 404 for an unknown session', async () => {
+      const res = await send(url, {
+        headers: { 'Mcp-Session-Id': 'nope' },
+        body: { jsonrpc: '2.0', id: 2, method: 'whoami' }
+      });
+      assert.equal(res.status, 404);
+    });
+
+    it('passes the session to the dispatcher', async () => {
+      const init = await send(url, { body: INIT });
+      const sessionId = init.headers['mcp-session-id'];
+      const res = await send(url, {
+        headers: { 'Mcp-Session-Id': sessionId },
+        body: { jsonrpc: '2.0', id: 2, method: 'whoami' }
+      });
+      assert.equal(res.body.result.session, sessionId);
+    });
+
+    it('answers notifications with 202 and no body', async () => {
+      const init = await send(url, { body: INIT });
+      const res = await send(url, {
+        headers: { 'Mcp-Session-Id': init.headers['mcp-session-id'] },
+        body: { jsonrpc: '2.0', method: 'notifications/initialized' }
+      });
+      assert.equal(res.status, 202);
+      assert.equal(res.body, null);
+    });
+
+    it('handles batches', async () => {
+      const init = await send(url, { body: INIT });
+      const res = await send(url, {
+        headers: { 'Mcp-Session-Id': init.headers['mcp-session-id'] },
+        body: [
+          { jsonrpc: '2.0', id: 2, method: 'whoami' },
+          { jsonrpc: '2.0', method: 'notifications/initialized' },
+          { jsonrpc: '2.0', id: 3, method: 'whoami' }
+        ]
+      });
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        res.body.map(r => r.id),
+        [2, 3]
+      );
+    });
+
+    it('returns a parse error for malformed JSON', async () => {
+      const res = await send(url, { body: '{not json' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error.code, -32700);
+    });
+
+    it('keeps sessions separate', async () => {
+      const a = await send(url, { body: INIT });
+      const b = await send(url, { body: INIT });
+      assert.notEqual(a.headers['mcp-session-id'], b.headers['mcp-session-id']);
+      assert.equal(transport.sessions.size, 2);
+    });
+  });
+
+  describe('origin check', () => {
+    it('allows localhost origins', async () => {
+      const res = await send(url, { headers: { Origin: 'http://localhost:5173' }, body: INIT });
+      assert.equal(res.status, 200);
+    });
+
+    it('rejects foreign origins', async () => {
+      const res = await send(url, { headers: { Origin: 'https://evil.example' }, body: INIT });
+      assert.equal(res.status, 403);
+    });
+
+    it('rejects a rebound Host even without an Origin', async () => {
+      const res = await send(url, { headers: { Host: 'evil.example:3333' }, body: INIT });
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error.message, 'Host not allowed');
+    });
+  });
+
+  describe('close', () => {
+    it('does not wait for idle keep-alive connections', async () => {
+      const agent = new http.Agent({ keepAlive: true });
+      await new Promise((resolve, reject) => {
+        const req = http.request(url, { method: 'POST', agent, headers: { 'Content-Type': 'application/json' } });
+        req.on('response', res => res.resume().on('end', resolve));
+        req.on('error', reject);
+        req.end(JSON.stringify(INIT));
+      });
+
+      const started = Date.now();
+      await transport.close();
+      assert.ok(Date.now() - started < 1000);
+      agent.destroy();
+    });
+  });
+
+  describe('GET (SSE)', () => {
+    it('delivers broadcast notifications down the stream', async () => {
+      const init = await send(url, { body: INIT });
+      const stream = await openStream(url, init.headers['mcp-session-id']);
+      assert.equal(stream.status, 200);
+
+      const sent = transport.broadcast({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+      assert.equal(sent, 1);
+
+      const message = await stream.nextMessage;
+      assert.equal(message.method, 'notifications/tools/list_changed');
+      stream.close();
+    });
+
+    it('targets a single session with sendToSession', async () => {
+      const a = await send(url, { body: INIT });
+      const b = await send(url, { body: INIT });
+      const streamA = await openStream(url, a.headers['mcp-session-id']);
+      const streamB = await openStream(url, b.headers['mcp-session-id']);
+
+      assert.equal(transport.sendToSession(b.headers['mcp-session-id'], { jsonrpc: '2.0', method: 'x/only-b' }), true);
+      const message = await streamB.nextMessage;
+      assert.equal(message.method, 'x/only-b');
+
+      streamA.close();
+      streamB.close();
+    });
+
+    it('returns 404 without a valid session', async () => {
+      const stream = await openStream(url, 'missing');
+      assert.equal(stream.status, 404);
+      stream.close();
+    });
+  });
+
+  describe('DELETE', () => {
+    it('ends the session', async () => {
+      const init = await send(url, { body: INIT });
+      const sessionId = init.headers['mcp-session-id'];
+
+      const res = await send(url, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } });
+      assert.equal(res.status, 204);
+      assert.equal(transport.sessions.size, 0);
+
+      const after = await send(url, {
+        headers: { 'Mcp-Session-Id': sessionId },
+        body: { jsonrpc: '2.0', id: 2, method: 'whoami' }
+      });
+      assert.equal(after.status, 404);
+    });
+  });
+
+  it('404s for other paths', async () => {
+    const res = await send(url.replace('/mcp', '/other'), { body: INIT });
+    assert.equal(res.status, 404);
+  });
+});
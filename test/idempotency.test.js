@@ -0,0 +1,162 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// The message store opens ~/.vibecodings/sessions.db at require time — point it at a temp dir
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-idempotency-test-'));
+process.env.HOME = tmpHome;
+
+const sqlite = require('../store/sqlite');
+const idempotency = require('../store/idempotency');
+const handoffs = require('../store/handoffs');
+const protocol = require('../protocol');
+
+function delivery(id, payload, from = 'alex') {
+  return { id, from, to: 'me', body: 'hi', payload, created_at: new Date().toISOString() };
+}
+
+describe('seen payloads', () => {
+  beforeEach(() => {
+    sqlite.db.exec('DELETE FROM seen_payloads; DELETE FROM handoffs; DELETE FROM handoff_events;');
+  });
+
+  it('keeps the first delivery of a key and drops later copies', () => {
+    const payload = protocol.createGamePayload('tictactoe', { moves: 1 });
+    const first = delivery('srv_1', payload);
+    const retry = delivery('srv_2', payload);
+
+    assert.equal(idempotency.isFirstDelivery('me', first), true);
+    assert.equal(idempotency.isFirstDelivery('me', first), true);
+    assert.equal(idempotency.isFirstDelivery('me', retry), false);
+
+    // Another mailbox, or the same key from someone else, is a different payload
+    assert.equal(idempotency.isFirstDelivery('sam', retry), true);
+    assert.equal(idempotency.isFirstDelivery('me', delivery('srv_3', payload, 'mallory')), true);
+  });
+
+  it('claims a payload for applying once', () => {
+    const payload = protocol.createAckPayload('handoff_1', 'processed');
+    assert.equal(idempotency.claim('me', delivery('srv_1', payload)), true);
+    assert.equal(idempotency.claim('me', delivery('srv_1', payload)), false);
+    assert.equal(idempotency.claim('me', delivery('srv_2', payload)), false);
+
+    // Plain messages have nothing to dedupe on
+    assert.equal(idempotency.claim('me', delivery('srv_3', null)), true);
+    assert.equal(idempotency.claim('me', delivery('srv_3', null)), true);
+  });
+
+  it('dedupes a thread by payload key and by message key', () => {
+    const payload = protocol.createGamePayload('tictactoe', { moves: 2 });
+    const messages = [
+      delivery('srv_1', payload),
+      { ...delivery('srv_2', null), idempotencyKey: 'dm_x' },
+      { ...delivery('srv_3', null), idempotencyKey: 'dm_x' },
+      delivery('srv_4', payload),
+      delivery('srv_5', null)
+    ];
+    assert.deepEqual(
+      idempotency.dedupe(messages, 'me').map(m => m.id),
+      ['srv_1', 'srv_2', 'srv_5']
+    );
+  });
+
+  it('applies a handoff delivered twice once', () => {
+    const payload = protocol.createHandoffPayload('continue_work', { description: 'tests next', files: [] });
+    const stats = handoffs.ingest([delivery('srv_1', payload), delivery('srv_2', payload)], 'me');
+
+    assert.equal(stats.received, 1);
+    assert.equal(handoffs.list('me').length, 1);
+    assert.equal(handoffs.ingest([delivery('srv_2', payload)], 'me').received, 0);
+  });
+
+  it('gives a resent ack the same key', () => {
+    assert.equal(
+      protocol.createAckPayload('handoff_1', 'processed').idempotencyKey,
+      protocol.createAckPayload('handoff_1', 'processed', 'on it').idempotencyKey
+    );
+    assert.notEqual(
+      protocol.createAckPayload('handoff_1', 'processed').idempotencyKey,
+      protocol.createAckPayload('handoff_1', 'rejected').idempotencyKey
+    );
+  });
+
+  it('forgets keys past retention', () => {
+    idempotency.isFirstDelivery('me', delivery('srv_1', protocol.createAckPayload('handoff_1', 'received')));
+    assert.equal(idempotency.prune(Date.now()), 0);
+    assert.equal(idempotency.prune(Date.now() + 31 * 24 * 60 * 60 * 1000), 1);
+  });
+});
+
+describe('sending and reading through the API', () => {
+  const posts = [];
+  const responses = [];
+  let thread = [];
+  let server;
+  let api;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => (body += chunk));
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.method === 'POST') {
+          posts.push({ key: req.headers['idempotency-key'], body: JSON.parse(body) });
+          const [status, reply] = responses.shift() || [200, { success: true, message: { id: `srv_${posts.length}` } }];
+          res.statusCode = status;
+          res.end(JSON.stringify(reply));
+          return;
+        }
+        res.end(JSON.stringify({ messages: thread }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.VIBE_API_URL = `http://127.0.0.1:${server.address().port}`;
+    api = require('../store/api');
+  });
+
+  after(() => server.close());
+
+  it('resends a payload as the original message, under its key', async () => {
+    const payload = protocol.createHandoffPayload('continue_work', { description: 'retry me', files: [] });
+    responses.push([500, { error: 'storage_error' }]);
+
+    const failed = await api.sendMessage('me', 'alex', 'handoff', 'dm', payload);
+    assert.equal(failed.queued, true);
+
+    const retried = await api.sendMessage('me', 'alex', 'handoff', 'dm', payload);
+    assert.equal(retried.duplicate, true);
+    assert.equal(posts.length, 2);
+    assert.equal(posts[1].key, posts[0].key);
+    assert.equal(posts[1].key, `dm_alex_${payload.idempotencyKey}`);
+
+    // Once it's on the server, sending it again is a no-op
+    assert.equal((await api.sendMessage('me', 'alex', 'handoff', 'dm', payload)).duplicate, true);
+    assert.equal(posts.length, 2);
+    assert.equal(sqlite.getMessageByIdempotencyKey(posts[0].key).status, 'sent');
+
+    // The same payload to someone else is another message
+    await api.sendMessage('me', 'sam', 'handoff', 'dm', payload);
+    assert.equal(posts.length, 3);
+    assert.notEqual(posts[2].key, posts[0].key);
+  });
+
+  it('shows a payload the server took twice once in the thread', async () => {
+    const payload = protocol.createGamePayload('tictactoe', { moves: 3 });
+    const at = new Date().toISOString();
+    thread = [
+      { id: 'srv_a', from: 'kim', to: 'me', body: 'your move', payload, created_at: at },
+      { id: 'srv_b', from: 'kim', to: 'me', body: 'your move', payload, created_at: at },
+      { id: 'srv_c', from: 'kim', to: 'me', body: 'gg', created_at: at }
+    ];
+
+    const messages = await api.getThread('me', 'kim');
+    assert.deepEqual(
+      messages.map(m => m.body),
+      ['your move', 'gg']
+    );
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Pinned keys live in ~/.vibe/known_keys.json — point it at a temp dir
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-keys-test-'));
+process.env.HOME = tmpHome;
+
+const crypto = require('../crypto');
+const keys = require('../store/keys');
+
+const KEYS_FILE = path.join(tmpHome, '.vibe', 'known_keys.json');
+
+// A store that publishes whatever key is current for alex
+function fakeStore(published) {
+  return {
+    lookups: 0,
+    async getPublishedKeys(handle) {
+      this.lookups++;
+      return { success: true, publicKey: published[handle] || null, encryptionKey: null };
+    }
+  };
+}
+
+function signedFrom(keypair, body = 'hi') {
+  const m = crypto.createSignedMessage({ from: 'alex', to: 'me', body }, keypair.privateKey);
+  // What the server adds on delivery
+  return { ...m, text: body, created_at: new Date().toISOString(), thread_id: 'thr_1' };
+}
+
+describe('known keys', () => {
+  const original = crypto.generateKeypair();
+  const rotated = crypto.generateKeypair();
+
+  beforeEach(() => {
+    fs.rmSync(KEYS_FILE, { force: true });
+    keys.clearLookupCache();
+  });
+
+  it('pins the published key on first use', async () => {
+    const store = fakeStore({ alex: original.publicKey });
+    assert.equal(await keys.verifyMessage(store, signedFrom(original)), keys.VERIFIED);
+    assert.equal(keys.getPinned('alex').publicKey, original.publicKey);
+  });
+
+  it('verifies later messages against the pin without a lookup', async () => {
+    keys.trust('alex', original.publicKey);
+    const store = fakeStore({});
+    assert.equal(await keys.verifyMessage(store, signedFrom(original)), keys.VERIFIED);
+    assert.equal(store.lookups, 0);
+  });
+
+  it('flags a key change and keeps the old pin', async () => {
+    keys.trust('alex', original.publicKey);
+    const store = fakeStore({ alex: rotated.publicKey });
+
+    assert.equal(await keys.verifyMessage(store, signedFrom(rotated)), keys.KEY_CHANGED);
+    assert.equal(keys.getPinned('alex').publicKey, original.publicKey);
+    assert.deepEqual(
+      keys.getKeyChanges().map(c => c.handle),
+      ['alex']
+    );
+  });
+
+  it('rejects tampered and forged messages', async () => {
+    const store = fakeStore({ alex: original.publicKey });
+    assert.equal(await keys.verifyMessage(store, { ...signedFrom(original), body: 'edited' }), keys.INVALID);
+    assert.equal(await keys.verifyMessage(store, signedFrom(rotated)), keys.INVALID);
+    assert.equal(keys.getPinned('alex'), null);
+  });
+
+  it('marks unsigned messages and senders without keys unverified', async () => {
+    const store = fakeStore({});
+    assert.equal(await keys.verifyMessage(store, { from: 'alex', body: 'hi' }), keys.UNVERIFIED);
+    assert.equal(await keys.verifyMessage(store, signedFrom(original)), keys.UNVERIFIED);
+  });
+
+  it('badges received messages only and fills in the implied recipient', async () => {
+    const store = fakeStore({ alex: original.publicKey });
+    const { to, ...withoutTo } = signedFrom(original);
+    const mine = { from: 'me', to: 'alex', body: 'yo' };
+
+    const [received, sent] = await keys.verifyMessages(store, [withoutTo, mine], 'me');
+    assert.equal(to, 'me');
+    assert.equal(received.verification, keys.VERIFIED);
+    assert.equal(received.to, undefined);
+    assert.equal(sent, mine);
+  });
+
+  it('trust re-pins the published key and clears the warning', async () => {
+    keys.trust('alex', original.publicKey);
+    const store = fakeStore({ alex: rotated.publicKey });
+    await keys.verifyMessage(store, signedFrom(rotated));
+
+    const result = await keys.trustPublishedKey(store, 'alex');
+
+    assert.equal(result.previous, original.publicKey);
+    assert.equal(keys.getPinned('alex').publicKey, rotated.publicKey);
+    assert.equal(keys.getPinned('alex').previous.length, 1);
+    assert.deepEqual(keys.getKeyChanges(), []);
+    assert.equal(await keys.verifyMessage(store, signedFrom(rotated)), keys.VERIFIED);
+  });
+});
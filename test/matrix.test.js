@@ -0,0 +1,294 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const nodeCrypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Bridge config and account links live under HOME — point it at a temp dir
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-matrix-test-'));
+process.env.HOME = tmpHome;
+// Link codes stay in the local file (no API to redeem them through)
+process.env.VIBE_LOCAL = 'true';
+
+const matrix = require('../bridges/matrix');
+const webhookServer = require('../bridges/webhook-server');
+const accountLinks = require('../store/account-links');
+
+const ENV = ['MATRIX_HOMESERVER_URL', 'MATRIX_ACCESS_TOKEN', 'MATRIX_USER_ID', 'MATRIX_VIBE_ROOM_ID', 'WEBHOOK_SECRET'];
+const saved = {};
+
+const BOT = '@vibe:test';
+const ROOM = '!room:test';
+const DM_ROOM = '!dm-kim:test';
+
+/** A homeserver stub: answers the client-server calls the bridge makes and records them */
+function startHomeserver() {
+  const requests = [];
+  const syncs = [];
+  let rooms = 0;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://stub');
+      const route = decodeURIComponent(url.pathname.replace('/_matrix/client/v3', ''));
+      const since = url.searchParams.get('since');
+      requests.push({ method: req.method, route, since, body: body ? JSON.parse(body) : null });
+
+      const reply = data => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(data));
+      };
+      if (route === '/sync') {
+        // Nothing queued: hold the long-poll for its timeout, like a homeserver
+        const next = syncs.shift();
+        if (next) return reply(next);
+        return setTimeout(() => reply({ next_batch: since || 's0' }), 20);
+      }
+      if (route === '/join/!gone:test') {
+        res.statusCode = 403;
+        return reply({ errcode: 'M_FORBIDDEN', error: 'invite revoked' });
+      }
+      if (route.startsWith('/join/')) return reply({ room_id: route.slice('/join/'.length) });
+      if (route === '/createRoom') return reply({ room_id: `!created-${++rooms}:test` });
+      if (route.includes('/send/')) return reply({ event_id: `$sent-${requests.length}` });
+      reply({});
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        /** Queue a /sync response */
+        pushSync: data => syncs.push(data),
+        sent: () => requests.filter(r => r.route.includes('/send/')),
+        close: () => new Promise(r => server.close(r))
+      });
+    });
+  });
+}
+
+function roomMessage(roomId, sender, body, extra = {}) {
+  return {
+    type: 'm.room.message',
+    event_id: `$${Math.random().toString(36).slice(2)}`,
+    sender,
+    origin_server_ts: Date.now(),
+    room_id: roomId,
+    content: { msgtype: 'm.text', body, ...extra }
+  };
+}
+
+async function until(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+let homeserver;
+
+before(async () => {
+  for (const name of ENV) saved[name] = process.env[name];
+  homeserver = await startHomeserver();
+  process.env.MATRIX_HOMESERVER_URL = homeserver.url;
+  process.env.MATRIX_ACCESS_TOKEN = 'syt_test';
+  process.env.MATRIX_USER_ID = BOT;
+  process.env.MATRIX_VIBE_ROOM_ID = ROOM;
+  process.env.WEBHOOK_SECRET = 'vibe-secret';
+
+  // The bot already has a DM with kim
+  matrix.readSync({ account_data: { events: [{ type: 'm.direct', content: { '@kim:test': [DM_ROOM] } }] } });
+});
+
+after(async () => {
+  await homeserver.close();
+  for (const name of ENV) {
+    if (saved[name] === undefined) delete process.env[name];
+    else process.env[name] = saved[name];
+  }
+});
+
+describe('Matrix bridge: events', () => {
+  it('tells DMs from the room and skips its own, edited and bot messages', () => {
+    assert.equal(matrix.adapter.normalize(roomMessage(ROOM, '@kim:test', 'hi')).type, 'group');
+
+    const dm = matrix.adapter.normalize(roomMessage(DM_ROOM, '@kim:test', 'hi'));
+    assert.equal(dm.type, 'dm');
+    assert.equal(dm.from.id, '@kim:test');
+    assert.equal(dm.replyTo, DM_ROOM);
+
+    assert.equal(matrix.processEvent(roomMessage(ROOM, BOT, 'my own')), null);
+    assert.equal(matrix.processEvent(roomMessage(ROOM, '@bot:test', 'beep', { msgtype: 'm.notice' })), null);
+    const edit = roomMessage(ROOM, '@kim:test', '* fixed', { 'm.relates_to': { rel_type: 'm.replace' } });
+    assert.equal(matrix.processEvent(edit), null);
+  });
+
+  it('drops the quoted original from replies', () => {
+    const reply = roomMessage(DM_ROOM, '@kim:test', '> <@vibe:test> 💭 @sam: lunch?\n\nsure', {
+      'm.relates_to': { 'm.in_reply_to': { event_id: '$orig' } }
+    });
+    assert.equal(matrix.processEvent(reply).content, 'sure');
+  });
+
+  it('stops treating a DM room as private once a third person joins', () => {
+    matrix.readSync({ rooms: { join: { [DM_ROOM]: { summary: { 'm.joined_member_count': 3 } } } } });
+    assert.equal(matrix.isDirectRoom(DM_ROOM), false);
+    matrix.readSync({ rooms: { join: { [DM_ROOM]: { summary: { 'm.joined_member_count': 2 } } } } });
+    assert.equal(matrix.isDirectRoom(DM_ROOM), true);
+  });
+
+  it('reads commands with or without the vibe keyword', () => {
+    assert.deepEqual(matrix.parseVibeCommand('!vibe who'), { command: 'who' });
+    assert.deepEqual(matrix.parseVibeCommand('!vibe status shipping the matrix bridge'), {
+      command: 'status',
+      params: { mood: 'shipping', note: 'the matrix bridge' }
+    });
+    assert.deepEqual(matrix.parseVibeCommand('!who'), { command: 'who' });
+    assert.deepEqual(matrix.parseVibeCommand('!vibe link abcd-2345'), {
+      command: 'link',
+      params: { code: 'abcd-2345' }
+    });
+    assert.deepEqual(matrix.parseVibeCommand('!vibe hello all'), { command: 'vibe', params: { message: 'hello all' } });
+    assert.equal(matrix.parseVibeCommand('/vibe who'), null);
+  });
+
+  it('renders ships with escaped HTML next to the plain body', () => {
+    const payload = matrix.adapter.render({ type: 'ship', handle: 'kim', message: '<b>v2</b> & more' });
+    assert.equal(payload.text, '🔔 @kim shipped\n<b>v2</b> & more');
+    assert.equal(payload.html, '🚀 <b>@kim</b> shipped<blockquote>&lt;b&gt;v2&lt;/b&gt; &amp; more</blockquote>');
+  });
+});
+
+describe('Matrix bridge: homeserver', () => {
+  it('joins the room, skips history and hands on new events', async () => {
+    const seen = [];
+    const old = roomMessage(ROOM, '@kim:test', 'from before the bridge started');
+    const fresh = roomMessage(ROOM, '@kim:test', '!vibe who');
+    const invite = sender => ({
+      invite_state: {
+        events: [{ type: 'm.room.member', state_key: BOT, sender, content: { is_direct: true } }]
+      }
+    });
+    homeserver.pushSync({ next_batch: 's1', rooms: { join: { [ROOM]: { timeline: { events: [old] } } } } });
+    homeserver.pushSync({ next_batch: 's2', rooms: { join: { [ROOM]: { timeline: { events: [fresh] } } } } });
+    // A revoked invite is logged and skipped; the one after it still gets joined
+    homeserver.pushSync({
+      next_batch: 's3',
+      rooms: { invite: { '!gone:test': invite('@ex:test'), '!dm-sam:test': invite('@sam:test') } }
+    });
+
+    const syncing = matrix.startSync(async event => seen.push(event), { timeoutMs: 20, retryMs: 10 });
+    try {
+      await until(() => homeserver.requests.some(r => r.route === '/join/!dm-sam:test'));
+      await until(() => matrix.isDirectRoom('!dm-sam:test'));
+    } finally {
+      await syncing.stop();
+    }
+
+    assert.equal(homeserver.requests[0].route, `/join/${ROOM}`);
+    assert.deepEqual(
+      seen.map(e => e.content.body),
+      ['!vibe who']
+    );
+    assert.equal(seen[0].room_id, ROOM);
+    const direct = homeserver.requests.find(r => r.route.endsWith('/account_data/m.direct'));
+    assert.deepEqual(direct.body['@sam:test'], ['!dm-sam:test']);
+  });
+
+  it('resumes from the saved sync token and handles what was sent meanwhile', async () => {
+    const stateFile = path.join(tmpHome, '.vibe', 'matrix-sync.json');
+    const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    assert.equal(saved.user_id, BOT);
+    assert.equal(fs.statSync(stateFile).mode & 0o777, 0o600);
+
+    // Let the last run's aborted long-poll reach the stub before queueing, or it takes the batch
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const seen = [];
+    const missed = roomMessage(ROOM, '@kim:test', '!vibe ship sent while the bridge was down');
+    homeserver.pushSync({ next_batch: 's4', rooms: { join: { [ROOM]: { timeline: { events: [missed] } } } } });
+
+    const before = homeserver.requests.length;
+    const syncing = matrix.startSync(async event => seen.push(event), { timeoutMs: 20, retryMs: 10 });
+    try {
+      await until(() => seen.length === 1);
+    } finally {
+      await syncing.stop();
+    }
+
+    const firstSync = homeserver.requests.slice(before).find(r => r.route === '/sync');
+    assert.equal(firstSync.since, saved.next_batch);
+    assert.equal(seen[0].content.body, missed.content.body);
+    assert.equal(JSON.parse(fs.readFileSync(stateFile, 'utf8')).next_batch, 's4');
+  });
+
+  it('delivers to a user in a DM room, created on first use', async () => {
+    const activity = { type: 'message', handle: 'sam', message: 'lunch?', context: '/vibe DM' };
+    assert.equal((await matrix.adapter.deliver('@lee:test', activity)).success, true);
+    assert.equal((await matrix.adapter.deliver('@lee:test', activity)).success, true);
+
+    assert.equal(homeserver.requests.filter(r => r.route === '/createRoom').length, 1);
+    const [first, second] = homeserver.sent().slice(-2);
+    assert.match(first.route, /^\/rooms\/!created-1:test\/send\/m\.room\.message\//);
+    assert.notEqual(first.route, second.route, 'each send gets its own transaction id');
+    assert.equal(first.body.msgtype, 'm.notice');
+    assert.equal(first.body.body, '💭 @sam: lunch?\nvia /vibe DM');
+  });
+});
+
+describe('Matrix bridge: commands', () => {
+  it('asks unlinked users to link in the Matrix syntax', async () => {
+    const result = await webhookServer.handleMatrixEvent(roomMessage(ROOM, '@new:test', '!vibe status shipping'));
+    assert.equal(result.status, 'error');
+    assert.match(result.error, /send !vibe link CODE/);
+    assert.equal(homeserver.sent().at(-1).route.split('/')[2], ROOM);
+  });
+
+  it('links from a DM and voids a code posted in the room', async () => {
+    const { code } = accountLinks.createLinkCode('kim');
+    const linked = await webhookServer.handleMatrixEvent(roomMessage(DM_ROOM, '@kim:test', `!vibe link ${code}`));
+    assert.equal(linked.status, 'ok');
+    assert.equal(accountLinks.getLinkedHandle('matrix', '@kim:test'), 'kim');
+
+    const leaked = accountLinks.createLinkCode('kim').code;
+    const voided = await webhookServer.handleMatrixEvent(roomMessage(ROOM, '@kim:test', `!vibe link ${leaked}`));
+    assert.equal(voided.status, 'error');
+    assert.equal(accountLinks.redeemLinkCode(leaked, { platform: 'matrix', userId: '@x:test' }).success, false);
+  });
+
+  it('needs a recipient for a DM that answers nobody', async () => {
+    const result = await webhookServer.handleMatrixEvent(roomMessage(DM_ROOM, '@kim:test', 'hello?'));
+    assert.equal(result.error, 'Start with @handle to message someone on /vibe');
+  });
+
+  it('relays /vibe DMs to the linked account', async () => {
+    const event = {
+      type: 'dm',
+      id: 'm-matrix',
+      from: 'sam',
+      to: 'kim',
+      body: 'ship it',
+      timestamp: new Date().toISOString()
+    };
+    const rawBody = JSON.stringify(event);
+    const digest = nodeCrypto.createHmac('sha256', 'vibe-secret').update(rawBody).digest('hex');
+    const headers = { 'x-vibe-signature': `sha256=${digest}` };
+    const result = await webhookServer.routeWebhook({ path: '/webhook/vibe', method: 'POST', headers, rawBody });
+
+    assert.equal(result.json.status, 'ok');
+    const relayed = homeserver.sent().at(-1);
+    assert.equal(relayed.route.split('/')[2], DM_ROOM);
+    assert.equal(relayed.body.body, '💭 @sam: ship it\nvia /vibe DM');
+  });
+
+  it('ignores chatter in the room that is not a command', async () => {
+    const result = await webhookServer.handleMatrixEvent(roomMessage(ROOM, '@kim:test', 'morning all'));
+    assert.deepEqual(result, { status: 'ok', processed: false });
+  });
+});
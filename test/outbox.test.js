@@ -0,0 +1,192 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The message store opens ~/.vibecodings/sessions.db at require time — point it at a temp dir
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-outbox-test-'));
+process.env.HOME = tmpHome;
+
+const sqlite = require('../store/sqlite');
+const outbox = require('../store/outbox');
+
+const MINUTE = 60 * 1000;
+
+function queue({ local_id, status = 'failed', created_at, retry_count = 0, next_retry_at = null }) {
+  sqlite.saveLocalMessage({
+    local_id,
+    from_handle: 'me',
+    to_handle: 'alex',
+    content: `hello from ${local_id}`,
+    created_at,
+    status,
+    idempotency_key: outbox.idempotencyKey(local_id)
+  });
+  if (status === 'failed') {
+    sqlite.markMessageFailed(local_id, { retry_count, next_retry_at, last_error: 'offline' });
+  }
+}
+
+function fakeStore(responses) {
+  const calls = [];
+  return {
+    calls,
+    retryMessage: async row => {
+      calls.push(row);
+      return responses.shift() || { success: true, server_id: `srv_${row.local_id}` };
+    }
+  };
+}
+
+function statusOf(localId) {
+  return sqlite.db.prepare('SELECT * FROM messages WHERE local_id = ?').get(localId);
+}
+
+describe('outbox', () => {
+  const now = Date.parse('2026-01-01T12:00:00Z');
+  const past = new Date(now - MINUTE).toISOString();
+  const future = new Date(now + 10 * MINUTE).toISOString();
+
+  beforeEach(() => {
+    sqlite.db.exec('DELETE FROM messages');
+  });
+
+  it('adds outbox columns to the shared schema', () => {
+    const columns = sqlite.db
+      .prepare('PRAGMA table_info(messages)')
+      .all()
+      .map(c => c.name);
+    for (const name of ['idempotency_key', 'payload', 'next_retry_at', 'last_error']) {
+      assert.ok(columns.includes(name), name);
+    }
+  });
+
+  it('backs off exponentially and gives up after MAX_RETRIES', () => {
+    const delay = n => Date.parse(outbox.nextRetryAt(n, now)) - now;
+    assert.ok(delay(1) > delay(0));
+    assert.ok(delay(3) >= 4 * delay(1) * 0.9);
+    assert.equal(outbox.nextRetryAt(outbox.MAX_RETRIES, now), null);
+  });
+
+  it('resends due messages with the original key and created_at', async () => {
+    const created = new Date(now - 30 * MINUTE).toISOString();
+    queue({ local_id: 'a', created_at: created, next_retry_at: past });
+    const store = fakeStore([]);
+
+    const stats = await outbox.flush(store, 'me', now);
+
+    assert.equal(stats.sent, 1);
+    assert.equal(store.calls[0].idempotency_key, 'dm_a');
+    assert.equal(store.calls[0].created_at, created);
+    const row = statusOf('a');
+    assert.equal(row.status, 'sent');
+    assert.equal(row.server_id, 'srv_a');
+    assert.equal(row.created_at, created);
+    assert.equal(row.next_retry_at, null);
+  });
+
+  it('skips messages still backing off', async () => {
+    queue({ local_id: 'a', created_at: past, next_retry_at: future });
+    const store = fakeStore([]);
+    await outbox.flush(store, 'me', now);
+    assert.equal(store.calls.length, 0);
+  });
+
+  it('drains the queue once the API is back', async () => {
+    queue({ local_id: 'a', created_at: new Date(now - 3 * MINUTE).toISOString(), next_retry_at: past });
+    queue({ local_id: 'b', created_at: past, next_retry_at: future });
+    const store = fakeStore([]);
+
+    const stats = await outbox.flush(store, 'me', now);
+
+    assert.equal(stats.sent, 2);
+    assert.deepEqual(
+      store.calls.map(r => r.local_id),
+      ['a', 'b']
+    );
+  });
+
+  it('schedules the next attempt and stops on network errors', async () => {
+    queue({ local_id: 'a', created_at: new Date(now - 3 * MINUTE).toISOString(), next_retry_at: past });
+    queue({ local_id: 'b', created_at: past, next_retry_at: past });
+    const store = fakeStore([{ success: false, error: 'ECONNREFUSED', network: true }]);
+
+    const stats = await outbox.flush(store, 'me', now);
+
+    assert.equal(stats.failed, 1);
+    assert.equal(store.calls.length, 1);
+    const row = statusOf('a');
+    assert.equal(row.status, 'failed');
+    assert.equal(row.retry_count, 1);
+    assert.equal(row.last_error, 'ECONNREFUSED');
+    assert.ok(Date.parse(row.next_retry_at) > now);
+  });
+
+  it('stops retrying a message the server rejected', async () => {
+    queue({ local_id: 'a', created_at: past, next_retry_at: past });
+    queue({ local_id: 'b', created_at: past, next_retry_at: past });
+    const store = fakeStore([{ success: false, error: 'HTTP 400', permanent: true }]);
+
+    const stats = await outbox.flush(store, 'me', now);
+
+    assert.deepEqual(stats, { sent: 1, failed: 1 });
+    const row = statusOf('a');
+    assert.equal(row.status, 'failed');
+    assert.equal(row.next_retry_at, null);
+    assert.equal(row.last_error, 'HTTP 400');
+  });
+
+  it('only treats client errors that retrying cannot fix as permanent', () => {
+    for (const code of [400, 403, 404, 413]) assert.equal(outbox.isPermanentFailure(code), true, String(code));
+    for (const code of [401, 408, 429, 500, 503, undefined]) {
+      assert.equal(outbox.isPermanentFailure(code), false, String(code));
+    }
+  });
+
+  it('leaves fresh pending sends alone but picks up abandoned ones', async () => {
+    queue({ local_id: 'fresh', status: 'pending', created_at: new Date(now - 10 * 1000).toISOString() });
+    queue({ local_id: 'stale', status: 'pending', created_at: new Date(now - 10 * MINUTE).toISOString() });
+    const store = fakeStore([]);
+
+    await outbox.flush(store, 'me', now);
+
+    assert.deepEqual(
+      store.calls.map(r => r.local_id),
+      ['stale']
+    );
+  });
+
+  it('lists queued messages for the inbox', () => {
+    queue({ local_id: 'a', created_at: past, retry_count: 2, next_retry_at: future });
+    const [queued] = outbox.getQueued('me');
+    assert.equal(queued.to, 'alex');
+    assert.equal(queued.status, 'failed');
+    assert.equal(queued.retries, 2);
+    assert.equal(queued.error, 'offline');
+  });
+
+  it('discards only the messages it gave up on', () => {
+    queue({ local_id: 'given-up', created_at: past, retry_count: outbox.MAX_RETRIES });
+    queue({ local_id: 'retrying', created_at: past, retry_count: 1, next_retry_at: future });
+
+    assert.equal(outbox.discard('me'), 1);
+    assert.equal(statusOf('given-up'), undefined);
+    assert.equal(statusOf('retrying').status, 'failed');
+  });
+
+  it('retries messages it gave up on with a fresh round of attempts', async () => {
+    queue({ local_id: 'given-up', created_at: past, retry_count: outbox.MAX_RETRIES });
+    queue({ local_id: 'retrying', created_at: past, retry_count: 1, next_retry_at: future });
+
+    assert.equal(outbox.retry('me', now), 1);
+    assert.equal(statusOf('given-up').retry_count, 0);
+
+    const store = fakeStore([]);
+    await outbox.flush(store, 'me', now);
+    assert.deepEqual(
+      store.calls.map(r => r.local_id),
+      ['given-up', 'retrying']
+    );
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolate config and the prompt log from the real ~/.vibe
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-prompts-test-'));
+process.env.HOME = tmpHome;
+fs.mkdirSync(path.join(tmpHome, '.vibe'), { recursive: true });
+
+const patternLog = require('../prompts');
+const mcpPrompts = require('../lib/prompts');
+
+describe('MCP prompts', () => {
+  before(() => {
+    for (const who of ['@alex', '@sam', '@kim']) {
+      patternLog.log(`recap my thread with ${who}`, { tool: 'vibe_inbox' });
+    }
+    patternLog.log('say hi to @alex', { tool: 'vibe_dm' });
+  });
+
+  it('lists built-in prompts first', () => {
+    const names = mcpPrompts.listPrompts().map(p => p.name);
+    assert.deepEqual(names.slice(0, 3), ['catch-up', 'ship-announcement', 'inbox-triage']);
+  });
+
+  it('turns recurring patterns into user prompts', () => {
+    const userPrompt = mcpPrompts.listPrompts().find(p => p.name.startsWith('my-'));
+    assert.equal(userPrompt.name, 'my-recap-my-thread-with');
+    assert.equal(userPrompt.title, 'recap my thread with @*');
+    assert.deepEqual(
+      userPrompt.arguments.map(a => a.name),
+      ['handle']
+    );
+  });
+
+  it('ignores patterns seen fewer than three times', () => {
+    const names = mcpPrompts.listPrompts().map(p => p.name);
+    assert.ok(!names.includes('my-say-hi-to'));
+  });
+
+  it('fills user prompt arguments', async () => {
+    const result = await mcpPrompts.getPrompt('my-recap-my-thread-with', { handle: 'Jo' });
+    assert.equal(result.messages[0].content.text, 'recap my thread with @jo');
+  });
+
+  it('renders catch-up with the handle', async () => {
+    const result = await mcpPrompts.getPrompt('catch-up', { handle: '@alex' });
+    assert.equal(result.messages[0].role, 'user');
+    assert.match(result.messages[0].content.text, /Catch me up on @alex/);
+  });
+
+  it('embeds readable resources', async () => {
+    const result = await mcpPrompts.getPrompt('catch-up', { handle: 'alex' });
+    const embedded = result.messages.filter(m => m.content.type === 'resource').map(m => m.content.resource.uri);
+    assert.ok(embedded.includes('vibe://memory/alex'));
+  });
+
+  it('rejects missing required arguments', async () => {
+    await assert.rejects(mcpPrompts.getPrompt('catch-up', {}), e => e.code === mcpPrompts.INVALID_PARAMS);
+  });
+
+  it('rejects unknown prompts', async () => {
+    await assert.rejects(mcpPrompts.getPrompt('nope'), e => e.code === mcpPrompts.INVALID_PARAMS);
+  });
+});
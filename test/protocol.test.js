@@ -0,0 +1,185 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const protocol = require('../protocol');
+const { createRegistry, isCompatible } = require('../protocol/registry');
+const jsonSchema = require('../protocol/json-schema');
+
+function handoff(overrides = {}) {
+  return { type: 'handoff', version: '0.1.0', task: 'code_review', context: { files: ['a.js'] }, ...overrides };
+}
+
+describe('payload validation', () => {
+  it('accepts the payloads the helpers create', () => {
+    const payloads = [
+      protocol.createTicTacToePayload(['X', '', '', '', '', '', '', '', ''], 'O', 1),
+      protocol.createHandoffPayload('code_review', { branch: 'main', files: ['a.js'] }),
+      protocol.createAckPayload('handoff_1', 'processed', 'on it'),
+      protocol.createArtifactPayload({ id: 'artifact_1', slug: 'guide-1', title: 'Guide', template: 'guide' }),
+      protocol.createAgentPayload('heartbeat')
+    ];
+    for (const payload of payloads) {
+      assert.deepEqual(protocol.validatePayload(payload), {
+        valid: true,
+        type: payload.type,
+        version: '0.1.0',
+        newer: false,
+        errors: []
+      });
+    }
+  });
+
+  it('reports every error with its path', () => {
+    const result = protocol.validatePayload(handoff({ task: '', context: { files: ['a.js', 42], branch: 7 } }));
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors, [
+      { path: '/task', message: 'must not be empty' },
+      { path: '/context/files/1', message: 'must be string' },
+      { path: '/context/branch', message: 'must be string or null' }
+    ]);
+    assert.equal(
+      result.error,
+      '/task must not be empty; /context/files/1 must be string; /context/branch must be string or null'
+    );
+  });
+
+  it('reports missing fields and enum values', () => {
+    const { errors } = protocol.validatePayload({ type: 'ack', version: '0.1.0', status: 'maybe' });
+    assert.deepEqual(errors, [
+      { path: '/replyTo', message: 'is required' },
+      { path: '/status', message: 'must be one of: received, processed, rejected' }
+    ]);
+    assert.throws(() => protocol.createAckPayload('', 'received'), /Invalid ack payload: \/replyTo must not be empty/);
+  });
+
+  it('still lets unknown types through, flagged', () => {
+    assert.deepEqual(protocol.validatePayload({ type: 'poll', version: '9.0.0' }), {
+      valid: true,
+      type: 'poll',
+      errors: [],
+      unknown: true
+    });
+    assert.equal(protocol.validatePayload(null).valid, false);
+    assert.equal(protocol.validatePayload({ version: '0.1.0' }).error, '/type is required');
+  });
+
+  it('reads newer patch versions and rejects incompatible ones', () => {
+    const newer = protocol.validatePayload(handoff({ version: '0.1.4', context: { files: [], reviewers: ['sam'] } }));
+    assert.equal(newer.valid, true);
+    assert.equal(newer.newer, true);
+    assert.equal(newer.version, '0.1.0');
+
+    const incompatible = protocol.validatePayload(handoff({ version: '0.2.0' }));
+    assert.equal(incompatible.valid, false);
+    assert.equal(incompatible.incompatible, true);
+    assert.match(incompatible.error, /^\/version 0\.2\.0 isn't supported \(this client reads handoff 0\.1\.0\)/);
+
+    assert.match(protocol.validatePayload(handoff({ version: 'v1' })).error, /MAJOR\.MINOR\.PATCH/);
+  });
+});
+
+describe('schema registry', () => {
+  it('treats the same major as compatible, and the same minor in 0.x', () => {
+    assert.equal(isCompatible('1.2.0', '1.9.3'), true);
+    assert.equal(isCompatible('1.2.0', '2.0.0'), false);
+    assert.equal(isCompatible('0.1.0', '0.1.7'), true);
+    assert.equal(isCompatible('0.1.0', '0.2.0'), false);
+  });
+
+  it('validates each version against its own schema', () => {
+    const registry = createRegistry();
+    const v1 = {
+      type: 'object',
+      required: ['type', 'version', 'question'],
+      properties: { question: { type: 'string' } }
+    };
+    const v2 = {
+      ...v1,
+      required: [...v1.required, 'options'],
+      properties: { ...v1.properties, options: { type: 'array' } }
+    };
+    registry.register('poll', '1.0.0', v1);
+    registry.register('poll', '2.0.0', v2);
+
+    assert.deepEqual(registry.versions('poll'), ['2.0.0', '1.0.0']);
+    assert.equal(registry.validate({ type: 'poll', version: '1.3.0', question: 'lunch?' }).valid, true);
+    assert.deepEqual(registry.validate({ type: 'poll', version: '2.0.0', question: 'lunch?' }).errors, [
+      { path: '/options', message: 'is required' }
+    ]);
+    assert.equal(registry.validate({ type: 'poll', version: '3.0.0', question: 'lunch?' }).incompatible, true);
+
+    assert.throws(() => registry.register('poll', '2.0.0', v2), /already registered/);
+    assert.throws(() => registry.register('poll', '2.0', v2), /MAJOR\.MINOR\.PATCH/);
+  });
+
+  it('picks the newest version both sides read', () => {
+    const registry = createRegistry();
+    for (const v of ['1.0.0', '1.2.0', '2.0.0']) registry.register('poll', v, { type: 'object' });
+    registry.register('vote', '1.0.0', { type: 'object' });
+
+    const { agreed, unsupported } = registry.negotiate({ poll: ['1.1.0', '0.9.0'], vote: ['2.1.0'], quiz: ['1.0.0'] });
+    assert.deepEqual(agreed, { poll: '1.1.0' });
+    assert.deepEqual(unsupported.sort(), ['quiz', 'vote']);
+  });
+
+  it('exchanges capabilities over an agent payload', () => {
+    const announce = protocol.createCapabilitiesPayload();
+    assert.equal(protocol.validatePayload(announce).valid, true);
+    assert.equal(announce.action, 'capability_announce');
+    assert.deepEqual(announce.schemas.handoff, ['0.1.0']);
+
+    const peer = { ...protocol.capabilities(), handoff: ['0.1.3'], poll: ['1.0.0'] };
+    const { agreed, unsupported } = protocol.negotiate(
+      protocol.createAgentPayload('capability_announce', { schemas: peer })
+    );
+    assert.equal(agreed.handoff, '0.1.0');
+    assert.equal(agreed.ack, '0.1.0');
+    assert.deepEqual(unsupported, ['poll']);
+
+    // Sending at the agreed version
+    assert.equal(protocol.createHandoffPayload('review', {}, { version: agreed.handoff }).version, '0.1.0');
+    assert.throws(() => protocol.createHandoffPayload('review', {}, { version: '1.0.0' }), /isn't supported/);
+  });
+});
+
+describe('schema bundle', () => {
+  const bundle = protocol.exportSchemas();
+
+  it('holds every type and version under $defs', () => {
+    assert.equal(bundle.$schema, 'https://json-schema.org/draft/2020-12/schema');
+    assert.deepEqual(Object.keys(bundle.$defs).sort(), [
+      'ack-0.1.0',
+      'agent-0.1.0',
+      'artifact-0.1.0',
+      'game-0.1.0',
+      'handoff-0.1.0'
+    ]);
+    // Plain JSON, so other agents can load it with any validator
+    assert.deepEqual(JSON.parse(JSON.stringify(bundle)), bundle);
+  });
+
+  it('validates payloads on its own', () => {
+    assert.deepEqual(jsonSchema.validate(protocol.createAckPayload('handoff_1', 'received'), bundle), []);
+    assert.deepEqual(jsonSchema.validate(protocol.createHandoffPayload('review', { files: [] }), bundle), []);
+    assert.notDeepEqual(jsonSchema.validate({ type: 'ack', version: '0.1.0' }, bundle), []);
+    assert.notDeepEqual(jsonSchema.validate({ type: 'poll', version: '0.1.0' }, bundle), []);
+  });
+});
+
+describe('SCHEMAS', () => {
+  it('lists the newest schema of each type, with a validator', () => {
+    assert.deepEqual(Object.keys(protocol.SCHEMAS).sort(), ['ack', 'agent', 'artifact', 'game', 'handoff']);
+    assert.equal(protocol.SCHEMAS.handoff.version, '0.1.0');
+    assert.equal(protocol.SCHEMAS.handoff.validate(handoff()).valid, true);
+    assert.equal(protocol.SCHEMAS.handoff.validate({ task: 'code_review' }).valid, false);
+  });
+
+  it('follows registerSchema', () => {
+    const survey = { type: 'object', required: ['type', 'version', 'question'] };
+    protocol.registerSchema('survey', '1.0.0', survey);
+    protocol.registerSchema('survey', '1.1.0', survey);
+    assert.equal(protocol.SCHEMAS.survey.version, '1.1.0');
+    assert.deepEqual(protocol.SCHEMAS.survey.required, ['type', 'version', 'question']);
+  });
+});
@@ -0,0 +1,380 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync, spawnSync } = require('child_process');
+
+// Reservations live in ~/.vibe/reservations — point it at a temp dir
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-reservations-test-'));
+process.env.HOME = tmpHome;
+const sharedDir = path.join(tmpHome, 'shared');
+process.env.VIBE_RESERVATIONS_DIR = sharedDir;
+
+const reservations = require('../store/reservations');
+const reservationPaths = require('../store/reservation-paths');
+
+const SCOPE = 'repo:github.com/team/app';
+const originalCwd = process.cwd();
+
+// A teammate's reservation, as their machine publishes it
+function teammate(paths, overrides = {}) {
+  const now = Date.now();
+  return {
+    reservation_id: reservations.generateId(),
+    scope: SCOPE,
+    paths,
+    exclusive: true,
+    reason: 'auth refactor',
+    owner: 'alex',
+    status: 'active',
+    ttl_seconds: 3600,
+    issued_ts: new Date(now).toISOString(),
+    expires_ts: new Date(now + 3600 * 1000).toISOString(),
+    ...overrides
+  };
+}
+
+describe('shared reservations', () => {
+  const backend = reservations.directoryBackend(sharedDir);
+  const repo = path.join(tmpHome, 'app');
+
+  before(() => {
+    fs.mkdirSync(path.join(repo, 'src'), { recursive: true });
+    execSync('git init -q && git remote add origin git@github.com:team/app.git', { cwd: repo });
+    process.chdir(repo);
+  });
+
+  after(() => process.chdir(originalCwd));
+
+  beforeEach(() => {
+    fs.rmSync(path.join(tmpHome, '.vibe'), { recursive: true, force: true });
+    fs.rmSync(sharedDir, { recursive: true, force: true });
+    fs.rmSync(path.join(repo, 'src'), { recursive: true, force: true });
+    fs.mkdirSync(path.join(repo, 'src'));
+  });
+
+  it('scopes reservations by the repo remote', () => {
+    assert.equal(reservations.getScope(), SCOPE);
+  });
+
+  it('publishes ours and pulls teammates', async () => {
+    const { reservation } = reservations.create('me', ['README.md']);
+    await backend.publish(teammate(['src/auth.js']));
+
+    const result = await reservations.sync(null, { force: true });
+    assert.equal(result.success, true);
+    assert.equal(result.published, 1);
+    assert.equal(result.shared, 1);
+
+    // Our reservation is on the backend for teammates to see
+    const fetched = await backend.fetch(SCOPE);
+    assert.ok(fetched.reservations.some(r => r.reservation_id === reservation.reservation_id));
+
+    // And theirs shows up locally, once
+    const owners = reservations.list().map(r => r.owner);
+    assert.deepEqual(owners.sort(), ['alex', 'me']);
+  });
+
+  it('warns about a teammate reservation on create', async () => {
+    await backend.publish(teammate(['src/']));
+    await reservations.sync(null, { force: true });
+
+    const { conflicts } = reservations.create('me', ['src/auth.js']);
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].owner, 'alex');
+    assert.equal(conflicts[0].reason, 'auth refactor');
+  });
+
+  it('withdraws released reservations on the next sync', async () => {
+    const { reservation } = reservations.create('me', ['README.md']);
+    await reservations.sync(null, { force: true });
+    reservations.release(reservation.reservation_id, 'me');
+
+    const result = await reservations.sync(null, { force: true });
+    assert.equal(result.withdrawn, 1);
+    assert.deepEqual((await backend.fetch(SCOPE)).reservations, []);
+  });
+
+  it('drops expired reservations from the shared directory', async () => {
+    await backend.publish(teammate(['src/old.js'], { expires_ts: new Date(Date.now() - 1000).toISOString() }));
+    assert.deepEqual((await backend.fetch(SCOPE)).reservations, []);
+  });
+
+  it('flags working-tree changes to files a teammate holds', async () => {
+    await backend.publish(teammate(['src/auth.js']));
+    await reservations.sync(null, { force: true });
+    reservations.create('me', ['src/mine.js']);
+
+    fs.writeFileSync(path.join(repo, 'src', 'auth.js'), 'edited');
+    fs.writeFileSync(path.join(repo, 'src', 'mine.js'), 'edited');
+    execSync('git add -A', { cwd: repo });
+
+    const conflicts = reservations.checkWorkingTree('me');
+    assert.deepEqual(
+      conflicts.map(c => [c.path, c.owner]),
+      [['src/auth.js', 'alex']]
+    );
+  });
+
+  it('keeps local scopes off the backend', async () => {
+    const result = await reservations.sync(null, { force: true, scope: 'local:scratch' });
+    assert.equal(result.success, false);
+  });
+});
+
+describe('reservation lifecycle', () => {
+  const backend = reservations.directoryBackend(sharedDir);
+  const repo = path.join(tmpHome, 'app');
+  const HOUR = 3600 * 1000;
+
+  // Pretend a reservation was made a while ago
+  function age(reservation_id, ms) {
+    const file = path.join(tmpHome, '.vibe', 'reservations', 'active.jsonl');
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse);
+    for (const r of lines.filter(r => r.reservation_id === reservation_id)) {
+      r.expires_ts = new Date(new Date(r.expires_ts).getTime() - ms).toISOString();
+    }
+    fs.writeFileSync(file, lines.map(r => JSON.stringify(r) + '\n').join(''));
+  }
+
+  before(() => process.chdir(repo));
+  after(() => process.chdir(originalCwd));
+
+  beforeEach(() => {
+    fs.rmSync(path.join(tmpHome, '.vibe'), { recursive: true, force: true });
+    fs.rmSync(sharedDir, { recursive: true, force: true });
+  });
+
+  it('ties reservations to the session, and the session to this process locally', () => {
+    const { reservation } = reservations.create('me', ['README.md'], { session_id: 'sess_a' });
+    assert.equal(reservation.session_id, 'sess_a');
+    assert.equal(reservation.auto_renew, true);
+    assert.equal('pid' in reservation || 'host' in reservation, false);
+
+    const sessions = JSON.parse(fs.readFileSync(path.join(tmpHome, '.vibe', 'reservations', 'sessions.json'), 'utf8'));
+    assert.deepEqual(sessions.sess_a, { host: os.hostname(), pid: process.pid });
+  });
+
+  it('publishes only the session id, even for older records', async () => {
+    const { reservation } = reservations.create('me', ['a.js'], { session_id: 'sess_a' });
+    const file = path.join(tmpHome, '.vibe', 'reservations', 'active.jsonl');
+    const legacy = { ...reservation, host: os.hostname(), pid: process.pid };
+    fs.writeFileSync(file, JSON.stringify(legacy) + '\n');
+
+    await reservations.sync(null, { force: true });
+    const [published] = (await backend.fetch(SCOPE)).reservations;
+    assert.equal(published.session_id, 'sess_a');
+    assert.equal('pid' in published || 'host' in published, false);
+  });
+
+  it('renews session reservations past half their TTL', () => {
+    const fresh = reservations.create('me', ['a.js'], { session_id: 'sess_a' }).reservation;
+    const old = reservations.create('me', ['b.js'], { session_id: 'sess_a' }).reservation;
+    const other = reservations.create('me', ['c.js'], { session_id: 'sess_b' }).reservation;
+    age(old.reservation_id, 0.6 * HOUR);
+    age(other.reservation_id, 0.6 * HOUR);
+
+    const renewed = reservations.renewSession('sess_a');
+    assert.deepEqual(
+      renewed.map(r => r.reservation_id),
+      [old.reservation_id]
+    );
+    assert.ok(new Date(reservations.get(old.reservation_id).expires_ts).getTime() > Date.now() + 0.9 * HOUR);
+    assert.equal(reservations.get(fresh.reservation_id).expires_ts, fresh.expires_ts);
+  });
+
+  it('renews on request, owner only', () => {
+    const { reservation } = reservations.create('me', ['README.md'], { session_id: 'sess_a' });
+
+    assert.equal(reservations.renew(reservation.reservation_id, { owner: 'alex' }).error, 'not_owner');
+    const result = reservations.renew(reservation.reservation_id, { owner: 'me', ttl_seconds: 7200 });
+    assert.equal(result.success, true);
+    assert.equal(result.reservation.ttl_seconds, 7200);
+    assert.ok(new Date(result.reservation.expires_ts).getTime() > Date.now() + 1.9 * HOUR);
+  });
+
+  it('releases a session on stop and withdraws it', async () => {
+    reservations.create('me', ['a.js'], { session_id: 'sess_a' });
+    const kept = reservations.create('me', ['b.js'], { session_id: 'sess_b' }).reservation;
+    await reservations.sync(null, { force: true });
+
+    assert.equal(reservations.releaseSession('sess_a').length, 1);
+    const result = await reservations.sync(null, { force: true });
+    assert.equal(result.withdrawn, 1);
+    assert.deepEqual(
+      (await backend.fetch(SCOPE)).reservations.map(r => r.reservation_id),
+      [kept.reservation_id]
+    );
+  });
+
+  it('releases reservations whose process died', () => {
+    const { reservation } = reservations.create('me', ['a.js'], { session_id: 'sess_gone' });
+    const live = reservations.create('me', ['b.js'], { session_id: 'sess_a' }).reservation;
+
+    const file = path.join(tmpHome, '.vibe', 'reservations', 'sessions.json');
+    const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+    const sessions = JSON.parse(fs.readFileSync(file, 'utf8'));
+    sessions.sess_gone.pid = deadPid;
+    fs.writeFileSync(file, JSON.stringify(sessions));
+
+    const released = reservations.releaseOrphans();
+    assert.deepEqual(
+      released.map(r => [r.reservation_id, r.release_reason]),
+      [[reservation.reservation_id, 'session_died']]
+    );
+    assert.ok(reservations.get(live.reservation_id));
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))), ['sess_a']);
+  });
+
+  it('hands a reservation to a teammate, who adopts it on sync', async () => {
+    const { reservation } = reservations.create('me', ['src/auth.js'], { session_id: 'sess_a', reason: 'auth' });
+    const sent = [];
+    const store = { sendMessage: async (from, to, body) => sent.push({ from, to, body }) && { id: 'msg_1' } };
+
+    assert.equal(
+      (await reservations.transfer(reservation.reservation_id, '@alex', store, { owner: 'sam' })).error,
+      'not_owner'
+    );
+
+    const result = await reservations.transfer(reservation.reservation_id, '@Alex', store, { owner: 'me' });
+    assert.equal(result.success, true);
+    assert.equal(result.notified, true);
+    assert.equal(result.reservation.owner, 'alex');
+    assert.equal(result.reservation.transferred_from, 'me');
+    assert.equal(reservations.get(reservation.reservation_id), null);
+
+    assert.equal(sent.length, 1);
+    assert.deepEqual([sent[0].from, sent[0].to], ['me', 'alex']);
+    assert.match(sent[0].body, /src\/auth\.js/);
+
+    // Still published under the new owner — not withdrawn
+    await reservations.sync(null, { force: true, handle: 'me' });
+    const [shared] = (await backend.fetch(SCOPE)).reservations;
+    assert.equal(shared.owner, 'alex');
+
+    // On alex's side it becomes part of their session
+    const adopted = await reservations.sync(null, { force: true, handle: 'alex', session_id: 'sess_alex' });
+    assert.equal(adopted.adopted, 1);
+    const mine = reservations.get(reservation.reservation_id);
+    assert.equal(mine.owner, 'alex');
+    assert.equal(mine.session_id, 'sess_alex');
+    assert.equal(mine.auto_renew, true);
+  });
+
+  it('only hands over shared reservations', async () => {
+    fs.mkdirSync(path.join(tmpHome, '.vibe', 'reservations'), { recursive: true });
+    const { reservation } = reservations.create('me', ['README.md'], { session_id: 'sess_a' });
+    const file = path.join(tmpHome, '.vibe', 'reservations', 'active.jsonl');
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace(SCOPE, 'local:app'));
+
+    const result = await reservations.transfer(reservation.reservation_id, 'alex', {}, { owner: 'me' });
+    assert.equal(result.error, 'not_shared');
+    assert.ok(reservations.get(reservation.reservation_id));
+  });
+});
+
+describe('reservation paths', () => {
+  it('matches globs', () => {
+    const { matches } = reservationPaths;
+    assert.ok(matches('src/**/*.test.js', 'src/auth/login.test.js'));
+    assert.ok(matches('src/**/*.test.js', 'src/login.test.js'));
+    assert.ok(!matches('src/*.js', 'src/auth/login.js'));
+    assert.ok(matches('{lib,src}/*.js', 'lib/index.js'));
+    assert.ok(matches('src/[!a]*.js', 'src/index.js'));
+    assert.ok(!matches('src/[!a]*.js', 'src/auth.js'));
+    assert.ok(!matches('a.js', 'axjs'));
+    // A glob matching a directory covers its contents
+    assert.ok(matches('src/*', 'src/auth/login.js'));
+  });
+
+  it('normalizes paths relative to the repo root', () => {
+    const base = { root: '/work/app', prefix: 'packages/web/' };
+    const { normalizePath } = reservationPaths;
+    assert.equal(normalizePath('./src/', base), 'packages/web/src');
+    assert.equal(normalizePath('../api/*.js', base), 'packages/api/*.js');
+    assert.equal(normalizePath('/work/app/README.md', base), 'README.md');
+    assert.equal(normalizePath('.', { root: '/work/app', prefix: '' }), '**');
+  });
+
+  it('parses renames from git status', () => {
+    const { changed, renames } = reservationPaths.parseStatus(
+      'R  src/new.js\0src/old.js\0 M README.md\0?? notes.txt\0'
+    );
+    assert.deepEqual(changed, ['src/new.js', 'README.md', 'notes.txt']);
+    assert.deepEqual(renames, [['src/old.js', 'src/new.js']]);
+  });
+});
+
+describe('git-aware conflicts', () => {
+  const repo = path.join(tmpHome, 'paths');
+  const scope = 'repo:github.com/team/paths';
+
+  function write(file) {
+    fs.mkdirSync(path.dirname(path.join(repo, file)), { recursive: true });
+    fs.writeFileSync(path.join(repo, file), file);
+  }
+
+  function hold(paths) {
+    return { ...teammate(paths), scope };
+  }
+
+  before(async () => {
+    fs.mkdirSync(repo, { recursive: true });
+    ['src/auth/login.js', 'src/auth/login.test.js', 'src/api/users.test.js', 'src/old.js'].forEach(write);
+    execSync(
+      'git init -q && git remote add origin https://github.com/team/paths.git && git add -A && ' +
+        'git -c user.name=t -c user.email=t@t commit -qm init',
+      { cwd: repo }
+    );
+    process.chdir(repo);
+  });
+
+  after(() => process.chdir(originalCwd));
+
+  beforeEach(async () => {
+    fs.rmSync(path.join(tmpHome, '.vibe'), { recursive: true, force: true });
+    fs.rmSync(sharedDir, { recursive: true, force: true });
+  });
+
+  async function share(...held) {
+    const backend = reservations.directoryBackend(sharedDir);
+    for (const r of held) await backend.publish(r);
+    await reservations.sync(null, { force: true });
+  }
+
+  it('reports the tracked files two globs share', async () => {
+    await share(hold(['src/**/*.test.js']));
+    const conflicts = reservations.checkConflicts(['src/auth/**']);
+    assert.equal(conflicts.length, 1);
+    assert.deepEqual(conflicts[0].files, ['src/auth/login.test.js']);
+  });
+
+  it('treats ./src, src/ and an absolute path alike', async () => {
+    await share(hold(['./src/']));
+    assert.equal(reservations.checkConflicts([path.join(repo, 'src', 'old.js')]).length, 1);
+    assert.equal(reservations.checkConflicts(['src']).length, 1);
+
+    const { reservation } = reservations.create('me', ['./docs/', 'docs']);
+    assert.deepEqual(reservation.paths, ['docs']);
+  });
+
+  it('covers new files a glob would match', async () => {
+    await share(hold(['src/**/*.test.js']));
+    const [conflict] = reservations.checkConflicts(['src/new/thing.test.js']);
+    assert.deepEqual(conflict.files, ['src/new/thing.test.js']);
+    assert.deepEqual(reservations.checkConflicts(['src/new/thing.js']), []);
+  });
+
+  it('follows git mv', async () => {
+    await share(hold(['src/old.js']));
+    execSync('git mv src/old.js src/renamed.js', { cwd: repo });
+    try {
+      const [conflict] = reservations.checkConflicts(['src/renamed.js']);
+      assert.equal(conflict.owner, 'alex');
+      assert.deepEqual(conflict.files, ['src/renamed.js']);
+    } finally {
+      execSync('git mv src/renamed.js src/old.js', { cwd: repo });
+    }
+  });
+});
@@ -0,0 +1,185 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolate config from the real ~/.vibe before anything requires it
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-resources-test-'));
+process.env.HOME = tmpHome;
+fs.mkdirSync(path.join(tmpHome, '.vibe'), { recursive: true });
+
+const resources = require('../lib/resources');
+const NotificationEmitter = require('../notification-emitter');
+const notify = require('../notify');
+
+// ============ URIS ============
+
+describe('resource URIs', () => {
+  it('builds thread URIs from handles', () => {
+    assert.equal(resources.threadUri('@Alex'), 'vibe://thread/@alex');
+    assert.equal(resources.threadUri('sam'), 'vibe://thread/@sam');
+  });
+
+  it('parses the inbox URI', () => {
+    assert.deepEqual(resources.parseUri('vibe://inbox'), { type: 'inbox' });
+  });
+
+  it('parses thread URIs', () => {
+    assert.deepEqual(resources.parseUri('vibe://thread/@alex'), { type: 'thread', handle: 'alex' });
+    assert.deepEqual(resources.parseUri('vibe://thread/%40sam'), { type: 'thread', handle: 'sam' });
+  });
+
+  it('rejects unknown or malformed URIs', () => {
+    assert.equal(resources.parseUri('vibe://nope'), null);
+    assert.equal(resources.parseUri('vibe://thread/'), null);
+    assert.equal(resources.parseUri('vibe://thread/@a/b'), null);
+    assert.equal(resources.parseUri(undefined), null);
+  });
+
+  it('parses profile, ships, journal, memory and group URIs', () => {
+    assert.deepEqual(resources.parseUri('vibe://profile/Alex'), { type: 'profile', handle: 'alex' });
+    assert.deepEqual(resources.parseUri('vibe://ships/recent'), { type: 'ships' });
+    assert.deepEqual(resources.parseUri('vibe://session/sess_abc123/journal'), {
+      type: 'journal',
+      sessionId: 'sess_abc123'
+    });
+    assert.deepEqual(resources.parseUri('vibe://memory/@sam'), { type: 'memory', handle: 'sam' });
+    assert.deepEqual(resources.parseUri(resources.groupUri('grp_1')), { type: 'group', threadId: 'grp_1' });
+    assert.equal(resources.parseUri('vibe://group/../x'), null);
+    assert.equal(resources.parseUri('vibe://session/../journal'), null);
+    assert.equal(resources.parseUri('vibe://profile/%E0%A4%A'), null);
+  });
+
+  it('advertises a template for every parameterised URI', () => {
+    const templates = resources.listResourceTemplates().map(t => t.uriTemplate);
+    assert.deepEqual(templates, [
+      'vibe://thread/@{handle}',
+      'vibe://group/{thread_id}',
+      'vibe://profile/{handle}',
+      'vibe://session/{id}/journal',
+      'vibe://memory/{handle}'
+    ]);
+  });
+
+  it('reads unknown URIs as not found', async () => {
+    await assert.rejects(resources.readResource('vibe://nope'), e => e.code === resources.RESOURCE_NOT_FOUND);
+  });
+
+  it('always lists the inbox and recent ships', async () => {
+    const list = await resources.listResources();
+    assert.deepEqual(
+      list.map(r => r.uri),
+      [resources.INBOX_URI, resources.SHIPS_URI]
+    );
+  });
+
+  it('reads a profile', async () => {
+    const profiles = require('../store/profiles');
+    await profiles.updateProfile('alex', { building: 'a synth plugin' });
+    const { contents } = await resources.readResource('vibe://profile/@alex');
+    assert.match(contents[0].text, /# @alex/);
+    assert.match(contents[0].text, /a synth plugin/);
+  });
+
+  it('reads memories newest first', async () => {
+    const memory = require('../memory');
+    memory.remember('sam', 'prefers async reviews');
+    memory.remember('sam', 'ships on Fridays');
+    const { contents } = await resources.readResource('vibe://memory/sam');
+    const text = contents[0].text;
+    assert.ok(text.indexOf('ships on Fridays') < text.indexOf('prefers async reviews'));
+  });
+
+  it('reads an unknown session journal as not found', async () => {
+    await assert.rejects(
+      resources.readResource('vibe://session/sess_missing/journal'),
+      e => e.code === resources.RESOURCE_NOT_FOUND
+    );
+  });
+});
+
+// ============ EMITTER ============
+
+describe('NotificationEmitter', () => {
+  let sent;
+  let emitter;
+
+  beforeEach(() => {
+    sent = [];
+    emitter = new NotificationEmitter({ notification: payload => sent.push(payload) });
+  });
+
+  afterEach(() => {
+    emitter.cancelAll();
+  });
+
+  it('sends list_changed immediately', () => {
+    emitter.emitImmediate();
+    assert.deepEqual(sent, [{ method: 'notifications/resources/list_changed' }]);
+  });
+
+  it('updates the thread and the inbox', async () => {
+    emitter.emitThreadUpdated('@alex');
+    await new Promise(r => setTimeout(r, 300));
+    assert.deepEqual(sent.map(p => p.params.uri).sort(), ['vibe://inbox', 'vibe://thread/@alex']);
+    assert.ok(sent.every(p => p.method === 'notifications/resources/updated'));
+  });
+
+  it('updates the group resource for a group address', async () => {
+    emitter.emitThreadUpdated('#grp_1');
+    await new Promise(r => setTimeout(r, 300));
+    assert.deepEqual(sent.map(p => p.params.uri).sort(), ['vibe://group/grp_1', 'vibe://inbox']);
+  });
+
+  it('debounces repeated updates to the same resource', async () => {
+    emitter.emitResourceUpdated('vibe://thread/@alex', 20);
+    emitter.emitResourceUpdated('vibe://thread/@alex', 20);
+    emitter.emitResourceUpdated('vibe://thread/@sam', 20);
+    await new Promise(r => setTimeout(r, 50));
+    assert.equal(sent.length, 2);
+  });
+
+  it('survives a throwing server', () => {
+    const broken = new NotificationEmitter({
+      notification: () => {
+        throw new Error('closed');
+      }
+    });
+    assert.doesNotThrow(() => broken.emitImmediate());
+  });
+});
+
+// ============ INBOUND DETECTION ============
+
+describe('notify.checkNewMessages', () => {
+  let updated;
+
+  beforeEach(() => {
+    updated = [];
+    global.vibeNotifier = {
+      emitThreadUpdated: handle => updated.push(handle),
+      emitChange: () => {}
+    };
+  });
+
+  afterEach(() => {
+    delete global.vibeNotifier;
+  });
+
+  it('seeds on the first poll, then reports only new messages', () => {
+    const first = notify.checkNewMessages([{ id: 'm1', from: 'alex' }]);
+    assert.deepEqual(first, []);
+    assert.deepEqual(updated, []);
+
+    const next = notify.checkNewMessages([
+      { id: 'm1', from: 'alex' },
+      { id: 'm2', from: 'sam' }
+    ]);
+    assert.deepEqual(
+      next.map(m => m.id),
+      ['m2']
+    );
+    assert.deepEqual(updated, ['sam']);
+  });
+});
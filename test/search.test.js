@@ -0,0 +1,84 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The message store opens ~/.vibecodings/sessions.db at require time — point it at a temp dir
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-search-test-'));
+process.env.HOME = tmpHome;
+
+const sqlite = require('../store/sqlite');
+const { parseDate } = require('../tools/search');
+
+function save(local_id, from_handle, to_handle, content, created_at) {
+  sqlite.saveLocalMessage({ local_id, from_handle, to_handle, content, created_at, status: 'sent' });
+}
+
+describe('search', () => {
+  beforeEach(() => {
+    sqlite.db.exec('DELETE FROM messages');
+    save('1', 'alex', 'me', 'did you see the deploy script?', '2026-01-01T10:00:00.000Z');
+    save('2', 'me', 'alex', 'yes, the deploy works now', '2026-01-01T10:01:00.000Z');
+    save('3', 'alex', 'me', 'great, shipping tonight', '2026-01-01T10:02:00.000Z');
+    save('4', 'sam', 'me', 'deploying the café demo', '2026-01-05T09:00:00.000Z');
+    save('5', 'sam', 'alex', 'deploy gossip you should never see', '2026-01-05T09:01:00.000Z');
+  });
+
+  it('indexes messages through the triggers', () => {
+    const ids = sqlite.searchMessages('me', 'deploy').map(r => r.local_id);
+    assert.deepEqual(ids.sort(), ['1', '2', '4']);
+  });
+
+  it('highlights matches in the snippet', () => {
+    const [result] = sqlite.searchMessages('me', 'script');
+    assert.match(result.snippet, /\*\*script\*\*/);
+  });
+
+  it('filters by handle, date range and direction', () => {
+    const ids = filters => sqlite.searchMessages('me', 'deploy', filters).map(r => r.local_id);
+    assert.deepEqual(ids({ with: 'sam' }), ['4']);
+    assert.deepEqual(ids({ since: '2026-01-02T00:00:00.000Z' }), ['4']);
+    assert.deepEqual(ids({ until: '2026-01-02T00:00:00.000Z' }).sort(), ['1', '2']);
+    assert.deepEqual(ids({ direction: 'sent' }), ['2']);
+    assert.deepEqual(ids({ direction: 'received' }).sort(), ['1', '4']);
+  });
+
+  it('ignores diacritics and FTS syntax in the query', () => {
+    assert.equal(sqlite.searchMessages('me', 'cafe').length, 1);
+    assert.equal(sqlite.searchMessages('me', '(deploy" -').length, 3);
+    assert.deepEqual(sqlite.searchMessages('me', '***'), []);
+  });
+
+  it('keeps the index in step with edits, replaces and deletes', () => {
+    sqlite.db.prepare("UPDATE messages SET content = 'rollback plan' WHERE local_id = '1'").run();
+    save('2', 'me', 'alex', 'replaced body', '2026-01-01T10:01:00.000Z');
+    sqlite.db.prepare("DELETE FROM messages WHERE local_id = '4'").run();
+
+    assert.deepEqual(sqlite.searchMessages('me', 'deploy'), []);
+    assert.equal(sqlite.searchMessages('me', 'rollback').length, 1);
+    assert.equal(sqlite.searchMessages('me', 'replaced').length, 1);
+  });
+
+  it('returns the neighbouring messages in the thread', () => {
+    const context = sqlite.getThreadContext('me', 'alex', '2026-01-01T10:01:00.000Z');
+    assert.deepEqual(
+      context.before.map(m => m.local_id),
+      ['1']
+    );
+    assert.deepEqual(
+      context.after.map(m => m.local_id),
+      ['3']
+    );
+  });
+
+  describe('parseDate', () => {
+    it('accepts dates, timestamps and relative ranges', () => {
+      assert.equal(parseDate('2026-01-02'), '2026-01-02T00:00:00.000Z');
+      assert.equal(parseDate(undefined), null);
+      assert.equal(parseDate('yesterday-ish'), undefined);
+      const weekAgo = Date.parse(parseDate('7d'));
+      assert.ok(Math.abs(Date.now() - 7 * 24 * 60 * 60 * 1000 - weekAgo) < 5000);
+    });
+  });
+});
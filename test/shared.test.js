@@ -13,7 +13,8 @@ const {
   emptyState,
   success,
   warning,
-  error
+  error,
+  verificationBadge
 } = require('../tools/_shared');
 
 // ── normalizeHandle ──
@@ -175,4 +176,11 @@ describe('display helpers', () => {
   it('error formats message', () => {
     assert.ok(error('Failed').includes('Failed'));
   });
+
+  it('verificationBadge flags every signature state', () => {
+    assert.equal(verificationBadge('verified'), '✓');
+    assert.ok(verificationBadge('unverified').includes('unverified'));
+    assert.ok(verificationBadge('key_changed').includes('key changed'));
+    assert.equal(verificationBadge(null), '');
+  });
 });
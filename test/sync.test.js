@@ -0,0 +1,174 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The message store opens ~/.vibecodings/sessions.db at require time — point it at a temp dir
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-sync-test-'));
+process.env.HOME = tmpHome;
+
+const sqlite = require('../store/sqlite');
+const sync = require('../store/sync');
+
+function rows() {
+  return sqlite.db.prepare('SELECT * FROM messages ORDER BY created_at ASC').all();
+}
+
+function serverMessage(id, overrides = {}) {
+  return {
+    id,
+    thread_id: 'thr_1',
+    from: 'alex',
+    to: 'me',
+    body: `message ${id}`,
+    created_at: '2026-01-01T10:00:00.000Z',
+    ...overrides
+  };
+}
+
+describe('sync', () => {
+  beforeEach(() => {
+    sqlite.db.exec('DELETE FROM messages; DELETE FROM sync_state;');
+  });
+
+  describe('normalize', () => {
+    it('maps server fields and marks inbound messages delivered', () => {
+      const m = sync.normalize(serverMessage('s1'), 'me');
+      assert.equal(m.server_id, 's1');
+      assert.equal(m.thread_id, 'thr_1');
+      assert.equal(m.from_handle, 'alex');
+      assert.equal(m.content, 'message s1');
+      assert.equal(m.delivered_at, '2026-01-01T10:00:00.000Z');
+      assert.equal(m.read_at, null);
+    });
+  });
+
+  describe('applyServerMessages', () => {
+    it('inserts unknown messages', () => {
+      const { inserted } = sqlite.applyServerMessages([sync.normalize(serverMessage('s1'), 'me')]);
+      assert.equal(inserted.length, 1);
+      assert.equal(rows()[0].status, 'delivered');
+    });
+
+    it('attaches server ids to an optimistic send via its idempotency key', () => {
+      sqlite.saveLocalMessage({
+        local_id: 'local-1',
+        from_handle: 'me',
+        to_handle: 'alex',
+        content: 'hi',
+        created_at: '2026-01-01T09:59:59.000Z',
+        status: 'failed',
+        idempotency_key: 'dm_local-1'
+      });
+
+      sqlite.applyServerMessages([
+        sync.normalize(
+          serverMessage('s9', { from: 'me', to: 'alex', body: 'hi', idempotencyKey: 'dm_local-1', thread_id: 'thr_9' }),
+          'me'
+        )
+      ]);
+
+      const [row] = rows();
+      assert.equal(rows().length, 1);
+      assert.equal(row.local_id, 'local-1');
+      assert.equal(row.server_id, 's9');
+      assert.equal(row.thread_id, 'thr_9');
+      assert.equal(row.status, 'sent');
+      assert.equal(row.created_at, '2026-01-01T09:59:59.000Z');
+    });
+
+    it('collapses duplicate rows written by another client', () => {
+      for (const local_id of ['tauri-1', 'other-1']) {
+        sqlite.saveLocalMessage({
+          local_id,
+          server_id: 's1',
+          from_handle: 'alex',
+          to_handle: 'me',
+          content: 'message s1',
+          created_at: '2026-01-01T10:00:00.000Z',
+          status: 'delivered'
+        });
+      }
+
+      sqlite.applyServerMessages([sync.normalize(serverMessage('s1'), 'me')]);
+      assert.equal(rows().length, 1);
+    });
+
+    it('never downgrades a local read and keeps its receipt unsynced', () => {
+      sqlite.applyServerMessages([sync.normalize(serverMessage('s1'), 'me')]);
+      sqlite.markThreadRead('me', 'alex');
+
+      sqlite.applyServerMessages([sync.normalize(serverMessage('s1'), 'me')]);
+
+      assert.equal(rows()[0].status, 'read');
+      assert.equal(sqlite.getUnsyncedReadReceipts('me').length, 1);
+    });
+
+    it('takes read receipts from the server', () => {
+      sqlite.applyServerMessages([sync.normalize(serverMessage('s1'), 'me')]);
+      sqlite.applyServerMessages([
+        sync.normalize(serverMessage('s1', { from: 'me', to: 'alex', read_at: '2026-01-01T11:00:00Z' }), 'me')
+      ]);
+      const [row] = rows();
+      assert.equal(row.status, 'read');
+      assert.equal(row.read_at, '2026-01-01T11:00:00.000Z');
+    });
+  });
+
+  describe('run', () => {
+    it('pages with the cursor and pushes local read receipts', async () => {
+      const pages = [
+        { success: true, messages: [serverMessage('s1')], cursor: 'c1', hasMore: true },
+        {
+          success: true,
+          messages: [serverMessage('s2', { created_at: '2026-01-01T10:05:00.000Z' })],
+          cursor: 'c2',
+          hasMore: false
+        }
+      ];
+      const cursors = [];
+      const pushed = [];
+      const store = {
+        pullMessages: async (handle, cursor) => {
+          cursors.push(cursor);
+          return pages.shift();
+        },
+        pushReadReceipts: async (handle, receipts) => {
+          pushed.push(...receipts);
+          return { success: true };
+        }
+      };
+
+      const first = await sync.run(store, 'me');
+      assert.equal(first.pulled, 2);
+      assert.deepEqual(cursors, [null, 'c1']);
+      assert.equal(sqlite.getSyncCursor('me'), 'c2');
+
+      sqlite.markThreadRead('me', 'alex');
+      pages.push({ success: true, messages: [], cursor: 'c2', hasMore: false });
+      const second = await sync.run(store, 'me');
+
+      assert.equal(second.pushed, 2);
+      assert.deepEqual(pushed.map(r => r.id).sort(), ['s1', 's2']);
+      assert.equal(sqlite.getUnsyncedReadReceipts('me').length, 0);
+    });
+
+    it('skips pushing when the pull fails', async () => {
+      sqlite.applyServerMessages([sync.normalize(serverMessage('s1'), 'me')]);
+      sqlite.markThreadRead('me', 'alex');
+      let pushes = 0;
+      const store = {
+        pullMessages: async () => ({ success: false, error: 'offline' }),
+        pushReadReceipts: async () => {
+          pushes++;
+          return { success: true };
+        }
+      };
+
+      const stats = await sync.run(store, 'me');
+      assert.equal(stats.success, false);
+      assert.equal(pushes, 0);
+    });
+  });
+});
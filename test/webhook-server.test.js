@@ -0,0 +1,409 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const nodeCrypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Bridge config and agent gateway state live under HOME — point it at a temp dir
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-webhook-server-test-'));
+process.env.HOME = tmpHome;
+// Link codes stay in the local file (no API to redeem them through)
+process.env.VIBE_LOCAL = 'true';
+
+const webhookServer = require('../bridges/webhook-server');
+const accountLinks = require('../store/account-links');
+const slack = require('../bridges/slack');
+
+const ENV = [
+  'TELEGRAM_WEBHOOK_SECRET',
+  'DISCORD_PUBLIC_KEY',
+  'WHATSAPP_APP_SECRET',
+  'WHATSAPP_WEBHOOK_VERIFY_TOKEN',
+  'X_WEBHOOK_SECRET',
+  'SLACK_SIGNING_SECRET',
+  'WEBHOOK_SECRET'
+];
+const saved = {};
+
+const discordKeys = nodeCrypto.generateKeyPairSync('ed25519');
+const discordPublicKey = Buffer.from(discordKeys.publicKey.export({ format: 'jwk' }).x, 'base64url').toString('hex');
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+function discordRequest(body, timestamp = String(nowSeconds())) {
+  const rawBody = JSON.stringify(body);
+  const message = Buffer.from(timestamp + rawBody);
+  const signature = nodeCrypto.sign(null, message, discordKeys.privateKey).toString('hex');
+  return {
+    path: '/webhook/discord',
+    method: 'POST',
+    headers: { 'x-signature-ed25519': signature, 'x-signature-timestamp': timestamp },
+    rawBody
+  };
+}
+
+function hmacRequest(route, header, secret, body, encoding) {
+  const rawBody = JSON.stringify(body);
+  const digest = nodeCrypto.createHmac('sha256', secret).update(rawBody).digest(encoding);
+  return { path: route, method: 'POST', headers: { [header]: `sha256=${digest}` }, rawBody };
+}
+
+function slackRequest(route, rawBody, timestamp = String(nowSeconds())) {
+  const digest = nodeCrypto.createHmac('sha256', 'slack-secret').update(`v0:${timestamp}:${rawBody}`).digest('hex');
+  const headers = { 'x-slack-signature': `v0=${digest}`, 'x-slack-request-timestamp': timestamp };
+  return { path: route, method: 'POST', headers, rawBody };
+}
+
+function slackCommand(text, userId = 'U123') {
+  const form = new URLSearchParams({ command: '/vibe', text, user_id: userId, user_name: 'kim', channel_id: 'C1' });
+  return slackRequest('/webhook/slack/commands', form.toString());
+}
+
+function whatsappUpdate(id, text, timestamp = nowSeconds()) {
+  const message = { id, from: '15550001', timestamp: String(timestamp), type: 'text', text: { body: text } };
+  const value = { messages: [message], contacts: [{ wa_id: '15550001', profile: { name: 'sam' } }] };
+  return { entry: [{ changes: [{ field: 'messages', value }] }] };
+}
+
+before(() => {
+  for (const name of ENV) saved[name] = process.env[name];
+  process.env.TELEGRAM_WEBHOOK_SECRET = 'tg-secret';
+  process.env.DISCORD_PUBLIC_KEY = discordPublicKey;
+  process.env.WHATSAPP_APP_SECRET = 'wa-app-secret';
+  process.env.WHATSAPP_WEBHOOK_VERIFY_TOKEN = 'wa-verify';
+  process.env.X_WEBHOOK_SECRET = 'x-secret';
+  process.env.SLACK_SIGNING_SECRET = 'slack-secret';
+  delete process.env.WEBHOOK_SECRET;
+});
+
+after(() => {
+  for (const name of ENV) {
+    if (saved[name] === undefined) delete process.env[name];
+    else process.env[name] = saved[name];
+  }
+});
+
+describe('webhook ingress: Discord', () => {
+  it('answers a signed PING', async () => {
+    const result = await webhookServer.routeWebhook(discordRequest({ type: 1 }));
+    assert.equal(result.status, 200);
+    assert.deepEqual(result.json, { type: 1 });
+  });
+
+  it('rejects a bad signature, a tampered body and a replay', async () => {
+    const forged = discordRequest({ type: 1 });
+    forged.headers['x-signature-ed25519'] = '00'.repeat(64);
+    assert.equal((await webhookServer.routeWebhook(forged)).status, 401);
+
+    const tampered = { ...discordRequest({ type: 1, id: 'a' }), rawBody: JSON.stringify({ type: 1, id: 'b' }) };
+    assert.equal((await webhookServer.routeWebhook(tampered)).status, 401);
+
+    const request = discordRequest({ type: 1, id: 'once' });
+    assert.equal((await webhookServer.routeWebhook(request)).status, 200);
+    const replayed = await webhookServer.routeWebhook(request);
+    assert.equal(replayed.status, 401);
+    assert.equal(replayed.json.error, 'Already delivered');
+  });
+
+  it('rejects a timestamp outside the replay window', async () => {
+    const stale = discordRequest({ type: 1 }, String(nowSeconds() - 600));
+    const result = await webhookServer.routeWebhook(stale);
+    assert.equal(result.status, 401);
+    assert.equal(result.json.error, 'Outside replay window');
+  });
+
+  it('refuses interactions when no public key is configured', async () => {
+    delete process.env.DISCORD_PUBLIC_KEY;
+    try {
+      assert.equal((await webhookServer.routeWebhook(discordRequest({ type: 1 }))).status, 503);
+    } finally {
+      process.env.DISCORD_PUBLIC_KEY = discordPublicKey;
+    }
+  });
+});
+
+describe('webhook ingress: WhatsApp', () => {
+  const post = body => hmacRequest('/webhook/whatsapp', 'x-hub-signature-256', 'wa-app-secret', body, 'hex');
+
+  it("answers Meta's callback check only with the verify token", async () => {
+    const query = { 'hub.mode': 'subscribe', 'hub.verify_token': 'wa-verify', 'hub.challenge': '1158201444' };
+    const ok = await webhookServer.routeWebhook({ path: '/webhook/whatsapp', method: 'GET', query });
+    assert.deepEqual(ok, { status: 200, text: '1158201444' });
+
+    const wrong = { ...query, 'hub.verify_token': 'guess' };
+    const refused = await webhookServer.routeWebhook({ path: '/webhook/whatsapp', method: 'GET', query: wrong });
+    assert.equal(refused.status, 403);
+  });
+
+  it('processes a signed message once', async () => {
+    const request = post(whatsappUpdate('wamid.1', 'hello from whatsapp'));
+    const first = await webhookServer.routeWebhook(request);
+    assert.equal(first.status, 200);
+    assert.equal(first.json.processed, true);
+
+    const again = await webhookServer.routeWebhook(request);
+    assert.deepEqual(again.json, { status: 'ignored', reason: 'Already delivered' });
+  });
+
+  it('rejects a bad signature and ignores stale messages', async () => {
+    const tampered = {
+      ...post(whatsappUpdate('wamid.2', 'hi')),
+      rawBody: JSON.stringify(whatsappUpdate('wamid.2', 'pwned'))
+    };
+    assert.equal((await webhookServer.routeWebhook(tampered)).status, 401);
+
+    const stale = await webhookServer.routeWebhook(post(whatsappUpdate('wamid.3', 'old', nowSeconds() - 3600)));
+    assert.deepEqual(stale.json, { status: 'ignored', reason: 'Outside replay window' });
+  });
+});
+
+describe('webhook ingress: X', () => {
+  const post = body => hmacRequest('/webhook/x', 'x-twitter-webhooks-signature', 'x-secret', body, 'base64');
+
+  it('answers the CRC challenge', async () => {
+    const result = await webhookServer.routeWebhook({ path: '/webhook/x', method: 'GET', query: { crc_token: 'abc' } });
+    const expected = nodeCrypto.createHmac('sha256', 'x-secret').update('abc').digest('base64');
+    assert.deepEqual(result, { status: 200, json: { response_token: `sha256=${expected}` } });
+  });
+
+  it('accepts signed events once and rejects forgeries', async () => {
+    const request = post({ for_user_id: '42', follow_events: [] });
+    const first = await webhookServer.routeWebhook(request);
+    assert.equal(first.status, 200);
+    assert.equal(first.json.status, 'ok');
+    assert.equal((await webhookServer.routeWebhook(request)).json.status, 'ignored');
+
+    const forged = { ...request, headers: { 'x-twitter-webhooks-signature': 'sha256=forged' } };
+    assert.equal((await webhookServer.routeWebhook(forged)).status, 401);
+
+    const stale = post({
+      for_user_id: '42',
+      direct_message_events: [{ created_timestamp: String(Date.now() - 3600000) }]
+    });
+    assert.equal((await webhookServer.routeWebhook(stale)).json.reason, 'Outside replay window');
+  });
+});
+
+describe('bridge commands: account links', () => {
+  let updateId = 7000;
+  const telegramUpdate = (text, chatType = 'private') => ({
+    path: '/webhook/telegram',
+    method: 'POST',
+    headers: { 'x-telegram-bot-api-secret-token': 'tg-secret' },
+    body: {
+      update_id: ++updateId,
+      message: {
+        message_id: updateId,
+        date: nowSeconds(),
+        from: { id: 5151, username: 'seth', first_name: 'Seth' },
+        chat: { id: chatType === 'private' ? 5151 : -100, type: chatType },
+        text
+      }
+    }
+  });
+
+  it('refuses to act for an account that was never linked', async () => {
+    const result = await webhookServer.routeWebhook(telegramUpdate('/status shipping'));
+    assert.equal(result.json.status, 'error');
+    assert.match(result.json.error, /vibe link CODE/);
+  });
+
+  it('links from a Telegram DM and unlinks again', async () => {
+    const { code } = accountLinks.createLinkCode('alex');
+    const linked = await webhookServer.routeWebhook(telegramUpdate(`/vibe link ${code}`));
+    assert.equal(linked.json.status, 'ok');
+    assert.equal(accountLinks.getLinkedHandle('telegram', '5151'), 'alex');
+
+    const unlinked = await webhookServer.routeWebhook(telegramUpdate('/vibe unlink'));
+    assert.equal(unlinked.json.message, 'Unlinked from /vibe');
+    assert.equal(accountLinks.getLinkedHandle('telegram', '5151'), null);
+  });
+
+  it('refuses Telegram updates without the secret token, or with no secret configured', async () => {
+    const { code } = accountLinks.createLinkCode('alex');
+    await webhookServer.routeWebhook(telegramUpdate(`/vibe link ${code}`));
+
+    const forged = { ...telegramUpdate('/ship pwned'), headers: {} };
+    assert.equal((await webhookServer.routeWebhook(forged)).status, 401);
+    const guessed = { ...telegramUpdate('/ship pwned'), headers: { 'x-telegram-bot-api-secret-token': 'tg-secre' } };
+    assert.equal((await webhookServer.routeWebhook(guessed)).status, 401);
+
+    delete process.env.TELEGRAM_WEBHOOK_SECRET;
+    try {
+      const unconfigured = await webhookServer.routeWebhook({ ...telegramUpdate('/ship pwned'), headers: {} });
+      assert.equal(unconfigured.status, 503);
+    } finally {
+      process.env.TELEGRAM_WEBHOOK_SECRET = 'tg-secret';
+      accountLinks.unlink({ platform: 'telegram', userId: '5151' });
+    }
+  });
+
+  it('voids a code posted in a group', async () => {
+    const { code } = accountLinks.createLinkCode('alex');
+    const result = await webhookServer.routeWebhook(telegramUpdate(`/vibe link ${code}`, 'supergroup'));
+    assert.equal(result.json.status, 'error');
+    assert.equal(accountLinks.redeemLinkCode(code, { platform: 'telegram', userId: '9' }).success, false);
+  });
+
+  it('links a Discord user by id with a private reply', async () => {
+    const { code } = accountLinks.createLinkCode('sam');
+    const options = [{ name: 'message', value: `link ${code}` }];
+    const interaction = { type: 2, id: 'link-1', data: { name: 'vibe', options }, user: { id: '77', username: 'x' } };
+    const result = await webhookServer.routeWebhook(discordRequest(interaction));
+
+    assert.equal(result.status, 200);
+    assert.equal(result.json.data.flags, 64);
+    assert.match(result.json.data.content, /Linked to @sam/);
+    assert.equal(accountLinks.getLinkedHandle('discord', '77'), 'sam');
+  });
+});
+
+describe('webhook ingress: Slack', () => {
+  it('answers the Events API URL check and refuses bad signatures', async () => {
+    const rawBody = JSON.stringify({ type: 'url_verification', challenge: 'abc123' });
+    const check = await webhookServer.routeWebhook(slackRequest('/webhook/slack/events', rawBody));
+    assert.deepEqual(check.json, { challenge: 'abc123' });
+
+    const forged = slackRequest('/webhook/slack/events', rawBody);
+    forged.headers['x-slack-signature'] = 'v0=' + '0'.repeat(64);
+    assert.equal((await webhookServer.routeWebhook(forged)).status, 401);
+  });
+
+  it('shows slash command help only to the sender', async () => {
+    const result = await webhookServer.routeWebhook(slackCommand(''));
+    assert.equal(result.status, 200);
+    assert.equal(result.json.response_type, 'ephemeral');
+    assert.match(result.json.text, /\/vibe who/);
+  });
+
+  it('links a Slack user from the slash command', async () => {
+    const { code } = accountLinks.createLinkCode('kim');
+    const result = await webhookServer.routeWebhook(slackCommand(`link ${code}`, 'U777'));
+    assert.match(result.json.text, /Linked to @kim/);
+    assert.equal(accountLinks.getLinkedHandle('slack', 'U777'), 'kim');
+
+    const status = await webhookServer.routeWebhook(slackCommand('status shipping', 'U888'));
+    assert.match(status.json.text, /vibe link CODE/);
+  });
+
+  it('refuses DMs from unlinked users and drops retried events', async () => {
+    const event = { type: 'message', channel_type: 'im', channel: 'D1', user: 'U999', text: '@sam hi', ts: '1.0' };
+    const rawBody = JSON.stringify({ type: 'event_callback', event_id: 'Ev1', event });
+    const first = await webhookServer.routeWebhook(slackRequest('/webhook/slack/events', rawBody));
+    assert.equal(first.json.status, 'error');
+    assert.match(first.json.error, /vibe link CODE/);
+
+    const retry = await webhookServer.routeWebhook(slackRequest('/webhook/slack/events', rawBody));
+    assert.equal(retry.json.status, 'ignored');
+
+    const late = JSON.stringify({ type: 'event_callback', event_id: 'Ev2', event });
+    const stale = slackRequest('/webhook/slack/events', late, String(nowSeconds() - 3600));
+    assert.equal((await webhookServer.routeWebhook(stale)).json.status, 'ignored');
+  });
+
+  it('announces ships as Block Kit with Slack markup escaped', () => {
+    const payload = slack.adapter.render({ type: 'ship', handle: 'kim', message: 'v2 <!channel> & more' });
+    assert.equal(payload.blocks[0].text.text, '🚀 *@kim* shipped');
+    assert.equal(payload.blocks[1].text.text, '> v2 &lt;!channel&gt; &amp; more');
+    assert.match(payload.text, /&lt;!channel&gt;/);
+  });
+
+  it('only takes /vibe DM pushes signed with the webhook secret', async () => {
+    const event = { type: 'dm', id: 'm1', from: 'sam', to: 'kim', body: 'hi', timestamp: new Date().toISOString() };
+    const signed = hmacRequest('/webhook/vibe', 'x-vibe-signature', 'vibe-secret', event, 'hex');
+    assert.equal((await webhookServer.routeWebhook(signed)).status, 503);
+
+    process.env.WEBHOOK_SECRET = 'vibe-secret';
+    try {
+      assert.equal((await webhookServer.routeWebhook(signed)).json.status, 'ok');
+      const forged = hmacRequest('/webhook/vibe', 'x-vibe-signature', 'guess', event, 'hex');
+      assert.equal((await webhookServer.routeWebhook(forged)).status, 401);
+    } finally {
+      delete process.env.WEBHOOK_SECRET;
+    }
+  });
+
+  it('receives the DMs /vibe pushes with relayToBridge', async () => {
+    const http = require('http');
+    const notify = require('../notify');
+    const results = [];
+    const server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', c => chunks.push(c));
+      req.on('end', async () => {
+        const request = { path: req.url, method: req.method, headers: req.headers, rawBody: Buffer.concat(chunks) };
+        results.push(await webhookServer.routeWebhook(request));
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.WEBHOOK_SECRET = 'vibe-secret';
+    process.env.VIBE_WEBHOOK_URL = `http://127.0.0.1:${server.address().port}/webhook/vibe`;
+    try {
+      const dm = { id: 'pushed-1', from: 'sam', text: 'from the editor', createdAt: new Date().toISOString() };
+      await notify.relayToBridge([dm], 'kim');
+      assert.deepEqual(
+        results.map(r => r.json.status),
+        ['ok']
+      );
+      assert.equal(webhookServer.verifySignature('{}', 'sha256=', null), false);
+    } finally {
+      delete process.env.WEBHOOK_SECRET;
+      delete process.env.VIBE_WEBHOOK_URL;
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
+
+describe('webhook ingress: routing', () => {
+  it('drops a Telegram update delivered twice', async () => {
+    const update = { update_id: 9001 };
+    const headers = { 'x-telegram-bot-api-secret-token': 'tg-secret' };
+    const request = { path: '/webhook/telegram', method: 'POST', headers, body: update };
+    assert.equal((await webhookServer.routeWebhook(request)).json.status, 'ok');
+    assert.equal((await webhookServer.routeWebhook(request)).json.status, 'ignored');
+  });
+
+  it('needs the raw body to check signatures', async () => {
+    const request = discordRequest({ type: 1, id: 'parsed-only' });
+    const result = await webhookServer.routeWebhook({ ...request, rawBody: null, body: JSON.parse(request.rawBody) });
+    assert.equal(result.status, 400);
+  });
+
+  it('routes agent requests and refuses unknown paths and methods', async () => {
+    const status = await webhookServer.routeWebhook({ path: '/agent/status', method: 'GET' });
+    assert.equal(status.status, 200);
+    assert.equal(status.json.status, 'ok');
+
+    assert.equal((await webhookServer.routeWebhook({ path: '/webhook/discord', method: 'GET' })).status, 405);
+    assert.equal((await webhookServer.routeWebhook({ path: '/webhook/nope', method: 'POST' })).status, 404);
+  });
+
+  it('adapts to Express, reading the raw body and mount path', async () => {
+    const request = discordRequest({ type: 1, id: 'express' });
+    const req = {
+      baseUrl: '/webhook',
+      path: '/discord',
+      method: 'POST',
+      headers: request.headers,
+      query: {},
+      body: JSON.parse(request.rawBody),
+      rawBody: Buffer.from(request.rawBody)
+    };
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      }
+    };
+    await webhookServer.createWebhookHandler()(req, res);
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { type: 1 });
+  });
+});
@@ -201,6 +201,26 @@ function error(message) {
   return `❌ ${message}`;
 }
 
+/**
+ * Badge for a received message's signature check (see store/keys.js)
+ * @param {string|null} verification - verified, unverified, invalid or key_changed
+ * @returns {string} - Badge, or '' when there's nothing to show (e.g. our own messages)
+ */
+function verificationBadge(verification) {
+  switch (verification) {
+    case 'verified':
+      return '✓';
+    case 'unverified':
+      return '(unverified)';
+    case 'invalid':
+      return '✗ bad signature';
+    case 'key_changed':
+      return '⚠️ key changed';
+    default:
+      return '';
+  }
+}
+
 // ============ ERROR HANDLING ============
 
 /**
@@ -289,6 +309,7 @@ module.exports = {
   success,
   warning,
   error,
+  verificationBadge,
 
   // Error handling
   withErrorHandling,
@@ -19,6 +19,10 @@ const definition = {
       message: {
         type: 'string',
         description: 'Your message'
+      },
+      encrypt: {
+        type: 'boolean',
+        description: 'End-to-end encrypt this message (default: your e2e_enabled setting)'
       }
     },
     required: ['handle', 'message']
@@ -46,18 +50,27 @@ async function handler(args) {
   const wasTruncated = trimmed.length > MAX_LENGTH;
   const finalMessage = wasTruncated ? trimmed.substring(0, MAX_LENGTH) : trimmed;
 
-  const result = await store.sendMessage(myHandle, them, finalMessage, 'dm');
+  const encrypt = args.encrypt !== undefined ? Boolean(args.encrypt) : config.getE2EEnabled();
+  const result = await store.sendMessage(myHandle, them, finalMessage, 'dm', null, { encrypt });
 
   if (result && result.error) {
+    // Failed sends stay in the outbox and are retried automatically
+    const retry = result.queued ? `\n\nQueued — /vibe will retry automatically. Check \`vibe inbox\` for status.` : '';
     return {
-      display: `Failed to send message: ${result.message}`
+      display: `Failed to send message: ${result.message}${retry}`
     };
   }
 
   let display = `Sent to **@${them}**`;
+  if (result?.encryption === 'encrypted') {
+    display += ' 🔒';
+  }
   if (wasTruncated) {
     display += ` ${warning(`truncated to ${MAX_LENGTH} chars`)}`;
   }
+  if (result?.encryption === 'unavailable') {
+    display += `\n${warning(`@${them} hasn't published an encryption key yet — sent unencrypted`)}`;
+  }
   display += `\n\n"${truncate(finalMessage, 100)}"`;
 
   return { display };
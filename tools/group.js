@@ -0,0 +1,211 @@
+/**
+ * vibe group — Named group threads
+ *
+ * A group is one conversation with several people. Everyone in it sees every
+ * message, and each member has their own unread count.
+ *
+ * Usage:
+ * - group create "launch" with @alex @sam
+ * - group send launch "shipping at 5"
+ * - group add launch @kim / group remove launch @kim
+ * - group view launch
+ * - group leave launch
+ */
+
+const config = require('../config');
+const store = require('../store');
+const groups = require('../store/groups');
+const { requireInit, normalizeHandle, truncate, formatTimeAgo, warning, verificationBadge } = require('./_shared');
+
+const MAX_LENGTH = 2000;
+const MAX_NAME_LENGTH = 50;
+
+const definition = {
+  name: 'vibe_group',
+  description: 'Group conversations: create a named group, add or remove people, send, read, leave.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      action: {
+        type: 'string',
+        enum: ['create', 'add', 'remove', 'leave', 'send', 'view', 'list'],
+        description: 'What to do (default: list)'
+      },
+      group: {
+        type: 'string',
+        description: 'Group name or thread id (for create: the new name)'
+      },
+      members: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'People to create the group with, add or remove (e.g., ["@alex", "@sam"])'
+      },
+      message: {
+        type: 'string',
+        description: 'Message to send (for send)'
+      },
+      encrypt: {
+        type: 'boolean',
+        description: 'End-to-end encrypt for every member (default: your e2e_enabled setting)'
+      }
+    }
+  }
+};
+
+async function handler(args) {
+  const initCheck = requireInit();
+  if (initCheck) return initCheck;
+
+  if (typeof store.createGroup !== 'function') {
+    return { display: 'Groups need the /vibe server — not available in local mode.' };
+  }
+
+  const myHandle = config.getHandle();
+  const action = args.action || 'list';
+
+  // Refresh the local cache so names resolve on a fresh machine
+  const mine = await store.getGroups(myHandle);
+
+  if (action === 'list') return list(mine);
+  if (action === 'create') return create(myHandle, args);
+
+  const { group, error } = groups.resolve(myHandle, args.group);
+  if (error) return { display: error };
+
+  switch (action) {
+    case 'add':
+    case 'remove':
+      return changeMembers(myHandle, group, action, args.members);
+    case 'leave':
+      return leave(myHandle, group);
+    case 'send':
+      return send(myHandle, group, args);
+    case 'view':
+      return view(myHandle, group);
+    default:
+      return { display: `Unknown action "${action}". Try create, add, remove, leave, send, view or list.` };
+  }
+}
+
+function list(mine) {
+  if (mine.length === 0) {
+    return { display: 'No groups yet. Say "group create launch with @alex @sam" to start one.' };
+  }
+
+  let display = `👥 ${mine.length} group${mine.length === 1 ? '' : 's'}\n`;
+  display += '───────────────────────────────────\n';
+  for (const g of mine) {
+    const unread = g.unread > 0 ? ` (${g.unread})` : '';
+    const last = g.lastMessage ? ` — @${g.lastFrom}: ${truncate(g.lastMessage, 50)}` : '';
+    display += `**#${g.name}**${unread} · ${g.members.length} members${last}\n`;
+  }
+  return { display: display.trimEnd() };
+}
+
+async function create(myHandle, args) {
+  const name = (args.group || '').trim().replace(/^#/, '');
+  if (!name) return { display: 'Give the group a name.' };
+  if (name.length > MAX_NAME_LENGTH) return { display: `Group names are at most ${MAX_NAME_LENGTH} chars.` };
+
+  const members = parseMembers(args.members).filter(h => h !== myHandle);
+  if (members.length === 0) return { display: 'Who should be in it? Pass members, e.g. ["@alex", "@sam"].' };
+
+  const result = await store.createGroup(myHandle, name, members);
+  if (!result.success) return { display: `Couldn't create the group: ${result.error}` };
+
+  return {
+    display: `Created **#${result.group.name}** with ${formatMembers(myHandle, result.group.members)}`
+  };
+}
+
+async function changeMembers(myHandle, group, action, rawMembers) {
+  const members = parseMembers(rawMembers);
+  if (members.length === 0) return { display: `Who should I ${action}?` };
+
+  const result =
+    action === 'add'
+      ? await store.addGroupMembers(myHandle, group.thread_id, members)
+      : await store.removeGroupMembers(myHandle, group.thread_id, members);
+  if (!result.success) return { display: `Couldn't ${action} members: ${result.error}` };
+
+  const verb = action === 'add' ? 'Added' : 'Removed';
+  return {
+    display: `${verb} ${members.map(h => `@${h}`).join(', ')} — **#${group.name}** is now ${formatMembers(myHandle, result.group.members)}`
+  };
+}
+
+async function leave(myHandle, group) {
+  const result = await store.leaveGroup(myHandle, group.thread_id);
+  if (!result.success) return { display: `Couldn't leave the group: ${result.error}` };
+  return { display: `Left **#${group.name}**` };
+}
+
+async function send(myHandle, group, args) {
+  const trimmed = (args.message || '').trim();
+  if (!trimmed) return { display: 'Need a message to send.' };
+
+  const wasTruncated = trimmed.length > MAX_LENGTH;
+  const finalMessage = wasTruncated ? trimmed.substring(0, MAX_LENGTH) : trimmed;
+
+  const encrypt = args.encrypt !== undefined ? Boolean(args.encrypt) : config.getE2EEnabled();
+  const to = groups.groupAddress(group.thread_id);
+  const result = await store.sendMessage(myHandle, to, finalMessage, 'dm', null, { encrypt });
+
+  if (result && result.error) {
+    // Failed sends stay in the outbox and are retried automatically
+    const retry = result.queued ? `\n\nQueued — /vibe will retry automatically. Check \`vibe inbox\` for status.` : '';
+    return { display: `Failed to send message: ${result.message}${retry}` };
+  }
+
+  let display = `Sent to **#${group.name}**`;
+  if (result?.encryption === 'encrypted') {
+    display += ' 🔒';
+  }
+  if (wasTruncated) {
+    display += ` ${warning(`truncated to ${MAX_LENGTH} chars`)}`;
+  }
+  if (result?.encryption === 'unavailable') {
+    const missing = (result.missingKeys || []).map(h => `@${h}`).join(', ');
+    display += `\n${warning(`${missing || 'Someone'} hasn't published an encryption key yet — sent unencrypted`)}`;
+  }
+  display += `\n\n"${truncate(finalMessage, 100)}"`;
+
+  return { display };
+}
+
+async function view(myHandle, group) {
+  const thread = await store.getGroupThread(myHandle, group.thread_id);
+  if (!thread) return { display: `You're not in **#${group.name}** any more.` };
+
+  const members = thread.group.members.map(m => {
+    const who = m.handle === myHandle ? 'you' : `@${m.handle}`;
+    return m.unread > 0 ? `${who} (${m.unread} unread)` : who;
+  });
+
+  let display = `**#${thread.group.name}** — ${members.join(', ')}\n`;
+  display += '───────────────────────────────────\n';
+  if (thread.messages.length === 0) {
+    return { display: `${display}No messages yet.` };
+  }
+
+  for (const m of thread.messages.slice(-20)) {
+    const who = m.from === myHandle ? 'you' : `@${m.from}`;
+    const badge = verificationBadge(m.verification);
+    const lock = m.encrypted ? ' 🔒' : '';
+    display += `**${who}**${badge ? ` ${badge}` : ''} · ${formatTimeAgo(m.timestamp)}${lock} — ${m.body}\n`;
+  }
+
+  return { display: display.trimEnd() };
+}
+
+// Accept ["@alex", "sam"] or "@alex, @sam"
+function parseMembers(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw || '').split(/[\s,]+/);
+  return [...new Set(list.map(h => normalizeHandle(String(h))).filter(Boolean))];
+}
+
+function formatMembers(myHandle, members) {
+  return members.map(m => (m.handle === myHandle ? 'you' : `@${m.handle}`)).join(', ');
+}
+
+module.exports = { definition, handler, parseMembers };
@@ -0,0 +1,203 @@
+/**
+ * vibe handoff — Hand work in progress to a teammate
+ *
+ * Sends your branch, changed files, recent session journal and a description
+ * as a handoff. The recipient accepts or declines it, and both sides can
+ * follow where it stands.
+ *
+ * Usage:
+ * - handoff @alex "auth refactor is half done — tests next"
+ * - handoff list
+ * - handoff view <id> / accept <id> / decline <id>
+ */
+
+const config = require('../config');
+const store = require('../store');
+const handoffs = require('../store/handoffs');
+const { requireInit, normalizeHandle, truncate, formatTimeAgo } = require('./_shared');
+
+const MAX_DESCRIPTION = 2000;
+const STATUS_ICONS = { pending: '⏳', accepted: '✅', declined: '↩️' };
+
+const definition = {
+  name: 'vibe_handoff',
+  description:
+    'Hand off work in progress: send your branch, changed files and recent session activity to someone, or list, view, accept and decline handoffs sent to you.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      action: {
+        type: 'string',
+        enum: ['send', 'list', 'view', 'accept', 'decline'],
+        description: 'What to do (default: send if "to" is given, otherwise list)'
+      },
+      to: {
+        type: 'string',
+        description: 'Who takes it over (for send, e.g., @alex)'
+      },
+      description: {
+        type: 'string',
+        description: "Where things stand and what's next (for send)"
+      },
+      task: {
+        type: 'string',
+        description: `Kind of handoff, e.g. code_review (for send, default: ${handoffs.DEFAULT_TASK})`
+      },
+      handoff: {
+        type: 'string',
+        description: 'Handoff id (for view, accept, decline — defaults to the only pending one)'
+      },
+      note: {
+        type: 'string',
+        description: 'Reply to the sender (for accept, decline)'
+      },
+      encrypt: {
+        type: 'boolean',
+        description: 'End-to-end encrypt the handoff (default: your e2e_enabled setting)'
+      }
+    }
+  }
+};
+
+async function handler(args) {
+  const initCheck = requireInit();
+  if (initCheck) return initCheck;
+
+  if (typeof store.pullMessages !== 'function') {
+    return { display: 'Handoffs need the /vibe server — not available in local mode.' };
+  }
+
+  const myHandle = config.getHandle();
+  const action = args.action || (args.to ? 'send' : 'list');
+
+  if (action === 'send') return send(myHandle, args);
+
+  // Pick up handoffs and answers that arrived since the last heartbeat
+  await require('../store/sync').run(store, myHandle);
+
+  if (action === 'list') return list(myHandle);
+
+  const { handoff, error } = handoffs.resolve(myHandle, args.handoff);
+  if (error) return { display: error };
+
+  switch (action) {
+    case 'view':
+      return { display: formatHandoff(myHandle, handoff) };
+    case 'accept':
+    case 'decline':
+      return respond(myHandle, handoff, action === 'accept', args.note);
+    default:
+      return { display: `Unknown action "${action}". Try send, list, view, accept or decline.` };
+  }
+}
+
+async function send(myHandle, args) {
+  const them = normalizeHandle(args.to);
+  if (!them) return { display: 'Who should take it over? Pass `to`, e.g. "@alex".' };
+  if (them === myHandle) return { display: "You can't hand off to yourself." };
+
+  const description = (args.description || '').trim().substring(0, MAX_DESCRIPTION);
+  if (!description) return { display: "Add a description — where things stand and what's next." };
+
+  const context = handoffs.gatherContext({ description, sessionId: config.getSessionId() });
+  const encrypt = args.encrypt !== undefined ? Boolean(args.encrypt) : config.getE2EEnabled();
+  const result = await handoffs.send(store, myHandle, them, context, { task: args.task, encrypt });
+  if (!result.success) return { display: `Failed to send the handoff: ${result.error}` };
+
+  let display = `📋 Handed off to @${them}`;
+  if (result.result?.encryption === 'encrypted') display += ' 🔒';
+  display += `\n\n"${truncate(description, 100)}"\n`;
+  if (context.branch) display += `\nBranch: \`${context.branch}\``;
+  display += `\nChanged files: ${context.files.length}`;
+  display += `\nJournal entries: ${context.journal.length}`;
+  if (result.result?.queued) display += '\n\nQueued — /vibe will retry sending automatically.';
+  display += `\n\n_Handoff ${result.handoff.id} — you'll see here when @${them} accepts or declines._`;
+
+  return { display };
+}
+
+function list(myHandle) {
+  const all = handoffs.list(myHandle);
+  if (all.length === 0) {
+    return { display: 'No handoffs yet. Say "handoff @alex <what\'s next>" to pass your work on.' };
+  }
+
+  const waiting = all.filter(h => h.direction === 'received' && h.status === 'pending');
+  const rest = all.filter(h => !waiting.includes(h)).slice(0, 10);
+
+  let display = '';
+  if (waiting.length > 0) {
+    display += `📋 **${waiting.length} waiting on you**\n`;
+    for (const h of waiting) {
+      display += `- @${h.from_handle} · ${formatTimeAgo(h.created_at)} — ${truncate(h.description || h.task, 80)} (${h.id})\n`;
+    }
+    display += '\n';
+  }
+  if (rest.length > 0) {
+    display += '**Recent**\n';
+    for (const h of rest) {
+      const who = h.direction === 'sent' ? `to @${h.to_handle}` : `from @${h.from_handle}`;
+      const icon = STATUS_ICONS[h.status] || '';
+      display += `- ${icon} ${who} · ${h.status} ${formatTimeAgo(h.updated_at)} — ${truncate(h.description || h.task, 60)}\n`;
+    }
+  }
+
+  return { display: display.trimEnd() };
+}
+
+async function respond(myHandle, handoff, accept, note) {
+  if (handoff.direction !== 'received') {
+    return { display: `That's a handoff you sent — @${handoff.to_handle} accepts or declines it.` };
+  }
+
+  const result = await handoffs.respond(store, myHandle, handoff.id, accept, (note || '').trim() || null);
+  if (!result.success) return { display: `Couldn't ${accept ? 'accept' : 'decline'} the handoff: ${result.error}` };
+
+  if (!accept) return { display: `↩️ Declined @${handoff.from_handle}'s handoff — they've been told.` };
+
+  const ctx = handoff.payload?.context || {};
+  let display = `✅ Accepted — @${handoff.from_handle} has been told. Here's where they left it:\n\n`;
+  display += formatHandoff(myHandle, result.handoff);
+  if (ctx.branch && ctx.branch !== 'HEAD') display += `\n\nTo pick it up: \`git fetch && git checkout ${ctx.branch}\``;
+  if (ctx.files && ctx.files.length > 0) {
+    display += `\nThe changed files were uncommitted on @${handoff.from_handle}'s machine — ask them to push if you need them.`;
+  }
+  return { display };
+}
+
+function formatHandoff(myHandle, handoff) {
+  const ctx = handoff.payload?.context || {};
+  const who = handoff.direction === 'sent' ? `to @${handoff.to_handle}` : `from @${handoff.from_handle}`;
+
+  let display = `📋 **Handoff ${who}** — ${handoff.status}\n`;
+  display += '───────────────────────────────────\n';
+  if (ctx.description) display += `> ${ctx.description}\n\n`;
+  if (ctx.repo) display += `Repo: ${ctx.repo}\n`;
+  if (ctx.branch) {
+    const commit = ctx.commit ? ` at ${ctx.commit.slice(0, 7)}` : '';
+    display += `Branch: \`${ctx.branch}\`${commit}\n`;
+  }
+  if (ctx.files && ctx.files.length > 0) {
+    display += `Changed files:\n${ctx.files.map(f => `- ${f}`).join('\n')}\n`;
+  }
+  if (ctx.journal && ctx.journal.length > 0) {
+    display += '\nRecent activity:\n';
+    for (const e of ctx.journal) {
+      const what = [e.tool, e.target].filter(Boolean).join(' → ') || e.type;
+      display += `- ${formatTimeAgo(e.at)} · ${what}${e.summary ? ` — ${truncate(e.summary, 80)}` : ''}\n`;
+    }
+  }
+
+  display += '\nHistory:\n';
+  for (const e of handoff.events || []) {
+    const by = e.by_handle && e.by_handle !== myHandle ? ` by @${e.by_handle}` : '';
+    display += `- ${e.event}${by} · ${formatTimeAgo(e.at)}${e.note ? ` — "${truncate(e.note, 80)}"` : ''}\n`;
+  }
+
+  if (handoff.direction === 'received' && handoff.status === 'pending') {
+    display += `\n_Accept or decline: handoff accept ${handoff.id}_`;
+  }
+  return display.trimEnd();
+}
+
+module.exports = { definition, handler };
@@ -29,6 +29,9 @@ async function handler() {
 | \`vibe status shipping\` | Set your mood (shipping, thinking, afk, debugging, pairing, deep) |
 | \`vibe ship "what you built"\` | Announce something you shipped |
 | \`vibe discover\` | Find people building similar things |
+| \`vibe search "words"\` | Search your DM history |
+| \`vibe group create "name" with @a @b\` | Start a group conversation (send, view, add, remove, leave) |
+| \`vibe handoff @handle "what's next"\` | Hand your branch, changed files and recent activity to someone (list, accept, decline) |
 | \`vibe help\` | This screen |
 
 **Install:** \`claude mcp add vibe -- npx -y slashvibe-mcp\`
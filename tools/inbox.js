@@ -5,14 +5,21 @@
 const config = require('../config');
 const store = require('../store');
 const notify = require('../notify');
-const { requireInit, truncate } = require('./_shared');
+const keys = require('../store/keys');
+const { requireInit, truncate, formatTimeAgo, verificationBadge } = require('./_shared');
 
 const definition = {
   name: 'vibe_inbox',
   description: 'See your unread messages and recent threads.',
   inputSchema: {
     type: 'object',
-    properties: {}
+    properties: {
+      outbox: {
+        type: 'string',
+        enum: ['retry', 'discard'],
+        description: "DMs that failed and won't be retried: send them again, or delete them"
+      }
+    }
   }
 };
 
@@ -21,31 +28,43 @@ async function handler(args) {
   if (initCheck) return initCheck;
 
   const myHandle = config.getHandle();
+  if (args.outbox) return handleOutbox(args.outbox, myHandle);
+
   const threads = await store.getInbox(myHandle);
+  const groups = store.getGroups ? await store.getGroups(myHandle) : [];
 
   // Check for notifications (will handle deduplication internally)
   notify.checkAll(store);
 
-  if (!threads || threads.length === 0) {
+  // DMs that haven't reached the server yet (offline outbox)
+  const queued = formatQueued(store.getQueuedMessages ? store.getQueuedMessages(myHandle) : []);
+
+  // Senders whose signing key changed since we pinned it — always shown
+  const keyChanges = formatKeyChanges(keys.getKeyChanges());
+
+  if ((!threads || threads.length === 0) && groups.length === 0) {
     return {
-      display: `No messages yet. Say "dm @someone" to start a conversation.`
+      display: `No messages yet. Say "dm @someone" to start a conversation.${queued}${keyChanges}`
     };
   }
 
   // Sort: unread first, then by most recent
-  const sorted = threads.sort((a, b) => {
+  const sorted = (threads || []).sort((a, b) => {
     if (a.unread > 0 && b.unread === 0) return -1;
     if (b.unread > 0 && a.unread === 0) return 1;
     return (b.lastTimestamp || 0) - (a.lastTimestamp || 0);
   });
 
-  const totalUnread = sorted.reduce((sum, t) => sum + (t.unread || 0), 0);
+  const unreadGroups = groups.filter(g => g.unread > 0);
+  const totalUnread =
+    sorted.reduce((sum, t) => sum + (t.unread || 0), 0) + unreadGroups.reduce((sum, g) => sum + g.unread, 0);
   const unreadSenders = sorted.filter(t => t.unread > 0);
 
   if (totalUnread === 0) {
-    const recentHandles = sorted.slice(0, 3).map(t => `@${t.handle}`).join(', ');
+    // Groups are already sorted by activity
+    const recent = [...sorted.slice(0, 3).map(t => `@${t.handle}`), ...groups.slice(0, 2).map(g => `#${g.name}`)];
     return {
-      display: `All caught up. Recent: ${recentHandles}`
+      display: `All caught up. Recent: ${recent.join(', ')}${queued}${keyChanges}`
     };
   }
 
@@ -55,10 +74,78 @@ async function handler(args) {
 
   for (const t of unreadSenders) {
     const preview = truncate(t.lastMessage || '', 60);
-    display += `**@${t.handle}** (${t.unread}) — ${preview}\n`;
+    const badge = verificationBadge(t.verification);
+    display += `**@${t.handle}**${badge ? ` ${badge}` : ''} (${t.unread}) — ${preview}\n`;
   }
 
+  for (const g of unreadGroups) {
+    const preview = truncate(g.lastMessage || '', 50);
+    display += `**#${g.name}** (${g.unread}) — @${g.lastFrom}: ${preview}\n`;
+  }
+
+  display += queued;
+  display += keyChanges;
+
   return { display };
 }
 
+function formatKeyChanges(changes) {
+  if (changes.length === 0) return '';
+
+  let display =
+    "\n\n⚠️ **Key changed** — messages from these people can't be verified, or DMs to them encrypted, until you confirm\n";
+  for (const c of changes) {
+    display += `**@${c.handle}** ${c.key} key (${formatTimeAgo(c.changedAt)}) — confirm with them, then run \`npx slashvibe-mcp trust @${c.handle}\`\n`;
+  }
+  return display;
+}
+
+async function handleOutbox(action, myHandle) {
+  if (action === 'discard') {
+    const count = store.discardFailedMessages ? store.discardFailedMessages(myHandle) : 0;
+    return { display: count ? `🗑️ Discarded ${messageCount(count)} that failed` : 'No failed messages to discard' };
+  }
+
+  if (action === 'retry') {
+    const count = store.retryFailedMessages ? await store.retryFailedMessages(myHandle) : 0;
+    if (!count) return { display: 'No failed messages to retry' };
+    const queued = formatQueued(store.getQueuedMessages(myHandle));
+    return { display: `📤 Retried ${messageCount(count)}${queued || ' — all delivered'}` };
+  }
+
+  return { display: 'outbox must be: retry or discard' };
+}
+
+function messageCount(count) {
+  return `${count} message${count === 1 ? '' : 's'}`;
+}
+
+// Retrying and given-up sends are listed apart: only the second needs the user
+function formatQueued(messages) {
+  const failed = messages.filter(m => m.status === 'failed' && !m.nextRetryAt);
+  const retrying = messages.filter(m => !failed.includes(m));
+  const sections = [];
+
+  if (retrying.length > 0) {
+    const lines = retrying.map(m => formatQueuedLine(m, m.status === 'pending' ? 'sending' : `retry ${m.retries}`));
+    sections.push(`📤 ${retrying.length} unsent — retrying automatically\n${lines.join('\n')}`);
+  }
+
+  if (failed.length > 0) {
+    const lines = failed.map(m => formatQueuedLine(m, 'failed'));
+    sections.push(
+      `⛔ ${failed.length} failed — won't retry (vibe_inbox outbox: "retry" or "discard")\n${lines.join('\n')}`
+    );
+  }
+
+  return sections.length > 0 ? `\n\n${sections.join('\n\n')}` : '';
+}
+
+function formatQueuedLine(m, state) {
+  const preview = truncate(m.text || '', 50);
+  const error = m.error ? `, ${m.error}` : '';
+  const to = m.to.startsWith('#') ? m.to : `@${m.to}`; // Group address or handle
+  return `→ **${to}** — ${preview} (${formatTimeAgo(m.createdAt)}, ${state}${error})`;
+}
+
 module.exports = { definition, handler };
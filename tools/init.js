@@ -15,6 +15,7 @@ const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const store = require('../store');
+const accountLinks = require('../store/account-links');
 
 const CALLBACK_PORT = 9876;
 const API_BASE = 'https://www.slashvibe.dev';
@@ -204,6 +205,10 @@ const definition = {
       one_liner: {
         type: 'string',
         description: 'What are you building? (one line)'
+      },
+      link: {
+        type: 'boolean',
+        description: 'Get a one-time code to link a Telegram, Discord, WhatsApp, Slack or Matrix account to your handle'
       }
     },
     required: []
@@ -334,9 +339,42 @@ function waitForCallback(requestedHandle, one_liner) {
   });
 }
 
+/**
+ * One-time code for linking a chat account, plus the accounts already linked
+ */
+async function linkCode() {
+  const handle = config.getHandle();
+  if (!config.isInitialized() || !handle) {
+    return { display: 'Sign in first (`vibe init`), then ask for a link code.' };
+  }
+
+  // Through the API, so a bridge on another host can redeem it
+  const result = await accountLinks.issue(store, handle);
+  if (!result.success) return { display: `Couldn't create a link code: ${result.error}` };
+
+  const linked = await accountLinks.linksFor(store, handle).catch(() => []);
+  const linkedList = linked.length
+    ? `\n\n**Linked:** ${linked.map(l => `${l.platform}${l.username ? ` (${l.username})` : ''}`).join(', ')}`
+    : '';
+
+  return {
+    display: `## Link a chat account to @${handle}
+
+Send this from Telegram (a DM with the bot), Discord, WhatsApp or Slack:
+
+\`/vibe link ${result.code}\`
+
+On Matrix, DM the bot \`!vibe link ${result.code}\`.
+
+The code works once and expires in 10 minutes. Once linked, \`/status\`, \`/ship\` and \`/dm\` from that account act as @${handle}; send \`/vibe unlink\` from it to undo.${linkedList}`
+  };
+}
+
 async function handler(args) {
   const { handle, one_liner, auth_method } = args;
 
+  if (args.link) return linkCode();
+
   // Normalize handle if provided
   const h = handle
     ? handle.toLowerCase().replace('@', '').replace(/[^a-z0-9_-]/g, '')
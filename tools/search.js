@@ -0,0 +1,136 @@
+/**
+ * vibe search — Find something in your DM history
+ *
+ * Full-text search over every DM you've sent or received, with the
+ * surrounding messages from the thread for context.
+ *
+ * Usage:
+ * - search "deploy script"
+ * - search "api keys" with @alex
+ * - search "demo" since 7d
+ */
+
+const config = require('../config');
+const store = require('../store');
+const { requireInit, normalizeHandle, formatTimeAgo, truncate } = require('./_shared');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const RELATIVE_UNITS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+const definition = {
+  name: 'vibe_search',
+  description: 'Search your DM history. Filter by person, date range and direction.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'Words to search for'
+      },
+      handle: {
+        type: 'string',
+        description: 'Only messages with this person (e.g., @alex)'
+      },
+      since: {
+        type: 'string',
+        description: 'Only messages after this date (YYYY-MM-DD, ISO timestamp, or relative like 24h, 7d, 2w)'
+      },
+      until: {
+        type: 'string',
+        description: 'Only messages before this date (same formats as since)'
+      },
+      direction: {
+        type: 'string',
+        enum: ['sent', 'received', 'any'],
+        description: 'Messages you sent, received, or both (default: any)'
+      },
+      limit: {
+        type: 'number',
+        description: `Max results (default ${DEFAULT_LIMIT}, max ${MAX_LIMIT})`
+      }
+    },
+    required: ['query']
+  }
+};
+
+async function handler(args) {
+  const initCheck = requireInit();
+  if (initCheck) return initCheck;
+
+  const query = (args.query || '').trim();
+  if (!query) {
+    return { error: 'What should I look for? search "deploy script"' };
+  }
+
+  if (!store.searchMessages) {
+    return { display: 'Search is not available with this store.' };
+  }
+
+  const since = parseDate(args.since);
+  const until = parseDate(args.until);
+  if (since === undefined || until === undefined) {
+    return { error: 'Dates must be YYYY-MM-DD, an ISO timestamp, or relative like 24h, 7d, 2w' };
+  }
+
+  const myHandle = config.getHandle();
+  const withHandle = args.handle ? normalizeHandle(args.handle) : null;
+  const limit = Math.min(Math.max(parseInt(args.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const results = await store.searchMessages(myHandle, query, {
+    with: withHandle,
+    since,
+    until,
+    direction: args.direction === 'sent' || args.direction === 'received' ? args.direction : null,
+    limit
+  });
+
+  const scope = withHandle ? ` with @${withHandle}` : '';
+  if (results.length === 0) {
+    return { display: `No messages${scope} match "${query}".` };
+  }
+
+  let display = `🔎 ${results.length} result${results.length === 1 ? '' : 's'} for "${query}"${scope}\n`;
+  display += '───────────────────────────────────\n';
+
+  for (const r of results) {
+    const other = r.direction === 'sent' ? r.to : r.from;
+    const arrow = r.direction === 'sent' ? '→' : '←';
+    display += `\n${arrow} **@${other}** · ${formatTimeAgo(r.timestamp)}\n`;
+    for (const m of r.context.before) display += contextLine(m, myHandle);
+    display += `  ▸ ${oneLine(r.snippet || r.body)}\n`;
+    for (const m of r.context.after) display += contextLine(m, myHandle);
+  }
+
+  return { display };
+}
+
+function contextLine(m, myHandle) {
+  const who = m.from === myHandle ? 'you' : `@${m.from}`;
+  return `    ${who}: ${truncate(oneLine(m.body), 70)}\n`;
+}
+
+function oneLine(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse a date filter
+ * @param {string} [value] - YYYY-MM-DD, ISO timestamp, or relative (24h, 7d, 2w)
+ * @returns {string|null|undefined} ISO timestamp, null when not given, undefined when invalid
+ */
+function parseDate(value) {
+  if (!value) return null;
+
+  const relative = String(value)
+    .trim()
+    .match(/^(\d+)\s*([hdw])$/i);
+  if (relative) {
+    return new Date(Date.now() - parseInt(relative[1], 10) * RELATIVE_UNITS[relative[2].toLowerCase()]).toISOString();
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+module.exports = { definition, handler, parseDate };
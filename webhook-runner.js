@@ -8,24 +8,51 @@
  *
  * Usage:
  *   node webhook-runner.js [--port 3001]
+ *   node webhook-runner.js agents [stats|dead|replay]
+ *   node webhook-runner.js agents tokens [list|mint|revoke]
  *
  * Environment Variables:
  *   WEBHOOK_PORT=3001
  *   WEBHOOK_SECRET=your-webhook-secret
  *   TELEGRAM_WEBHOOK_SECRET=telegram-secret-token
  *   DISCORD_PUBLIC_KEY=discord-public-key
+ *   WHATSAPP_APP_SECRET=meta-app-secret
+ *   WHATSAPP_WEBHOOK_VERIFY_TOKEN=verify-token
+ *   X_WEBHOOK_SECRET=x-consumer-secret
+ *   SLACK_SIGNING_SECRET=slack-signing-secret
+ *   SLACK_BOT_TOKEN=xoxb-...
+ *   MATRIX_HOMESERVER_URL=https://matrix.example.org
+ *   MATRIX_ACCESS_TOKEN=syt_...
+ *   MATRIX_USER_ID=@vibe:example.org
+ *   MATRIX_VIBE_ROOM_ID=!abc123:example.org
+ *   WEBHOOK_REPLAY_WINDOW=300
  */
 
 const express = require('express');
 const cors = require('cors');
-const { createWebhookHandler, getConfig, getSetupInstructions } = require('./bridges/webhook-server');
+const {
+  createWebhookHandler,
+  getConfig,
+  getSetupInstructions,
+  handleMatrixEvent
+} = require('./bridges/webhook-server');
+const whatsapp = require('./bridges/whatsapp');
+const xWebhook = require('./bridges/x-webhook');
+const slack = require('./bridges/slack');
+const matrix = require('./bridges/matrix');
+const accountLinks = require('./store/account-links');
 
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.raw({ type: 'application/json', limit: '10mb' }));
+// Keep the raw bytes: Discord, WhatsApp, X and Slack sign the body exactly as sent
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+// Slack slash commands are form-encoded
+app.use(express.urlencoded({ extended: false, verify: keepRawBody }));
 
 // Health check
 app.get('/health', (req, res) => {
@@ -45,13 +72,18 @@ app.get('/setup', (req, res) => {
     endpoints: {
       telegram: '/webhook/telegram',
       discord: '/webhook/discord',
+      whatsapp: '/webhook/whatsapp',
+      x: '/webhook/x',
+      slack: ['/webhook/slack/commands', '/webhook/slack/events'],
+      vibe: '/webhook/vibe',
+      agents: '/agent/*',
       health: '/health'
     }
   });
 });
 
-// Webhook endpoints
-app.use('/webhook', createWebhookHandler());
+// Webhook and agent gateway endpoints
+app.use(['/webhook', '/agent'], createWebhookHandler());
 
 // Error handler
 app.use((err, req, res, next) => {
@@ -75,19 +107,33 @@ function startServer() {
     console.log(`   Setup:    http://localhost:${port}/setup`);
     console.log(`   Telegram: http://localhost:${port}/webhook/telegram`);
     console.log(`   Discord:  http://localhost:${port}/webhook/discord`);
+    console.log(`   WhatsApp: http://localhost:${port}/webhook/whatsapp`);
+    console.log(`   X:        http://localhost:${port}/webhook/x`);
+    console.log(`   Slack:    http://localhost:${port}/webhook/slack/commands (and /events)`);
+    console.log(`   /vibe:    http://localhost:${port}/webhook/vibe`);
     console.log();
     console.log('🔧 Configuration:');
     console.log(`   Port: ${port}`);
     console.log(`   Webhook Secret: ${config.secret ? '✅ Set' : '❌ Not set'}`);
     console.log(`   Telegram Secret: ${config.telegramSecret ? '✅ Set' : '❌ Not set'}`);
     console.log(`   Discord Public Key: ${config.discordPublicKey ? '✅ Set' : '❌ Not set'}`);
+    console.log(`   WhatsApp App Secret: ${whatsapp.getCredentials().appSecret ? '✅ Set' : '❌ Not set'}`);
+    console.log(`   X Webhook Secret: ${xWebhook.getConfig().webhookSecret ? '✅ Set' : '❌ Not set'}`);
+    console.log(`   Slack Signing Secret: ${slack.getCredentials().signingSecret ? '✅ Set' : '❌ Not set'}`);
+    console.log(`   Matrix: ${matrix.isConfigured() ? '✅ Set (syncing)' : '❌ Not set'}`);
+    console.log(`   Replay Window: ${config.replayWindowSeconds}s`);
+    console.log(`   Account Links: ${accountLinks.LINKS_FILE} (codes redeemed through the /vibe API)`);
     console.log();
     console.log('Visit /setup endpoint for platform-specific setup instructions.');
   });
 
+  // Matrix has no webhooks for bots: long-poll the homeserver alongside the HTTP server
+  const matrixSync = matrix.isConfigured() ? matrix.startSync(handleMatrixEvent) : null;
+
   // Graceful shutdown
-  process.on('SIGINT', () => {
+  process.on('SIGINT', async () => {
     console.log('\n🛑 Shutting down webhook server...');
+    if (matrixSync) await matrixSync.stop();
     server.close(() => {
       console.log('✅ Webhook server stopped');
       process.exit(0);
@@ -101,12 +147,18 @@ function startServer() {
 if (require.main === module) {
   const args = process.argv.slice(2);
 
-  if (args.includes('--help') || args.includes('-h')) {
+  // Agent gateway: delivery stats, dead letters, replay, capability tokens
+  if (args[0] === 'agents') {
+    const cli = args[1] === 'tokens' ? require('./bridges/agent-tokens') : require('./bridges/agent-delivery');
+    cli.main(args.slice(args[1] === 'tokens' ? 2 : 1)).then(code => process.exit(code));
+  } else if (args.includes('--help') || args.includes('-h')) {
     console.log(`
 /vibe Webhook Server
 
 Usage:
   node webhook-runner.js [options]
+  node webhook-runner.js agents [stats|dead [@handle]|replay [@handle] [--id <id>]]
+  node webhook-runner.js agents tokens [list|mint @agent <scope...> [--ttl <seconds>]|revoke <id|@agent>]
 
 Options:
   --port PORT    Webhook server port (default: 3001)
@@ -114,19 +166,32 @@ Options:
 
 Environment Variables:
   WEBHOOK_PORT              Webhook server port
-  WEBHOOK_SECRET           Secret for webhook signature verification
+  WEBHOOK_SECRET           Signs DMs pushed to /webhook/vibe (X-Vibe-Signature); set it where /vibe runs too
   TELEGRAM_WEBHOOK_SECRET  Telegram webhook secret token
   DISCORD_PUBLIC_KEY       Discord application public key
+  WHATSAPP_APP_SECRET      Meta app secret (WhatsApp signature verification)
+  WHATSAPP_WEBHOOK_VERIFY_TOKEN  Token for WhatsApp's callback check
+  X_WEBHOOK_SECRET         X consumer secret (CRC and signature verification)
+  SLACK_SIGNING_SECRET     Slack app signing secret (slash commands and events)
+  SLACK_BOT_TOKEN          Slack bot token (DM relay, announcements)
+  SLACK_VIBE_CHANNEL_ID    Slack channel for ship and status announcements
+  MATRIX_HOMESERVER_URL    Matrix homeserver (the bridge syncs with it; no public URL needed)
+  MATRIX_ACCESS_TOKEN      Matrix bot account access token
+  MATRIX_USER_ID           Matrix bot user id (@vibe:example.org)
+  MATRIX_VIBE_ROOM_ID      Matrix room for commands and announcements
+  WEBHOOK_REPLAY_WINDOW    Seconds a delivery stays valid and is deduplicated (default: 300)
 
 Examples:
   node webhook-runner.js
   node webhook-runner.js --port 8080
+  node webhook-runner.js agents replay @clawdbot
+  node webhook-runner.js agents tokens mint @clawdbot subscribe:dm read:memory:@alex
   WEBHOOK_PORT=3001 node webhook-runner.js
 `);
     process.exit(0);
+  } else {
+    startServer();
   }
-
-  startServer();
 }
 
 module.exports = { app, startServer };